@@ -1,25 +1,30 @@
 const { network } = require("hardhat")
+const { DECIMALS, INITIAL_PRICE } = require("../helper-hardhat-config")
 const {
-    developmentChains,
-    DECIMALS,
-    INITIAL_PRICE,
-} = require("../helper-hardhat-config")
+    getNetworkConfig,
+    isDevelopmentNetwork,
+    getDeployOptions,
+} = require("../utils/networks")
 
 module.exports = async ({ getNamedAccounts, deployments }) => {
     const { deploy, log } = deployments
     const { deployer } = await getNamedAccounts()
 
+    // Development chains, and live networks flagged deployMocks in the
+    // network registry
     if (
-        developmentChains.includes(network.name) ||
-        network.name === "polygon"
+        isDevelopmentNetwork(network.name) ||
+        getNetworkConfig(network.name).deployMocks
     ) {
         log("Deploying Mocks...")
+        const deployOptions = getDeployOptions(network.name)
 
         // Deploy ETH/USD Price Feed Mock
         await deploy("MockV3Aggregator", {
             contract: "MockV3Aggregator",
             from: deployer,
             log: true,
+            ...deployOptions,
             args: [DECIMALS, INITIAL_PRICE],
         })
 
@@ -28,6 +33,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
             contract: "MockV3Aggregator",
             from: deployer,
             log: true,
+            ...deployOptions,
             args: [2, 2500], // 2 decimals, 25.00°C
         })
 
@@ -36,6 +42,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
             contract: "MockV3Aggregator",
             from: deployer,
             log: true,
+            ...deployOptions,
             args: [0, 65], // 0 decimals, 65%
         })
 
@@ -44,6 +51,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
             contract: "MockV3Aggregator",
             from: deployer,
             log: true,
+            ...deployOptions,
             args: [0, 10], // 0 decimals, 10mm
         })
 
@@ -52,9 +60,19 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
             contract: "MockV3Aggregator",
             from: deployer,
             log: true,
+            ...deployOptions,
             args: [0, 15], // 0 decimals, 15 km/h
         })
 
+        // ERC-20 stablecoin accepted by PaymentEscrow (6 decimals, open mint)
+        await deploy("MockStablecoin", {
+            contract: "MockStablecoin",
+            from: deployer,
+            log: true,
+            ...deployOptions,
+            args: ["Mock USD Coin", "mUSDC"],
+        })
+
         log(`All Mocks deployed`)
         log("----------------------------------------------------")
     }
@@ -1,12 +1,12 @@
 const { network } = require("hardhat")
-const { developmentChains } = require("../helper-hardhat-config")
+const { isDevelopmentNetwork } = require("../utils/networks")
 
 module.exports = async ({ getNamedAccounts, deployments }) => {
     const { deploy, log } = deployments
     const { deployer } = await getNamedAccounts()
 
     // Only deploy updatable weather feeds on development chains
-    if (developmentChains.includes(network.name)) {
+    if (isDevelopmentNetwork(network.name)) {
         log("----------------------------------------------------")
         log("Deploying Updatable Weather Feeds for local development...")
 
@@ -1,42 +1,67 @@
 const { network } = require("hardhat")
-const { networkConfig, developmentChains } = require("../helper-hardhat-config")
-const { verify } = require("../utils/verify")
+const { weatherRegions, cropPricingRules } = require("../helper-hardhat-config")
+const { verify, verifyProxy } = require("../utils/verify")
+const { isUpgradeableMode, deployProxy } = require("../utils/upgrades")
+const {
+    getDeployOptions,
+    getFeeOverrides,
+    getPaymentTokens,
+} = require("../utils/networks")
+const {
+    getFeedAddresses,
+    getExplorerConfig,
+    ROLE_REGISTRY_CONSUMERS,
+} = require("../utils/deploymentChecks")
 require("dotenv").config()
 
-module.exports = async ({ getNamedAccounts, deployments }) => {
-    const { deploy, log, get } = deployments
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments } = hre
+    const { deploy, log, get, getOrNull, save, getArtifact } = deployments
     const { deployer } = await getNamedAccounts()
-    const chainId = network.config.chainId
-
-    // Get oracle feed addresses
-    let ethUsdPriceFeedAddress,
-        temperatureFeedAddress,
-        humidityFeedAddress,
-        rainfallFeedAddress,
-        windSpeedFeedAddress
-
-    if (developmentChains.includes(network.name)) {
-        const ethUsdAggregator = await get("MockV3Aggregator")
-        const temperatureAggregator = await get("MockTemperatureFeed")
-        const humidityAggregator = await get("MockHumidityFeed")
-        const rainfallAggregator = await get("MockRainfallFeed")
-        const windSpeedAggregator = await get("MockWindSpeedFeed")
-
-        ethUsdPriceFeedAddress = ethUsdAggregator.address
-        temperatureFeedAddress = temperatureAggregator.address
-        humidityFeedAddress = humidityAggregator.address
-        rainfallFeedAddress = rainfallAggregator.address
-        windSpeedFeedAddress = windSpeedAggregator.address
-    } else {
-        ethUsdPriceFeedAddress = networkConfig[chainId]["ethUsdPriceFeed"]
-        temperatureFeedAddress = networkConfig[chainId]["temperatureFeed"]
-        humidityFeedAddress = networkConfig[chainId]["humidityFeed"]
-        rainfallFeedAddress = networkConfig[chainId]["rainfallFeed"]
-        windSpeedFeedAddress = networkConfig[chainId]["windSpeedFeed"]
+    // Confirmations and fees come from the network registry
+    const deployOptions = getDeployOptions(network.name)
+    const txOverrides = getFeeOverrides(network.name)
+    const upgradeable = isUpgradeableMode()
+
+    // Core contracts go behind upgradeable proxies with UPGRADEABLE=true.
+    // Proxies are kept on later runs; scripts/upgrade-contracts.js upgrades them.
+    const deployCore = async (name, args) => {
+        const existing = await getOrNull(name)
+        if (existing && existing.implementation) {
+            log(`Reusing ${name} proxy at ${existing.address}`)
+            return existing
+        }
+        if (!upgradeable) {
+            return deploy(name, {
+                from: deployer,
+                args,
+                log: true,
+                ...deployOptions,
+            })
+        }
+
+        const proxy = await deployProxy(hre, name, args, {
+            waitConfirmations: deployOptions.waitConfirmations,
+            txOverrides,
+        })
+        await save(name, { abi: (await getArtifact(name)).abi, ...proxy })
+        log(
+            `deployed "${name}" proxy at ${proxy.address} (implementation ${proxy.implementation})`
+        )
+        return proxy
     }
 
+    // Oracle feeds: mocks on development chains; on live networks the
+    // configured ETH/USD feed and the updatable weather feeds from
+    // deploy/01-deploy-production-weather.js
+    const feeds = await getFeedAddresses(hre)
+
     log("----------------------------------------------------")
-    log("Deploying Smart Contracts...")
+    log(
+        `Deploying Smart Contracts${
+            upgradeable ? " (core contracts behind upgradeable proxies)" : ""
+        }...`
+    )
 
     // 1. Deploy StakeholderManager (base access control)
     log("Deploying StakeholderManager...")
@@ -44,59 +69,50 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
         from: deployer,
         args: [],
         log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
+        ...deployOptions,
     })
     log(`StakeholderManager deployed at ${stakeholderManager.address}`)
 
-
     // Ensure deployer has admin role
-    const StakeholderManager = await ethers.getContractFactory("StakeholderManager")
-    const stakeholderManagerContract = StakeholderManager.attach(stakeholderManager.address)
+    const StakeholderManager = await ethers.getContractFactory(
+        "StakeholderManager"
+    )
+    const stakeholderManagerContract = StakeholderManager.attach(
+        stakeholderManager.address
+    )
 
     // Explicitly grant admin role to whoever deployed the contract (Role.ADMIN = 6)
     log("Ensuring deployer has admin role...")
-    const tx = await stakeholderManagerContract.grantRole(deployer, 6)
+    const tx = await stakeholderManagerContract.grantRole(
+        deployer,
+        6,
+        txOverrides
+    )
     await tx.wait()
     log(`Admin role explicitly granted to deployer: ${deployer}`)
 
     // 2. Deploy ProductBatch
     log("Deploying ProductBatch...")
-    const productBatch = await deploy("ProductBatch", {
-        from: deployer,
-        args: [],
-        log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
-    })
+    const productBatch = await deployCore("ProductBatch", [])
     log(`ProductBatch deployed at ${productBatch.address}`)
 
     // 3. Deploy OfferManager (needs ProductBatch address)
     log("Deploying OfferManager...")
-    const offerManager = await deploy("OfferManager", {
-        from: deployer,
-        args: [productBatch.address],
-        log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
-    })
+    const offerManager = await deployCore("OfferManager", [
+        productBatch.address,
+    ])
     log(`OfferManager deployed at ${offerManager.address}`)
 
     // 4. Deploy Registry
     log("Deploying Registry...")
-    const registry = await deploy("Registry", {
-        from: deployer,
-        args: [],
-        log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
-    })
+    const registry = await deployCore("Registry", [])
     log(`Registry deployed at ${registry.address}`)
 
     // 5. Deploy ShipmentTracker (needs ProductBatch address)
     log("Deploying ShipmentTracker...")
-    const shipmentTracker = await deploy("ShipmentTracker", {
-        from: deployer,
-        args: [productBatch.address],
-        log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
-    })
+    const shipmentTracker = await deployCore("ShipmentTracker", [
+        productBatch.address,
+    ])
     log(`ShipmentTracker deployed at ${shipmentTracker.address}`)
 
     // 6. Deploy StakeholderRegistry (needs StakeholderManager address)
@@ -105,7 +121,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
         from: deployer,
         args: [stakeholderManager.address],
         log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
+        ...deployOptions,
     })
     log(`StakeholderRegistry deployed at ${stakeholderRegistry.address}`)
 
@@ -114,67 +130,279 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
 
     // 7. Deploy ProvenanceTracker (depends on ProductBatch and StakeholderManager)
     log("Deploying ProvenanceTracker...")
-    const provenanceTracker = await deploy("ProvenanceTracker", {
+    const provenanceTracker = await deployCore("ProvenanceTracker", [])
+    log(`ProvenanceTracker deployed at ${provenanceTracker.address}`)
+
+    // 8. Deploy QRCodeVerifier (depends on ProvenanceTracker, ProductBatch and Registry)
+    log("Deploying QRCodeVerifier...")
+    const qrCodeVerifier = await deployCore("QRCodeVerifier", [
+        provenanceTracker.address,
+        productBatch.address,
+        registry.address,
+    ])
+    log(`QRCodeVerifier deployed at ${qrCodeVerifier.address}`)
+
+    // 9. Deploy PublicVerification (depends on QRCodeVerifier, ProvenanceTracker and Registry)
+    log("Deploying PublicVerification...")
+    const publicVerification = await deployCore("PublicVerification", [
+        qrCodeVerifier.address,
+        provenanceTracker.address,
+        registry.address,
+    ])
+    log(`PublicVerification deployed at ${publicVerification.address}`)
+
+    // 10. Deploy FileStorageManager (deployer is the initial upload oracle)
+    log("Deploying FileStorageManager...")
+    const fileStorageManager = await deploy("FileStorageManager", {
         from: deployer,
         args: [],
         log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
+        ...deployOptions,
     })
-    log(`ProvenanceTracker deployed at ${provenanceTracker.address}`)
+    log(`FileStorageManager deployed at ${fileStorageManager.address}`)
 
-    // 8. Deploy QRCodeVerifier (depends on ProductBatch and ProvenanceTracker)
-    log("Deploying QRCodeVerifier...")
-    const qrCodeVerifier = await deploy("QRCodeVerifier", {
+    // 11. Deploy WeatherOracle (deployer is the initial updater)
+    log("Deploying WeatherOracle...")
+    const weatherOracle = await deploy("WeatherOracle", {
         from: deployer,
-        args: [productBatch.address, provenanceTracker.address, registry.address],
+        args: [],
         log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
+        ...deployOptions,
     })
-    log(`QRCodeVerifier deployed at ${qrCodeVerifier.address}`)
+    log(`WeatherOracle deployed at ${weatherOracle.address}`)
 
-    // 9. Deploy PublicVerification (depends on ProductBatch, ProvenanceTracker, and QRCodeVerifier)
-    log("Deploying PublicVerification...")
-    const publicVerification = await deploy("PublicVerification", {
+    // 12. Deploy MetadataManager (deployer records batch weather risk)
+    log("Deploying MetadataManager...")
+    const metadataManager = await deploy("MetadataManager", {
         from: deployer,
-        args: [productBatch.address, provenanceTracker.address, qrCodeVerifier.address],
+        args: [],
         log: true,
-        waitConfirmations: network.config.blockConfirmations || 1,
+        ...deployOptions,
     })
-    log(`PublicVerification deployed at ${publicVerification.address}`)
+    log(`MetadataManager deployed at ${metadataManager.address}`)
+
+    // 13. Deploy WeatherPricing (weather-dependent listing premiums/discounts)
+    log("Deploying WeatherPricing...")
+    const weatherPricing = await deploy("WeatherPricing", {
+        from: deployer,
+        args: [],
+        log: true,
+        ...deployOptions,
+    })
+    log(`WeatherPricing deployed at ${weatherPricing.address}`)
+
+    // 14. Deploy PaymentEscrow (holds offer payments until delivery)
+    log("Deploying PaymentEscrow...")
+    const paymentEscrow = await deploy("PaymentEscrow", {
+        from: deployer,
+        args: [offerManager.address, shipmentTracker.address],
+        log: true,
+        ...deployOptions,
+    })
+    log(`PaymentEscrow deployed at ${paymentEscrow.address}`)
+
+    // 15. Deploy ContractFarming (contract farming deposits, milestones and delivery)
+    log("Deploying ContractFarming...")
+    const contractFarming = await deploy("ContractFarming", {
+        from: deployer,
+        args: [offerManager.address, shipmentTracker.address],
+        log: true,
+        ...deployOptions,
+    })
+    log(`ContractFarming deployed at ${contractFarming.address}`)
 
     log("----------------------------------------------------")
     log("Setting up oracle feeds on ProductBatch...")
 
+    // Wait for every setup transaction, so a reverted call stops the deploy
+    const send = async (transaction) => (await transaction).wait()
+
     // Get ProductBatch contract instance to set oracle feeds
     const ProductBatch = await ethers.getContractFactory("ProductBatch")
     const productBatchContract = ProductBatch.attach(productBatch.address)
 
     // Set price feed
-    await productBatchContract.setPriceFeed(ethUsdPriceFeedAddress)
+    await send(productBatchContract.setPriceFeed(feeds.priceFeed, txOverrides))
     log("Price feed set on ProductBatch")
 
     // Set weather feeds
-    await productBatchContract.setWeatherFeeds(
-        temperatureFeedAddress,
-        humidityFeedAddress,
-        rainfallFeedAddress,
-        windSpeedFeedAddress
+    await send(
+        productBatchContract.setWeatherFeeds(
+            feeds.temperatureFeed,
+            feeds.humidityFeed,
+            feeds.rainfallFeed,
+            feeds.windSpeedFeed,
+            txOverrides
+        )
     )
     log("Weather feeds set on ProductBatch")
 
+    // Regional weather snapshots, resolved from batch origin or farmer location
+    await send(
+        productBatchContract.setWeatherOracle(
+            weatherOracle.address,
+            txOverrides
+        )
+    )
+    await send(
+        productBatchContract.setStakeholderManager(
+            stakeholderManager.address,
+            txOverrides
+        )
+    )
+    for (const [region, { locations }] of Object.entries(weatherRegions)) {
+        for (const location of [region, ...locations]) {
+            await send(
+                productBatchContract.setLocationRegion(
+                    location,
+                    region,
+                    txOverrides
+                )
+            )
+        }
+    }
+    log("Weather oracle and regions set on ProductBatch")
+
+    // Per-crop weather pricing rules for weather-dependent listings
+    const WeatherPricing = await ethers.getContractFactory("WeatherPricing")
+    const weatherPricingContract = WeatherPricing.attach(weatherPricing.address)
+    for (const [cropType, rule] of Object.entries(cropPricingRules)) {
+        await send(
+            weatherPricingContract.setPricingRule(
+                cropType,
+                rule.bands,
+                rule.maxWeatherAge,
+                txOverrides
+            )
+        )
+    }
+    await send(
+        productBatchContract.setWeatherPricing(
+            weatherPricing.address,
+            txOverrides
+        )
+    )
+    log("Weather pricing rules set on ProductBatch")
+
+    // Only OfferManager marks batches as sold, splitting them for partial offers
+    if ((await productBatchContract.offerManager()) !== offerManager.address) {
+        await send(
+            productBatchContract.setOfferManager(
+                offerManager.address,
+                txOverrides
+            )
+        )
+    }
+    log("OfferManager set on ProductBatch")
+
+    // Sold batches pass to their buyers when ShipmentTracker confirms delivery
+    if (
+        (await productBatchContract.shipmentTracker()) !==
+        shipmentTracker.address
+    ) {
+        await send(
+            productBatchContract.setShipmentTracker(
+                shipmentTracker.address,
+                txOverrides
+            )
+        )
+    }
+    log("ShipmentTracker set on ProductBatch")
+
     log("----------------------------------------------------")
     log("Setting up verification system integrations...")
 
     const Registry = await ethers.getContractFactory("Registry")
     const registryContract = Registry.attach(registry.address)
 
-    await registryContract.setVerificationContracts(
-        provenanceTracker.address,
-        qrCodeVerifier.address,
-        publicVerification.address
+    await send(
+        registryContract.setVerificationContracts(
+            provenanceTracker.address,
+            qrCodeVerifier.address,
+            publicVerification.address,
+            txOverrides
+        )
     )
     log("Verification contracts set in Registry")
 
+    log("----------------------------------------------------")
+    log("Setting up payment escrow...")
+
+    // Accepted offers are paid into the escrow and released on delivery
+    for (const name of ["OfferManager", "ShipmentTracker"]) {
+        const contract = await ethers.getContractAt(
+            name,
+            (
+                await get(name)
+            ).address
+        )
+        if ((await contract.paymentEscrow()) !== paymentEscrow.address) {
+            await send(
+                contract.setPaymentEscrow(paymentEscrow.address, txOverrides)
+            )
+        }
+        log(`${name} uses PaymentEscrow`)
+    }
+
+    // Stablecoins from the network registry, plus the mock where deployed
+    const paymentEscrowContract = await ethers.getContractAt(
+        "PaymentEscrow",
+        paymentEscrow.address
+    )
+    const stablecoin = await getOrNull("MockStablecoin")
+    const paymentTokens = {
+        ...getPaymentTokens(network.name),
+        ...(stablecoin && { mUSDC: stablecoin.address }),
+    }
+    for (const [symbol, token] of Object.entries(paymentTokens)) {
+        if (!(await paymentEscrowContract.acceptedTokens(token))) {
+            await send(
+                paymentEscrowContract.setAcceptedToken(token, true, txOverrides)
+            )
+        }
+        log(`PaymentEscrow accepts ${symbol} (${token})`)
+    }
+
+    log("----------------------------------------------------")
+    log("Setting up contract farming...")
+
+    // Contract offers are funded, accepted and delivered through ContractFarming
+    for (const name of ["OfferManager", "ShipmentTracker"]) {
+        const contract = await ethers.getContractAt(
+            name,
+            (
+                await get(name)
+            ).address
+        )
+        if ((await contract.contractFarming()) !== contractFarming.address) {
+            await send(
+                contract.setContractFarming(
+                    contractFarming.address,
+                    txOverrides
+                )
+            )
+        }
+        log(`${name} uses ContractFarming`)
+    }
+
+    log("----------------------------------------------------")
+    log("Sharing StakeholderManager roles with the other contracts...")
+
+    // Each contract answers role checks from StakeholderManager, so a
+    // stakeholder registered or approved there is recognised everywhere
+    for (const name of ROLE_REGISTRY_CONSUMERS) {
+        const contract = await ethers.getContractAt(
+            name,
+            (
+                await get(name)
+            ).address
+        )
+        await send(
+            contract.setRoleRegistry(stakeholderManager.address, txOverrides)
+        )
+        log(`${name} uses StakeholderManager roles`)
+    }
+
     log("----------------------------------------------------")
     log("All contracts deployed successfully!")
     log(`StakeholderManager: ${stakeholderManager.address}`)
@@ -186,59 +414,36 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     log(`ProvenanceTracker: ${provenanceTracker.address}`)
     log(`QRCodeVerifier: ${qrCodeVerifier.address}`)
     log(`PublicVerification: ${publicVerification.address}`)
+    log(`FileStorageManager: ${fileStorageManager.address}`)
+    log(`WeatherOracle: ${weatherOracle.address}`)
+    log(`MetadataManager: ${metadataManager.address}`)
+    log(`WeatherPricing: ${weatherPricing.address}`)
+    log(`PaymentEscrow: ${paymentEscrow.address}`)
+    log(`ContractFarming: ${contractFarming.address}`)
     log("----------------------------------------------------")
 
-    // Save deployment addresses to a file for frontend use
-    const fs = require("fs")
-    const contractAddresses = {
-        StakeholderManager: stakeholderManager.address,
-        ProductBatch: productBatch.address,
-        OfferManager: offerManager.address,
-        Registry: registry.address,
-        ShipmentTracker: shipmentTracker.address,
-        StakeholderRegistry: stakeholderRegistry.address,
-        ProvenanceTracker: provenanceTracker.address,
-        QRCodeVerifier: qrCodeVerifier.address,
-        PublicVerification: publicVerification.address,
-        chainId: chainId,
-        network: network.name
-    }
-
-    // Write to frontend directories
-    const frontendPaths = [
-        "./frontend/public-portal/src/constants/",
-        "./frontend/admin-portal/src/constants/"
-    ]
+    // Addresses reach the portals, scripts and API server through the
+    // deployment manifest (deploy/99-write-manifest.js)
 
-    for (const frontendPath of frontendPaths) {
-        if (!fs.existsSync(frontendPath)) {
-            fs.mkdirSync(frontendPath, { recursive: true })
-        }
-        fs.writeFileSync(
-            `${frontendPath}contractAddresses.json`,
-            JSON.stringify(contractAddresses, null, 2)
-        )
-        log(`Contract addresses saved to ${frontendPath}contractAddresses.json`)
-    }
-
-    // Verify contracts on live networks
-    if (
-        !developmentChains.includes(network.name) &&
-        process.env.POLYGONSCAN_API_KEY
-    ) {
+    // Verify contracts on live networks, with the arguments recorded at
+    // deployment. Check the result with `npx hardhat verify-deployment`.
+    if (getExplorerConfig(hre)) {
         log("Verifying contracts...")
-        await verify(stakeholderManager.address, [])
-        await verify(productBatch.address, [])
-        await verify(offerManager.address, [productBatch.address])
-        await verify(registry.address, [])
-        await verify(shipmentTracker.address, [productBatch.address])
-        await verify(stakeholderRegistry.address, [stakeholderManager.address])
-        await verify(provenanceTracker.address, [productBatch.address, stakeholderManager.address])
-        await verify(qrCodeVerifier.address, [productBatch.address, provenanceTracker.address])
-        await verify(publicVerification.address, [productBatch.address, provenanceTracker.address, qrCodeVerifier.address])
+        for (const [name, deployment] of Object.entries(
+            await deployments.all()
+        )) {
+            log(`Verifying ${name}...`)
+            if (deployment.implementation) {
+                // Implementations take the proxy's initialize() arguments
+                await verify(deployment.implementation, deployment.args || [])
+                await verifyProxy(deployment.address)
+            } else {
+                await verify(deployment.address, deployment.args || [])
+            }
+        }
         log("All contracts verified!")
     }
 }
 
 module.exports.tags = ["all", "main"]
-module.exports.dependencies = ["mocks"]
\ No newline at end of file
+module.exports.dependencies = ["mocks"]
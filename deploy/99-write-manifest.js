@@ -0,0 +1,26 @@
+const { writeNetworkManifest } = require("../utils/deploymentManifest")
+
+module.exports = async (hre) => {
+    const { network } = hre
+    const { log } = hre.deployments
+
+    // The in-process hardhat network is discarded after each run
+    if (network.name === "hardhat") {
+        log("Skipping deployment manifest for the hardhat network")
+        return
+    }
+
+    log("----------------------------------------------------")
+    log("Writing deployment manifest...")
+
+    const { manifest, file } = await writeNetworkManifest(hre)
+
+    log(
+        `Deployment manifest for ${network.name} saved to ${file} (${
+            Object.keys(manifest.contracts).length
+        } contracts, commit ${manifest.gitCommit || "unknown"})`
+    )
+}
+
+module.exports.tags = ["all", "main", "manifest"]
+module.exports.runAtTheEnd = true
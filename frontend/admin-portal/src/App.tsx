@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from "react"
 import { BrowserRouter as Router, Routes, Route, Link } from "react-router-dom"
 import { ethers } from "ethers"
+import { StakeholderManager__factory } from "@agri-supply-chain/contracts"
+import { NETWORK, getContractAddress } from "./constants/deployment"
 import "./App.css"
 import "./styles/pages.css"
 import "./styles/stakeholders.css";
@@ -19,34 +21,33 @@ import Shipper from "./pages/Shipper"
 import Processor from "./pages/Processor"
 import Distributor from "./pages/Distributor";
 import Retailer from "./pages/Retailer";
+import WeatherHistory from "./pages/WeatherHistory";
 import AccountSwitcher from "./components/AccountSwitcher"
 
 // Network configuration
-const NETWORK_CONFIGS = {
-    hardhat: {
+const NETWORK_CONFIGS: Record<string, { chainId: number; name: string; rpcUrl: string }> = {
+    localhost: {
         chainId: 31337,
         name: "Hardhat Local",
         rpcUrl: "http://localhost:8545",
     },
-    // Add other networks as needed
+    polygon: {
+        chainId: 80002,
+        name: "Polygon Amoy",
+        rpcUrl: "https://rpc-amoy.polygon.technology/",
+    },
 }
 
+// Selected with REACT_APP_NETWORK, matching the deployment manifest
 const getCurrentNetworkConfig = () => {
-    return NETWORK_CONFIGS.hardhat // Default to Hardhat local network
+    return NETWORK_CONFIGS[NETWORK] || NETWORK_CONFIGS.localhost
 }
 
 // Contract addresses for role checking
 const CONTRACT_ADDRESSES = {
-    accessControl: process.env.REACT_APP_ACCESS_CONTROL_ADDRESS || "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707"
+    accessControl: getContractAddress("StakeholderManager")
 };
 
-const accessControlABI = [
-    "function hasRole(address, uint8) external view returns (bool)",
-    "function getRole(address) external view returns (uint8)",
-    "function isActive(address) external view returns (bool)",
-    "function isFullyActive(address) external view returns (bool)"
-];
-
 function App() {
     const [isConnected, setIsConnected] = useState(false)
     const [account, setAccount] = useState<string>("")
@@ -121,9 +122,8 @@ function App() {
         try {
             const provider = new ethers.BrowserProvider(window.ethereum);
             const signer = await provider.getSigner();
-            const contract = new ethers.Contract(
+            const contract = StakeholderManager__factory.connect(
                 CONTRACT_ADDRESSES.accessControl,
-                accessControlABI,
                 signer
             );
             
@@ -176,17 +176,20 @@ function App() {
             case "ADMIN":
                 return [
                     { to: "/", label: "Home" },
-                    { to: "/stakeholders", label: "Stakeholder Management" }
+                    { to: "/stakeholders", label: "Stakeholder Management" },
+                    { to: "/weather-history", label: "Weather History" }
                 ];
             case "FARMER":
                 return [
                     { to: "/", label: "Home" },
-                    { to: "/farmer", label: "Farmer Dashboard" }
+                    { to: "/farmer", label: "Farmer Dashboard" },
+                    { to: "/weather-history", label: "Weather History" }
                 ];
             case "PROCESSOR":
                 return [
                     { to: "/", label: "Home" },
-                    { to: "/processor", label: "Processor Dashboard" }
+                    { to: "/processor", label: "Processor Dashboard" },
+                    { to: "/weather-history", label: "Weather History" }
                 ];
             case "DISTRIBUTOR":
                 return [
@@ -221,6 +224,8 @@ function App() {
                     <div className="header-right">
                         <span className="network-badge">
                             ChainID: {chainId || "Not Connected"}
+                            {chainId !== 0 && chainId !== getCurrentNetworkConfig().chainId &&
+                                ` (switch to ${getCurrentNetworkConfig().name})`}
                         </span>
                         {isConnected && isUserActive && (
                             <span className="role-badge">
@@ -256,6 +261,7 @@ function App() {
                         <Route path="/processor" element={<Processor />} />
                         <Route path="/distributor" element={<Distributor />} />
                         <Route path="/retailer" element={<Retailer />} />
+                        <Route path="/weather-history" element={<WeatherHistory />} />
                     </Routes>
                 </main>
 
@@ -0,0 +1,126 @@
+// Client for the event index served by the API server (services/eventIndexer.js).
+// The index is a few seconds behind the chain, so callers fall back to reading
+// the contracts when the API is not running.
+
+export const API_URL = process.env.REACT_APP_API_URL || "http://localhost:3001";
+
+// The API returns at most 100 entities per request
+const INDEX_PAGE_SIZE = 100;
+
+// Enum names as the index returns them, in contract order
+export const BATCH_STATUSES = [
+  "CREATED", "LISTED", "OFFERED", "SOLD", "SHIPPED", "RECEIVED", "PROCESSED", "QUALITY_CHECKED", "FINALIZED"
+];
+export const SHIPMENT_STATUSES = ["CREATED", "PICKED_UP", "IN_TRANSIT", "DELIVERED", "CONFIRMED"];
+export const OFFER_TYPES = ["BUY_OFFER", "SELL_OFFER", "CONTRACT_OFFER"];
+export const OFFER_STATUSES = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED", "COUNTERED", "FILLED"];
+
+interface IndexPage<T> {
+  total: number;
+  offset: number;
+  limit: number;
+  items: T[];
+}
+
+// uint256 amounts are decimal strings
+export interface IndexedBatch {
+  id: number;
+  farmer: string;
+  currentOwner: string;
+  name: string;
+  description: string;
+  quantity: string;
+  basePrice: string;
+  usdPrice: string;
+  originLocation: string;
+  status: string;
+  tradingMode: string;
+  weatherVerificationRequired: boolean;
+  createdAt: number;
+  lastUpdated: number;
+}
+
+export interface IndexedOffer {
+  id: number;
+  creator: string;
+  counterparty: string;
+  batchId: number;
+  price: string;
+  quantity: string;
+  offerType: string;
+  status: string;
+  terms: string;
+  expiresAt: number;
+  acceptedBy: string;
+}
+
+export interface IndexedShipment {
+  id: number;
+  batchId: number;
+  offerId: number;
+  sender: string;
+  receiver: string;
+  shipper: string;
+  trackingId: string;
+  fromLocation: string;
+  toLocation: string;
+  status: string;
+  metadataHash: string;
+  createdAt: number;
+  pickedUpAt: number;
+  deliveredAt: number;
+  confirmedAt: number;
+}
+
+// Batch fields as the role pages show them (getBatchInfo order, numeric status)
+export interface BatchSummary {
+  id: number;
+  farmer: string;
+  currentOwner: string;
+  name: string;
+  description: string;
+  quantity: number;
+  basePrice: number;
+  originLocation: string;
+  status: number;
+  createdAt: number;
+  lastUpdated: number;
+}
+
+/**
+ * Every indexed entity of a table matching the filters, in ID order.
+ * Filters are column names (e.g. farmer, currentOwner, status); shipments
+ * also take participant, matching the sender, receiver or shipper.
+ */
+export const queryIndex = async <T>(table: string, filters: Record<string, string> = {}): Promise<T[]> => {
+  const items: T[] = [];
+  let total = 0;
+
+  do {
+    const params = new URLSearchParams({ ...filters, offset: String(items.length), limit: String(INDEX_PAGE_SIZE) });
+    const response = await fetch(`${API_URL}/api/index/${table}?${params}`);
+    if (!response.ok) {
+      throw new Error(`Event index request failed (${response.status})`);
+    }
+    const page: IndexPage<T> = await response.json();
+    if (page.items.length === 0) break;
+    items.push(...page.items);
+    total = page.total;
+  } while (items.length < total);
+
+  return items;
+};
+
+export const toBatchSummary = (batch: IndexedBatch): BatchSummary => ({
+  id: batch.id,
+  farmer: batch.farmer,
+  currentOwner: batch.currentOwner,
+  name: batch.name,
+  description: batch.description,
+  quantity: Number(batch.quantity),
+  basePrice: Number(batch.basePrice),
+  originLocation: batch.originLocation,
+  status: BATCH_STATUSES.indexOf(batch.status),
+  createdAt: batch.createdAt,
+  lastUpdated: batch.lastUpdated
+});
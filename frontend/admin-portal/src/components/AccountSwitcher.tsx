@@ -1,13 +1,11 @@
 import React, { useState, useEffect } from "react"
 import { ethers } from "ethers"
+import { StakeholderManager__factory } from "@agri-supply-chain/contracts"
+import { getContractAddress } from "../constants/deployment"
 import "../styles/AccountSwitcher.css"
 
-// StakeholderManager contract ABI and address
-const stakeholderManagerAddress = "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707";
-const stakeholderManagerABI = [
-    "function stakeholders(address) view returns (address stakeholderAddress, uint8 role, string businessName, string businessLicense, string location, string certifications, bool isActive, uint256 registeredAt, uint256 lastActivity)",
-    "function isRegistered(address) view returns (bool)"
-];
+// StakeholderManager contract address
+const stakeholderManagerAddress = getContractAddress("StakeholderManager");
 
 interface Account {
     address: string
@@ -85,9 +83,8 @@ const AccountSwitcher: React.FC = () => {
     // Check if an address is registered as a stakeholder and get their role
     const checkStakeholderRole = async (address: string, provider: ethers.BrowserProvider) => {
         try {
-            const stakeholderManager = new ethers.Contract(
+            const stakeholderManager = StakeholderManager__factory.connect(
                 stakeholderManagerAddress,
-                stakeholderManagerABI,
                 provider
             );
             
@@ -96,19 +93,19 @@ const AccountSwitcher: React.FC = () => {
             
             if (isRegistered) {
                 // Get stakeholder info
-                const stakeholderInfo = await stakeholderManager.stakeholders(address);
+                const stakeholderInfo = await stakeholderManager.getStakeholderInfo(address);
                 const roleName = getRoleName(Number(stakeholderInfo.role));
                 
                 if (address === currentAccount) {
                     setCurrentRole(roleName);
-                    setBusinessName(stakeholderInfo.businessName);
-                    setIsActive(stakeholderInfo.isActive);
+                    setBusinessName(stakeholderInfo.name);
+                    setIsActive(stakeholderInfo.active);
                 }
                 
                 return {
                     role: roleName,
-                    businessName: stakeholderInfo.businessName,
-                    isActive: stakeholderInfo.isActive
+                    businessName: stakeholderInfo.name,
+                    isActive: stakeholderInfo.active
                 };
             } else {
                 if (address === currentAccount) {
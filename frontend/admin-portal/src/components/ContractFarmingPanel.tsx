@@ -0,0 +1,513 @@
+import React, { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import { ContractFarming__factory, OfferManager, OfferManager__factory } from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+
+const OFFER_MANAGER_ADDRESS = getContractAddress("OfferManager");
+// Empty on deployments without contract farming: contract offers are then accepted unfunded
+const CONTRACT_FARMING_ADDRESS = getContractAddress("ContractFarming");
+
+// ContractFarming.AgreementStatus, in contract order
+const AGREEMENT_STATUSES = [
+  "NONE",
+  "FUNDED",
+  "ACTIVE",
+  "PLANTED",
+  "HARVESTED",
+  "DELIVERED",
+  "SETTLED",
+  "REFUNDED",
+  "DISPUTED",
+  "RESOLVED"
+];
+const AGREEMENT_STATUS = {
+  NONE: 0,
+  FUNDED: 1,
+  ACTIVE: 2,
+  PLANTED: 3,
+  HARVESTED: 4,
+  DELIVERED: 5
+};
+
+const MILESTONE_TYPES = ["Planting", "Growth check", "Harvest"];
+
+const MAX_BPS = 10000;
+
+interface Milestone {
+  milestoneType: number;
+  recordedBy: string;
+  notes: string;
+  recordedAt: number;
+}
+
+interface Agreement {
+  offerId: number;
+  cropType: string;
+  processor: string;
+  farmer: string;
+  pricePerUnit: bigint;
+  expectedQuantity: number;
+  minQuantity: number;
+  maxQuantity: number;
+  minPurityLevel: number;
+  maxMoistureContent: bigint;
+  deliveryDeadline: number;
+  deposit: bigint;
+  batchId: number;
+  status: number;
+  milestones: Milestone[];
+}
+
+// Open contract offers the processor made that the farmer can't accept until funded
+interface UnfundedOffer {
+  offerId: number;
+  cropType: string;
+  pricePerUnit: bigint;
+  quantity: number;
+  expiresAt: number;
+}
+
+// Milestone or dispute being recorded for an agreement
+interface PendingAction {
+  offerId: number;
+  kind: "planting" | "growth" | "harvest" | "dispute";
+}
+
+const formatAddress = (address: string): string => {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+// Most a contract can cost: the price per unit for the expected quantity plus its tolerance
+const maxDeposit = (pricePerUnit: bigint, quantity: number, toleranceBps: number): bigint =>
+  ((BigInt(quantity) * BigInt(MAX_BPS + toleranceBps)) / BigInt(MAX_BPS)) * pricePerUnit;
+
+/**
+ * True for a contract offer the farmer can't accept until the processor funds it
+ */
+export const isAwaitingFunding = async (offerManager: OfferManager, offerId: number): Promise<boolean> => {
+  if (CONTRACT_FARMING_ADDRESS === "") return false;
+
+  const contractFarming = ContractFarming__factory.connect(CONTRACT_FARMING_ADDRESS, offerManager.runner);
+  const agreement = await contractFarming.getAgreement(offerId);
+  return Number(agreement.status) === AGREEMENT_STATUS.NONE;
+};
+
+interface ContractFarmingPanelProps {
+  account: string;
+  // Reloads whenever this changes, e.g. the page's list of offers
+  refresh?: unknown;
+  onSuccess: (message: string) => void;
+  onError: (message: string) => void;
+}
+
+/**
+ * Contract farming agreements the account funded or accepted, from the
+ * processor's deposit through planting, growth checks and the harvested batch
+ * to settlement, with a form for processors to fund their open contract offers
+ */
+const ContractFarmingPanel: React.FC<ContractFarmingPanelProps> = ({ account, refresh, onSuccess, onError }) => {
+  const [agreements, setAgreements] = useState<Agreement[]>([]);
+  const [unfunded, setUnfunded] = useState<UnfundedOffer[]>([]);
+  const [fundingOfferId, setFundingOfferId] = useState<number | null>(null);
+  const [fundForm, setFundForm] = useState({ tolerance: "5", minPurity: "", maxMoisture: "", deliverBy: "" });
+  const [action, setAction] = useState<PendingAction | null>(null);
+  const [notes, setNotes] = useState("");
+  const [batchId, setBatchId] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (account && CONTRACT_FARMING_ADDRESS !== "") {
+      loadAgreements();
+    }
+  }, [account, refresh]);
+
+  const loadAgreements = async () => {
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, provider);
+      const contractFarming = ContractFarming__factory.connect(CONTRACT_FARMING_ADDRESS, provider);
+
+      const agreementData: Agreement[] = [];
+      for (const offerId of await contractFarming.getUserAgreements(account)) {
+        const agreement = await contractFarming.getAgreement(offerId);
+        const [minQuantity, maxQuantity] = await contractFarming.getQuantityRange(offerId);
+        agreementData.push({
+          offerId: Number(offerId),
+          cropType: await offerManager.contractCropTypes(offerId),
+          processor: agreement.processor,
+          farmer: agreement.farmer,
+          pricePerUnit: agreement.pricePerUnit,
+          expectedQuantity: Number(agreement.expectedQuantity),
+          minQuantity: Number(minQuantity),
+          maxQuantity: Number(maxQuantity),
+          minPurityLevel: Number(agreement.minPurityLevel),
+          maxMoistureContent: agreement.maxMoistureContent,
+          deliveryDeadline: Number(agreement.deliveryDeadline),
+          deposit: agreement.deposit,
+          batchId: Number(agreement.batchId),
+          status: Number(agreement.status),
+          milestones: (await contractFarming.getMilestones(offerId)).map((milestone) => ({
+            milestoneType: Number(milestone.milestoneType),
+            recordedBy: milestone.recordedBy,
+            notes: milestone.notes,
+            recordedAt: Number(milestone.recordedAt)
+          }))
+        });
+      }
+      setAgreements(agreementData.reverse());
+
+      const unfundedData: UnfundedOffer[] = [];
+      for (const offerId of await offerManager.getOffersByType(2)) {
+        const offer = await offerManager.getOfferInfo(offerId);
+        if (offer.creator.toLowerCase() !== account.toLowerCase()) continue;
+        if (Number((await contractFarming.getAgreement(offerId)).status) !== AGREEMENT_STATUS.NONE) continue;
+        unfundedData.push({
+          offerId: Number(offerId),
+          cropType: await offerManager.contractCropTypes(offerId),
+          pricePerUnit: offer.price,
+          quantity: Number(offer.quantity),
+          expiresAt: Number(offer.expiresAt)
+        });
+      }
+      setUnfunded(unfundedData);
+    } catch (error) {
+      console.error("Error loading contract farming agreements:", error);
+    }
+  };
+
+  const getContractFarming = async () => {
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner();
+    return ContractFarming__factory.connect(CONTRACT_FARMING_ADDRESS, signer);
+  };
+
+  const send = async (
+    transaction: () => Promise<ethers.ContractTransactionResponse>,
+    success: string,
+    failure: string
+  ) => {
+    setBusy(true);
+    try {
+      const tx = await transaction();
+      await tx.wait();
+
+      onSuccess(success);
+      setAction(null);
+      setNotes("");
+      setBatchId("");
+      await loadAgreements();
+    } catch (error) {
+      console.error(failure, error);
+      onError(failure);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fundingOffer = unfunded.find((offer) => offer.offerId === fundingOfferId);
+  const toleranceBps = Math.round(parseFloat(fundForm.tolerance || "0") * 100);
+
+  const handleFund = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!fundingOffer) return;
+
+    await send(
+      async () =>
+        (await getContractFarming()).fundAgreement(
+          fundingOffer.offerId,
+          toleranceBps,
+          parseInt(fundForm.minPurity),
+          parseInt(fundForm.maxMoisture),
+          Math.floor(new Date(fundForm.deliverBy).getTime() / 1000),
+          { value: maxDeposit(fundingOffer.pricePerUnit, fundingOffer.quantity, toleranceBps) }
+        ),
+      `Contract offer #${fundingOffer.offerId} funded! The farmer can now accept it.`,
+      "Failed to fund the contract offer. Please check the terms and deadline and try again."
+    );
+    setFundingOfferId(null);
+  };
+
+  const handleAction = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!action) return;
+    const { offerId, kind } = action;
+    const contractFarming = await getContractFarming();
+
+    switch (kind) {
+      case "planting":
+        return send(
+          () => contractFarming.recordPlanting(offerId, notes),
+          `Planting recorded for contract #${offerId}!`,
+          "Failed to record the planting."
+        );
+      case "growth":
+        return send(
+          () => contractFarming.recordGrowthCheck(offerId, notes),
+          `Growth check recorded for contract #${offerId}!`,
+          "Failed to record the growth check."
+        );
+      case "harvest":
+        return send(
+          () => contractFarming.recordHarvest(offerId, parseInt(batchId), notes),
+          `Harvest recorded and batch #${batchId} linked to contract #${offerId}!`,
+          "Failed to record the harvest. The batch must be a contract farming batch you created since accepting."
+        );
+      case "dispute":
+        return send(
+          () => contractFarming.raiseDispute(offerId, notes),
+          `Dispute raised on contract #${offerId}. An admin will settle it.`,
+          "Failed to raise the dispute."
+        );
+    }
+  };
+
+  const handleSettle = async (offerId: number) => {
+    await send(
+      async () => (await getContractFarming()).settle(offerId),
+      `Contract #${offerId} settled!`,
+      "Failed to settle. The delivered batch must be quality checked and within the agreed tolerances."
+    );
+  };
+
+  const handleClaimRefund = async (offerId: number) => {
+    await send(
+      async () => (await getContractFarming()).claimRefund(offerId),
+      `Deposit of contract #${offerId} refunded!`,
+      "Failed to claim the refund."
+    );
+  };
+
+  const startAction = (offerId: number, kind: PendingAction["kind"]) => {
+    setAction({ offerId, kind });
+    setNotes("");
+    setBatchId("");
+  };
+
+  if (CONTRACT_FARMING_ADDRESS === "") return null;
+
+  const now = Date.now() / 1000;
+
+  return (
+    <div className="contract-farming">
+      <div className="section-header">
+        <h2>Contract Farming</h2>
+      </div>
+
+      {unfunded.length > 0 && (
+        <div className="data-table">
+          <h3>Contract Offers Awaiting Your Deposit</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Offer</th>
+                <th>Crop</th>
+                <th>Price / Unit (ETH)</th>
+                <th>Quantity</th>
+                <th>Expires</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {unfunded.map((offer) => (
+                <tr key={offer.offerId}>
+                  <td>#{offer.offerId}</td>
+                  <td>{offer.cropType}</td>
+                  <td>{ethers.formatEther(offer.pricePerUnit)}</td>
+                  <td>{offer.quantity}</td>
+                  <td>{new Date(offer.expiresAt * 1000).toLocaleString()}</td>
+                  <td>
+                    <button onClick={() => setFundingOfferId(offer.offerId)} className="action-button" disabled={busy}>
+                      Fund
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {fundingOffer && (
+        <form onSubmit={handleFund} className="form-section">
+          <h3>Fund Contract Offer #{fundingOffer.offerId}</h3>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Quantity Tolerance (%):</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={fundForm.tolerance}
+                onChange={(e) => setFundForm({ ...fundForm, tolerance: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Minimum Purity (%):</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={fundForm.minPurity}
+                onChange={(e) => setFundForm({ ...fundForm, minPurity: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Maximum Moisture (%):</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={fundForm.maxMoisture}
+                onChange={(e) => setFundForm({ ...fundForm, maxMoisture: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Deliver By:</label>
+              <input
+                type="datetime-local"
+                value={fundForm.deliverBy}
+                onChange={(e) => setFundForm({ ...fundForm, deliverBy: e.target.value })}
+                required
+              />
+            </div>
+          </div>
+          <p>
+            Deposit: {ethers.formatEther(maxDeposit(fundingOffer.pricePerUnit, fundingOffer.quantity, toleranceBps))} ETH
+            for up to{" "}
+            {Math.floor((fundingOffer.quantity * (MAX_BPS + toleranceBps)) / MAX_BPS)} units. Whatever the farmer
+            doesn't deliver comes back to you on settlement.
+          </p>
+          <button type="submit" className="submit-button" disabled={busy}>
+            {busy ? "Funding..." : "Fund Contract"}
+          </button>
+          <button type="button" onClick={() => setFundingOfferId(null)} className="action-button">
+            Cancel
+          </button>
+        </form>
+      )}
+
+      <ul className="timeline">
+        {agreements.map((agreement) => {
+          const isFarmer = agreement.farmer.toLowerCase() === account.toLowerCase();
+          const inProgress =
+            agreement.status >= AGREEMENT_STATUS.ACTIVE && agreement.status <= AGREEMENT_STATUS.DELIVERED;
+          const refundable =
+            !isFarmer &&
+            agreement.status >= AGREEMENT_STATUS.ACTIVE &&
+            agreement.status <= AGREEMENT_STATUS.HARVESTED &&
+            agreement.deliveryDeadline <= now;
+          const status = AGREEMENT_STATUSES[agreement.status] || "UNKNOWN";
+          const counterparty = isFarmer
+            ? `Processor ${formatAddress(agreement.processor)}`
+            : agreement.farmer === ethers.ZeroAddress
+              ? "Awaiting the farmer's acceptance"
+              : `Farmer ${formatAddress(agreement.farmer)}`;
+
+          return (
+            <li key={agreement.offerId} className={`timeline-item ${status.toLowerCase()}`}>
+              <div className="timeline-heading">
+                <strong>
+                  Contract #{agreement.offerId} · {agreement.cropType}
+                </strong>{" "}
+                · {status}
+              </div>
+              <div className="timeline-meta">
+                {counterparty} · {ethers.formatEther(agreement.pricePerUnit)} ETH per unit · {agreement.minQuantity} to{" "}
+                {agreement.maxQuantity} units (expected {agreement.expectedQuantity}) · purity at least{" "}
+                {agreement.minPurityLevel}%, moisture at most {agreement.maxMoistureContent.toString()}% · deliver by{" "}
+                {new Date(agreement.deliveryDeadline * 1000).toLocaleString()} · deposit{" "}
+                {ethers.formatEther(agreement.deposit)} ETH
+                {agreement.batchId !== 0 && ` · batch #${agreement.batchId}`}
+              </div>
+
+              {agreement.milestones.map((milestone, index) => (
+                <div key={index} className="timeline-meta">
+                  {MILESTONE_TYPES[milestone.milestoneType]} by {formatAddress(milestone.recordedBy)} on{" "}
+                  {new Date(milestone.recordedAt * 1000).toLocaleString()}
+                  {milestone.notes && `: ${milestone.notes}`}
+                </div>
+              ))}
+
+              {isFarmer && agreement.status === AGREEMENT_STATUS.ACTIVE && (
+                <button onClick={() => startAction(agreement.offerId, "planting")} className="action-button">
+                  Record Planting
+                </button>
+              )}
+              {agreement.status === AGREEMENT_STATUS.PLANTED && (
+                <button onClick={() => startAction(agreement.offerId, "growth")} className="action-button">
+                  Growth Check
+                </button>
+              )}
+              {isFarmer && agreement.status === AGREEMENT_STATUS.PLANTED && (
+                <button onClick={() => startAction(agreement.offerId, "harvest")} className="action-button">
+                  Record Harvest
+                </button>
+              )}
+              {agreement.status === AGREEMENT_STATUS.DELIVERED && (
+                <button
+                  onClick={() => handleSettle(agreement.offerId)}
+                  className="action-button accept"
+                  disabled={busy}
+                >
+                  Settle
+                </button>
+              )}
+              {refundable && (
+                <button onClick={() => handleClaimRefund(agreement.offerId)} className="action-button" disabled={busy}>
+                  Claim Refund
+                </button>
+              )}
+              {inProgress && (
+                <button onClick={() => startAction(agreement.offerId, "dispute")} className="action-button">
+                  Raise Dispute
+                </button>
+              )}
+
+              {action?.offerId === agreement.offerId && (
+                <form onSubmit={handleAction} className="form-section">
+                  <div className="form-row">
+                    {action.kind === "harvest" && (
+                      <div className="form-group">
+                        <label>Harvested Batch ID:</label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={batchId}
+                          onChange={(e) => setBatchId(e.target.value)}
+                          required
+                        />
+                      </div>
+                    )}
+                    <div className="form-group">
+                      <label>{action.kind === "dispute" ? "Reason:" : "Notes or IPFS hash:"}</label>
+                      <input
+                        type="text"
+                        value={notes}
+                        onChange={(e) => setNotes(e.target.value)}
+                        required={action.kind === "dispute"}
+                      />
+                    </div>
+                  </div>
+                  <button type="submit" className="submit-button" disabled={busy}>
+                    {busy ? "Saving..." : "Save"}
+                  </button>
+                  <button type="button" onClick={() => setAction(null)} className="action-button">
+                    Cancel
+                  </button>
+                </form>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {agreements.length === 0 && <p className="no-data-message">No funded contract farming agreements yet.</p>}
+    </div>
+  );
+};
+
+export default ContractFarmingPanel;
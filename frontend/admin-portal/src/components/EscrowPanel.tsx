@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import {
+  OfferManager,
+  OfferManager__factory,
+  PaymentEscrow__factory
+} from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import { IndexedOffer, queryIndex } from "../api/indexer";
+
+const OFFER_MANAGER_ADDRESS = getContractAddress("OfferManager");
+// Empty on deployments without an escrow: offers are then accepted unpaid
+const PAYMENT_ESCROW_ADDRESS = getContractAddress("PaymentEscrow");
+
+// PaymentEscrow.EscrowStatus, in contract order
+const ESCROW_STATUS = {
+  NONE: 0,
+  DEPOSITED: 1,
+  HELD: 2,
+  RELEASED: 3,
+  REFUNDED: 4,
+  DISPUTED: 5,
+  RESOLVED: 6
+};
+
+// Payment tokens are third-party ERC-20s, so only the calls the portal makes
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+interface PaymentToken {
+  symbol: string;
+  decimals: number;
+}
+
+const NATIVE_TOKEN: PaymentToken = { symbol: "ETH", decimals: 18 };
+
+interface EscrowedOffer {
+  offerId: number;
+  batchId: number;
+  offerType: number;
+  isBuyer: boolean;
+  token: string;
+  amount: bigint;
+  status: number;
+  deadline: number;
+}
+
+// Buy and sell offers for a batch at a price are paid through the escrow
+const isEscrowed = (offerType: bigint, batchId: bigint, price: bigint): boolean =>
+  PAYMENT_ESCROW_ADDRESS !== "" && Number(offerType) !== 2 && batchId > BigInt(0) && price > BigInt(0);
+
+// Transaction value that pays an offer into escrow: the price in the native
+// currency, or nothing once the escrow may pull an ERC-20 payment token
+const preparePayment = async (
+  offerManager: OfferManager,
+  signer: ethers.Signer,
+  offerId: number,
+  price: bigint
+): Promise<bigint> => {
+  const token = await offerManager.paymentTokens(offerId);
+  if (token === ethers.ZeroAddress) return price;
+
+  const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+  await (await erc20.approve(PAYMENT_ESCROW_ADDRESS, price)).wait();
+  return BigInt(0);
+};
+
+/**
+ * Accept an offer. A sell offer's asking price is paid into escrow; a buy
+ * offer must have been funded by its creator first.
+ */
+export const acceptOfferWithPayment = async (signer: ethers.Signer, offerId: number) => {
+  const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, signer);
+  const offer = await offerManager.getOfferInfo(offerId);
+
+  const value = Number(offer.offerType) === 1 && isEscrowed(offer.offerType, offer.batchId, offer.price)
+    ? await preparePayment(offerManager, signer, offerId, offer.price)
+    : BigInt(0);
+  return offerManager.acceptOffer(offerId, { value });
+};
+
+/**
+ * Take part of an offer that allows partial fills. A sell offer's fill pays
+ * its share of the asking price into escrow; a buy offer's fill is paid from
+ * the buyer's deposit.
+ */
+export const fillOfferWithPayment = async (signer: ethers.Signer, offerId: number, quantity: number) => {
+  const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, signer);
+  const offer = await offerManager.getOfferInfo(offerId);
+  const filled = await offerManager.filledQuantities(offerId);
+
+  // Same rounding as the contract, so the shares add up to the offered price
+  const share =
+    (offer.price * (filled + BigInt(quantity))) / offer.quantity - (offer.price * filled) / offer.quantity;
+  const value = Number(offer.offerType) === 1 && isEscrowed(offer.offerType, offer.batchId, offer.price)
+    ? await preparePayment(offerManager, signer, offerId, share)
+    : BigInt(0);
+  return offerManager.fillOffer(offerId, quantity, { value });
+};
+
+/**
+ * Whether a buy offer can't be accepted until its creator deposits the price
+ */
+export const isAwaitingDeposit = async (offerManager: OfferManager, offerId: number): Promise<boolean> => {
+  const offer = await offerManager.getOfferInfo(offerId);
+  if (Number(offer.offerType) !== 0 || !isEscrowed(offer.offerType, offer.batchId, offer.price)) return false;
+
+  const paymentEscrow = PaymentEscrow__factory.connect(PAYMENT_ESCROW_ADDRESS, offerManager.runner);
+  return !(await paymentEscrow.isDeposited(offerId));
+};
+
+const describeStatus = (escrow: EscrowedOffer): string => {
+  switch (escrow.status) {
+    case ESCROW_STATUS.NONE: return "Awaiting buyer deposit";
+    case ESCROW_STATUS.DEPOSITED: return "Deposited, awaiting acceptance";
+    case ESCROW_STATUS.HELD:
+      return `Held until delivery (refundable from ${new Date(escrow.deadline * 1000).toLocaleString()})`;
+    case ESCROW_STATUS.RELEASED: return "Released to seller";
+    case ESCROW_STATUS.REFUNDED: return "Refunded to buyer";
+    case ESCROW_STATUS.DISPUTED: return "Disputed, awaiting admin";
+    case ESCROW_STATUS.RESOLVED: return "Settled by admin";
+    default: return "UNKNOWN";
+  }
+};
+
+interface EscrowPanelProps {
+  account: string;
+  // Reloads whenever this changes, e.g. the page's list of offers
+  refresh?: unknown;
+  onSuccess: (message: string) => void;
+  onError: (message: string) => void;
+}
+
+/**
+ * Escrow state of the account's buy and sell offers, with the buyer's and
+ * seller's escrow actions
+ */
+const EscrowPanel: React.FC<EscrowPanelProps> = ({ account, refresh, onSuccess, onError }) => {
+  const [escrows, setEscrows] = useState<EscrowedOffer[]>([]);
+  const [tokens, setTokens] = useState<Record<string, PaymentToken>>({});
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (account && PAYMENT_ESCROW_ADDRESS) {
+      loadEscrows();
+    }
+  }, [account, refresh]);
+
+  // IDs of the buy and sell offers the account created or accepted
+  const loadOfferIds = async (offerManager: OfferManager): Promise<number[]> => {
+    try {
+      const offers = [
+        ...(await queryIndex<IndexedOffer>("offers", { creator: account })),
+        ...(await queryIndex<IndexedOffer>("offers", { acceptedBy: account }))
+      ];
+      return offers
+        .filter((offer) => offer.offerType !== "CONTRACT_OFFER")
+        .map((offer) => offer.id)
+        .sort((a, b) => a - b);
+    } catch (error) {
+      // API server not running: scan the offers on the contract
+      console.log("Event index unavailable:", error);
+      const offerIds: number[] = [];
+      const nextOfferId = Number(await offerManager.nextOfferId());
+      for (let offerId = 1; offerId < nextOfferId; offerId++) {
+        const offer = await offerManager.getOfferInfo(offerId);
+        const involved = [offer.creator, offer.acceptedBy].some(
+          (address) => address.toLowerCase() === account.toLowerCase()
+        );
+        if (involved && Number(offer.offerType) !== 2) {
+          offerIds.push(offerId);
+        }
+      }
+      return offerIds;
+    }
+  };
+
+  const loadEscrows = async () => {
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, provider);
+      const paymentEscrow = PaymentEscrow__factory.connect(PAYMENT_ESCROW_ADDRESS, provider);
+
+      const escrowData: EscrowedOffer[] = [];
+      for (const offerId of await loadOfferIds(offerManager)) {
+        const offer = await offerManager.getOfferInfo(offerId);
+        if (!isEscrowed(offer.offerType, offer.batchId, offer.price)) continue;
+
+        const escrow = await paymentEscrow.getEscrow(offerId);
+        const isBuyOffer = Number(offer.offerType) === 0;
+        const isCreator = offer.creator.toLowerCase() === account.toLowerCase();
+        const status = Number(escrow.status);
+
+        // Open sell offers are paid on acceptance, so there is nothing to show yet
+        if (status === ESCROW_STATUS.NONE && (!isBuyOffer || Number(offer.status) !== 0)) continue;
+
+        escrowData.push({
+          offerId,
+          batchId: Number(offer.batchId),
+          offerType: Number(offer.offerType),
+          isBuyer: isBuyOffer === isCreator,
+          token: status === ESCROW_STATUS.NONE ? await offerManager.paymentTokens(offerId) : escrow.token,
+          amount: status === ESCROW_STATUS.NONE ? offer.price : escrow.amount,
+          status,
+          deadline: Number(escrow.deadline)
+        });
+      }
+
+      const tokenData: Record<string, PaymentToken> = { [ethers.ZeroAddress]: NATIVE_TOKEN };
+      for (const { token } of escrowData) {
+        if (!tokenData[token]) {
+          const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+          tokenData[token] = { symbol: await erc20.symbol(), decimals: Number(await erc20.decimals()) };
+        }
+      }
+
+      setTokens(tokenData);
+      setEscrows(escrowData);
+    } catch (error) {
+      console.error("Error loading escrows:", error);
+    }
+  };
+
+  const runAction = async (
+    description: string,
+    action: (signer: ethers.Signer) => Promise<ethers.ContractTransactionResponse>
+  ) => {
+    setBusy(true);
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      const tx = await action(signer);
+      await tx.wait();
+
+      onSuccess(`${description} successful!`);
+      await loadEscrows();
+    } catch (error) {
+      console.error(`Error: ${description}:`, error);
+      onError(`${description} failed. Please try again.`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFund = (escrow: EscrowedOffer) =>
+    runAction("Escrow deposit", async (signer) => {
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, signer);
+      const value = await preparePayment(offerManager, signer, escrow.offerId, escrow.amount);
+      return offerManager.fundOffer(escrow.offerId, { value });
+    });
+
+  const handleClaimRefund = (escrow: EscrowedOffer) =>
+    runAction("Refund claim", (signer) =>
+      PaymentEscrow__factory.connect(PAYMENT_ESCROW_ADDRESS, signer).claimRefund(escrow.offerId)
+    );
+
+  const handleRefundBuyer = (escrow: EscrowedOffer) =>
+    runAction("Buyer refund", (signer) =>
+      PaymentEscrow__factory.connect(PAYMENT_ESCROW_ADDRESS, signer).refundBuyer(escrow.offerId)
+    );
+
+  const handleRaiseDispute = (escrow: EscrowedOffer) => {
+    const reason = window.prompt(`Why are you disputing the payment for offer #${escrow.offerId}?`);
+    if (!reason) return;
+    runAction("Dispute", (signer) =>
+      PaymentEscrow__factory.connect(PAYMENT_ESCROW_ADDRESS, signer).raiseDispute(escrow.offerId, reason)
+    );
+  };
+
+  const formatAmount = (escrow: EscrowedOffer): string => {
+    const token = tokens[escrow.token] || NATIVE_TOKEN;
+    return `${ethers.formatUnits(escrow.amount, token.decimals)} ${token.symbol}`;
+  };
+
+  if (!PAYMENT_ESCROW_ADDRESS) return null;
+
+  const now = Date.now() / 1000;
+
+  return (
+    <div className="escrow-panel">
+      <div className="section-header">
+        <h2>Escrowed Payments</h2>
+      </div>
+      <p>
+        Buyers pay accepted offers into escrow. The payment goes to the seller when the buyer confirms delivery,
+        and back to the buyer if the delivery deadline passes.
+      </p>
+
+      <div className="data-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Offer ID</th>
+              <th>Batch ID</th>
+              <th>Type</th>
+              <th>You Are</th>
+              <th>Amount</th>
+              <th>Escrow</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {escrows.map((escrow) => (
+              <tr key={escrow.offerId}>
+                <td>{escrow.offerId}</td>
+                <td>{escrow.batchId}</td>
+                <td>{escrow.offerType === 0 ? "BUY_OFFER" : "SELL_OFFER"}</td>
+                <td>{escrow.isBuyer ? "Buyer" : "Seller"}</td>
+                <td>{formatAmount(escrow)}</td>
+                <td>{describeStatus(escrow)}</td>
+                <td>
+                  {escrow.status === ESCROW_STATUS.NONE && escrow.isBuyer && (
+                    <button onClick={() => handleFund(escrow)} className="action-button" disabled={busy}>
+                      Deposit Payment
+                    </button>
+                  )}
+                  {escrow.status === ESCROW_STATUS.HELD && escrow.isBuyer && (
+                    <button
+                      onClick={() => handleClaimRefund(escrow)}
+                      className="action-button"
+                      disabled={busy || now < escrow.deadline}
+                    >
+                      Claim Refund
+                    </button>
+                  )}
+                  {(escrow.status === ESCROW_STATUS.HELD || escrow.status === ESCROW_STATUS.DISPUTED) &&
+                    !escrow.isBuyer && (
+                    <button onClick={() => handleRefundBuyer(escrow)} className="action-button" disabled={busy}>
+                      Refund Buyer
+                    </button>
+                  )}
+                  {escrow.status === ESCROW_STATUS.HELD && (
+                    <button onClick={() => handleRaiseDispute(escrow)} className="action-button" disabled={busy}>
+                      Raise Dispute
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {escrows.length === 0 && (
+          <p className="no-data-message">No escrowed payments for your offers yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EscrowPanel;
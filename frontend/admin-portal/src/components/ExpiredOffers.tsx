@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import { OfferManager, OfferManager__factory } from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import { IndexedOffer, OFFER_STATUSES, OFFER_TYPES, queryIndex } from "../api/indexer";
+
+const OFFER_MANAGER_ADDRESS = getContractAddress("OfferManager");
+
+interface ExpiredOffer {
+  id: number;
+  creator: string;
+  counterparty: string;
+  batchId: number;
+  price: bigint;
+  quantity: number;
+  offerType: string;
+  // False while the offer is past its expiry but still OPEN on chain
+  swept: boolean;
+  expiresAt: number;
+}
+
+const formatAddress = (address: string): string => {
+  return address === ethers.ZeroAddress ? "Anyone" : `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+interface ExpiredOffersProps {
+  account: string;
+  // Reloads whenever this changes, e.g. the page's list of offers
+  refresh?: unknown;
+  onSuccess: (message: string) => void;
+  onError: (message: string) => void;
+}
+
+/**
+ * Offers the account made or received that expired before anyone accepted
+ * them, including those the expiry keeper hasn't closed yet
+ */
+const ExpiredOffers: React.FC<ExpiredOffersProps> = ({ account, refresh, onSuccess, onError }) => {
+  const [offers, setOffers] = useState<ExpiredOffer[]>([]);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (account) {
+      loadExpiredOffers();
+    }
+  }, [account, refresh]);
+
+  const isExpired = (status: string, expiresAt: number): boolean =>
+    status === "EXPIRED" || (status === "OPEN" && expiresAt <= Date.now() / 1000);
+
+  // The account's offers, from the index or else a scan of the contract
+  const loadOffers = async (offerManager: OfferManager): Promise<IndexedOffer[]> => {
+    try {
+      const offers = [
+        ...(await queryIndex<IndexedOffer>("offers", { creator: account })),
+        ...(await queryIndex<IndexedOffer>("offers", { counterparty: account }))
+      ];
+      return offers
+        .filter((offer, index) => offers.findIndex(({ id }) => id === offer.id) === index)
+        .sort((a, b) => a.id - b.id);
+    } catch (error) {
+      // API server not running: scan the offers on the contract
+      console.log("Event index unavailable:", error);
+      const offers: IndexedOffer[] = [];
+      const nextOfferId = Number(await offerManager.nextOfferId());
+      for (let offerId = 1; offerId < nextOfferId; offerId++) {
+        const offer = await offerManager.getOfferInfo(offerId);
+        const involved = [offer.creator, offer.counterparty].some(
+          (address) => address.toLowerCase() === account.toLowerCase()
+        );
+        if (involved) {
+          offers.push({
+            id: offerId,
+            creator: offer.creator,
+            counterparty: offer.counterparty,
+            batchId: Number(offer.batchId),
+            price: offer.price.toString(),
+            quantity: offer.quantity.toString(),
+            offerType: OFFER_TYPES[Number(offer.offerType)],
+            status: OFFER_STATUSES[Number(offer.status)],
+            terms: offer.terms,
+            expiresAt: Number(offer.expiresAt),
+            acceptedBy: offer.acceptedBy
+          });
+        }
+      }
+      return offers;
+    }
+  };
+
+  const loadExpiredOffers = async () => {
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, provider);
+
+      setOffers(
+        (await loadOffers(offerManager))
+          .filter((offer) => isExpired(offer.status, offer.expiresAt))
+          .map((offer) => ({
+            id: offer.id,
+            creator: offer.creator,
+            counterparty: offer.counterparty,
+            batchId: offer.batchId,
+            price: BigInt(offer.price),
+            quantity: Number(offer.quantity),
+            offerType: offer.offerType,
+            swept: offer.status === "EXPIRED",
+            expiresAt: offer.expiresAt
+          }))
+      );
+    } catch (error) {
+      console.error("Error loading expired offers:", error);
+    }
+  };
+
+  // Anyone can close an expired offer; this also returns a buy offer's deposit
+  const handleExpire = async (offerId: number) => {
+    setBusy(true);
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, signer);
+
+      const tx = await offerManager.expireOffers([offerId]);
+      await tx.wait();
+
+      onSuccess(`Offer #${offerId} closed as expired!`);
+      await loadExpiredOffers();
+    } catch (error) {
+      console.error("Error expiring offer:", error);
+      onError("Failed to close the expired offer. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="expired-offers">
+      <div className="section-header">
+        <h2>Expired Offers</h2>
+      </div>
+      <p>Offers you made or received that expired before anyone accepted them.</p>
+
+      <div className="data-table">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Type</th>
+              <th>Batch ID</th>
+              <th>From</th>
+              <th>To</th>
+              <th>Price (ETH)</th>
+              <th>Quantity</th>
+              <th>Expired</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {offers.map((offer) => (
+              <tr key={offer.id}>
+                <td>{offer.id}</td>
+                <td>{offer.offerType}</td>
+                <td>{offer.batchId}</td>
+                <td>{formatAddress(offer.creator)}</td>
+                <td>{formatAddress(offer.counterparty)}</td>
+                <td>{ethers.formatEther(offer.price)}</td>
+                <td>{offer.quantity}</td>
+                <td>{new Date(offer.expiresAt * 1000).toLocaleString()}</td>
+                <td>
+                  {offer.swept ? (
+                    "EXPIRED"
+                  ) : (
+                    <button onClick={() => handleExpire(offer.id)} className="action-button" disabled={busy}>
+                      Close as Expired
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {offers.length === 0 && <p className="no-data-message">None of your offers have expired.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default ExpiredOffers;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import { OfferManager__factory } from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+
+const OFFER_MANAGER_ADDRESS = getContractAddress("OfferManager");
+
+const OFFER_TYPES = ["BUY_OFFER", "SELL_OFFER", "CONTRACT_OFFER"];
+const OFFER_STATUSES = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED", "COUNTERED", "FILLED"];
+
+interface NegotiatedOffer {
+  id: number;
+  parentId: number;
+  // Counter-offers between the offer and the opening offer of its thread
+  depth: number;
+  creator: string;
+  counterparty: string;
+  price: bigint;
+  quantity: number;
+  offerType: number;
+  status: number;
+  terms: string;
+  createdAt: number;
+  expiresAt: number;
+  acceptedBy: string;
+  acceptedAt: number;
+}
+
+const formatAddress = (address: string): string => {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+const formatTime = (timestamp: number): string => new Date(timestamp * 1000).toLocaleString();
+
+// Offers in thread order: each opening offer followed by the counter-offers answering it
+const orderThreads = (offers: NegotiatedOffer[]): NegotiatedOffer[] => {
+  const ordered: NegotiatedOffer[] = [];
+  const visit = (parentId: number, depth: number) => {
+    for (const offer of offers.filter((candidate) => candidate.parentId === parentId)) {
+      ordered.push({ ...offer, depth });
+      visit(offer.id, depth + 1);
+    }
+  };
+  visit(0, 0);
+  return ordered;
+};
+
+interface NegotiationTimelineProps {
+  account: string;
+  batchId: number;
+  // Reloads whenever this changes, e.g. the page's list of offers
+  refresh?: unknown;
+  onSuccess: (message: string) => void;
+  onError: (message: string) => void;
+  onClose: () => void;
+}
+
+/**
+ * Every offer made on a batch, threaded by counter-offer, with a form to
+ * counter the open offers the account can answer
+ */
+const NegotiationTimeline: React.FC<NegotiationTimelineProps> = ({
+  account,
+  batchId,
+  refresh,
+  onSuccess,
+  onError,
+  onClose
+}) => {
+  const [offers, setOffers] = useState<NegotiatedOffer[]>([]);
+  const [counteringId, setCounteringId] = useState<number | null>(null);
+  const [counter, setCounter] = useState({ price: "", quantity: "", terms: "", duration: "86400" });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (batchId) {
+      loadNegotiation();
+    }
+  }, [batchId, refresh]);
+
+  const loadNegotiation = async () => {
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, provider);
+
+      const offerData: NegotiatedOffer[] = [];
+      for (const offerId of await offerManager.getOffersForBatch(batchId)) {
+        const offer = await offerManager.offers(offerId);
+        offerData.push({
+          id: Number(offerId),
+          parentId: Number(await offerManager.parentOffers(offerId)),
+          depth: 0,
+          creator: offer.creator,
+          counterparty: offer.counterparty,
+          price: offer.offeredPrice,
+          quantity: Number(offer.quantity),
+          offerType: Number(offer.offerType),
+          status: Number(offer.status),
+          terms: offer.terms,
+          createdAt: Number(offer.createdAt),
+          expiresAt: Number(offer.expiresAt),
+          acceptedBy: offer.acceptedBy,
+          acceptedAt: Number(offer.acceptedAt)
+        });
+      }
+
+      setOffers(orderThreads(offerData));
+    } catch (error) {
+      console.error("Error loading negotiation:", error);
+      onError("Failed to load the negotiation history.");
+    }
+  };
+
+  // Open buy and sell offers addressed to the account (or to anyone) it didn't create
+  const canCounter = (offer: NegotiatedOffer): boolean =>
+    offer.status === 0 &&
+    offer.offerType !== 2 &&
+    offer.expiresAt > Date.now() / 1000 &&
+    offer.creator.toLowerCase() !== account.toLowerCase() &&
+    (offer.counterparty === ethers.ZeroAddress || offer.counterparty.toLowerCase() === account.toLowerCase());
+
+  const startCounter = (offer: NegotiatedOffer) => {
+    setCounteringId(offer.id);
+    setCounter({
+      price: ethers.formatEther(offer.price),
+      quantity: offer.quantity.toString(),
+      terms: offer.terms,
+      duration: "86400"
+    });
+  };
+
+  const handleCounter = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (counteringId === null) return;
+
+    setBusy(true);
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, signer);
+
+      const tx = await offerManager.counterOffer(
+        counteringId,
+        ethers.parseEther(counter.price),
+        parseInt(counter.quantity),
+        counter.terms,
+        parseInt(counter.duration)
+      );
+      await tx.wait();
+
+      onSuccess(`Counter-offer to offer #${counteringId} sent!`);
+      setCounteringId(null);
+      await loadNegotiation();
+    } catch (error) {
+      console.error("Error countering offer:", error);
+      onError("Failed to send the counter-offer. Please check your input and try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="negotiation-timeline">
+      <div className="section-header">
+        <h2>Negotiation for Batch #{batchId}</h2>
+        <button onClick={onClose} className="action-button">
+          Close
+        </button>
+      </div>
+
+      {offers.length === 0 && <p className="no-data-message">No offers have been made on this batch.</p>}
+
+      <ul className="timeline">
+        {offers.map((offer) => (
+          <li
+            key={offer.id}
+            className={`timeline-item ${(OFFER_STATUSES[offer.status] || "").toLowerCase()}`}
+            style={{ marginLeft: `${offer.depth * 24}px` }}
+          >
+            <div className="timeline-heading">
+              <strong>
+                #{offer.id} {OFFER_TYPES[offer.offerType] || "UNKNOWN"}
+              </strong>
+              {offer.parentId !== 0 ? ` countering #${offer.parentId}` : " opening offer"}
+              {` by ${formatAddress(offer.creator)}`}
+              {offer.counterparty !== ethers.ZeroAddress && ` to ${formatAddress(offer.counterparty)}`}
+            </div>
+            <div>
+              {ethers.formatEther(offer.price)} ETH for {offer.quantity} units
+              {offer.terms && ` (${offer.terms})`}
+            </div>
+            <div className="timeline-meta">
+              {OFFER_STATUSES[offer.status] || "UNKNOWN"} · made {formatTime(offer.createdAt)}
+              {offer.status === 1
+                ? ` · accepted by ${formatAddress(offer.acceptedBy)} ${formatTime(offer.acceptedAt)}`
+                : ` · expires ${formatTime(offer.expiresAt)}`}
+            </div>
+
+            {canCounter(offer) && counteringId !== offer.id && (
+              <button onClick={() => startCounter(offer)} className="action-button" disabled={busy}>
+                Counter
+              </button>
+            )}
+
+            {counteringId === offer.id && (
+              <form onSubmit={handleCounter} className="form-section">
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Price (ETH):</label>
+                    <input
+                      type="number"
+                      step="0.000001"
+                      value={counter.price}
+                      onChange={(e) => setCounter({ ...counter, price: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Quantity:</label>
+                    <input
+                      type="number"
+                      value={counter.quantity}
+                      onChange={(e) => setCounter({ ...counter, quantity: e.target.value })}
+                      required
+                    />
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Terms:</label>
+                    <input
+                      type="text"
+                      value={counter.terms}
+                      onChange={(e) => setCounter({ ...counter, terms: e.target.value })}
+                      placeholder="Delivery window, grade, packaging"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Duration (seconds):</label>
+                    <input
+                      type="number"
+                      value={counter.duration}
+                      onChange={(e) => setCounter({ ...counter, duration: e.target.value })}
+                      placeholder="86400 (24 hours)"
+                      required
+                    />
+                  </div>
+                </div>
+                <button type="submit" className="submit-button" disabled={busy}>
+                  {busy ? "Sending..." : "Send Counter-Offer"}
+                </button>
+                <button type="button" onClick={() => setCounteringId(null)} className="action-button">
+                  Cancel
+                </button>
+              </form>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default NegotiationTimeline;
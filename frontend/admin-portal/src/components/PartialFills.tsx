@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import { OfferManager__factory } from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import { fillOfferWithPayment } from "./EscrowPanel";
+
+const OFFER_MANAGER_ADDRESS = getContractAddress("OfferManager");
+
+const OFFER_STATUSES = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED", "COUNTERED", "FILLED"];
+
+interface FillableOffer {
+  creator: string;
+  counterparty: string;
+  batchId: number;
+  price: bigint;
+  quantity: number;
+  offerType: number;
+  status: number;
+  expiresAt: number;
+  remaining: number;
+  // 0 while the offer can only be accepted whole
+  minFill: number;
+}
+
+interface Fill {
+  id: number;
+  // Child batch split off the offer's batch, or the batch itself for the last fill
+  batchId: number;
+  acceptor: string;
+  price: bigint;
+  quantity: number;
+  acceptedAt: number;
+}
+
+const formatAddress = (address: string): string => {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+interface PartialFillsProps {
+  account: string;
+  offerId: number;
+  // Reloads whenever this changes, e.g. the page's list of offers
+  refresh?: unknown;
+  onSuccess: (message: string) => void;
+  onError: (message: string) => void;
+  onClose: () => void;
+}
+
+/**
+ * An offer's remaining quantity and partial fills, with forms for the creator
+ * to allow fills and for acceptors to take part of the offer
+ */
+const PartialFills: React.FC<PartialFillsProps> = ({ account, offerId, refresh, onSuccess, onError, onClose }) => {
+  const [offer, setOffer] = useState<FillableOffer | null>(null);
+  const [fills, setFills] = useState<Fill[]>([]);
+  const [minFill, setMinFill] = useState("");
+  const [fillQuantity, setFillQuantity] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (offerId) {
+      loadFills();
+    }
+  }, [offerId, refresh]);
+
+  const loadFills = async () => {
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, provider);
+
+      const info = await offerManager.getOfferInfo(offerId);
+      setOffer({
+        creator: info.creator,
+        counterparty: info.counterparty,
+        batchId: Number(info.batchId),
+        price: info.price,
+        quantity: Number(info.quantity),
+        offerType: Number(info.offerType),
+        status: Number(info.status),
+        expiresAt: Number(info.expiresAt),
+        remaining: Number(await offerManager.getRemainingQuantity(offerId)),
+        minFill: Number(await offerManager.minFillQuantities(offerId))
+      });
+
+      const fillData: Fill[] = [];
+      for (const fillId of await offerManager.getOfferFills(offerId)) {
+        const fill = await offerManager.offers(fillId);
+        fillData.push({
+          id: Number(fillId),
+          batchId: Number(fill.batchId),
+          acceptor: fill.acceptedBy,
+          price: fill.offeredPrice,
+          quantity: Number(fill.quantity),
+          acceptedAt: Number(fill.acceptedAt)
+        });
+      }
+      setFills(fillData);
+    } catch (error) {
+      console.error("Error loading partial fills:", error);
+      onError("Failed to load the offer's fills.");
+    }
+  };
+
+  const isCreator = offer !== null && offer.creator.toLowerCase() === account.toLowerCase();
+
+  const isOpen = offer !== null && offer.status === 0 && offer.expiresAt > Date.now() / 1000;
+
+  // Open offers with partial fills addressed to the account (or to anyone) it didn't create
+  const canFill =
+    isOpen &&
+    !isCreator &&
+    offer.minFill > 0 &&
+    (offer.counterparty === ethers.ZeroAddress || offer.counterparty.toLowerCase() === account.toLowerCase());
+
+  const handleAllowFills = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      const offerManager = OfferManager__factory.connect(OFFER_MANAGER_ADDRESS, signer);
+
+      const tx = await offerManager.allowPartialFills(offerId, parseInt(minFill));
+      await tx.wait();
+
+      onSuccess(`Offer #${offerId} can now be filled ${minFill} units at a time!`);
+      setMinFill("");
+      await loadFills();
+    } catch (error) {
+      console.error("Error allowing partial fills:", error);
+      onError("Failed to allow partial fills. Please check the minimum fill and try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFill = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
+      // Pays a sell offer's share of the asking price into escrow
+      const tx = await fillOfferWithPayment(signer, offerId, parseInt(fillQuantity));
+      await tx.wait();
+
+      onSuccess(`Filled ${fillQuantity} units of offer #${offerId}!`);
+      setFillQuantity("");
+      await loadFills();
+    } catch (error) {
+      console.error("Error filling offer:", error);
+      onError("Failed to fill the offer. Please check the quantity and try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="partial-fills">
+      <div className="section-header">
+        <h2>Partial Fills for Offer #{offerId}</h2>
+        <button onClick={onClose} className="action-button">
+          Close
+        </button>
+      </div>
+
+      {offer && (
+        <p>
+          {OFFER_STATUSES[offer.status] || "UNKNOWN"} · {ethers.formatEther(offer.price)} ETH for {offer.quantity}{" "}
+          units · {offer.remaining} remaining ·{" "}
+          {offer.minFill > 0 ? `fills of at least ${offer.minFill} units` : "accepted whole only"}
+        </p>
+      )}
+
+      {isCreator && isOpen && offer.offerType !== 2 && offer.batchId !== 0 && (
+        <form onSubmit={handleAllowFills} className="form-section">
+          <div className="form-row">
+            <div className="form-group">
+              <label>Minimum Fill (units):</label>
+              <input
+                type="number"
+                min="1"
+                max={offer.quantity}
+                value={minFill}
+                onChange={(e) => setMinFill(e.target.value)}
+                required
+              />
+            </div>
+          </div>
+          <button type="submit" className="submit-button" disabled={busy}>
+            {busy ? "Saving..." : "Allow Partial Fills"}
+          </button>
+        </form>
+      )}
+
+      {canFill && (
+        <form onSubmit={handleFill} className="form-section">
+          <div className="form-row">
+            <div className="form-group">
+              <label>Quantity (at least {Math.min(offer.minFill, offer.remaining)}):</label>
+              <input
+                type="number"
+                min="1"
+                max={offer.remaining}
+                value={fillQuantity}
+                onChange={(e) => setFillQuantity(e.target.value)}
+                required
+              />
+            </div>
+          </div>
+          <button type="submit" className="submit-button" disabled={busy}>
+            {busy ? "Filling..." : "Fill Offer"}
+          </button>
+        </form>
+      )}
+
+      <div className="data-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Fill</th>
+              <th>Batch ID</th>
+              <th>Filled By</th>
+              <th>Quantity</th>
+              <th>Price (ETH)</th>
+              <th>Filled At</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fills.map((fill) => (
+              <tr key={fill.id}>
+                <td>#{fill.id}</td>
+                <td>{fill.batchId}</td>
+                <td>{formatAddress(fill.acceptor)}</td>
+                <td>{fill.quantity}</td>
+                <td>{ethers.formatEther(fill.price)}</td>
+                <td>{new Date(fill.acceptedAt * 1000).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {fills.length === 0 && <p className="no-data-message">No one has filled part of this offer yet.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default PartialFills;
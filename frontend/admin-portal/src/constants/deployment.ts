@@ -0,0 +1,33 @@
+import deployments from "./deployments.json";
+
+// Copy of manifests/<network>.json for every deployed network, written by
+// deploy/99-write-manifest.js
+
+export interface ContractDeployment {
+  address: string;
+  abiHash: string | null;
+  blockNumber: number | null;
+  transactionHash: string | null;
+  // Implementation behind an upgradeable proxy (address is the proxy)
+  implementation?: string | null;
+}
+
+export interface DeploymentManifest {
+  network: string;
+  chainId: number;
+  deployer: string | null;
+  gitCommit: string | null;
+  blockNumber: number | null;
+  generatedAt: string;
+  contracts: Record<string, ContractDeployment>;
+}
+
+// Network the portal talks to: localhost or polygon
+export const NETWORK = process.env.REACT_APP_NETWORK || "localhost";
+
+export const deployment: DeploymentManifest | undefined =
+  (deployments as Record<string, DeploymentManifest>)[NETWORK];
+
+export const getContractAddress = (name: string): string => {
+  return deployment?.contracts[name]?.address || "";
+};
@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+
+export interface Page<T> {
+    items: T[];
+    nextCursor: bigint;
+}
+
+// Reads one page of a cursor-paginated contract view. A cursor of 0 starts
+// the listing and a nextCursor of 0 means there are no more pages.
+export type FetchPage<T> = (cursor: bigint, limit: bigint) => Promise<Page<T>>;
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+interface UsePagedListReturn<T> {
+    items: T[];
+    setItems: React.Dispatch<React.SetStateAction<T[]>>;
+    loading: boolean;
+    error: string | null;
+    hasMore: boolean;
+    loadMore: () => Promise<void>;
+    reload: () => Promise<void>;
+}
+
+/**
+  * Loads a paginated contract view a page at a time. Some views scan a fixed
+  * range per call and return short or empty pages, so each load keeps reading
+  * until it has pageSize items or reaches the end. Pass null while the
+  * contract is not connected.
+  */
+export const usePagedList = <T>(
+    fetchPage: FetchPage<T> | null,
+    pageSize: number = DEFAULT_PAGE_SIZE
+): UsePagedListReturn<T> => {
+    const [items, setItems] = useState<T[]>([]);
+    const [cursor, setCursor] = useState<bigint | null>(null);
+    const [loading, setLoading] = useState<boolean>(false);
+    const [error, setError] = useState<string | null>(null);
+    // Results of a load started before the latest one are dropped
+    const latestRequest = useRef(0);
+
+    const load = useCallback(async (from: bigint, append: boolean) => {
+        if (!fetchPage) return;
+
+        const request = ++latestRequest.current;
+        setLoading(true);
+        setError(null);
+
+        try {
+            const loaded: T[] = [];
+            let next: bigint | null = from;
+            do {
+                const page: Page<T> = await fetchPage(next, BigInt(pageSize));
+                loaded.push(...page.items);
+                next = page.nextCursor === BigInt(0) ? null : page.nextCursor;
+            } while (next !== null && loaded.length < pageSize);
+
+            if (request !== latestRequest.current) return;
+            setItems(prev => (append ? [...prev, ...loaded] : loaded));
+            setCursor(next);
+        } catch (err: unknown) {
+            if (request !== latestRequest.current) return;
+            const error = err as Error;
+            console.error("[ERROR] Error loading page:", error);
+            setError(error.message || "Failed to load page");
+        } finally {
+            if (request === latestRequest.current) setLoading(false);
+        }
+    }, [fetchPage, pageSize]);
+
+    const reload = useCallback(() => load(BigInt(0), false), [load]);
+
+    const loadMore = useCallback(async () => {
+        if (cursor !== null && !loading) await load(cursor, true);
+    }, [cursor, loading, load]);
+
+    useEffect(() => {
+        latestRequest.current++;
+        setItems([]);
+        setCursor(null);
+        setLoading(false);
+        if (fetchPage) reload();
+    }, [fetchPage, reload]);
+
+    return {
+        items,
+        setItems,
+        loading,
+        error,
+        hasMore: cursor !== null,
+        loadMore,
+        reload
+    };
+};
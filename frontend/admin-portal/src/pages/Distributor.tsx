@@ -1,55 +1,32 @@
 import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
+import {
+  OfferManager,
+  OfferManager__factory,
+  ProductBatch,
+  ProductBatch__factory,
+  Registry__factory,
+  ShipmentTracker,
+  ShipmentTracker__factory,
+  StakeholderManager,
+  StakeholderManager__factory
+} from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import { IndexedBatch, queryIndex, toBatchSummary } from "../api/indexer";
+import EscrowPanel, { acceptOfferWithPayment } from "../components/EscrowPanel";
+import ExpiredOffers from "../components/ExpiredOffers";
+import NegotiationTimeline from "../components/NegotiationTimeline";
+import PartialFills from "../components/PartialFills";
 import "../styles/pages.css";
 import "../styles/distributor.css";
 
-// Contract ABIs
-const productBatchABI = [
-  "function listForSale(uint256, uint256, uint8) external",
-  "function transferOwnership(uint256, address) external",
-  "function getBatchInfo(uint256) external view returns (address, address, string, string, uint256, uint256, string, uint8, uint256, uint256)",
-  "event BatchListed(uint256 indexed batchId, uint256 price, uint8 tradingMode)"
-];
-
-const offerManagerABI = [
-  "function createBuyOffer(uint256, uint256, uint256, string, uint256, address) external returns (uint256)",
-  "function acceptOffer(uint256) external",
-  "function getAvailableOffers(address) external view returns (uint256[])",
-  "function getOffersByType(uint8) external view returns (uint256[])",
-  "function getOfferInfo(uint256) external view returns (address, address, uint256, uint256, uint256, uint8, uint8, string, uint256, address)",
-  "event OfferCreated(uint256 indexed offerId, address indexed creator, uint256 indexed batchId, uint8 offerType)",
-  "event OfferAccepted(uint256 indexed offerId, address indexed acceptor, uint256 price)"
-];
-
-const registryABI = [
-  "function recordTransaction(uint256, address, address, uint256, uint256, string) external returns (uint256)",
-  "event TransactionRecorded(uint256 indexed transactionId, uint256 indexed batchId, address indexed buyer, uint256 usdValue, uint256 localValue)"
-];
-
-const shipmentTrackerABI = [
-  "function confirmDelivery(uint256) external",
-  "function createShipment(uint256, uint256, address, address, string, string, string, string) external returns (uint256)",
-  "function getUserShipmentsByStatus(address, uint8) external view returns (uint256[])",
-  "function shipments(uint256) external view returns (uint256 id, uint256 batchId, uint256 offerId, address sender, address receiver, address shipper, string trackingId, string fromLocation, string toLocation, uint8 status, string metadataHash, uint256 createdAt, uint256 pickedUpAt, uint256 deliveredAt, uint256 confirmedAt)",
-  "event DeliveryConfirmed(uint256 indexed shipmentId, address indexed receiver)",
-  "event ShipmentCreated(uint256 indexed shipmentId, uint256 indexed batchId, address indexed receiver)"
-];
-
-const accessControlABI = [
-  "function hasRole(address, uint8) external view returns (bool)",
-  "function getRole(address) external view returns (uint8)",
-  "function isActive(address) external view returns (bool)",
-  "function getStakeholderInfo(address) external view returns (uint8, string, string, string, string, bool, uint256)",
-  "function isFullyActive(address) external view returns (bool)"
-];
-
 // Contract addresses
 const CONTRACT_ADDRESSES = {
-  productBatch: process.env.REACT_APP_PRODUCT_BATCH_ADDRESS || "0xa513E6E4b8f2a923D98304ec87F64353C4D5C853",
-  offerManager: process.env.REACT_APP_OFFER_MANAGER_ADDRESS || "0x2279B7A0a67DB372996a5FaB50D91eAA73d2eBe6",
-  registry: process.env.REACT_APP_REGISTRY_ADDRESS || "0x8A791620dd6260079BF849Dc5567aDC3F2FdC318",
-  shipmentTracker: process.env.REACT_APP_SHIPMENT_TRACKER_ADDRESS || "0x610178dA211FEF7D417bC0e6FeD39F05609AD788",
-  accessControl: process.env.REACT_APP_ACCESS_CONTROL_ADDRESS || "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707"
+  productBatch: getContractAddress("ProductBatch"),
+  offerManager: getContractAddress("OfferManager"),
+  registry: getContractAddress("Registry"),
+  shipmentTracker: getContractAddress("ShipmentTracker"),
+  accessControl: getContractAddress("StakeholderManager")
 };
 
 interface Batch {
@@ -110,7 +87,7 @@ const getBatchStatusName = (status: number): string => {
 };
 
 const getOfferStatusName = (status: number): string => {
-  const statuses = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED"];
+  const statuses = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED", "COUNTERED", "FILLED"];
   return statuses[status] || "UNKNOWN";
 };
 
@@ -133,6 +110,8 @@ const Distributor = () => {
   
   const [batches, setBatches] = useState<Batch[]>([]);
   const [offers, setOffers] = useState<Offer[]>([]);
+  const [negotiationBatchId, setNegotiationBatchId] = useState<number | null>(null);
+  const [fillsOfferId, setFillsOfferId] = useState<number | null>(null);
   const [shipments, setShipments] = useState<Shipment[]>([]);
   const [activeTab, setActiveTab] = useState("trading");
   
@@ -228,27 +207,23 @@ const Distributor = () => {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
       
-      const productBatchContract = new ethers.Contract(
+      const productBatchContract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
-      const offerManagerContract = new ethers.Contract(
+      const offerManagerContract = OfferManager__factory.connect(
         CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
         signer
       );
       
-      const shipmentTrackerContract = new ethers.Contract(
+      const shipmentTrackerContract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
-      const accessControlContract = new ethers.Contract(
+      const accessControlContract = StakeholderManager__factory.connect(
         CONTRACT_ADDRESSES.accessControl,
-        accessControlABI,
         signer
       );
       
@@ -265,7 +240,7 @@ const Distributor = () => {
     }
   };
 
-  const checkUserRole = async (contract: ethers.Contract) => {
+  const checkUserRole = async (contract: StakeholderManager) => {
     try {
       const role = await contract.getRole(account);
       const isActive = await contract.isFullyActive(account);
@@ -283,29 +258,34 @@ const Distributor = () => {
     }
   };
 
-  const loadBatches = async (contract: ethers.Contract) => {
+  const loadBatches = async (contract: ProductBatch) => {
     try {
-      const batchIds = [1, 2, 3]; // Placeholder
-      const batchData: Batch[] = [];
-      
-      for (const batchId of batchIds) {
-        try {
-          const batchInfo = await contract.getBatchInfo(batchId);
-          batchData.push({
-            id: batchId,
-            farmer: batchInfo[0],
-            currentOwner: batchInfo[1],
-            name: batchInfo[2],
-            description: batchInfo[3],
-            quantity: Number(batchInfo[4]),
-            basePrice: Number(batchInfo[5]),
-            originLocation: batchInfo[6],
-            status: Number(batchInfo[7]),
-            createdAt: Number(batchInfo[8]),
-            lastUpdated: Number(batchInfo[9])
-          });
-        } catch (error) {
-          console.log(`Batch ${batchId} not found`);
+      let batchData: Batch[] = [];
+      try {
+        batchData = (await queryIndex<IndexedBatch>("batches", { currentOwner: account })).map(toBatchSummary);
+      } catch (error) {
+        // API server not running: read the batches from the contract
+        console.log("Event index unavailable:", error);
+        const batchIds = [1, 2, 3]; // Placeholder
+        for (const batchId of batchIds) {
+          try {
+            const batchInfo = await contract.getBatchInfo(batchId);
+            batchData.push({
+              id: batchId,
+              farmer: batchInfo[0],
+              currentOwner: batchInfo[1],
+              name: batchInfo[2],
+              description: batchInfo[3],
+              quantity: Number(batchInfo[4]),
+              basePrice: Number(batchInfo[5]),
+              originLocation: batchInfo[6],
+              status: Number(batchInfo[7]),
+              createdAt: Number(batchInfo[8]),
+              lastUpdated: Number(batchInfo[9])
+            });
+          } catch (error) {
+            console.log(`Batch ${batchId} not found`);
+          }
         }
       }
       
@@ -315,7 +295,7 @@ const Distributor = () => {
     }
   };
 
-  const loadOffers = async (contract: ethers.Contract) => {
+  const loadOffers = async (contract: OfferManager) => {
     try {
       // Get all buy offers (offers that processors can accept)
       const buyOfferIds = await contract.getOffersByType(0); // BUY_OFFER = 0
@@ -352,7 +332,7 @@ const Distributor = () => {
     }
   };
 
-  const loadShipments = async (contract: ethers.Contract) => {
+  const loadShipments = async (contract: ShipmentTracker) => {
     try {
       const deliveredShipments = await contract.getUserShipmentsByStatus(account, 3); // DELIVERED
       
@@ -437,9 +417,8 @@ const Distributor = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -481,9 +460,8 @@ const Distributor = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = OfferManager__factory.connect(
         CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
         signer
       );
       
@@ -507,7 +485,7 @@ const Distributor = () => {
       
       await tx.wait();
       
-      setSuccess("Buy offer created successfully!");
+      setSuccess("Buy offer created! Deposit the payment under Escrowed Payments so the seller can accept it.");
       setCreateBuyOffer({
         batchId: "",
         offeredPrice: "",
@@ -540,9 +518,8 @@ const Distributor = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
@@ -614,9 +591,8 @@ const Distributor = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -642,7 +618,7 @@ const Distributor = () => {
         newOwner: newOwnerAddress
       });
       
-      const tx = await contract.transferOwnership(
+      const tx = await contract["transferOwnership(uint256,address)"](
         parseInt(transferOwnership.batchId),
         newOwnerAddress
       );
@@ -676,13 +652,8 @@ const Distributor = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
-        CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
-        signer
-      );
-      
-      const tx = await contract.acceptOffer(offerId);
+      // Pays a sell offer's asking price into escrow
+      const tx = await acceptOfferWithPayment(signer, offerId);
       await tx.wait();
       
       setSuccess("Offer accepted successfully!");
@@ -708,9 +679,8 @@ const Distributor = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
@@ -742,9 +712,8 @@ const Distributor = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = Registry__factory.connect(
         CONTRACT_ADDRESSES.registry,
-        registryABI,
         signer
       );
       
@@ -1270,6 +1239,22 @@ const Distributor = () => {
                         {offer.creator.toLowerCase() === account.toLowerCase() && (
                           <span className="own-offer">Your Offer</span>
                         )}
+                        {offer.batchId !== 0 && (
+                          <button
+                            onClick={() => setNegotiationBatchId(offer.batchId)}
+                            className="action-button"
+                          >
+                            Negotiation
+                          </button>
+                        )}
+                        {offer.batchId !== 0 && (
+                          <button
+                            onClick={() => setFillsOfferId(offer.id)}
+                            className="action-button"
+                          >
+                            Fills
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -1280,6 +1265,38 @@ const Distributor = () => {
                 <p className="no-data-message">No offers available. Create a buy offer above to get started.</p>
               )}
             </div>
+
+            {negotiationBatchId !== null && (
+              <NegotiationTimeline
+                account={account}
+                batchId={negotiationBatchId}
+                refresh={offers}
+                onSuccess={(message) => {
+                  setSuccess(message);
+                  loadData();
+                }}
+                onError={setError}
+                onClose={() => setNegotiationBatchId(null)}
+              />
+            )}
+
+            {fillsOfferId !== null && (
+              <PartialFills
+                account={account}
+                offerId={fillsOfferId}
+                refresh={offers}
+                onSuccess={(message) => {
+                  setSuccess(message);
+                  loadData();
+                }}
+                onError={setError}
+                onClose={() => setFillsOfferId(null)}
+              />
+            )}
+
+            <ExpiredOffers account={account} refresh={offers} onSuccess={setSuccess} onError={setError} />
+
+            <EscrowPanel account={account} refresh={offers} onSuccess={setSuccess} onError={setError} />
           </div>
         )}
 
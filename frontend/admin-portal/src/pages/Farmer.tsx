@@ -1,69 +1,32 @@
 import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
+import {
+  OfferManager,
+  OfferManager__factory,
+  ProductBatch,
+  ProductBatch__factory,
+  Registry__factory,
+  ShipmentTracker__factory,
+  StakeholderManager,
+  StakeholderManager__factory
+} from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import { API_URL, IndexedBatch, queryIndex, toBatchSummary } from "../api/indexer";
+import ContractFarmingPanel, { isAwaitingFunding } from "../components/ContractFarmingPanel";
+import EscrowPanel, { isAwaitingDeposit } from "../components/EscrowPanel";
+import ExpiredOffers from "../components/ExpiredOffers";
+import NegotiationTimeline from "../components/NegotiationTimeline";
+import PartialFills from "../components/PartialFills";
 import "../styles/pages.css";
 import "../styles/farmer.css";
 
-// Contract ABIs
-const productBatchABI = [
-  "function createBatch(string, string, uint256, uint256, string, string, uint8, address[], bool) external returns (uint256)",
-  "function listForSale(uint256, uint256, uint8) external",
-  "function transferOwnership(uint256, address) external",
-  "function getBatchInfo(uint256) external view returns (address, address, string, string, uint256, uint256, string, uint8, uint256, uint256)",
-  "function grantRole(address, uint8) external",
-  "function hasRole(address, uint8) external view returns (bool)",
-  "function isActive(address) external view returns (bool)",
-  "function activateAccount(address) external",
-  "event BatchCreated(uint256 indexed batchId, address indexed farmer, string name, uint8 tradingMode)",
-  "event BatchListed(uint256 indexed batchId, uint256 price, uint8 tradingMode)"
-];
-
-const offerManagerABI = [
-  "function acceptOffer(uint256) external",
-  "function getAvailableOffers(address) external view returns (uint256[])",
-  "function getOffersByType(uint8) external view returns (uint256[])",
-  "function getOfferInfo(uint256) external view returns (address, address, uint256, uint256, uint256, uint8, uint8, string, uint256, address)",
-  "function grantRole(address, uint8) external",
-  "function hasRole(address, uint8) external view returns (bool)",
-  "function isActive(address) external view returns (bool)",
-  "function activateAccount(address) external",
-  "event OfferAccepted(uint256 indexed offerId, address indexed acceptor, uint256 price)"
-];
-
-const registryAccessABI = [
-  "function grantRole(address, uint8) external",
-  "function hasRole(address, uint8) external view returns (bool)",
-  "function isActive(address) external view returns (bool)",
-  "function activateAccount(address) external"
-];
-
-const registryABI = [
-  "function recordTransaction(uint256, address, address, uint256, uint256, string) external returns (uint256)",
-  "event TransactionRecorded(uint256 indexed transactionId, uint256 indexed batchId, address indexed buyer, uint256 usdValue, uint256 localValue)"
-];
-
-const shipmentTrackerABI = [
-  "function createShipment(uint256, uint256, address, address, string, string, string, string) external returns (uint256)",
-  "function getUserShipmentsByStatus(address, uint8) external view returns (uint256[])",
-  "event ShipmentCreated(uint256 indexed shipmentId, uint256 indexed batchId, address indexed receiver)"
-];
-
-const accessControlABI = [
-  "function hasRole(address, uint8) external view returns (bool)",
-  "function getRole(address) external view returns (uint8)",
-  "function isActive(address) external view returns (bool)",
-  "function grantRole(address, uint8) external",
-  "function activateAccount(address) external",
-  "function getStakeholderInfo(address) external view returns (uint8, string, string, string, string, bool, uint256)",
-  "function isFullyActive(address) external view returns (bool)"
-];
-
 // Contract addresses
 const CONTRACT_ADDRESSES = {
-  productBatch: process.env.REACT_APP_PRODUCT_BATCH_ADDRESS || "0xa513E6E4b8f2a923D98304ec87F64353C4D5C853",
-  offerManager: process.env.REACT_APP_OFFER_MANAGER_ADDRESS || "0x2279B7A0a67DB372996a5FaB50D91eAA73d2eBe6",
-  registry: process.env.REACT_APP_REGISTRY_ADDRESS || "0x8A791620dd6260079BF849Dc5567aDC3F2FdC318",
-  shipmentTracker: process.env.REACT_APP_SHIPMENT_TRACKER_ADDRESS || "0x610178dA211FEF7D417bC0e6FeD39F05609AD788",
-  accessControl: process.env.REACT_APP_ACCESS_CONTROL_ADDRESS || "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707" // This is StakeholderManager
+  productBatch: getContractAddress("ProductBatch"),
+  offerManager: getContractAddress("OfferManager"),
+  registry: getContractAddress("Registry"),
+  shipmentTracker: getContractAddress("ShipmentTracker"),
+  accessControl: getContractAddress("StakeholderManager") // This is StakeholderManager
 };
 
 interface Batch {
@@ -80,6 +43,27 @@ interface Batch {
   lastUpdated: number;
 }
 
+interface WeatherRisk {
+  batchId: number;
+  cropType: string;
+  region: string;
+  harvestRisk: number | null;
+  harvestLevel: string;
+  transportRisk: number;
+  transportLevel: string;
+  worstHarvestAt: number | null;
+  worstTransportAt: number;
+  recorded: { harvestRisk: number | null; transportRisk: number; updatedAt: number } | null;
+}
+
+// Latest listing price from PriceUpdated, with any weather adjustment applied
+interface PriceBreakdown {
+  askingPrice: bigint;
+  listedPrice: bigint;
+  adjustmentBps: number;
+  reason: string;
+}
+
 interface Offer {
   id: number;
   creator: string;
@@ -93,6 +77,8 @@ interface Offer {
   expiresAt: number;
   acceptedBy: string;
   ownsBatch?: boolean; // Added for BUY_OFFER
+  awaitingDeposit?: boolean; // BUY_OFFER not yet paid into escrow by the buyer
+  awaitingFunding?: boolean; // CONTRACT_OFFER not yet funded by the processor
 }
 
 const formatAddress = (address: string): string => {
@@ -104,8 +90,26 @@ const getBatchStatusName = (status: number): string => {
   return statuses[status] || "UNKNOWN";
 };
 
+const formatRisk = (score: number | null, level: string): string => {
+  return score === null ? "No crop requirements" : `${score} (${level})`;
+};
+
+const toPriceBreakdown = (newPrice: bigint, adjustmentBps: bigint, reason: string): PriceBreakdown => {
+  const bps = Number(adjustmentBps);
+  return {
+    askingPrice: (newPrice * BigInt(10000)) / BigInt(10000 + bps),
+    listedPrice: newPrice,
+    adjustmentBps: bps,
+    reason
+  };
+};
+
+const formatAdjustment = (bps: number): string => {
+  return `${bps > 0 ? "+" : ""}${(bps / 100).toFixed(2)}%`;
+};
+
 const getOfferStatusName = (status: number): string => {
-  const statuses = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED"];
+  const statuses = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED", "COUNTERED", "FILLED"];
   return statuses[status] || "UNKNOWN";
 };
 
@@ -123,13 +127,16 @@ const Farmer = () => {
   
   const [batches, setBatches] = useState<Batch[]>([]);
   const [offers, setOffers] = useState<Offer[]>([]);
+  const [negotiationBatchId, setNegotiationBatchId] = useState<number | null>(null);
+  const [fillsOfferId, setFillsOfferId] = useState<number | null>(null);
+  const [weatherRisks, setWeatherRisks] = useState<Record<number, WeatherRisk>>({});
+  const [priceBreakdowns, setPriceBreakdowns] = useState<Record<number, PriceBreakdown>>({});
   const [activeTab, setActiveTab] = useState("batches");
   
   // Role checking states
   const [userRole, setUserRole] = useState<number>(0);
   const [isUserActive, setIsUserActive] = useState<boolean>(false);
   const [hasFarmerRole, setHasFarmerRole] = useState<boolean>(false);
-  const [roleGrantFailed, setRoleGrantFailed] = useState<boolean>(false);
   
   const [newBatch, setNewBatch] = useState({
     name: "",
@@ -225,21 +232,18 @@ const Farmer = () => {
       const signer = await provider.getSigner();
       console.log("Signer address:", await signer.getAddress());
       
-      const productBatchContract = new ethers.Contract(
+      const productBatchContract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
-      const offerManagerContract = new ethers.Contract(
+      const offerManagerContract = OfferManager__factory.connect(
         CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
         signer
       );
       
-      const accessControlContract = new ethers.Contract(
+      const accessControlContract = StakeholderManager__factory.connect(
         CONTRACT_ADDRESSES.accessControl,
-        accessControlABI,
         signer
       );
       
@@ -248,10 +252,6 @@ const Farmer = () => {
       await checkUserRole(accessControlContract);
       console.log("checkUserRole completed");
       
-      // Check and grant ProductBatch role if needed
-      await checkAndGrantProductBatchRole();
-      await checkAndGrantOfferManagerRole();
-      
       await loadBatches(productBatchContract);
       await loadOffers(offerManagerContract);
       
@@ -263,7 +263,7 @@ const Farmer = () => {
     }
   };
 
-  const checkUserRole = async (contract: ethers.Contract) => {
+  const checkUserRole = async (contract: StakeholderManager) => {
     try {
       console.log("Starting role check for account:", account);
       console.log("Contract address:", CONTRACT_ADDRESSES.accessControl);
@@ -313,45 +313,86 @@ const Farmer = () => {
     }
   };
 
-  const loadBatches = async (contract: ethers.Contract) => {
+  const loadBatches = async (contract: ProductBatch) => {
     try {
-      const batchIds = [1, 2, 3]; // Placeholder - should come from contract
-      const batchData: Batch[] = [];
-      
-      for (const batchId of batchIds) {
-        try {
-          const batchInfo = await contract.getBatchInfo(batchId);
-          batchData.push({
-            id: batchId,
-            farmer: batchInfo[0],
-            currentOwner: batchInfo[1],
-            name: batchInfo[2],
-            description: batchInfo[3],
-            quantity: Number(batchInfo[4]),
-            basePrice: Number(batchInfo[5]),
-            originLocation: batchInfo[6],
-            status: Number(batchInfo[7]),
-            createdAt: Number(batchInfo[8]),
-            lastUpdated: Number(batchInfo[9])
-          });
-        } catch (error) {
-          console.log(`Batch ${batchId} not found`);
+      let batchData: Batch[] = [];
+      try {
+        batchData = (await queryIndex<IndexedBatch>("batches", { farmer: account })).map(toBatchSummary);
+      } catch (error) {
+        // API server not running: read the batches from the contract
+        console.log("Event index unavailable:", error);
+        const batchIds = [1, 2, 3]; // Placeholder - should come from contract
+        for (const batchId of batchIds) {
+          try {
+            const batchInfo = await contract.getBatchInfo(batchId);
+            batchData.push({
+              id: batchId,
+              farmer: batchInfo[0],
+              currentOwner: batchInfo[1],
+              name: batchInfo[2],
+              description: batchInfo[3],
+              quantity: Number(batchInfo[4]),
+              basePrice: Number(batchInfo[5]),
+              originLocation: batchInfo[6],
+              status: Number(batchInfo[7]),
+              createdAt: Number(batchInfo[8]),
+              lastUpdated: Number(batchInfo[9])
+            });
+          } catch (error) {
+            console.log(`Batch ${batchId} not found`);
+          }
         }
       }
       
       setBatches(batchData);
+      await loadPriceBreakdowns(contract);
+      await loadWeatherRisks(batchData);
     } catch (error) {
       console.error("Error loading batches:", error);
     }
   };
 
+  const loadPriceBreakdowns = async (contract: ProductBatch) => {
+    try {
+      const events = await contract.queryFilter(contract.filters.PriceUpdated());
+      const breakdowns: Record<number, PriceBreakdown> = {};
+      
+      // Events are oldest first, so the latest listing wins
+      for (const event of events) {
+        if (!("args" in event)) continue;
+        const { batchId, newPrice, adjustmentBps, reason } = event.args;
+        breakdowns[Number(batchId)] = toPriceBreakdown(newPrice, adjustmentBps, reason);
+      }
+      
+      setPriceBreakdowns(breakdowns);
+    } catch (error) {
+      console.log("Price history unavailable:", error);
+    }
+  };
+
+  const loadWeatherRisks = async (batchData: Batch[]) => {
+    const risks: Record<number, WeatherRisk> = {};
+    
+    for (const batch of batchData) {
+      try {
+        const response = await fetch(`${API_URL}/api/batches/${batch.id}/weather-risk`);
+        if (response.ok) {
+          risks[batch.id] = await response.json();
+        }
+      } catch (error) {
+        console.log(`Weather risk for batch ${batch.id} unavailable`);
+      }
+    }
+    
+    setWeatherRisks(risks);
+  };
+
   const checkBatchOwnership = async (batchId: number): Promise<boolean> => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -373,7 +414,7 @@ const Farmer = () => {
     }
   };
 
-  const loadOffers = async (contract: ethers.Contract) => {
+  const loadOffers = async (contract: OfferManager) => {
     try {
       // Get all offer types that farmers might be interested in
       const buyOfferIds = await contract.getOffersByType(0); // BUY_OFFER = 0
@@ -404,6 +445,10 @@ const Farmer = () => {
           // Check if farmer owns the batch for BUY_OFFER
           if (offer.offerType === 0 && offer.batchId > 0) {
             offer.ownsBatch = await checkBatchOwnership(offer.batchId);
+            offer.awaitingDeposit = offer.ownsBatch && await isAwaitingDeposit(contract, offer.id);
+          }
+          if (offer.offerType === 2 && offer.status === 0) {
+            offer.awaitingFunding = await isAwaitingFunding(contract, offer.id);
           }
           
           offerData.push(offer);
@@ -432,9 +477,8 @@ const Farmer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -488,9 +532,8 @@ const Farmer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -500,9 +543,21 @@ const Farmer = () => {
         parseInt(listForSale.tradingMode)
       );
       
-      await tx.wait();
-      
-      setSuccess("Batch listed for sale successfully!");
+      const receipt = await tx.wait();
+      
+      // Show the weather adjustment applied to weather-dependent listings
+      const priceUpdate = (receipt?.logs ?? [])
+        .map((log: ethers.Log) => contract.interface.parseLog(log))
+        .find((parsed: ethers.LogDescription | null) => parsed?.name === "PriceUpdated");
+      if (priceUpdate && Number(priceUpdate.args.adjustmentBps) !== 0) {
+        const breakdown = toPriceBreakdown(priceUpdate.args.newPrice, priceUpdate.args.adjustmentBps, priceUpdate.args.reason);
+        setSuccess(
+          `Batch listed for sale at ${ethers.formatEther(breakdown.listedPrice)} ETH ` +
+          `(${formatAdjustment(breakdown.adjustmentBps)} ${breakdown.reason})`
+        );
+      } else {
+        setSuccess("Batch listed for sale successfully!");
+      }
       setListForSale({
         batchId: "",
         askingPrice: "",
@@ -531,9 +586,8 @@ const Farmer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = OfferManager__factory.connect(
         CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
         signer
       );
       
@@ -565,9 +619,8 @@ const Farmer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
@@ -658,9 +711,8 @@ const Farmer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -697,7 +749,7 @@ const Farmer = () => {
       
       console.log(`Transferring ownership of batch ${transferOwnership.batchId} to ${newOwnerAddress}`);
       
-      const tx = await contract.transferOwnership(
+      const tx = await contract["transferOwnership(uint256,address)"](
         parseInt(transferOwnership.batchId),
         newOwnerAddress
       );
@@ -734,9 +786,8 @@ const Farmer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = Registry__factory.connect(
         CONTRACT_ADDRESSES.registry,
-        registryABI,
         signer
       );
       
@@ -771,98 +822,6 @@ const Farmer = () => {
     }
   };
 
-  const checkAndGrantOfferManagerRole = async () => {
-    if (!isConnected || !account) return;
-    
-    try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      
-      const offerManagerContract = new ethers.Contract(
-        CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
-        signer
-      );
-      
-      // Check if user has role in OfferManager
-      const hasFarmerInOfferManager = await offerManagerContract.hasRole(account, 1);
-      const isActiveInOfferManager = await offerManagerContract.isActive(account);
-      
-      console.log("OfferManager role check for account", account, ":", {
-        hasFarmer: hasFarmerInOfferManager,
-        isActive: isActiveInOfferManager
-      });
-      
-      // If user doesn't have role in OfferManager, show error
-      if (!hasFarmerInOfferManager || !isActiveInOfferManager) {
-        console.log("User doesn't have role in OfferManager");
-        setError("You don't have the FARMER role in OfferManager. Please contact an admin to approve your registration.");
-        setRoleGrantFailed(true);
-      } else {
-        console.log(" Account has FARMER role in OfferManager:", account);
-      }
-      
-    } catch (error) {
-      console.error("Error checking OfferManager role:", error);
-      setError("Error checking role status. Please try again.");
-    }
-  };
-
-  const checkAndGrantProductBatchRole = async () => {
-    if (!isConnected || !account) return;
-    
-    try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      
-      const productBatchContract = new ethers.Contract(
-        CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
-        signer
-      );
-      
-      // Check if user has role in ProductBatch
-      const hasFarmerInProductBatch = await productBatchContract.hasRole(account, 1);
-      const isActiveInProductBatch = await productBatchContract.isActive(account);
-      
-      // Check if user has role in Registry
-      const registryContract = new ethers.Contract(
-        CONTRACT_ADDRESSES.registry,
-        registryAccessABI,
-        signer
-      );
-      const hasFarmerInRegistry = await registryContract.hasRole(account, 1);
-      const isActiveInRegistry = await registryContract.isActive(account);
-      
-      console.log("ProductBatch role check for account", account, ":", {
-        hasFarmer: hasFarmerInProductBatch,
-        isActive: isActiveInProductBatch
-      });
-      
-      console.log("Registry role check for account", account, ":", {
-        hasFarmer: hasFarmerInRegistry,
-        isActive: isActiveInRegistry
-      });
-      
-      // If user doesn't have role in ProductBatch, show error
-      if (!hasFarmerInProductBatch || !isActiveInProductBatch) {
-        console.log("User doesn't have role in ProductBatch");
-        setError("You don't have the FARMER role in ProductBatch. Please contact an admin to approve your registration.");
-        setRoleGrantFailed(true);
-      } else if (!hasFarmerInRegistry || !isActiveInRegistry) {
-        console.log("User doesn't have role in Registry");
-        setError("You don't have the FARMER role in Registry. Please contact an admin to approve your registration.");
-        setRoleGrantFailed(true);
-      } else {
-        console.log(" Account has FARMER role in both ProductBatch and Registry:", account);
-      }
-      
-    } catch (error) {
-      console.error("Error checking ProductBatch role:", error);
-      setError("Error checking role status. Please try again.");
-    }
-  };
-
   if (!isConnected) {
     return (
       <div className="farmer-page">
@@ -951,30 +910,6 @@ const Farmer = () => {
                   <li>Once approved, refresh this page</li>
                 </ol>
               </div>
-              
-              {roleGrantFailed && (
-                <div className="manual-role-grant">
-                  <h4>Manual Registration</h4>
-                  <p>Automatic registration failed. Please contact an admin to approve your registration:</p>
-                  <ol>
-                    <li>Go to the Stakeholders page</li>
-                    <li>Submit a registration request</li>
-                    <li>Wait for admin approval</li>
-                    <li>Refresh this page once approved</li>
-                  </ol>
-                  
-                  <div className="testing-actions">
-                    <h4>For Testing (Admin Only)</h4>
-                    <p>If you have admin privileges, you can manually grant roles:</p>
-                    <div style={{ background: '#f8f9fa', padding: '10px', borderRadius: '4px', marginTop: '10px' }}>
-                      <p><strong>ProductBatch:</strong> grantRole({account}, 1)</p>
-                      <p><strong>Registry:</strong> grantRole({account}, 1)</p>
-                      <p><strong>ShipmentTracker:</strong> grantRole({account}, 1)</p>
-                      <p><strong>OfferManager:</strong> grantRole({account}, 1)</p>
-                    </div>
-                  </div>
-                </div>
-              )}
             </div>
           </div>
         </div>
@@ -983,6 +918,9 @@ const Farmer = () => {
   }
 
   console.log("Showing dashboard because hasFarmerRole:", hasFarmerRole, "isUserActive:", isUserActive);
+  // Forecast risk for the batch in the listing form (shown for WEATHER_DEPENDENT)
+  const listingRisk = weatherRisks[parseInt(listForSale.batchId)];
+
   return (
     <div className="farmer-page">
       <div className="page-header">
@@ -1166,6 +1104,29 @@ const Farmer = () => {
                 </div>
               </div>
               
+              {listForSale.tradingMode === "3" && listingRisk && (
+                <div className="weather-risk-panel">
+                  <h4>Forecast Weather Risk ({listingRisk.region})</h4>
+                  <p>
+                    Harvest:{" "}
+                    <span className={`risk-badge ${listingRisk.harvestLevel.toLowerCase()}`}>
+                      {formatRisk(listingRisk.harvestRisk, listingRisk.harvestLevel)}
+                    </span>
+                  </p>
+                  <p>
+                    Transport:{" "}
+                    <span className={`risk-badge ${listingRisk.transportLevel.toLowerCase()}`}>
+                      {formatRisk(listingRisk.transportRisk, listingRisk.transportLevel)}
+                    </span>
+                  </p>
+                  {listingRisk.recorded && (
+                    <p>
+                      Recorded on-chain {new Date(listingRisk.recorded.updatedAt * 1000).toLocaleString()}
+                    </p>
+                  )}
+                </div>
+              )}
+              
               <button type="submit" className="submit-button" disabled={loading}>
                 {loading ? "Listing..." : "List for Sale"}
               </button>
@@ -1269,8 +1230,10 @@ const Farmer = () => {
                     <th>Name</th>
                     <th>Quantity</th>
                     <th>Price (ETH)</th>
+                    <th>Listing Price</th>
                     <th>Status</th>
                     <th>Location</th>
+                    <th>Weather Risk</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -1281,8 +1244,38 @@ const Farmer = () => {
                       <td>{batch.name}</td>
                       <td>{batch.quantity}</td>
                       <td>{ethers.formatEther(batch.basePrice.toString())}</td>
+                      <td>
+                        {priceBreakdowns[batch.id] ? (
+                          <div className="price-breakdown">
+                            <span>Asking {ethers.formatEther(priceBreakdowns[batch.id].askingPrice)}</span>
+                            {priceBreakdowns[batch.id].adjustmentBps !== 0 && (
+                              <span className={`adjustment ${priceBreakdowns[batch.id].adjustmentBps > 0 ? "premium" : "discount"}`}>
+                                {formatAdjustment(priceBreakdowns[batch.id].adjustmentBps)}
+                              </span>
+                            )}
+                            <span>Listed {ethers.formatEther(priceBreakdowns[batch.id].listedPrice)}</span>
+                            <small>{priceBreakdowns[batch.id].reason}</small>
+                          </div>
+                        ) : (
+                          "Not listed"
+                        )}
+                      </td>
                       <td>{getBatchStatusName(batch.status)}</td>
                       <td>{batch.originLocation}</td>
+                      <td>
+                        {weatherRisks[batch.id] ? (
+                          <>
+                            <span className={`risk-badge ${weatherRisks[batch.id].harvestLevel.toLowerCase()}`}>
+                              Harvest {formatRisk(weatherRisks[batch.id].harvestRisk, weatherRisks[batch.id].harvestLevel)}
+                            </span>
+                            <span className={`risk-badge ${weatherRisks[batch.id].transportLevel.toLowerCase()}`}>
+                              Transport {formatRisk(weatherRisks[batch.id].transportRisk, weatherRisks[batch.id].transportLevel)}
+                            </span>
+                          </>
+                        ) : (
+                          "N/A"
+                        )}
+                      </td>
                       <td>
                         <button 
                           onClick={() => {
@@ -1365,7 +1358,10 @@ const Farmer = () => {
                           <>
                             {offer.offerType === 0 && (
                               <>
-                                {offer.ownsBatch ? (
+                                {offer.ownsBatch && offer.awaitingDeposit && (
+                                  <span className="offer-note">Awaiting the buyer's escrow deposit</span>
+                                )}
+                                {offer.ownsBatch && !offer.awaitingDeposit && (
                                   <button 
                                     onClick={() => handleAcceptOffer(offer.id)}
                                     className="action-button accept"
@@ -1373,7 +1369,8 @@ const Farmer = () => {
                                   >
                                     Accept Buy Offer
                                   </button>
-                                ) : (
+                                )}
+                                {!offer.ownsBatch && (
                                   <span className="offer-note error">You don't own batch #{offer.batchId}</span>
                                 )}
                               </>
@@ -1381,7 +1378,10 @@ const Farmer = () => {
                             {offer.offerType === 1 && (
                               <span className="offer-note error">Farmers cannot accept SELL_OFFER</span>
                             )}
-                            {offer.offerType === 2 && (
+                            {offer.offerType === 2 && offer.awaitingFunding && (
+                              <span className="offer-note">Awaiting the processor's contract deposit</span>
+                            )}
+                            {offer.offerType === 2 && !offer.awaitingFunding && (
                               <button 
                                 onClick={() => handleAcceptOffer(offer.id)}
                                 className="action-button accept"
@@ -1395,6 +1395,22 @@ const Farmer = () => {
                         {offer.creator.toLowerCase() === account.toLowerCase() && (
                           <span className="own-offer">Your Offer</span>
                         )}
+                        {offer.batchId !== 0 && (
+                          <button
+                            onClick={() => setNegotiationBatchId(offer.batchId)}
+                            className="action-button"
+                          >
+                            Negotiation
+                          </button>
+                        )}
+                        {offer.batchId !== 0 && (
+                          <button
+                            onClick={() => setFillsOfferId(offer.id)}
+                            className="action-button"
+                          >
+                            Fills
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -1405,6 +1421,40 @@ const Farmer = () => {
                 <p className="no-data-message">No offers available in the marketplace. Create a batch and list it for sale to get started.</p>
               )}
             </div>
+
+            {negotiationBatchId !== null && (
+              <NegotiationTimeline
+                account={account}
+                batchId={negotiationBatchId}
+                refresh={offers}
+                onSuccess={(message) => {
+                  setSuccess(message);
+                  loadData();
+                }}
+                onError={setError}
+                onClose={() => setNegotiationBatchId(null)}
+              />
+            )}
+
+            {fillsOfferId !== null && (
+              <PartialFills
+                account={account}
+                offerId={fillsOfferId}
+                refresh={offers}
+                onSuccess={(message) => {
+                  setSuccess(message);
+                  loadData();
+                }}
+                onError={setError}
+                onClose={() => setFillsOfferId(null)}
+              />
+            )}
+
+            <ExpiredOffers account={account} refresh={offers} onSuccess={setSuccess} onError={setError} />
+
+            <EscrowPanel account={account} refresh={offers} onSuccess={setSuccess} onError={setError} />
+
+            <ContractFarmingPanel account={account} refresh={offers} onSuccess={setSuccess} onError={setError} />
           </div>
         )}
 
@@ -1,69 +1,34 @@
 import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
+import {
+  OfferManager,
+  OfferManager__factory,
+  ProductBatch,
+  ProductBatch__factory,
+  QRCodeVerifier__factory,
+  Registry__factory,
+  ShipmentTracker,
+  ShipmentTracker__factory,
+  StakeholderManager,
+  StakeholderManager__factory
+} from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import { IndexedBatch, queryIndex, toBatchSummary } from "../api/indexer";
+import EscrowPanel, { acceptOfferWithPayment } from "../components/EscrowPanel";
+import ExpiredOffers from "../components/ExpiredOffers";
+import NegotiationTimeline from "../components/NegotiationTimeline";
+import PartialFills from "../components/PartialFills";
 import "../styles/pages.css";
 import "../styles/retailer.css";
 
-// Contract ABIs
-const productBatchABI = [
-  "function listForSale(uint256, uint256, uint8) external",
-  "function transferOwnership(uint256, address) external",
-  "function getBatchInfo(uint256) external view returns (address, address, string, string, uint256, uint256, string, uint8, uint256, uint256)",
-  "event BatchListed(uint256 indexed batchId, uint256 price, uint8 tradingMode)"
-];
-
-const offerManagerABI = [
-  "function createBuyOffer(uint256, uint256, uint256, string, uint256, address) external returns (uint256)",
-  "function acceptOffer(uint256) external",
-  "function getAvailableOffers(address) external view returns (uint256[])",
-  "function getOffersByType(uint8) external view returns (uint256[])",
-  "function getOfferInfo(uint256) external view returns (address, address, uint256, uint256, uint256, uint8, uint8, string, uint256, address)",
-  "event OfferCreated(uint256 indexed offerId, address indexed creator, uint256 indexed batchId, uint8 offerType)",
-  "event OfferAccepted(uint256 indexed offerId, address indexed acceptor, uint256 price)"
-];
-
-const registryABI = [
-  "function recordTransaction(uint256, address, address, uint256, uint256, string) external returns (uint256)",
-  "event TransactionRecorded(uint256 indexed transactionId, uint256 indexed batchId, address indexed buyer, uint256 usdValue, uint256 localValue)"
-];
-
-const shipmentTrackerABI = [
-  "function confirmDelivery(uint256) external",
-  "function createShipment(uint256, uint256, address, address, string, string, string, string) external returns (uint256)",
-  "function getUserShipmentsByStatus(address, uint8) external view returns (uint256[])",
-  "function shipments(uint256) external view returns (uint256 id, uint256 batchId, uint256 offerId, address sender, address receiver, address shipper, string trackingId, string fromLocation, string toLocation, uint8 status, string metadataHash, uint256 createdAt, uint256 pickedUpAt, uint256 deliveredAt, uint256 confirmedAt)",
-  "event DeliveryConfirmed(uint256 indexed shipmentId, address indexed receiver)",
-  "event ShipmentCreated(uint256 indexed shipmentId, uint256 indexed batchId, address indexed receiver)"
-];
-
-const accessControlABI = [
-  "function hasRole(address, uint8) external view returns (bool)",
-  "function getRole(address) external view returns (uint8)",
-  "function isActive(address) external view returns (bool)",
-  "function getStakeholderInfo(address) external view returns (uint8, string, string, string, string, bool, uint256)",
-  "function isFullyActive(address) external view returns (bool)"
-];
-
-const qrCodeVerifierABI = [
-  "function generateQRCode(uint256) external returns (string)",
-  "function verifyQRCode(string) external returns (tuple(bool isValid, string productName, string origin, uint256 batchId, address currentOwner, address farmer, uint256 productionDate, uint8 status, uint8 tradingMode, string lastLocation, uint256 lastUpdate, uint256 provenanceRecords, bool isProvenanceComplete))",
-  "function verifyQRCodeView(string) external view returns (tuple(bool isValid, string productName, string origin, uint256 batchId, address currentOwner, address farmer, uint256 productionDate, uint8 status, uint8 tradingMode, string lastLocation, uint256 lastUpdate, uint256 provenanceRecords, bool isProvenanceComplete))",
-  "function getQRCodeForBatch(uint256) external view returns (string)",
-  "function isQRCodeValid(string) external view returns (bool)",
-  "function deactivateQRCode(string) external",
-  "function getQRAnalytics() external view returns (uint256 totalGenerated, uint256 totalActive, uint256 totalDeactivated)",
-  "event QRCodeGenerated(string indexed qrCode, uint256 indexed batchId, address indexed farmer)",
-  "event QRCodeVerified(string indexed qrCode, address indexed verifier, bool isValid)",
-  "event QRCodeDeactivated(string indexed qrCode, uint256 indexed batchId)"
-];
-
 // Contract addresses
 const CONTRACT_ADDRESSES = {
-  productBatch: process.env.REACT_APP_PRODUCT_BATCH_ADDRESS || "0xa513E6E4b8f2a923D98304ec87F64353C4D5C853",
-  offerManager: process.env.REACT_APP_OFFER_MANAGER_ADDRESS || "0x2279B7A0a67DB372996a5FaB50D91eAA73d2eBe6",
-  registry: process.env.REACT_APP_REGISTRY_ADDRESS || "0x8A791620dd6260079BF849Dc5567aDC3F2FdC318",
-  shipmentTracker: process.env.REACT_APP_SHIPMENT_TRACKER_ADDRESS || "0x610178dA211FEF7D417bC0e6FeD39F05609AD788",
-  accessControl: process.env.REACT_APP_ACCESS_CONTROL_ADDRESS || "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707",
-  qrCodeVerifier: process.env.REACT_APP_QR_CODE_VERIFIER_ADDRESS || "0x9A9f2CCfdE556A7E9Ff0848998Aa4a0CFD8863AE" // Updated to match error address
+  productBatch: getContractAddress("ProductBatch"),
+  offerManager: getContractAddress("OfferManager"),
+  registry: getContractAddress("Registry"),
+  shipmentTracker: getContractAddress("ShipmentTracker"),
+  accessControl: getContractAddress("StakeholderManager"),
+  qrCodeVerifier: getContractAddress("QRCodeVerifier")
 };
 
 interface Batch {
@@ -146,7 +111,7 @@ const getBatchStatusName = (status: number): string => {
 };
 
 const getOfferStatusName = (status: number): string => {
-  const statuses = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED"];
+  const statuses = ["OPEN", "ACCEPTED", "EXPIRED", "CANCELLED", "COUNTERED", "FILLED"];
   return statuses[status] || "UNKNOWN";
 };
 
@@ -169,6 +134,8 @@ const Retailer = () => {
   
   const [batches, setBatches] = useState<Batch[]>([]);
   const [offers, setOffers] = useState<Offer[]>([]);
+  const [negotiationBatchId, setNegotiationBatchId] = useState<number | null>(null);
+  const [fillsOfferId, setFillsOfferId] = useState<number | null>(null);
   const [shipments, setShipments] = useState<Shipment[]>([]);
   const [activeTab, setActiveTab] = useState("trading");
   
@@ -288,27 +255,23 @@ const Retailer = () => {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
       
-      const productBatchContract = new ethers.Contract(
+      const productBatchContract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
-      const offerManagerContract = new ethers.Contract(
+      const offerManagerContract = OfferManager__factory.connect(
         CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
         signer
       );
       
-      const shipmentTrackerContract = new ethers.Contract(
+      const shipmentTrackerContract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
-      const accessControlContract = new ethers.Contract(
+      const accessControlContract = StakeholderManager__factory.connect(
         CONTRACT_ADDRESSES.accessControl,
-        accessControlABI,
         signer
       );
       
@@ -328,7 +291,7 @@ const Retailer = () => {
     }
   };
 
-  const checkUserRole = async (contract: ethers.Contract) => {
+  const checkUserRole = async (contract: StakeholderManager) => {
     try {
       const role = await contract.getRole(account);
       const isActive = await contract.isFullyActive(account);
@@ -346,29 +309,34 @@ const Retailer = () => {
     }
   };
 
-  const loadBatches = async (contract: ethers.Contract) => {
+  const loadBatches = async (contract: ProductBatch) => {
     try {
-      const batchIds = [1, 2, 3]; // Placeholder
-      const batchData: Batch[] = [];
-      
-      for (const batchId of batchIds) {
-        try {
-          const batchInfo = await contract.getBatchInfo(batchId);
-          batchData.push({
-            id: batchId,
-            farmer: batchInfo[0],
-            currentOwner: batchInfo[1],
-            name: batchInfo[2],
-            description: batchInfo[3],
-            quantity: Number(batchInfo[4]),
-            basePrice: Number(batchInfo[5]),
-            originLocation: batchInfo[6],
-            status: Number(batchInfo[7]),
-            createdAt: Number(batchInfo[8]),
-            lastUpdated: Number(batchInfo[9])
-          });
-        } catch (error) {
-          console.log(`Batch ${batchId} not found`);
+      let batchData: Batch[] = [];
+      try {
+        batchData = (await queryIndex<IndexedBatch>("batches", { currentOwner: account })).map(toBatchSummary);
+      } catch (error) {
+        // API server not running: read the batches from the contract
+        console.log("Event index unavailable:", error);
+        const batchIds = [1, 2, 3]; // Placeholder
+        for (const batchId of batchIds) {
+          try {
+            const batchInfo = await contract.getBatchInfo(batchId);
+            batchData.push({
+              id: batchId,
+              farmer: batchInfo[0],
+              currentOwner: batchInfo[1],
+              name: batchInfo[2],
+              description: batchInfo[3],
+              quantity: Number(batchInfo[4]),
+              basePrice: Number(batchInfo[5]),
+              originLocation: batchInfo[6],
+              status: Number(batchInfo[7]),
+              createdAt: Number(batchInfo[8]),
+              lastUpdated: Number(batchInfo[9])
+            });
+          } catch (error) {
+            console.log(`Batch ${batchId} not found`);
+          }
         }
       }
       
@@ -378,7 +346,7 @@ const Retailer = () => {
     }
   };
 
-  const loadOffers = async (contract: ethers.Contract) => {
+  const loadOffers = async (contract: OfferManager) => {
     try {
       // Get all buy offers (offers that processors can accept)
       const buyOfferIds = await contract.getOffersByType(0); // BUY_OFFER = 0
@@ -415,7 +383,7 @@ const Retailer = () => {
     }
   };
 
-  const loadShipments = async (contract: ethers.Contract) => {
+  const loadShipments = async (contract: ShipmentTracker) => {
     try {
       const deliveredShipments = await contract.getUserShipmentsByStatus(account, 3); // DELIVERED
       
@@ -500,9 +468,8 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -544,9 +511,8 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = OfferManager__factory.connect(
         CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
         signer
       );
       
@@ -570,7 +536,7 @@ const Retailer = () => {
       
       await tx.wait();
       
-      setSuccess("Buy offer created successfully!");
+      setSuccess("Buy offer created! Deposit the payment under Escrowed Payments so the seller can accept it.");
       setCreateBuyOffer({
         batchId: "",
         offeredPrice: "",
@@ -603,9 +569,8 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
@@ -677,9 +642,8 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -705,7 +669,7 @@ const Retailer = () => {
         newOwner: newOwnerAddress
       });
       
-      const tx = await contract.transferOwnership(
+      const tx = await contract["transferOwnership(uint256,address)"](
         parseInt(transferOwnership.batchId),
         newOwnerAddress
       );
@@ -739,13 +703,8 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
-        CONTRACT_ADDRESSES.offerManager,
-        offerManagerABI,
-        signer
-      );
-      
-      const tx = await contract.acceptOffer(offerId);
+      // Pays a sell offer's asking price into escrow
+      const tx = await acceptOfferWithPayment(signer, offerId);
       await tx.wait();
       
       setSuccess("Offer accepted successfully!");
@@ -771,9 +730,8 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
@@ -805,9 +763,8 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = Registry__factory.connect(
         CONTRACT_ADDRESSES.registry,
-        registryABI,
         signer
       );
       
@@ -865,9 +822,8 @@ const Retailer = () => {
       const signer = await provider.getSigner();
       
       // First, check if user has the required role
-      const accessControlContract = new ethers.Contract(
+      const accessControlContract = StakeholderManager__factory.connect(
         CONTRACT_ADDRESSES.accessControl,
-        accessControlABI,
         signer
       );
       
@@ -882,9 +838,8 @@ const Retailer = () => {
       });
       
       // Check if batch exists
-      const productBatchContract = new ethers.Contract(
+      const productBatchContract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -910,13 +865,15 @@ const Retailer = () => {
       }
       
       // Now try to generate QR code
-      const qrContract = new ethers.Contract(
+      const qrContract = QRCodeVerifier__factory.connect(
         CONTRACT_ADDRESSES.qrCodeVerifier,
-        qrCodeVerifierABI,
         signer
       );
       
-      const qrCode = await qrContract.generateQRCode(parseInt(generateQRCode.batchId));
+      // Read the generated code first, the transaction only returns a receipt
+      const qrCode = await qrContract.generateQRCode.staticCall(parseInt(generateQRCode.batchId));
+      const tx = await qrContract.generateQRCode(parseInt(generateQRCode.batchId));
+      await tx.wait();
       
       setSuccess(`QR Code generated successfully: ${qrCode}`);
       setGenerateQRCode({ batchId: "" });
@@ -961,13 +918,12 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = QRCodeVerifier__factory.connect(
         CONTRACT_ADDRESSES.qrCodeVerifier,
-        qrCodeVerifierABI,
         signer
       );
       
-      const result = await contract.verifyQRCode(verifyQRCode.qrCode);
+      const result = await contract.verifyQRCodeView(verifyQRCode.qrCode);
       
       const verificationResult: VerificationResult = {
         isValid: result.isValid,
@@ -1019,9 +975,8 @@ const Retailer = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = QRCodeVerifier__factory.connect(
         CONTRACT_ADDRESSES.qrCodeVerifier,
-        qrCodeVerifierABI,
         signer
       );
       
@@ -1060,9 +1015,8 @@ const Retailer = () => {
     
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
-      const contract = new ethers.Contract(
+      const contract = QRCodeVerifier__factory.connect(
         CONTRACT_ADDRESSES.qrCodeVerifier,
-        qrCodeVerifierABI,
         provider
       );
       
@@ -1090,9 +1044,8 @@ const Retailer = () => {
     
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
-      const contract = new ethers.Contract(
+      const contract = QRCodeVerifier__factory.connect(
         CONTRACT_ADDRESSES.qrCodeVerifier,
-        qrCodeVerifierABI,
         provider
       );
       
@@ -1124,9 +1077,8 @@ const Retailer = () => {
     
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
-      const accessControlContract = new ethers.Contract(
+      const accessControlContract = StakeholderManager__factory.connect(
         CONTRACT_ADDRESSES.accessControl,
-        accessControlABI,
         provider
       );
       
@@ -1635,6 +1587,22 @@ const Retailer = () => {
                         {offer.creator.toLowerCase() === account.toLowerCase() && (
                           <span className="own-offer">Your Offer</span>
                         )}
+                        {offer.batchId !== 0 && (
+                          <button
+                            onClick={() => setNegotiationBatchId(offer.batchId)}
+                            className="action-button"
+                          >
+                            Negotiation
+                          </button>
+                        )}
+                        {offer.batchId !== 0 && (
+                          <button
+                            onClick={() => setFillsOfferId(offer.id)}
+                            className="action-button"
+                          >
+                            Fills
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -1645,6 +1613,38 @@ const Retailer = () => {
                 <p className="no-data-message">No offers available. Create a buy offer above to get started.</p>
               )}
             </div>
+
+            {negotiationBatchId !== null && (
+              <NegotiationTimeline
+                account={account}
+                batchId={negotiationBatchId}
+                refresh={offers}
+                onSuccess={(message) => {
+                  setSuccess(message);
+                  loadData();
+                }}
+                onError={setError}
+                onClose={() => setNegotiationBatchId(null)}
+              />
+            )}
+
+            {fillsOfferId !== null && (
+              <PartialFills
+                account={account}
+                offerId={fillsOfferId}
+                refresh={offers}
+                onSuccess={(message) => {
+                  setSuccess(message);
+                  loadData();
+                }}
+                onError={setError}
+                onClose={() => setFillsOfferId(null)}
+              />
+            )}
+
+            <ExpiredOffers account={account} refresh={offers} onSuccess={setSuccess} onError={setError} />
+
+            <EscrowPanel account={account} refresh={offers} onSuccess={setSuccess} onError={setError} />
           </div>
         )}
 
@@ -1793,21 +1793,19 @@ const Retailer = () => {
                       const signer = await provider.getSigner();
                       const userAddress = await signer.getAddress();
                       
-                      // List of possible QRCodeVerifier addresses to check
+                      // QRCodeVerifier address, plus other manifest addresses for comparison
                       const possibleAddresses = [
-                        "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0", // Current address
-                        "0x9A9f2CCfdE556A7E9Ff0848998Aa4a0CFD8863AE", // Address from error
-                        "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707", // StakeholderManager address (for comparison)
-                        "0xa513E6E4b8f2a923D98304ec87F64353C4D5C853", // ProductBatch address (for comparison)
+                        CONTRACT_ADDRESSES.qrCodeVerifier,
+                        CONTRACT_ADDRESSES.accessControl,
+                        CONTRACT_ADDRESSES.productBatch,
                       ];
                       
                       console.log("Checking multiple possible QRCodeVerifier addresses...");
                       
                       for (const address of possibleAddresses) {
                         try {
-                          const qrContract = new ethers.Contract(
+                          const qrContract = QRCodeVerifier__factory.connect(
                             address,
-                            qrCodeVerifierABI,
                             provider
                           );
                           
@@ -1851,9 +1849,8 @@ const Retailer = () => {
                       const userAddress = await signer.getAddress();
                       
                       // Check role in QRCodeVerifier contract
-                      const qrContract = new ethers.Contract(
+                      const qrContract = QRCodeVerifier__factory.connect(
                         CONTRACT_ADDRESSES.qrCodeVerifier,
-                        qrCodeVerifierABI,
                         provider
                       );
                       
@@ -1869,16 +1866,15 @@ const Retailer = () => {
                       
                       const hasRole = await qrContract.hasRole(userAddress, 5); // Check for RETAILER role
                       const isActive = await qrContract.isActive(userAddress);
-                      const userRole = await qrContract.getRole(userAddress);
+                      const userRole = Number(await qrContract.getRole(userAddress));
                       
                       // Also check roles in other contracts for comparison
-                      const accessControlContract = new ethers.Contract(
+                      const accessControlContract = StakeholderManager__factory.connect(
                         CONTRACT_ADDRESSES.accessControl,
-                        accessControlABI,
                         provider
                       );
                       
-                      const otherContractRole = await accessControlContract.getRole(userAddress);
+                      const otherContractRole = Number(await accessControlContract.getRole(userAddress));
                       const otherContractActive = await accessControlContract.isActive(userAddress);
                       
                       console.log("Comprehensive Role Check:", {
@@ -1887,10 +1883,10 @@ const Retailer = () => {
                         qrCodeVerifier: {
                           hasRetailerRole: hasRole,
                           isActive: isActive,
-                          userRole: Number(userRole)
+                          userRole: userRole
                         },
                         otherContracts: {
-                          role: Number(otherContractRole),
+                          role: otherContractRole,
                           isActive: otherContractActive
                         }
                       });
@@ -1905,43 +1901,6 @@ const Retailer = () => {
                 >
                   Check QR Code Role Status
                 </button>
-                <button 
-                  onClick={async () => {
-                    try {
-                      const provider = new ethers.BrowserProvider(window.ethereum);
-                      const signer = await provider.getSigner();
-                      const userAddress = await signer.getAddress();
-                      
-                      // Check role in QRCodeVerifier contract
-                      const qrContract = new ethers.Contract(
-                        CONTRACT_ADDRESSES.qrCodeVerifier,
-                        qrCodeVerifierABI,
-                        signer
-                      );
-                      
-                      // Try to grant RETAILER role to self (only works if user is admin)
-                      const tx = await qrContract.grantRole(userAddress, 5); // RETAILER role
-                      await tx.wait();
-                      
-                      alert(`Successfully granted RETAILER role to ${userAddress} in QRCodeVerifier!`);
-                      
-                      // Refresh the page to update permissions
-                      window.location.reload();
-                      
-                    } catch (error: any) {
-                      console.error("Error granting role:", error);
-                      if (error.message.includes("AccessControl: admin role required")) {
-                        alert("You don't have admin privileges to grant roles. Please contact an administrator.");
-                      } else {
-                        alert("Error granting role: " + error.message);
-                      }
-                    }
-                  }}
-                  className="debug-button"
-                  style={{ marginLeft: '10px' }}
-                >
-                  Grant Self RETAILER Role (Admin Only)
-                </button>
               </div>
             )}
             
@@ -1,48 +1,29 @@
 import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
+import {
+  ProductBatch,
+  ProductBatch__factory,
+  ShipmentTracker,
+  ShipmentTracker__factory,
+  StakeholderManager,
+  StakeholderManager__factory
+} from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import {
+  IndexedBatch,
+  IndexedShipment,
+  queryIndex,
+  SHIPMENT_STATUSES,
+  toBatchSummary
+} from "../api/indexer";
 import "../styles/pages.css";
 import "../styles/shipper.css";
 
-// Contract ABIs
-const shipmentTrackerABI = [
-  "function pickupShipment(uint256) external",
-  "function updateLocation(uint256, string) external",
-  "function markDelivered(uint256) external",
-  "function confirmDelivery(uint256) external",
-  "function getUserShipmentsByStatus(address, uint8) external view returns (uint256[])",
-  "function getShipmentByTrackingId(string) external view returns (uint256, uint256, address, address, uint8, string, string, uint256, uint256)",
-  "function getTrackingHistory(uint256) external view returns (string[], uint256[])",
-  "function shipments(uint256) external view returns (uint256 id, uint256 batchId, uint256 offerId, address sender, address receiver, address shipper, string trackingId, string fromLocation, string toLocation, uint8 status, string metadataHash, uint256 createdAt, uint256 pickedUpAt, uint256 deliveredAt, uint256 confirmedAt)",
-  "event ShipmentPickedUp(uint256 indexed shipmentId, address indexed shipper)",
-  "event ShipmentInTransit(uint256 indexed shipmentId, string location)",
-  "event ShipmentDelivered(uint256 indexed shipmentId, uint256 deliveredAt)",
-  "event DeliveryConfirmed(uint256 indexed shipmentId, address indexed receiver)",
-  "event LocationUpdated(uint256 indexed shipmentId, string location, uint256 timestamp)"
-];
-
-const productBatchABI = [
-  "function transferOwnership(uint256, address) external",
-  "function getBatchInfo(uint256) external view returns (address, address, string, string, uint256, uint256, string, uint8, uint256, uint256)",
-  "function grantRole(address, uint8) external",
-  "function hasRole(address, uint8) external view returns (bool)",
-  "function isActive(address) external view returns (bool)"
-];
-
-const accessControlABI = [
-  "function hasRole(address, uint8) external view returns (bool)",
-  "function getRole(address) external view returns (uint8)",
-  "function isActive(address) external view returns (bool)",
-  "function grantRole(address, uint8) external",
-  "function activateAccount(address) external",
-  "function getStakeholderInfo(address) external view returns (uint8, string, string, string, string, bool, uint256)",
-  "function isFullyActive(address) external view returns (bool)"
-];
-
 // Contract addresses
 const CONTRACT_ADDRESSES = {
-  shipmentTracker: process.env.REACT_APP_SHIPMENT_TRACKER_ADDRESS || "0x610178dA211FEF7D417bC0e6FeD39F05609AD788",
-  productBatch: process.env.REACT_APP_PRODUCT_BATCH_ADDRESS || "0xa513E6E4b8f2a923D98304ec87F64353C4D5C853",
-  accessControl: process.env.REACT_APP_ACCESS_CONTROL_ADDRESS || "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707" // This is StakeholderManager
+  shipmentTracker: getContractAddress("ShipmentTracker"),
+  productBatch: getContractAddress("ProductBatch"),
+  accessControl: getContractAddress("StakeholderManager") // This is StakeholderManager
 };
 
 interface Shipment {
@@ -177,21 +158,18 @@ const Shipper = () => {
       const signer = await provider.getSigner();
       console.log("Signer address:", await signer.getAddress());
       
-      const shipmentTrackerContract = new ethers.Contract(
+      const shipmentTrackerContract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
-      const productBatchContract = new ethers.Contract(
+      const productBatchContract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
-      const accessControlContract = new ethers.Contract(
+      const accessControlContract = StakeholderManager__factory.connect(
         CONTRACT_ADDRESSES.accessControl,
-        accessControlABI,
         signer
       );
       
@@ -211,7 +189,7 @@ const Shipper = () => {
     }
   };
 
-  const checkUserRole = async (contract: ethers.Contract) => {
+  const checkUserRole = async (contract: StakeholderManager) => {
     try {
       console.log("Starting role check for account:", account);
       console.log("Contract address:", CONTRACT_ADDRESSES.accessControl);
@@ -260,7 +238,22 @@ const Shipper = () => {
     }
   };
 
-  const loadShipments = async (contract: ethers.Contract) => {
+  const loadShipments = async (contract: ShipmentTracker) => {
+    try {
+      // Shipments this account sends, receives or carries, in every status
+      const indexed = await queryIndex<IndexedShipment>("shipments", { participant: account });
+      setShipments(indexed.map((shipment) => ({
+        ...shipment,
+        status: SHIPMENT_STATUSES.indexOf(shipment.status),
+        locationUpdates: [],
+        timestamps: []
+      })));
+      return;
+    } catch (error) {
+      // API server not running: scan the contract status by status
+      console.log("Event index unavailable:", error);
+    }
+
     try {
       console.log("=== LOADING SHIPMENTS ===");
       console.log("Contract address:", CONTRACT_ADDRESSES.shipmentTracker);
@@ -405,29 +398,34 @@ const Shipper = () => {
     }
   };
 
-  const loadBatches = async (contract: ethers.Contract) => {
+  const loadBatches = async (contract: ProductBatch) => {
     try {
-      const batchIds = [1, 2, 3]; // Placeholder - should come from contract
-      const batchData: Batch[] = [];
-      
-      for (const batchId of batchIds) {
-        try {
-          const batchInfo = await contract.getBatchInfo(batchId);
-          batchData.push({
-            id: batchId,
-            farmer: batchInfo[0],
-            currentOwner: batchInfo[1],
-            name: batchInfo[2],
-            description: batchInfo[3],
-            quantity: Number(batchInfo[4]),
-            basePrice: Number(batchInfo[5]),
-            originLocation: batchInfo[6],
-            status: Number(batchInfo[7]),
-            createdAt: Number(batchInfo[8]),
-            lastUpdated: Number(batchInfo[9])
-          });
-        } catch (error) {
-          console.log(`Batch ${batchId} not found`);
+      let batchData: Batch[] = [];
+      try {
+        batchData = (await queryIndex<IndexedBatch>("batches")).map(toBatchSummary);
+      } catch (error) {
+        // API server not running: read the batches from the contract
+        console.log("Event index unavailable:", error);
+        const batchIds = [1, 2, 3]; // Placeholder - should come from contract
+        for (const batchId of batchIds) {
+          try {
+            const batchInfo = await contract.getBatchInfo(batchId);
+            batchData.push({
+              id: batchId,
+              farmer: batchInfo[0],
+              currentOwner: batchInfo[1],
+              name: batchInfo[2],
+              description: batchInfo[3],
+              quantity: Number(batchInfo[4]),
+              basePrice: Number(batchInfo[5]),
+              originLocation: batchInfo[6],
+              status: Number(batchInfo[7]),
+              createdAt: Number(batchInfo[8]),
+              lastUpdated: Number(batchInfo[9])
+            });
+          } catch (error) {
+            console.log(`Batch ${batchId} not found`);
+          }
         }
       }
       
@@ -451,9 +449,8 @@ const Shipper = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
@@ -486,9 +483,8 @@ const Shipper = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
@@ -524,9 +520,8 @@ const Shipper = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ShipmentTracker__factory.connect(
         CONTRACT_ADDRESSES.shipmentTracker,
-        shipmentTrackerABI,
         signer
       );
       
@@ -559,9 +554,8 @@ const Shipper = () => {
     try {
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(
+      const contract = ProductBatch__factory.connect(
         CONTRACT_ADDRESSES.productBatch,
-        productBatchABI,
         signer
       );
       
@@ -598,7 +592,7 @@ const Shipper = () => {
       
       console.log(`Transferring ownership of batch ${transferOwnership.batchId} to ${newOwnerAddress}`);
       
-      const tx = await contract.transferOwnership(
+      const tx = await contract["transferOwnership(uint256,address)"](
         parseInt(transferOwnership.batchId),
         newOwnerAddress
       );
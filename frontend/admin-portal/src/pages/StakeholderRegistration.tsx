@@ -1,13 +1,9 @@
 import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
+import { StakeholderManager__factory } from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
 import "../styles/stakeholders.css";
 
-// Define ABI for StakeholderManager contract
-const StakeholderManagerABI = [
-    // Registration request function
-    "function submitRegistrationRequest(uint8, string, string, string, string, string, string) external returns (uint256)"
-];
-
 // Role enum to match Solidity contract
 enum Role {
     NONE = 0,
@@ -29,9 +25,8 @@ const roleNames: { [key: number]: string } = {
 };
 
 const StakeholderRegistration: React.FC = () => {
-    // Contract address from environment variables
-    const stakeholderManagerAddress = process.env.REACT_APP_STAKEHOLDER_MANAGER_ADDRESS || 
-        "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707"; // Fallback for local dev
+    // Contract address from the deployment manifest
+    const stakeholderManagerAddress = getContractAddress("StakeholderManager");
     
     // Form state
     const [formData, setFormData] = useState({
@@ -135,9 +130,8 @@ const StakeholderRegistration: React.FC = () => {
             const provider = new ethers.BrowserProvider(window.ethereum);
             const signer = await provider.getSigner();
             
-            const contract = new ethers.Contract(
+            const contract = StakeholderManager__factory.connect(
                 stakeholderManagerAddress,
-                StakeholderManagerABI,
                 signer
             );
             
@@ -1,5 +1,11 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { ethers } from "ethers";
+import {
+  StakeholderManager,
+  StakeholderManager__factory
+} from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import { FetchPage, usePagedList } from "../hooks/usePagedList";
 import "../styles/pages.css";
 import "../styles/stakeholders.css";
 
@@ -41,97 +47,8 @@ const LoadingSpinner: React.FC<{ show: boolean }> = ({ show }) => {
   );
 };
 
-// Stakeholder Manager contract ABI (only the functions we need)
-const stakeholderManagerABI = [
-    // Stakeholder management
-    "function isActive(address) view returns (bool)",
-    "function getStakeholderInfo(address) view returns (uint8, string, string, string, string, bool, uint256)",
-    "function getCompleteStakeholderInfo(address) view returns (uint8, string, string, string, string, bool, uint256, string, uint256)",
-    "function reactivateStakeholder(address) external",
-    "function deactivateStakeholder(address) external",
-    "function updateStakeholderInfo(address, string, string, string) external",
-    "function stakeholdersByRole(uint8) view returns (address[])",
-    "function getAllStakeholders() view returns (address[])",
-    "function getStakeholdersCount() view returns (uint256)",
-    "function getStakeholdersCountByRole(uint8) view returns (uint256)",
-    "function blacklistStakeholder(address) external",
-    "function removeFromBlacklist(address) external",
-    "function isBlacklisted(address) view returns (bool)",
-    
-    // Registration requests
-    "function submitRegistrationRequest(uint8, string, string, string, string, string, string) external returns (uint256)",
-    "function approveRegistrationRequest(uint256, string) external",
-    "function rejectRegistrationRequest(uint256, string) external",
-    "function getPendingRequests() view returns (uint256[])",
-    "function getRegistrationRequest(uint256) view returns (uint256, address, uint8, string, string, string, string, string, string, uint256, uint8, address, uint256, string, string)",
-    
-    // License key management
-    "function regenerateLicenseKey(address) external returns (string)",
-    "function getMyLicenseKey() external view returns (string)",
-    "function getLicenseKey(address) external view returns (string)",
-    "function getLicenseKeyForAddress(address) external view returns (string)",
-    "function verifyLicenseKey(string) external view returns (bool, address, uint8, string, uint256)",
-    "function getLicenseKeyGeneratedAt(address) view returns (uint256)",
-    
-    // Statistics
-    "function getTotalStakeholders() external view returns (uint256)",
-    "function getRoleStatistics() external view returns (uint256, uint256, uint256, uint256, uint256, uint256)",
-    "function getRegistrationStats() external view returns (uint256, uint256, uint256, uint256, uint256)",
-    
-    // Authorization
-    "function isAdmin(address) view returns (bool)",
-    "function getRole(address) view returns (uint8)",
-    "function isActive(address) view returns (bool)",
-    "function activate(address) external"
-];
-
-// ProductBatch contract ABI for role granting
-const productBatchABI = [
-    "function grantRole(address, uint8) external",
-    "function hasRole(address, uint8) external view returns (bool)",
-    "function isActive(address) external view returns (bool)",
-    "function activateAccount(address) external"
-];
-
-// Registry contract ABI for role granting
-const registryABI = [
-    "function grantRole(address, uint8) external",
-    "function hasRole(address, uint8) external view returns (bool)",
-    "function isActive(address) external view returns (bool)",
-    "function activateAccount(address) external"
-];
-
-// ShipmentTracker contract ABI for role granting
-const shipmentTrackerABI = [
-    "function grantRole(address, uint8) external",
-    "function hasRole(address, uint8) external view returns (bool)",
-    "function isActive(address) external view returns (bool)",
-    "function activateAccount(address) external"
-];
-
-// OfferManager contract ABI for role granting
-const offerManagerABI = [
-    "function grantRole(address, uint8) external",
-    "function hasRole(address, uint8) external view returns (bool)",
-    "function isActive(address) external view returns (bool)",
-    "function activateAccount(address) external"
-];
-
-// QRCodeVerifier contract ABI for role granting
-const qrCodeVerifierABI = [
-    "function grantRole(address, uint8) external",
-    "function hasRole(address, uint8) external view returns (bool)",
-    "function isActive(address) external view returns (bool)",
-    "function activateAccount(address) external"
-];
-
-// Contract address from environment variables
-const stakeholderManagerAddress = process.env.REACT_APP_STAKEHOLDER_MANAGER_ADDRESS || "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707"; // Fallback for local dev
-const productBatchAddress = process.env.REACT_APP_PRODUCT_BATCH_ADDRESS || "0xa513E6E4b8f2a923D98304ec87F64353C4D5C853"; // ProductBatch contract address
-const registryAddress = process.env.REACT_APP_REGISTRY_ADDRESS || "0x8A791620dd6260079BF849Dc5567aDC3F2FdC318"; // Registry contract address
-const shipmentTrackerAddress = process.env.REACT_APP_SHIPMENT_TRACKER_ADDRESS || "0x610178dA211FEF7D417bC0e6FeD39F05609AD788"; // ShipmentTracker contract address
-const offerManagerAddress = process.env.REACT_APP_OFFER_MANAGER_ADDRESS || "0x2279B7A0a67DB372996a5FaB50D91eAA73d2eBe6"; // OfferManager contract address
-const qrCodeVerifierAddress = process.env.REACT_APP_QR_CODE_VERIFIER_ADDRESS || "0x9A9f2CCfdE556A7E9Ff0848998Aa4a0CFD8863AE"; // QRCodeVerifier contract address
+// Contract addresses from the deployment manifest
+const stakeholderManagerAddress = getContractAddress("StakeholderManager");
 
 interface RegistrationRequest {
     requestId: number;
@@ -185,6 +102,53 @@ const getRoleName = (roleId: number): string => {
     return roleMap[roleId] || "Unknown";
 };
 
+// Read one stakeholder's details, falling back to the basic info (no license key)
+const readStakeholderInfo = async (
+    contract: StakeholderManager,
+    address: string
+): Promise<StakeholderInfo | null> => {
+    try {
+        // Use getCompleteStakeholderInfo which returns more details (including license key)
+        const info = await contract.getCompleteStakeholderInfo(address);
+
+        // Format the stakeholder info from the contract return values
+        return {
+            address: address,  // Address is not returned by the function, we use the one from the page
+            role: Number(info[0]), // Role index
+            name: info[1],     // Name
+            licenseId: info[2], // License ID
+            location: info[3],  // Location
+            certification: info[4], // Certification
+            isActive: info[5],  // Active status
+            registeredAt: Number(info[6]), // Registration timestamp
+            licenseKey: info[7], // License key
+            licenseKeyGeneratedAt: Number(info[8]) // License key generation timestamp
+        };
+    } catch (error) {
+        console.warn(`Failed to get complete info for ${address}, falling back to basic info`);
+    }
+
+    try {
+        const basicInfo = await contract.getStakeholderInfo(address);
+
+        return {
+            address: address,
+            role: Number(basicInfo[0]),
+            name: basicInfo[1],
+            licenseId: basicInfo[2],
+            location: basicInfo[3],
+            certification: basicInfo[4],
+            isActive: basicInfo[5],
+            registeredAt: Number(basicInfo[6]),
+            licenseKey: '', // No license key available from basic info
+            licenseKeyGeneratedAt: 0
+        };
+    } catch (infoError) {
+        console.error(`Failed to get any info for stakeholder ${address}`, infoError);
+        return null;
+    }
+};
+
 // Helper to generate a random string for license keys
 const generateRandomString = (length: number): string => {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -210,8 +174,38 @@ const Stakeholders = () => {
     const [modalMessage, setModalMessage] = useState("");
     const [modalConfirmAction, setModalConfirmAction] = useState<() => void>(() => {});
     
-    // Stakeholder lists and filtering
-    const [stakeholdersList, setStakeholdersList] = useState<StakeholderInfo[]>([]);
+    // Stakeholder lists and filtering. Stakeholders are read a page at a
+    // time once the user is known to be an admin
+    const fetchStakeholdersPage = useMemo<FetchPage<StakeholderInfo> | null>(() => {
+        if (!isAdmin) return null;
+
+        return async (cursor: bigint, limit: bigint) => {
+            const provider = new ethers.BrowserProvider(window.ethereum);
+            const contract = StakeholderManager__factory.connect(stakeholderManagerAddress, provider);
+            const [addresses, nextCursor] = await contract.getAllStakeholdersPage(cursor, limit);
+
+            const items: StakeholderInfo[] = [];
+            for (const address of addresses) {
+                const stakeholder = await readStakeholderInfo(contract, address);
+                if (stakeholder) items.push(stakeholder);
+            }
+            return { items, nextCursor };
+        };
+    }, [isAdmin]);
+    const {
+        items: stakeholdersList,
+        setItems: setStakeholdersList,
+        loading: loadingStakeholders,
+        error: stakeholdersError,
+        hasMore: hasMoreStakeholders,
+        loadMore: loadMoreStakeholders,
+        reload: reloadStakeholders
+    } = usePagedList(fetchStakeholdersPage);
+
+    useEffect(() => {
+        if (stakeholdersError) setError("Error loading stakeholders: " + stakeholdersError);
+    }, [stakeholdersError]);
+
     const [filteredStakeholders, setFilteredStakeholders] = useState<StakeholderInfo[]>([]);
     const [selectedRole, setSelectedRole] = useState(0); // 0 means all roles
     const [selectedStatus, setSelectedStatus] = useState(0); // 0 means all statuses
@@ -305,9 +299,8 @@ const Stakeholders = () => {
                 const signer = await provider.getSigner();
                 
                 // Initialize contract with signer for write operations
-                const stakeholderContract = new ethers.Contract(
+                const stakeholderContract = StakeholderManager__factory.connect(
                     stakeholderManagerAddress,
-                    stakeholderManagerABI,
                     signer
                 );
                 
@@ -335,7 +328,7 @@ const Stakeholders = () => {
                         if (userRole.toString() === "6" && !isActive && !isUserAdmin) {
                             console.log("Admin role detected but not activated. Attempting activation...");
                             try {
-                                const activateTx = await stakeholderContract.activate(userAddress);
+                                const activateTx = await stakeholderContract.activateAccount(userAddress);
                                 await activateTx.wait();
                                 console.log("Admin account activated successfully!");
                                 
@@ -355,8 +348,8 @@ const Stakeholders = () => {
                     // Proceed with loading data if we're an admin
                     if (isUserAdmin) {
                         console.log("User is admin, loading admin data...");
-                        // First load stakeholders and statistics which don't have the onlyAdmin modifier
-                        await loadStakeholders(stakeholderContract);
+                        // Statistics don't have the onlyAdmin modifier; stakeholders are
+                        // paged in by usePagedList once isAdmin is set
                         await loadStatistics(stakeholderContract);
                         
                         // Then load pending requests which has the onlyAdmin modifier
@@ -380,72 +373,8 @@ const Stakeholders = () => {
         initializeContractAndData();
     }, []);
     
-    // Function to load stakeholders data
-    const loadStakeholders = async (contract: ethers.Contract) => {
-        try {
-            // Get all stakeholders addresses
-            const stakeholdersAddresses = await contract.getAllStakeholders();
-            
-            const stakeholdersList: StakeholderInfo[] = [];
-            
-            // Get details for each stakeholder
-            for (const address of stakeholdersAddresses) {
-                try {
-                    // Use getCompleteStakeholderInfo which returns more details (including license key)
-                    const info = await contract.getCompleteStakeholderInfo(address);
-                    
-                    // Format the stakeholder info from the contract return values
-                    const stakeholder: StakeholderInfo = {
-                        address: address,  // Address is not returned by the function, we use the one from the loop
-                        role: info[0],     // Role index
-                        name: info[1],     // Name
-                        licenseId: info[2], // License ID
-                        location: info[3],  // Location
-                        certification: info[4], // Certification
-                        isActive: info[5],  // Active status
-                        registeredAt: Number(info[6]), // Registration timestamp
-                        licenseKey: info[7], // License key
-                        licenseKeyGeneratedAt: Number(info[8]) // License key generation timestamp
-                    };
-                    
-                    stakeholdersList.push(stakeholder);
-                } catch (error) {
-                    console.warn(`Failed to get complete info for ${address}, falling back to basic info`);
-                    
-                    // Fallback to basic stakeholder info (no license key)
-                    try {
-                        const basicInfo = await contract.getStakeholderInfo(address);
-                        
-                        const stakeholder: StakeholderInfo = {
-                            address: address,
-                            role: basicInfo[0],
-                            name: basicInfo[1],
-                            licenseId: basicInfo[2],
-                            location: basicInfo[3],
-                            certification: basicInfo[4],
-                            isActive: basicInfo[5],
-                            registeredAt: Number(basicInfo[6]),
-                            licenseKey: '', // No license key available from basic info
-                            licenseKeyGeneratedAt: 0
-                        };
-                        
-                        stakeholdersList.push(stakeholder);
-                    } catch (infoError) {
-                        console.error(`Failed to get any info for stakeholder ${address}`, infoError);
-                    }
-                }
-            }
-            
-            setStakeholdersList(stakeholdersList);
-            setFilteredStakeholders(stakeholdersList);
-        } catch (err: any) {
-            setError("Error loading stakeholders: " + err.message);
-            console.error(err);
-        }
-    };
-    
     // Function to load pending registration requests
-    const loadPendingRequests = async (contract: ethers.Contract) => {
+    const loadPendingRequests = async (contract: StakeholderManager) => {
         try {
             console.log("Attempting to load pending requests...");
             
@@ -521,7 +450,7 @@ const Stakeholders = () => {
     };
     
     // Function to load statistics
-    const loadStatistics = async (contract: ethers.Contract) => {
+    const loadStatistics = async (contract: StakeholderManager) => {
         try {
             // Get total stakeholders count
             const total = await contract.getTotalStakeholders();
@@ -633,44 +562,8 @@ const Stakeholders = () => {
             const signer = await provider.getSigner();
             
             // Initialize contract with signer for write operations
-            const stakeholderContract = new ethers.Contract(
+            const stakeholderContract = StakeholderManager__factory.connect(
                 stakeholderManagerAddress,
-                stakeholderManagerABI,
-                signer
-            );
-            
-            // Initialize ProductBatch contract for role granting
-            const productBatchContract = new ethers.Contract(
-                productBatchAddress,
-                productBatchABI,
-                signer
-            );
-
-            // Initialize Registry contract for role granting
-            const registryContract = new ethers.Contract(
-                registryAddress,
-                registryABI,
-                signer
-            );
-
-            // Initialize ShipmentTracker contract for role granting
-            const shipmentTrackerContract = new ethers.Contract(
-                shipmentTrackerAddress,
-                shipmentTrackerABI,
-                signer
-            );
-
-            // Initialize OfferManager contract for role granting
-            const offerManagerContract = new ethers.Contract(
-                offerManagerAddress,
-                offerManagerABI,
-                signer
-            );
-
-            // Initialize QRCodeVerifier contract for role granting
-            const qrCodeVerifierContract = new ethers.Contract(
-                qrCodeVerifierAddress,
-                qrCodeVerifierABI,
                 signer
             );
             
@@ -684,7 +577,9 @@ const Stakeholders = () => {
             const licenseInfo = `License issued to ${requestToApprove.name}`;
             
             // Call contract function to approve the request
-            // The contract only expects requestId and reviewNotes
+            // The contract only expects requestId and reviewNotes. The other
+            // contracts read roles from StakeholderManager, so this grants the
+            // requested role everywhere.
             const tx = await stakeholderContract.approveRegistrationRequest(
                 requestId,
                 approvalNotes
@@ -694,80 +589,13 @@ const Stakeholders = () => {
             await tx.wait();
             console.log("Approval transaction confirmed");
             
-            // Grant the requested role to the applicant in ProductBatch
-            const requestedRoleId = requestToApprove.requestedRole;
-            console.log(`Granting role ${requestedRoleId} to ${requestToApprove.applicant} in ProductBatch`);
-            
-            try {
-                const grantRoleTx = await productBatchContract.grantRole(requestToApprove.applicant, requestedRoleId);
-                console.log("Role grant transaction sent, hash:", grantRoleTx.hash);
-                await grantRoleTx.wait();
-                console.log("Role grant transaction confirmed");
-            } catch (roleGrantError) {
-                console.error("Failed to grant role in ProductBatch:", roleGrantError);
-                // Don't fail the entire approval if role granting fails
-                // The user can still be approved in StakeholderManager
-            }
-
-            // Grant the requested role to the applicant in Registry
-            console.log(`Granting role ${requestedRoleId} to ${requestToApprove.applicant} in Registry`);
-            try {
-                const grantRoleTx = await registryContract.grantRole(requestToApprove.applicant, requestedRoleId);
-                console.log("Role grant transaction sent, hash:", grantRoleTx.hash);
-                await grantRoleTx.wait();
-                console.log("Role grant transaction confirmed");
-            } catch (roleGrantError) {
-                console.error("Failed to grant role in Registry:", roleGrantError);
-                // Don't fail the entire approval if role granting fails
-                // The user can still be approved in StakeholderManager
-            }
-
-            // Grant the requested role to the applicant in ShipmentTracker
-            console.log(`Granting role ${requestedRoleId} to ${requestToApprove.applicant} in ShipmentTracker`);
-            try {
-                const grantRoleTx = await shipmentTrackerContract.grantRole(requestToApprove.applicant, requestedRoleId);
-                console.log("Role grant transaction sent, hash:", grantRoleTx.hash);
-                await grantRoleTx.wait();
-                console.log("Role grant transaction confirmed");
-            } catch (roleGrantError) {
-                console.error("Failed to grant role in ShipmentTracker:", roleGrantError);
-                // Don't fail the entire approval if role granting fails
-                // The user can still be approved in StakeholderManager
-            }
-
-            // Grant the requested role to the applicant in OfferManager
-            console.log(`Granting role ${requestedRoleId} to ${requestToApprove.applicant} in OfferManager`);
-            try {
-                const grantRoleTx = await offerManagerContract.grantRole(requestToApprove.applicant, requestedRoleId);
-                console.log("Role grant transaction sent, hash:", grantRoleTx.hash);
-                await grantRoleTx.wait();
-                console.log("Role grant transaction confirmed");
-            } catch (roleGrantError) {
-                console.error("Failed to grant role in OfferManager:", roleGrantError);
-                // Don't fail the entire approval if role granting fails
-                // The user can still be approved in StakeholderManager
-            }
-
-            // Grant the requested role to the applicant in QRCodeVerifier
-            console.log(`Granting role ${requestedRoleId} to ${requestToApprove.applicant} in QRCodeVerifier`);
-            try {
-                const grantRoleTx = await qrCodeVerifierContract.grantRole(requestToApprove.applicant, requestedRoleId);
-                console.log("Role grant transaction sent, hash:", grantRoleTx.hash);
-                await grantRoleTx.wait();
-                console.log("Role grant transaction confirmed");
-            } catch (roleGrantError) {
-                console.error("Failed to grant role in QRCodeVerifier:", roleGrantError);
-                // Don't fail the entire approval if role granting fails
-                // The user can still be approved in StakeholderManager
-            }
-            
             // Remove the approved request from the pending list
             const updatedPendingRequests = pendingRequests.filter(r => r.requestId !== requestId);
             setPendingRequests(updatedPendingRequests);
             
             // Update statistics
             await loadStatistics(stakeholderContract);
-            await loadStakeholders(stakeholderContract);
+            await reloadStakeholders();
             
             // Show success message
             setSuccessMessage(`Successfully approved request for ${requestToApprove.name}`);
@@ -801,9 +629,8 @@ const Stakeholders = () => {
             const signer = await provider.getSigner();
             
             // Initialize contract with signer
-            const stakeholderContract = new ethers.Contract(
+            const stakeholderContract = StakeholderManager__factory.connect(
                 stakeholderManagerAddress,
-                stakeholderManagerABI,
                 signer
             );
             
@@ -850,9 +677,8 @@ const Stakeholders = () => {
             const signer = await provider.getSigner();
             
             // Initialize contract with signer for write operations
-            const stakeholderContract = new ethers.Contract(
+            const stakeholderContract = StakeholderManager__factory.connect(
                 stakeholderManagerAddress,
-                stakeholderManagerABI,
                 signer
             );
             
@@ -927,9 +753,8 @@ const Stakeholders = () => {
                     const provider = new ethers.BrowserProvider(window.ethereum);
                     const signer = await provider.getSigner();
                     
-                    const contract = new ethers.Contract(
+                    const contract = StakeholderManager__factory.connect(
                         stakeholderManagerAddress,
-                        stakeholderManagerABI,
                         signer
                     );
                     
@@ -999,9 +824,8 @@ const Stakeholders = () => {
             const provider = new ethers.BrowserProvider(window.ethereum);
             const signer = await provider.getSigner();
             
-            const contract = new ethers.Contract(
+            const contract = StakeholderManager__factory.connect(
                 stakeholderManagerAddress,
-                stakeholderManagerABI,
                 signer
             );
             
@@ -1053,9 +877,8 @@ const Stakeholders = () => {
             const provider = new ethers.BrowserProvider(window.ethereum);
             const signer = await provider.getSigner();
             
-            const contract = new ethers.Contract(
+            const contract = StakeholderManager__factory.connect(
                 stakeholderManagerAddress,
-                stakeholderManagerABI,
                 signer
             );
             
@@ -1619,23 +1442,19 @@ const Stakeholders = () => {
                         </div>
                         
                         <div className="action-buttons">
+                            {hasMoreStakeholders && (
+                                <button 
+                                    onClick={loadMoreStakeholders}
+                                    className="refresh-button"
+                                    disabled={isProcessing || loadingStakeholders}
+                                >
+                                    {loadingStakeholders ? "Loading..." : "Load More Stakeholders"}
+                                </button>
+                            )}
                             <button 
-                                onClick={() => {
-                                    const refreshList = async () => {
-                                        if (!window.ethereum) return;
-                                        const provider = new ethers.BrowserProvider(window.ethereum);
-                                        const signer = await provider.getSigner();
-                                        const contract = new ethers.Contract(
-                                            stakeholderManagerAddress,
-                                            stakeholderManagerABI,
-                                            signer
-                                        );
-                                        await loadStakeholders(contract);
-                                    };
-                                    refreshList();
-                                }}
+                                onClick={reloadStakeholders}
                                 className="refresh-button"
-                                disabled={isProcessing}
+                                disabled={isProcessing || loadingStakeholders}
                             >
                                 <span>↻</span> Refresh List
                             </button>
@@ -1715,9 +1534,8 @@ const Stakeholders = () => {
                                         if (!window.ethereum) return;
                                         const provider = new ethers.BrowserProvider(window.ethereum);
                                         const signer = await provider.getSigner();
-                                        const contract = new ethers.Contract(
+                                        const contract = StakeholderManager__factory.connect(
                                             stakeholderManagerAddress,
-                                            stakeholderManagerABI,
                                             signer
                                         );
                                         await loadStatistics(contract);
@@ -1,5 +1,6 @@
 import React, { useState } from "react"
 import { ethers } from "ethers"
+import { getContractAddress } from "../constants/deployment"
 
 // Helper function to check if string is a valid Ethereum address
 function isEthereumAddress(value: string): boolean {
@@ -73,7 +74,7 @@ const Track: React.FC = () => {
                 try {
                     // Connect to PublicVerification contract
                     const publicVerificationAddress =
-                        "0x0165878A594ca255338adfa4d48449f69242Eb8F"
+                        getContractAddress("PublicVerification")
                     const publicVerificationABI = [
                         "function findShipmentByTrackingNumber(string memory _trackingNumber) view returns (address)"
                     ]
@@ -116,7 +117,7 @@ const Track: React.FC = () => {
             ]
             
             // Connect to PublicVerification contract for verification
-            const publicVerificationAddress = "0x0165878A594ca255338adfa4d48449f69242Eb8F"
+            const publicVerificationAddress = getContractAddress("PublicVerification")
             const publicVerificationABI = [
                 "function verifyShipment(address _shipmentAddress) external view returns (bool isValid, string memory details)"
             ]
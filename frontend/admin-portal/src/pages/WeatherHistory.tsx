@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import { WeatherOracle__factory } from "@agri-supply-chain/contracts";
+import { getContractAddress } from "../constants/deployment";
+import "../styles/pages.css";
+import "../styles/weatherHistory.css";
+
+// Contract addresses
+const CONTRACT_ADDRESSES = {
+  weatherOracle: getContractAddress("WeatherOracle")
+};
+
+interface WeatherRound {
+  roundId: number;
+  timestamp: number;
+  temperature: number;
+  humidity: number;
+  rainfall: number;
+  windSpeed: number;
+}
+
+type Metric = "temperature" | "humidity" | "rainfall" | "windSpeed";
+
+const METRICS: { key: Metric; label: string; unit: string; color: string }[] = [
+  { key: "temperature", label: "Temperature", unit: "°C", color: "#e53e3e" },
+  { key: "humidity", label: "Humidity", unit: "%", color: "#3182ce" },
+  { key: "rainfall", label: "Rainfall", unit: "mm", color: "#2f855a" },
+  { key: "windSpeed", label: "Wind Speed", unit: "km/h", color: "#805ad5" }
+];
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 30;
+
+const formatTime = (timestamp: number): string => {
+  return new Date(timestamp * 1000).toLocaleString();
+};
+
+// Contract values are scaled by 100
+const fromContractScale = (value: bigint): number => Number(value) / 100;
+
+const toCSV = (region: string, rounds: WeatherRound[]): string => {
+  const header = ["region", "roundId", "timestamp", "time", ...METRICS.map((metric) => metric.key)];
+  const rows = rounds.map((round) => [
+    region,
+    round.roundId,
+    round.timestamp,
+    new Date(round.timestamp * 1000).toISOString(),
+    ...METRICS.map((metric) => round[metric.key])
+  ].join(","));
+  return [header.join(","), ...rows].join("\n");
+};
+
+const getOracle = () => {
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  return WeatherOracle__factory.connect(CONTRACT_ADDRESSES.weatherOracle, provider);
+};
+
+const MetricChart: React.FC<{ rounds: WeatherRound[]; metric: typeof METRICS[number] }> = ({ rounds, metric }) => {
+  const values = rounds.map((round) => round[metric.key]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const first = rounds[0].timestamp;
+  const span = rounds[rounds.length - 1].timestamp - first || 1;
+
+  const points = rounds.map((round) => {
+    const x = CHART_PADDING + ((round.timestamp - first) / span) * (CHART_WIDTH - 2 * CHART_PADDING);
+    const y = CHART_HEIGHT - CHART_PADDING - ((round[metric.key] - min) / range) * (CHART_HEIGHT - 2 * CHART_PADDING);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return (
+    <div className="weather-chart">
+      <h4>{metric.label} ({metric.unit})</h4>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={`${metric.label} over time`}>
+        <text x={4} y={CHART_PADDING} className="axis-label">{max}</text>
+        <text x={4} y={CHART_HEIGHT - CHART_PADDING} className="axis-label">{min}</text>
+        <line
+          x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING}
+          x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING}
+          className="axis"
+        />
+        <polyline points={points.join(" ")} fill="none" stroke={metric.color} strokeWidth={2} />
+        {points.map((point, i) => {
+          const [x, y] = point.split(",");
+          return <circle key={rounds[i].roundId} cx={x} cy={y} r={2.5} fill={metric.color} />;
+        })}
+      </svg>
+      <div className="chart-range">
+        <span>{formatTime(first)}</span>
+        <span>{formatTime(rounds[rounds.length - 1].timestamp)}</span>
+      </div>
+    </div>
+  );
+};
+
+const WeatherHistory = () => {
+  const [regions, setRegions] = useState<string[]>([]);
+  const [region, setRegion] = useState<string>("");
+  const [limit, setLimit] = useState<string>("50");
+  const [rounds, setRounds] = useState<WeatherRound[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string>("");
+
+  useEffect(() => {
+    const loadRegions = async () => {
+      if (!window.ethereum || !CONTRACT_ADDRESSES.weatherOracle) {
+        setError("WeatherOracle address not configured or wallet not connected.");
+        return;
+      }
+
+      try {
+        const oracleRegions: string[] = await getOracle().getRegions();
+        setRegions(oracleRegions);
+        if (oracleRegions.length > 0) {
+          setRegion(oracleRegions[0]);
+        }
+      } catch (error) {
+        console.error("Error loading weather regions:", error);
+        setError("Failed to load weather regions. Please check your connection.");
+      }
+    };
+
+    loadRegions();
+  }, []);
+
+  const loadHistory = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+
+    try {
+      const oracle = getOracle();
+      const latestRoundId = Number(await oracle.latestRoundId(region));
+      const firstRoundId = Math.max(1, latestRoundId - parseInt(limit) + 1);
+      const history: WeatherRound[] = [];
+
+      for (let roundId = firstRoundId; roundId <= latestRoundId; roundId++) {
+        const data = await oracle.getWeatherRound(region, roundId);
+        history.push({
+          roundId,
+          timestamp: Number(data.timestamp),
+          temperature: fromContractScale(data.temperature),
+          humidity: fromContractScale(data.humidity),
+          rainfall: fromContractScale(data.rainfall),
+          windSpeed: fromContractScale(data.windSpeed)
+        });
+      }
+
+      setRounds(history);
+    } catch (error) {
+      console.error("Error loading weather history:", error);
+      setError("Failed to load weather history.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportCSV = () => {
+    const regionName = region || "global";
+    const blob = new Blob([toCSV(regionName, rounds)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `weather-history-${regionName}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="weather-history-page">
+      <div className="page-header">
+        <h1>Weather History</h1>
+        <p>Browse WeatherOracle rounds by region and export them for quality analysis</p>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+          <button onClick={() => setError("")}>✕</button>
+        </div>
+      )}
+
+      <form onSubmit={loadHistory} className="form-section">
+        <div className="form-row">
+          <div className="form-group">
+            <label>Region:</label>
+            <select value={region} onChange={(e) => setRegion(e.target.value)}>
+              {regions.map((name) => (
+                <option key={name} value={name}>{name || "global"}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Rounds:</label>
+            <input
+              type="number"
+              min="1"
+              max="500"
+              value={limit}
+              onChange={(e) => setLimit(e.target.value)}
+              required
+            />
+          </div>
+        </div>
+
+        <button type="submit" className="submit-button" disabled={loading || regions.length === 0}>
+          {loading ? "Loading..." : "Load History"}
+        </button>
+      </form>
+
+      {rounds.length > 0 && (
+        <>
+          <div className="section-header">
+            <h2>{region || "global"}: rounds {rounds[0].roundId}-{rounds[rounds.length - 1].roundId}</h2>
+            <button onClick={exportCSV} className="action-button">Export CSV</button>
+          </div>
+
+          <div className="weather-charts">
+            {METRICS.map((metric) => (
+              <MetricChart key={metric.key} rounds={rounds} metric={metric} />
+            ))}
+          </div>
+
+          <div className="data-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Round</th>
+                  <th>Time</th>
+                  {METRICS.map((metric) => (
+                    <th key={metric.key}>{metric.label} ({metric.unit})</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rounds.slice().reverse().map((round) => (
+                  <tr key={round.roundId}>
+                    <td>{round.roundId}</td>
+                    <td>{formatTime(round.timestamp)}</td>
+                    {METRICS.map((metric) => (
+                      <td key={metric.key}>{round[metric.key]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WeatherHistory;
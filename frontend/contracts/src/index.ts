@@ -0,0 +1,5 @@
+// Typed clients for every contract, generated from the Hardhat artifacts into
+// ./types by TypeChain on `npx hardhat compile`. Connect with the factories:
+//
+//   const productBatch = ProductBatch__factory.connect(address, signer);
+export * from "./types";
@@ -0,0 +1,31 @@
+// Client for the event index served by the API server (services/eventIndexer.js).
+// The index is optional: callers treat a failed request as "no history".
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+// A contract event as the index stores it. uint256 arguments are decimal strings.
+export interface IndexedEvent {
+  blockNumber: number;
+  logIndex: number;
+  transactionHash: string;
+  timestamp: number;
+  contract: string;
+  event: string;
+  entityKind: string | null;
+  entityId: string | null;
+  args: Record<string, any>;
+}
+
+/**
+ * Every indexed event about a batch, oldest first: the batch itself and its
+ * offers, shipments, consumer purchases and files. Empty if the batch is not
+ * indexed yet.
+ */
+export const getBatchTimeline = async (batchId: number): Promise<IndexedEvent[]> => {
+  const response = await fetch(`${API_URL}/api/index/batches/${batchId}/timeline`);
+  if (response.status === 404) return [];
+  if (!response.ok) {
+    throw new Error(`Event index request failed (${response.status})`);
+  }
+  return response.json();
+};
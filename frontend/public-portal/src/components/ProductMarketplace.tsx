@@ -1,5 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useContracts } from '../hooks/useContracts';
+import { FetchPage, usePagedList } from '../hooks/usePagedList';
 import { ethers } from 'ethers';
 
 interface Product {
@@ -14,51 +15,32 @@ interface Product {
   available: boolean;
 }
 
-// Add proper typing for contract response
-interface RetailerProductsResponse {
-  0: ethers.BigNumberish[]; // batchIds
-  1: string[];              // retailers
-  2: string[];              // productNames
-  3: string[];              // descriptions
-  4: ethers.BigNumberish[]; // prices
-  5: ethers.BigNumberish[]; // quantities
-  6: string[];              // origins
-}
-
 const ProductMarketplace: React.FC = () => {
   const { contracts, signer, loading, error, isConnected } = useContracts();
-  const [products, setProducts] = useState<Product[]>([]);
   const [purchaseStatus, setPurchaseStatus] = useState<{[key: number]: string}>({});
-  const [loadingProducts, setLoadingProducts] = useState(false);
 
-  const loadAvailableProducts = useCallback(async () => {
-    if (!contracts?.productBatch) {
+  // Retailer products are read a page at a time. A page scans a fixed range
+  // of batches, so the hook keeps reading until it has a full page.
+  const fetchRetailerProducts = useMemo<FetchPage<Product> | null>(() => {
+    const productBatch = contracts?.productBatch;
+    if (!isConnected || !productBatch) {
       console.log('ProductBatch contract not available');
-      setProducts([]);
-      return;
+      return null;
     }
 
-    setLoadingProducts(true);
-    try {
-      console.log('[INFO] Loading retailer products from blockchain...');
-
-      // Use the new getRetailerProducts function with proper typing
-      const result: RetailerProductsResponse = await contracts.productBatch.getRetailerProducts();
+    return async (cursor: bigint, limit: bigint) => {
+      console.log('[INFO] Loading retailer products from blockchain...', { cursor: cursor.toString() });
 
-      const batchIds = result[0];
-      const retailers = result[1];
-      const productNames = result[2];
-      const descriptions = result[3];
-      const prices = result[4];
-      const quantities = result[5];
-      const origins = result[6];
-
-      console.log('[DEBUG] Raw retailer products data:', {
-        batchIds: batchIds.map((id: ethers.BigNumberish) => Number(id)),
+      const {
+        batchIds,
         retailers,
         productNames,
-        quantities: quantities.map((q: ethers.BigNumberish) => Number(q))
-      });
+        descriptions,
+        prices,
+        quantities,
+        origins,
+        nextCursor
+      } = await productBatch.getRetailerProductsPage(cursor, limit);
 
       const availableProducts: Product[] = [];
 
@@ -80,89 +62,18 @@ const ProductMarketplace: React.FC = () => {
       }
 
       console.log(`[SUCCESS] Loaded ${availableProducts.length} retailer products`);
-      setProducts(availableProducts);
-
-    } catch (err: unknown) {
-      const error = err as Error;
-      console.error('[ERROR] Error loading retailer products:', error);
-
-      // Check if the function exists, if not fallback to legacy method
-      if (error.message?.includes('getRetailerProducts') ||
-          error.message?.includes('not a function')) {
-        console.log(' getRetailerProducts not available, using fallback method...');
-        await loadProductsLegacy();
-      } else {
-        setProducts([]);
-      }
-    }
-    setLoadingProducts(false);
-  }, [contracts]);
-
-  // Fallback method with proper typing
-  const loadProductsLegacy = async () => {
-    try {
-      console.log(' Using legacy product loading method...');
-      const availableProducts: Product[] = [];
-
-      // Try loading batches 1-20 (adjust range as needed)
-      for (let batchId = 1; batchId <= 20; batchId++) {
-        try {
-          const batchExists: boolean = await contracts!.productBatch!.batchExists(batchId);
-          if (!batchExists) continue;
-
-          const batchInfo: [string, string, string, string, ethers.BigNumberish, ethers.BigNumberish, string, number, ethers.BigNumberish, boolean] =
-            await contracts!.productBatch!.getBatchInfo(batchId);
-
-          const [
-            farmer,
-            retailer,
-            productName,
-            origin,
-            productionDate,
-            quantity,
-            price,
-            status,
-            certification,
-            isActive
-          ] = batchInfo;
-
-          // Only show products owned by retailers (not farmers directly)
-          if (isActive && Number(quantity) > 0 && retailer !== ethers.ZeroAddress) {
-            availableProducts.push({
-              batchId,
-              name: productName,
-              description: `Premium quality ${productName} from ${origin}`,
-              price: ethers.formatEther(price),
-              quantity: Number(quantity),
-              origin: origin,
-              retailer: `${retailer.slice(0,6)}...${retailer.slice(-4)}`,
-              retailerAddress: retailer,
-              available: true
-            });
-          }
-        } catch (error: unknown) {
-          const err = error as Error;
-          if (err.message?.includes("Batch does not exist")) {
-            break; // No more batches
-          }
-        }
-      }
-
-      console.log(`[SUCCESS] Loaded ${availableProducts.length} products (legacy method)`);
-      setProducts(availableProducts);
-
-    } catch (err: unknown) {
-      const error = err as Error;
-      console.error('[ERROR] Error in legacy product loading:', error);
-      setProducts([]);
-    }
-  };
-
-  useEffect(() => {
-    if (isConnected && contracts?.productBatch) {
-      loadAvailableProducts();
-    }
-  }, [isConnected, contracts, loadAvailableProducts]);
+      return { items: availableProducts, nextCursor };
+    };
+  }, [isConnected, contracts]);
+
+  const {
+    items: products,
+    setItems: setProducts,
+    loading: loadingProducts,
+    hasMore,
+    loadMore,
+    reload: loadAvailableProducts
+  } = usePagedList(fetchRetailerProducts);
 
   const purchaseProduct = async (product: Product) => {
     if (!contracts?.productBatch || !signer) {
@@ -317,7 +228,7 @@ You now own this product!`);
         </div>
       </div>
 
-      {loadingProducts ? (
+      {loadingProducts && products.length === 0 ? (
         <div className="loading-container">
           <div className="loader"></div>
           <p>Loading products from retailers...</p>
@@ -394,6 +305,14 @@ You now own this product!`);
         </div>
       )}
 
+      {hasMore && products.length > 0 && (
+        <div className="header-actions">
+          <button onClick={loadMore} disabled={loadingProducts} className="refresh-btn">
+            {loadingProducts ? 'Loading...' : 'Load More Products'}
+          </button>
+        </div>
+      )}
+
       {products.length === 0 && !loadingProducts && (
         <div className="no-products">
           <h3>No Retailer Products Available</h3>
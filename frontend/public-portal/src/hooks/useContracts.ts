@@ -1,11 +1,22 @@
 import { ethers } from 'ethers';
 import { useState, useEffect, useCallback } from 'react';
-import contractAddresses from '../constants/contractAddresses.json';
+import {
+  ProductBatch,
+  ProductBatch__factory,
+  PublicVerification,
+  PublicVerification__factory,
+  QRCodeVerifier,
+  QRCodeVerifier__factory,
+  Registry,
+  Registry__factory
+} from '@agri-supply-chain/contracts';
+import { NETWORK, deployment, getContractAddress } from '../constants/deployment';
 
 interface ContractInstances {
-  productBatch?: ethers.Contract;
-  publicVerification?: ethers.Contract;
-  transactionRegistry?: ethers.Contract;
+  productBatch?: ProductBatch;
+  publicVerification?: PublicVerification;
+  qrCodeVerifier?: QRCodeVerifier;
+  transactionRegistry?: Registry;
 }
 
 interface UseContractsReturn {
@@ -17,28 +28,6 @@ interface UseContractsReturn {
   connectContracts: () => Promise<void>;
 }
 
-const contractABIs = {
-  ProductBatch: [
-    "function purchaseWithImmediateOwnership(uint256 batchId, address retailer, uint256 quantity, string calldata deliveryAddress) external payable returns (uint256)",
-    "function getBatchInfo(uint256 batchId) external view returns (address, address, string memory, string memory, uint256, uint256, string memory, uint8, uint256, bool)",
-    "function batchExists(uint256 batchId) external view returns (bool)",
-    "function batchCount() external view returns (uint256)",
-    "function getRetailerProducts() external view returns (uint256[] memory, address[] memory, string[] memory, string[] memory, uint256[] memory, uint256[] memory, string[] memory)"
-  ],
-  PublicVerification: [
-    "function quickVerify(string calldata qrCode) external view returns (bool, string memory, string memory)",
-    "function getConsumerSummary(string calldata qrCode) external view returns (bool, string memory, string memory, uint256, string memory, uint256, uint256, string memory)",
-    "function verifyProduct(string calldata qrCode) external returns (tuple(string productName, string origin, uint256 productionDate, string currentLocation, string farmerInfo, uint256 supplyChainSteps, string qualityGrade, bool isOrganic), bool)"
-  ],
-
-  TransactionRegistry: [
-    "function recordTransaction(uint256 batchId, address seller, address buyer, uint256 unitPrice, uint256 quantity, string calldata transactionType) external",
-    "function getTransactionHistory(uint256 batchId) external view returns (tuple(uint256 transactionId, uint256 batchId, address seller, address buyer, uint256 unitPrice, uint256 quantity, string transactionType, uint256 timestamp)[] memory)",
-    "function getUserTransactions(address user) external view returns (uint256[] memory)",
-    "function getSupplyChainHistory(uint256 batchId) external view returns (tuple(address stakeholder, string stakeholderRole, string action, string location, uint256 timestamp, uint256 price)[] memory)"
-  ]
-};
-
 export const useContracts = (): UseContractsReturn => {
   const [contracts, setContracts] = useState<ContractInstances | null>(null);
   const [signer, setSigner] = useState<ethers.JsonRpcSigner | null>(null);
@@ -69,39 +58,49 @@ export const useContracts = (): UseContractsReturn => {
       const network = await provider.getNetwork();
       console.log('[INFO] Connected to network:', network.name, 'Chain ID:', network.chainId);
 
-      if (!contractAddresses) {
-        throw new Error('Contract addresses not found. Please deploy contracts first.');
+      if (!deployment) {
+        throw new Error(`No deployment manifest for ${NETWORK}. Please deploy contracts first.`);
+      }
+
+      if (Number(network.chainId) !== deployment.chainId) {
+        throw new Error(`Please switch your wallet to ${NETWORK} (chain ID ${deployment.chainId})`);
       }
 
-      console.log('[INFO] Loading contract addresses:', contractAddresses);
+      console.log('[INFO] Loading contract addresses for', NETWORK, deployment.contracts);
 
       const contractInstances: ContractInstances = {};
 
       // Load ProductBatch contract
-      if (contractAddresses.ProductBatch) {
-        contractInstances.productBatch = new ethers.Contract(
-          contractAddresses.ProductBatch,
-          contractABIs.ProductBatch,
+      if (getContractAddress('ProductBatch')) {
+        contractInstances.productBatch = ProductBatch__factory.connect(
+          getContractAddress('ProductBatch'),
           signerInstance
         );
         console.log('[SUCCESS] ProductBatch contract loaded');
       }
 
       // Load PublicVerification contract
-      if (contractAddresses.PublicVerification) {
-        contractInstances.publicVerification = new ethers.Contract(
-          contractAddresses.PublicVerification,
-          contractABIs.PublicVerification,
+      if (getContractAddress('PublicVerification')) {
+        contractInstances.publicVerification = PublicVerification__factory.connect(
+          getContractAddress('PublicVerification'),
           signerInstance
         );
         console.log('[SUCCESS] PublicVerification contract loaded');
       }
 
+      // Load QRCodeVerifier contract (QR code => batch ID)
+      if (getContractAddress('QRCodeVerifier')) {
+        contractInstances.qrCodeVerifier = QRCodeVerifier__factory.connect(
+          getContractAddress('QRCodeVerifier'),
+          signerInstance
+        );
+        console.log('[SUCCESS] QRCodeVerifier contract loaded');
+      }
+
       // Load TransactionRegistry contract
-      if (contractAddresses.Registry) {
-        contractInstances.transactionRegistry = new ethers.Contract(
-          contractAddresses.Registry,
-          contractABIs.TransactionRegistry,
+      if (getContractAddress('Registry')) {
+        contractInstances.transactionRegistry = Registry__factory.connect(
+          getContractAddress('Registry'),
           signerInstance
         );
         console.log('[SUCCESS] TransactionRegistry contract loaded');
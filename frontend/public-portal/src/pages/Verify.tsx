@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useContracts } from '../hooks/useContracts';
 import { ethers } from 'ethers';
+import { getBatchTimeline, IndexedEvent } from '../api/indexer';
 import '../styles/Verify.css';
 
 interface VerificationResult {
@@ -15,6 +16,42 @@ interface VerificationResult {
   provenanceRecords: number;
 }
 
+interface JourneyStep {
+  label: string;
+  detail: string;
+  timestamp: Date;
+  transactionHash: string;
+}
+
+// Indexed events shown in the journey, with the argument holding their detail
+const JOURNEY_EVENTS: Record<string, { label: string; detail?: string }> = {
+  BatchCreated: { label: 'Harvested', detail: 'name' },
+  QualityChecked: { label: 'Quality checked', detail: 'grade' },
+  ProcessingCompleted: { label: 'Processed' },
+  OfferAccepted: { label: 'Sold to the next stakeholder' },
+  ShipmentCreated: { label: 'Shipment booked' },
+  ShipmentPickedUp: { label: 'Picked up by shipper' },
+  LocationUpdated: { label: 'In transit', detail: 'location' },
+  ShipmentDelivered: { label: 'Delivered' },
+  DeliveryConfirmed: { label: 'Delivery confirmed' },
+  FileUploaded: { label: 'Document added' },
+  ConsumerPurchaseCreated: { label: 'Bought by a consumer' },
+  ProductPickedUp: { label: 'Collected from the store' }
+};
+
+const toJourney = (events: IndexedEvent[]): JourneyStep[] =>
+  events
+    .filter(({ event }) => JOURNEY_EVENTS[event])
+    .map(({ event, args, timestamp, transactionHash }) => {
+      const { label, detail } = JOURNEY_EVENTS[event];
+      return {
+        label,
+        detail: detail ? String(args[detail]) : '',
+        timestamp: new Date(timestamp * 1000),
+        transactionHash
+      };
+    });
+
 interface SupplyChainStep {
   stakeholder: string;
   stakeholderRole: string;
@@ -29,6 +66,7 @@ const Verify: React.FC = () => {
   const [qrCode, setQrCode] = useState<string>('');
   const [verificationResult, setVerificationResult] = useState<VerificationResult | null>(null);
   const [supplyChainSteps, setSupplyChainSteps] = useState<SupplyChainStep[]>([]);
+  const [journey, setJourney] = useState<JourneyStep[]>([]);
   const [verifying, setVerifying] = useState(false);
   const [showSupplyChain, setShowSupplyChain] = useState(false);
 
@@ -42,16 +80,19 @@ const Verify: React.FC = () => {
     try {
       console.log('Verifying QR code:', qrCode);
 
-      // Verify the product
-      const result = await contracts.publicVerification.verifyProduct(qrCode);
-      const [productInfo, isValid] = result;
+      // Verify the product (simulated, so no transaction is sent)
+      const [productInfo, isValid] = await contracts.publicVerification.verifyProduct.staticCall(qrCode);
 
       if (isValid) {
+        const batchId = contracts.qrCodeVerifier
+          ? Number((await contracts.qrCodeVerifier.qrCodes(qrCode)).batchId)
+          : 0;
+
         const verificationData: VerificationResult = {
           isValid: true,
           productName: productInfo.productName,
           origin: productInfo.origin,
-          batchId: Number(productInfo.batchId || 0),
+          batchId,
           currentOwner: productInfo.currentLocation || 'Unknown',
           farmer: productInfo.farmerInfo || 'Unknown',
           productionDate: new Date(Number(productInfo.productionDate || 0) * 1000),
@@ -64,6 +105,7 @@ const Verify: React.FC = () => {
         // Load supply chain history if batchId is available
         if (verificationData.batchId > 0) {
           await loadSupplyChainHistory(verificationData.batchId);
+          await loadJourney(verificationData.batchId);
         }
 
         console.log('Product verified successfully');
@@ -80,6 +122,7 @@ const Verify: React.FC = () => {
           provenanceRecords: 0
         });
         setSupplyChainSteps([]);
+        setJourney([]);
       }
 
     } catch (err: any) {
@@ -87,6 +130,7 @@ const Verify: React.FC = () => {
       alert('Verification failed: ' + (err.message || 'Unknown error'));
       setVerificationResult(null);
       setSupplyChainSteps([]);
+      setJourney([]);
     }
     setVerifying(false);
   };
@@ -120,6 +164,16 @@ const Verify: React.FC = () => {
     }
   };
 
+  // Shipment journey from the event index; hidden when the API server is not running
+  const loadJourney = async (batchId: number) => {
+    try {
+      setJourney(toJourney(await getBatchTimeline(batchId)));
+    } catch (err: any) {
+      console.log('Event index unavailable - shipment journey disabled:', err.message);
+      setJourney([]);
+    }
+  };
+
   const getActionIcon = (action: string): string => {
     if (action.includes('SPOT')) return 'FARM';
     if (action.includes('PROCESSOR_SALE')) return 'PROC';
@@ -284,6 +338,37 @@ const Verify: React.FC = () => {
                   </div>
                 )}
 
+                {journey.length > 0 && (
+                  <div className="supply-chain-section">
+                    <div className="section-header">
+                      <h4>Shipment Journey</h4>
+                    </div>
+
+                    <div className="supply-chain-steps">
+                      {journey.map((step, index) => (
+                        <div key={index} className="chain-step">
+                          <div className="step-content">
+                            <div className="step-header">
+                              <h5>{step.label}</h5>
+                              <span className="step-time">
+                                {step.timestamp.toLocaleString()}
+                              </span>
+                            </div>
+                            <div className="step-details">
+                              {step.detail && <p className="action">{step.detail}</p>}
+                              <div className="step-info">
+                                <span className="address">
+                                  {step.transactionHash.slice(0,10)}...{step.transactionHash.slice(-4)}
+                                </span>
+                              </div>
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
               </div>
             ) : (
               <div className="result-content">
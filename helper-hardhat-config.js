@@ -1,18 +1,155 @@
+// Network registry, keyed by Hardhat network name. hardhat.config.js builds
+// its networks and explorer settings from it, and the deploy scripts, tasks
+// and weather scripts read feeds, confirmations and fees from it (see
+// utils/networks.js). Addresses of contracts we deploy live in the
+// deployment manifest (manifests/<network>.json), not here.
+//
+//   chainId            Chain ID
+//   rpcUrl / rpcUrlEnv Default RPC endpoint, overridden by the named env var
+//   development        Local chain: mock feeds, no explorer verification
+//   deployMocks        Also deploy the mock feeds on this live network
+//   forkOf             Local fork of another network: uses that network's
+//                      feeds, with no explorer verification
+//   feeds              Existing feeds. ethUsd is required on live networks;
+//                      weather feeds (temperature, humidity, rainfall,
+//                      windSpeed) not listed are deployed as UpdatableWeatherFeeds
+//   paymentTokens      ERC-20 stablecoins PaymentEscrow accepts ({ symbol:
+//                      address }). Networks with mocks also accept the
+//                      MockStablecoin.
+//   blockConfirmations Confirmations to wait for each deployment/transaction
+//   fees               EIP-1559 fees in gwei ({ maxFeePerGas,
+//                      maxPriorityFeePerGas }) or { gasPrice } for legacy
+//                      chains. Omitted: estimated by the provider.
+//   explorer           Block explorer API and browser URLs for verification
 const networkConfig = {
-    80002: {
-        name: "polygon",
-        ethUsdPriceFeed: "0xF0d50568e3A7e8259E16663972b11910F89BD8e7",
-        // For production, use our updatable weather feeds
-        // Deploy updatable feeds first, then update these addresses
-        temperatureFeed: "0x7C93A1543A3C222b7BD43a4EdeEfb71D46B012c4", // To be deployed
-        humidityFeed: "0xf79031eC88b021224A64e05d345c9098c0a41f8A", // To be deployed
-        rainfallFeed: "0xC8cA43cfa2d006839289fa3f968a111B72F45eE7", // To be deployed
-        windSpeedFeed: "0x241ecA8de6d4A26e5aAf5e6816fDF7D010833159", // To be deployed
+    hardhat: {
+        chainId: 31337,
+        development: true,
+    },
+    localhost: {
+        chainId: 31337,
+        rpcUrl: "http://127.0.0.1:8545",
+        development: true,
+    },
+    // Local anvil or Hardhat node forking a live network, e.g.
+    //   FORK_NETWORK=polygon npx hardhat node --no-deploy
+    //   anvil --fork-url $POLYGON_RPC_URL --chain-id 31337
+    fork: {
+        chainId: 31337,
+        rpcUrl: "http://127.0.0.1:8545",
+        rpcUrlEnv: "FORK_RPC_URL",
+        forkOf: process.env.FORK_NETWORK || "polygon",
+    },
+    // Polygon Amoy testnet
+    polygon: {
+        chainId: 80002,
+        rpcUrl: "https://rpc-amoy.polygon.technology/",
+        rpcUrlEnv: "POLYGON_RPC_URL",
+        deployMocks: true,
+        feeds: {
+            ethUsd: "0xF0d50568e3A7e8259E16663972b11910F89BD8e7",
+        },
+        blockConfirmations: 6,
+        fees: { maxFeePerGas: 60, maxPriorityFeePerGas: 30 },
+        explorer: {
+            apiURL: "https://api-amoy.polygonscan.com/api",
+            browserURL: "https://amoy.polygonscan.com/",
+        },
+    },
+    sepolia: {
+        chainId: 11155111,
+        rpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
+        rpcUrlEnv: "SEPOLIA_RPC_URL",
+        feeds: {
+            ethUsd: "0x694AA1769357215DE4FAC081bf1f309aDC325306",
+        },
+        blockConfirmations: 3,
+        fees: { maxFeePerGas: 30, maxPriorityFeePerGas: 2 },
+        explorer: {
+            apiURL: "https://api-sepolia.etherscan.io/api",
+            browserURL: "https://sepolia.etherscan.io/",
+        },
+    },
+    baseSepolia: {
+        chainId: 84532,
+        rpcUrl: "https://sepolia.base.org",
+        rpcUrlEnv: "BASE_SEPOLIA_RPC_URL",
+        feeds: {
+            ethUsd: "0x4aDC67696bA383F43DD60A9e78F2C97Fbbfc7cb1",
+        },
+        blockConfirmations: 2,
+        fees: { maxFeePerGas: 1, maxPriorityFeePerGas: 0.01 },
+        explorer: {
+            apiURL: "https://api-sepolia.basescan.org/api",
+            browserURL: "https://sepolia.basescan.org/",
+        },
+    },
+    arbitrumSepolia: {
+        chainId: 421614,
+        rpcUrl: "https://sepolia-rollup.arbitrum.io/rpc",
+        rpcUrlEnv: "ARBITRUM_SEPOLIA_RPC_URL",
+        feeds: {
+            ethUsd: "0xd30e2101a97dcbAeBCBC04F14C3f624E67A35165",
+        },
+        blockConfirmations: 2,
+        fees: { maxFeePerGas: 1, maxPriorityFeePerGas: 0 },
+        explorer: {
+            apiURL: "https://api-sepolia.arbiscan.io/api",
+            browserURL: "https://sepolia.arbiscan.io/",
+        },
+    },
+}
+
+// Regions with their own WeatherOracle reading. `query` is the location sent
+// to the weather provider; the region name and the batch origins and
+// stakeholder locations listed in `locations` are mapped to the region on
+// ProductBatch.
+const weatherRegions = {
+    Sydney: {
+        query: "Sydney,AU",
+        locations: ["Sydney", "Sydney, NSW", "Sydney, Australia"],
+    },
+    Melbourne: {
+        query: "Melbourne,AU",
+        locations: ["Melbourne", "Melbourne, VIC", "Melbourne, Australia"],
+    },
+    Brisbane: {
+        query: "Brisbane,AU",
+        locations: ["Brisbane", "Brisbane, QLD", "Brisbane, Australia"],
+    },
+}
+
+// Location used for the global (fallback) weather reading
+const DEFAULT_WEATHER_LOCATION = "Sydney,AU"
+
+// WeatherPricing rules per crop (batch name). Bands are keyed by how far the
+// batch's recorded rainfall is from the crop's required rainfall (mm * 100);
+// adjustments are in basis points. Crops also need requirements set with
+// ProductBatch.setCropWeatherRequirements before a rule applies.
+const cropPricingRules = {
+    Wheat: {
+        maxWeatherAge: 24 * 60 * 60,
+        bands: [
+            { maxRainfallDeviation: 500, adjustmentBps: 300 },
+            { maxRainfallDeviation: 2000, adjustmentBps: 0 },
+            { maxRainfallDeviation: 5000, adjustmentBps: -500 },
+            { maxRainfallDeviation: 10000, adjustmentBps: -1500 },
+        ],
     },
 }
 
-const developmentChains = ["hardhat", "localhost"]
+const developmentChains = Object.keys(networkConfig).filter(
+    (name) => networkConfig[name].development
+)
 const DECIMALS = 8
 const INITIAL_PRICE = 200000000000
 
-module.exports = { networkConfig, developmentChains, DECIMALS, INITIAL_PRICE }
+module.exports = {
+    networkConfig,
+    developmentChains,
+    weatherRegions,
+    DEFAULT_WEATHER_LOCATION,
+    cropPricingRules,
+    DECIMALS,
+    INITIAL_PRICE,
+}
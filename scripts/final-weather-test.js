@@ -16,7 +16,10 @@ async function main() {
         console.log(`Connected to blockchain with account: ${deployer.address}`)
 
         // Initialize weather API service
-        const weatherAPI = new WeatherAPIService()
+        // Fixed seed so mock data (no API key) is identical on every run
+        const weatherAPI = new WeatherAPIService({
+            seed: process.env.WEATHER_MOCK_SEED || 1,
+        })
 
         // Get real weather data
         console.log("\nFetching real weather data for Sydney...")
@@ -0,0 +1,204 @@
+const { ethers, network } = require("hardhat")
+const { withRetry } = require("../utils/retry")
+const { readAllPages } = require("../utils/pagination")
+const { loadManifest, getAddress } = require("../utils/deploymentManifest")
+const { getWaitConfirmations, getFeeOverrides } = require("../utils/networks")
+
+/**
+ * Offer expiry keeper: closes open offers past their expiry as EXPIRED
+ * Every sweep pages through OfferManager.getExpirableOffersPage and calls
+ * expireOffers in chunks of OFFER_EXPIRY_BATCH_SIZE, which also returns the
+ * escrowed deposits of expired buy offers. Sweeps repeat every
+ * OFFER_EXPIRY_INTERVAL_MS; set OFFER_EXPIRY_ONCE=true for a single sweep
+ * (e.g. from cron). Any account can run it.
+ * Usage: npx hardhat run scripts/offer-expiry-keeper.js --network localhost
+ */
+class OfferExpiryKeeper {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.sweepInterval] - Time between sweeps (ms)
+     * @param {number} [options.batchSize] - Offers expired per transaction
+     * @param {number} [options.retries] - Retries per transaction
+     * @param {number} [options.retryDelay] - Delay before the first retry (ms)
+     */
+    constructor(options = {}) {
+        this.sweepInterval =
+            options.sweepInterval ||
+            Number(process.env.OFFER_EXPIRY_INTERVAL_MS) ||
+            5 * 60 * 1000 // 5 minutes
+        this.batchSize =
+            options.batchSize ||
+            Number(process.env.OFFER_EXPIRY_BATCH_SIZE) ||
+            50
+        this.retries =
+            options.retries !== undefined
+                ? options.retries
+                : Number(process.env.OFFER_EXPIRY_RETRIES || 3)
+        this.retryDelay =
+            options.retryDelay !== undefined
+                ? options.retryDelay
+                : Number(process.env.OFFER_EXPIRY_RETRY_DELAY_MS || 2000)
+        this.isRunning = false
+    }
+
+    async initialize() {
+        const [keeper] = await ethers.getSigners()
+        console.log(
+            `Offer expiry keeper running with account: ${keeper.address}`
+        )
+
+        // Track nonces locally and resync with the node before retries
+        this.signer = new ethers.NonceManager(keeper)
+
+        let address
+        try {
+            address = getAddress(loadManifest(network.name), "OfferManager")
+        } catch (error) {
+            throw new Error(`Failed to connect to contracts: ${error.message}`)
+        }
+        await this.connectToOfferManager(address)
+        console.log(`Connected to OfferManager at ${address}`)
+    }
+
+    async connectToOfferManager(address) {
+        const OfferManager = await ethers.getContractFactory("OfferManager")
+        this.offerManager = OfferManager.attach(address).connect(this.signer)
+    }
+
+    /**
+     * IDs of the open offers that are past their expiry
+     * @returns {Promise<number[]>} Offer IDs, in order
+     */
+    async findExpiredOffers() {
+        const offerIds = await readAllPages((cursor, limit) =>
+            this.offerManager.getExpirableOffersPage(cursor, limit)
+        )
+        return offerIds.map(Number)
+    }
+
+    /**
+     * Expire every open offer past its expiry
+     * @returns {Promise<number[]>} IDs of the offers expired by this sweep
+     */
+    async sweep() {
+        const offerIds = await this.findExpiredOffers()
+        const expired = []
+
+        for (let i = 0; i < offerIds.length; i += this.batchSize) {
+            const chunk = offerIds.slice(i, i + this.batchSize)
+            try {
+                expired.push(...(await this.expireOffers(chunk)))
+            } catch (error) {
+                console.error(
+                    `Failed to expire offers ${chunk.join(", ")}:`,
+                    error.message
+                )
+            }
+        }
+
+        if (expired.length > 0) {
+            console.log(
+                `Expired ${expired.length} offers: ${expired.join(", ")}`
+            )
+        }
+        return expired
+    }
+
+    /**
+     * Expire a chunk of offers in one transaction, with retries
+     * @param {number[]} offerIds - Offer IDs
+     * @returns {Promise<number[]>} IDs of the offers that were still open
+     */
+    async expireOffers(offerIds) {
+        const receipt = await withRetry(
+            async () => {
+                const tx = await this.offerManager.expireOffers(
+                    offerIds,
+                    getFeeOverrides(network.name)
+                )
+                return tx.wait(getWaitConfirmations(network.name))
+            },
+            {
+                retries: this.retries,
+                baseDelay: this.retryDelay,
+                onRetry: (error, attempt, delay) => {
+                    // Resync with the node's pending nonce before retrying
+                    if (this.signer) this.signer.reset()
+                    console.warn(
+                        `  Expiry sweep failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`
+                    )
+                },
+            }
+        )
+
+        // Another keeper may have expired some of them first
+        return receipt.logs
+            .filter((log) => log.address === this.offerManager.target)
+            .map((log) => this.offerManager.interface.parseLog(log))
+            .filter((parsed) => parsed && parsed.name === "OfferExpired")
+            .map((parsed) => Number(parsed.args.offerId))
+    }
+
+    /**
+     * Sweep now and then every sweepInterval until stopped
+     */
+    async start() {
+        console.log(
+            `Sweeping expired offers every ${this.sweepInterval / 1000} seconds`
+        )
+        this.isRunning = true
+        await this.runSweepCycle()
+
+        process.on("SIGINT", () => this.stop())
+        process.on("SIGTERM", () => this.stop())
+    }
+
+    // The next sweep is scheduled when the previous one finishes, so slow
+    // retries never overlap
+    async runSweepCycle() {
+        try {
+            await this.sweep()
+        } catch (error) {
+            console.error("Expiry sweep failed:", error.message)
+        }
+
+        if (this.isRunning) {
+            this.timeoutId = setTimeout(
+                () => this.runSweepCycle(),
+                this.sweepInterval
+            )
+        }
+    }
+
+    stop() {
+        console.log("\nStopping offer expiry keeper...")
+        this.isRunning = false
+        clearTimeout(this.timeoutId)
+        process.exit(0)
+    }
+}
+
+async function main() {
+    const keeper = new OfferExpiryKeeper()
+
+    try {
+        await keeper.initialize()
+
+        if (process.env.OFFER_EXPIRY_ONCE === "true") {
+            const expired = await keeper.sweep()
+            console.log(`Sweep complete: ${expired.length} offers expired`)
+            process.exit(0)
+        }
+        await keeper.start()
+    } catch (error) {
+        console.error("Failed to run offer expiry keeper:", error.message)
+        process.exit(1)
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main()
+}
+
+module.exports = OfferExpiryKeeper
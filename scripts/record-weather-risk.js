@@ -0,0 +1,103 @@
+const { ethers, network } = require("hardhat")
+const ContractService = require("../services/contractService")
+const {
+    WEATHER_RISK_METADATA,
+    weatherRiskMetadataHash,
+} = require("../services/contractService")
+const WeatherRiskService = require("../services/weatherRisk")
+const { toMetadataValue } = require("../services/weatherRisk")
+const { loadManifest, getAddress } = require("../utils/deploymentManifest")
+
+/**
+ * Score batches against their regional forecast and record the scores in
+ * MetadataManager (one "weatherRisk" PRODUCT record per batch, updated in place)
+ * Set WEATHER_RISK_BATCH_IDS (e.g. "1,2") to limit the batches scored.
+ * Usage: npx hardhat run scripts/record-weather-risk.js --network localhost
+ */
+async function main() {
+    console.log("Recording batch weather risk...")
+
+    const [deployer] = await ethers.getSigners()
+    console.log(`Recording with account: ${deployer.address}`)
+
+    const manifest = loadManifest(network.name)
+    const contractService = new ContractService({
+        provider: ethers.provider,
+        manifest,
+    })
+    const weatherRisk = new WeatherRiskService({ contractService })
+
+    const metadataManager = await ethers.getContractAt(
+        "MetadataManager",
+        getAddress(manifest, "MetadataManager")
+    )
+
+    const batchIds = process.env.WEATHER_RISK_BATCH_IDS
+        ? process.env.WEATHER_RISK_BATCH_IDS.split(",").map(Number)
+        : Array.from(
+              {
+                  length:
+                      Number(
+                          await contractService.contracts.ProductBatch.nextBatchId()
+                      ) - 1,
+              },
+              (_, i) => i + 1
+          )
+
+    for (const batchId of batchIds) {
+        try {
+            const risk = await weatherRisk.getBatchRisk(batchId)
+            const tx = await recordWeatherRisk(metadataManager, risk)
+            console.log(
+                `Batch ${batchId} (${risk.cropType}, ${risk.region}): harvest ${
+                    risk.harvestRisk === null ? "n/a" : risk.harvestRisk
+                } ${risk.harvestLevel}, transport ${risk.transportRisk} ${
+                    risk.transportLevel
+                } (tx: ${tx.hash})`
+            )
+        } catch (error) {
+            console.error(`Failed to record batch ${batchId}:`, error.message)
+        }
+    }
+
+    console.log("\nWeather risk recording completed!")
+}
+
+/**
+ * Create or update a batch's weather risk record
+ * @param {ethers.Contract} metadataManager - MetadataManager connected to an active stakeholder
+ * @param {Object} risk - Result of WeatherRiskService.getBatchRisk
+ * @returns {Promise<ethers.TransactionResponse>} Mined transaction
+ */
+async function recordWeatherRisk(metadataManager, risk) {
+    const value = toMetadataValue(risk)
+    const metadataId = await metadataManager.metadataByHash(
+        weatherRiskMetadataHash(risk.batchId)
+    )
+
+    const tx =
+        metadataId === 0n
+            ? await metadataManager.createMetadata(
+                  risk.batchId,
+                  WEATHER_RISK_METADATA.type,
+                  WEATHER_RISK_METADATA.key,
+                  value,
+                  "json",
+                  ["weather-risk"]
+              )
+            : await metadataManager.updateMetadata(metadataId, value)
+    await tx.wait()
+    return tx
+}
+
+// Run the script
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error)
+            process.exit(1)
+        })
+}
+
+module.exports = { main, recordWeatherRisk }
@@ -598,7 +598,7 @@ async function main() {
 
 
         try {
-          const retailerProducts = await productBatch.getRetailerProducts();
+          const retailerProducts = await productBatch.getRetailerProductsPage(0, 100);
           console.log("Products available for sale:", retailerProducts[0].length);
 
           if (retailerProducts[0].length > 0) {
@@ -607,7 +607,7 @@ async function main() {
             console.log("   - Prices (ETH):", retailerProducts[4].map(p => ethers.formatEther(p)));
           }
         } catch (e) {
-          console.log("getRetailerProducts error:", e.message.split('(')[0]);
+          console.log("getRetailerProductsPage error:", e.message.split('(')[0]);
         }
 
         try {
@@ -51,7 +51,6 @@ async function main() {
         "Testing Enhanced Supply Chain System with Verification...\n"
     )
 
-    const contractAddresses = require("../frontend/public-portal/src/constants/contractAddresses.json");
     const [deployer, farmer1, farmer2, processor1, distributor1, retailer1, shipper1, shipper2, consumer1, consumer2, consumer3] = await ethers.getSigners();
 
     try {
@@ -70,9 +70,9 @@ async function main() {
 
         console.log("\nWeather API service test completed successfully!")
 
-        if (!process.env.OPENWEATHER_API_KEY) {
+        if (!weatherAPI.provider.isConfigured()) {
             console.log(
-                "\nNote: No OPENWEATHER_API_KEY found, using mock data."
+                `\nNote: Weather provider "${weatherAPI.provider.name}" not configured, using mock data.`
             )
             console.log("   To use real weather data:")
             console.log(
@@ -1,5 +1,6 @@
-const { ethers } = require("hardhat")
+const { ethers, network } = require("hardhat")
 const WeatherAPIService = require("../services/weatherAPI")
+const { loadManifest, getAddress } = require("../utils/deploymentManifest")
 
 /**
  * Test script to verify weather integration with existing codebase
@@ -10,7 +11,10 @@ async function main() {
 
     try {
         // Initialize weather API service
-        const weatherAPI = new WeatherAPIService()
+        // Fixed seed so mock data (no API key) is identical on every run
+        const weatherAPI = new WeatherAPIService({
+            seed: process.env.WEATHER_MOCK_SEED || 1,
+        })
 
         // Get deployer account
         const [deployer] = await ethers.getSigners()
@@ -339,8 +343,7 @@ contract WeatherTestContract {
 }
 
 async function getContractAddress(contractName) {
-    const deployment = await deployments.get(contractName)
-    return deployment.address
+    return getAddress(loadManifest(network.name), contractName)
 }
 
 // Run the script
@@ -1,52 +1,51 @@
-const { ethers } = require("hardhat")
+const { ethers, network } = require("hardhat")
 const WeatherAPIService = require("../services/weatherAPI")
+const {
+    weatherRegions,
+    DEFAULT_WEATHER_LOCATION,
+} = require("../helper-hardhat-config")
+const { loadManifest, getAddress } = require("../utils/deploymentManifest")
+const { getWaitConfirmations, getFeeOverrides } = require("../utils/networks")
 
 /**
- * Script to update weather feeds with real API data
+ * Script to update the WeatherOracle with real API data
+ * The global reading gets DEFAULT_WEATHER_LOCATION and each region gets its
+ * own location; all of them are recorded in a single transaction.
  * Usage: npx hardhat run scripts/update-weather-feeds.js --network localhost
  */
 async function main() {
-    console.log("Starting weather feed update...")
+    console.log("Starting weather oracle update...")
 
     // Initialize weather API service
     const weatherAPI = new WeatherAPIService()
 
     // Get deployer account
     const [deployer] = await ethers.getSigners()
-    console.log(`Updating feeds with account: ${deployer.address}`)
-
-    // Define locations to fetch weather for (you can customize this)
-    const locations = ["Sydney,AU", "Melbourne,AU", "Brisbane,AU"]
+    console.log(`Updating oracle with account: ${deployer.address}`)
+    console.log(
+        `Network: ${network.name}, waiting for ${getWaitConfirmations(
+            network.name
+        )} confirmation(s)`
+    )
+
+    // Regions to update: global ("") first, then each region
+    const regions = [
+        { name: "global", region: "", location: DEFAULT_WEATHER_LOCATION },
+    ]
+    Object.entries(weatherRegions).forEach(([region, { query }]) => {
+        regions.push({ name: region, region, location: query })
+    })
 
     try {
-        // Get deployed contract addresses
-        const temperatureFeedAddress = await getContractAddress(
-            "UpdatableTemperatureFeed"
-        )
-        const humidityFeedAddress = await getContractAddress(
-            "UpdatableHumidityFeed"
-        )
-        const rainfallFeedAddress = await getContractAddress(
-            "UpdatableRainfallFeed"
-        )
-        const windSpeedFeedAddress = await getContractAddress(
-            "UpdatableWindSpeedFeed"
+        // Get deployed contract
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        const oracle = WeatherOracle.attach(
+            getAddress(loadManifest(network.name), "WeatherOracle")
         )
 
-        // Connect to contracts
-        const UpdatableWeatherFeed = await ethers.getContractFactory(
-            "UpdatableWeatherFeed"
-        )
-        const temperatureFeed = UpdatableWeatherFeed.attach(
-            temperatureFeedAddress
-        )
-        const humidityFeed = UpdatableWeatherFeed.attach(humidityFeedAddress)
-        const rainfallFeed = UpdatableWeatherFeed.attach(rainfallFeedAddress)
-        const windSpeedFeed = UpdatableWeatherFeed.attach(windSpeedFeedAddress)
-
-        // Fetch and update weather data for each location
-        for (const location of locations) {
-            console.log(`\nFetching weather data for ${location}...`)
+        const readings = []
+        for (const { name, region, location } of regions) {
+            console.log(`\nFetching weather data for ${location} (${name})...`)
 
             const weatherData = await weatherAPI.getContractFormattedWeather(
                 location
@@ -58,89 +57,49 @@ async function main() {
                 windSpeed: `${weatherData.windSpeed / 100}km/h`,
             })
 
-            // Update each feed
-            console.log("Updating temperature feed...")
-            const tempTx = await temperatureFeed.updateAnswer(
-                weatherData.temperature
-            )
-            await tempTx.wait()
-
-            console.log("Updating humidity feed...")
-            const humidityTx = await humidityFeed.updateAnswer(
-                weatherData.humidity
-            )
-            await humidityTx.wait()
-
-            console.log("Updating rainfall feed...")
-            const rainfallTx = await rainfallFeed.updateAnswer(
-                weatherData.rainfall
-            )
-            await rainfallTx.wait()
-
-            console.log("Updating wind speed feed...")
-            const windTx = await windSpeedFeed.updateAnswer(
-                weatherData.windSpeed
-            )
-            await windTx.wait()
-
-            console.log(`Successfully updated all feeds for ${location}`)
+            readings.push({
+                region,
+                temperature: weatherData.temperature,
+                humidity: weatherData.humidity,
+                rainfall: weatherData.rainfall,
+                windSpeed: weatherData.windSpeed,
+            })
 
             // Add delay between locations to avoid rate limiting
-            if (locations.indexOf(location) < locations.length - 1) {
-                console.log("Waiting 2 seconds before next update...")
+            if (readings.length < regions.length) {
+                console.log("Waiting 2 seconds before next location...")
                 await new Promise((resolve) => setTimeout(resolve, 2000))
             }
         }
 
-        // Display current feed values
-        console.log("\nCurrent feed values:")
-        const tempData = await temperatureFeed.latestRoundData()
-        const humidityData = await humidityFeed.latestRoundData()
-        const rainfallData = await rainfallFeed.latestRoundData()
-        const windData = await windSpeedFeed.latestRoundData()
-
-        console.log(
-            `Temperature: ${Number(tempData.answer) / 100}°C (Round ${
-                tempData.roundId
-            })`
-        )
-        console.log(
-            `Humidity: ${Number(humidityData.answer) / 100}% (Round ${
-                humidityData.roundId
-            })`
-        )
-        console.log(
-            `Rainfall: ${Number(rainfallData.answer) / 100}mm (Round ${
-                rainfallData.roundId
-            })`
-        )
-        console.log(
-            `Wind Speed: ${Number(windData.answer) / 100}km/h (Round ${
-                windData.roundId
-            })`
+        // Record every region in one transaction
+        console.log(`\nUpdating ${readings.length} regions...`)
+        const tx = await oracle.updateWeather(
+            readings,
+            getFeeOverrides(network.name)
         )
+        await tx.wait(getWaitConfirmations(network.name))
+        console.log(`Successfully updated weather oracle (tx: ${tx.hash})`)
+
+        // Display current oracle values
+        for (const { name, region } of regions) {
+            const [roundId, data] = await oracle.getLatestWeather(region)
+            console.log(
+                `${name}: ${Number(data.temperature) / 100}°C, ${
+                    Number(data.humidity) / 100
+                }%, ${Number(data.rainfall) / 100}mm, ${
+                    Number(data.windSpeed) / 100
+                }km/h (Round ${roundId})`
+            )
+        }
 
-        console.log("\nWeather feed update completed successfully!")
+        console.log("\nWeather oracle update completed successfully!")
     } catch (error) {
-        console.error("Error updating weather feeds:", error.message)
+        console.error("Error updating weather oracle:", error.message)
         console.error(error)
     }
 }
 
-/**
- * Get contract address from deployments
- */
-async function getContractAddress(contractName) {
-    try {
-        const deployment = await deployments.get(contractName)
-        return deployment.address
-    } catch (error) {
-        throw new Error(
-            `Contract ${contractName} not found. Please deploy contracts first.`
-        )
-    }
-}
-
 // Run the script
 if (require.main === module) {
     main()
@@ -0,0 +1,97 @@
+const hre = require("hardhat")
+const {
+    UPGRADEABLE_CONTRACTS,
+    validateUpgrade,
+    upgradeProxy,
+} = require("../utils/upgrades")
+const { writeNetworkManifest } = require("../utils/deploymentManifest")
+const { getWaitConfirmations, getFeeOverrides } = require("../utils/networks")
+
+/**
+ * Upgrade the proxied core contracts to the current code, keeping their
+ * addresses and state. Every storage layout is checked before anything is
+ * sent; unchanged contracts are skipped. The deployment manifest is rewritten
+ * with the same addresses and the new implementations and ABI hashes.
+ * Set UPGRADE_CONTRACTS (e.g. "ProductBatch,OfferManager") to limit the
+ * contracts upgraded, and UPGRADE_DRY_RUN=true to only run the checks.
+ * Usage: npx hardhat run scripts/upgrade-contracts.js --network localhost
+ */
+async function main() {
+    const { network, deployments } = hre
+    const names = process.env.UPGRADE_CONTRACTS
+        ? process.env.UPGRADE_CONTRACTS.split(",").map((name) => name.trim())
+        : UPGRADEABLE_CONTRACTS
+
+    console.log(`Upgrading contracts on ${network.name}...`)
+
+    const proxies = []
+    for (const name of names) {
+        const deployment = await deployments.getOrNull(name)
+        if (!deployment) {
+            throw new Error(`${name} is not deployed on ${network.name}`)
+        }
+        if (!deployment.implementation) {
+            throw new Error(
+                `${name} on ${network.name} is not behind a proxy. Redeploy with UPGRADEABLE=true to make it upgradeable.`
+            )
+        }
+        proxies.push({ name, deployment })
+    }
+
+    // Check every contract first so a bad layout stops the whole upgrade
+    for (const { name, deployment } of proxies) {
+        await validateUpgrade(
+            hre,
+            name,
+            deployment.address,
+            deployment.args || []
+        )
+        console.log(`${name}: storage layout compatible`)
+    }
+    if (process.env.UPGRADE_DRY_RUN === "true") {
+        console.log("Dry run, nothing upgraded")
+        return
+    }
+
+    const waitConfirmations = getWaitConfirmations(network.name)
+    const txOverrides = getFeeOverrides(network.name)
+    for (const { name, deployment } of proxies) {
+        const result = await upgradeProxy(
+            hre,
+            name,
+            deployment.address,
+            deployment.args || [],
+            { waitConfirmations, txOverrides }
+        )
+        if (!result.upgraded) {
+            console.log(`${name}: unchanged (${result.implementation})`)
+            continue
+        }
+
+        await deployments.save(name, {
+            ...deployment,
+            abi: (await deployments.getArtifact(name)).abi,
+            implementation: result.implementation,
+        })
+        console.log(
+            `${name}: ${deployment.address} upgraded from ${result.previousImplementation} to ${result.implementation} (tx: ${result.transactionHash})`
+        )
+    }
+
+    if (network.name !== "hardhat") {
+        const { file } = await writeNetworkManifest(hre)
+        console.log(`Deployment manifest updated: ${file}`)
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error)
+            process.exit(1)
+        })
+}
+
+module.exports = main
@@ -1,16 +1,64 @@
-const { ethers } = require("hardhat")
+const { ethers, network } = require("hardhat")
 const WeatherAPIService = require("../services/weatherAPI")
+const {
+    weatherRegions,
+    DEFAULT_WEATHER_LOCATION,
+} = require("../helper-hardhat-config")
+const WeatherMonitorStatus = require("../services/weatherMonitorStatus")
+const { createHealthApp } = require("../services/weatherMonitorStatus")
+const { withRetry } = require("../utils/retry")
+const { loadManifest, getAddress } = require("../utils/deploymentManifest")
+const { getWaitConfirmations, getFeeOverrides } = require("../utils/networks")
+
+// WeatherOracle key of the global reading
+const GLOBAL_REGION = ""
 
 /**
- * Weather monitoring script that continuously updates feeds
+ * Weather monitoring daemon that continuously updates the WeatherOracle
+ * Every cycle fetches each region's weather (plus DEFAULT_WEATHER_LOCATION for
+ * the global reading) and records all of them in one updateWeather
+ * transaction, so no metric or region is ever left half-updated. Failed
+ * fetches and transactions are retried with exponential backoff, and a
+ * heartbeat flags regions whose latest round is older than
+ * WEATHER_STALE_AFTER_SECONDS in the status file and on GET /health.
  * Usage: npx hardhat run scripts/weather-monitor.js --network localhost
  */
 class WeatherMonitor {
-    constructor() {
-        this.weatherAPI = new WeatherAPIService()
-        this.updateInterval = 5 * 60 * 1000 // 5 minutes
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.weatherAPI] - Weather source (defaults to WeatherAPIService)
+     * @param {number} [options.updateInterval] - Time between update cycles (ms)
+     * @param {number} [options.heartbeatInterval] - Time between staleness checks (ms)
+     * @param {number} [options.retries] - Retries per fetch and per transaction
+     * @param {number} [options.retryDelay] - Delay before the first retry (ms)
+     * @param {number|null} [options.healthPort] - Port for GET /health (null to disable)
+     * @param {WeatherMonitorStatus} [options.status] - Status tracker
+     */
+    constructor(options = {}) {
+        this.weatherAPI = options.weatherAPI || new WeatherAPIService()
+        this.updateInterval =
+            options.updateInterval ||
+            Number(process.env.WEATHER_UPDATE_INTERVAL_MS) ||
+            5 * 60 * 1000 // 5 minutes
+        this.heartbeatInterval =
+            options.heartbeatInterval ||
+            Number(process.env.WEATHER_HEARTBEAT_INTERVAL_MS) ||
+            60 * 1000 // 1 minute
+        this.retries =
+            options.retries !== undefined
+                ? options.retries
+                : Number(process.env.WEATHER_UPDATE_RETRIES || 3)
+        this.retryDelay =
+            options.retryDelay !== undefined
+                ? options.retryDelay
+                : Number(process.env.WEATHER_RETRY_DELAY_MS || 2000)
+        this.healthPort =
+            options.healthPort !== undefined
+                ? options.healthPort
+                : process.env.WEATHER_MONITOR_PORT || 3002
+        this.status = options.status || new WeatherMonitorStatus()
         this.isRunning = false
-        this.contracts = {}
+        this.locations = {}
     }
 
     async initialize() {
@@ -21,6 +69,9 @@ class WeatherMonitor {
         this.deployer = deployer
         console.log(`Monitor running with account: ${deployer.address}`)
 
+        // Track nonces locally and resync with the node before retries
+        this.signer = new ethers.NonceManager(deployer)
+
         // Connect to contracts
         await this.connectToContracts()
 
@@ -28,111 +79,231 @@ class WeatherMonitor {
     }
 
     async connectToContracts() {
+        let address
         try {
-            const UpdatableWeatherFeed = await ethers.getContractFactory(
-                "UpdatableWeatherFeed"
-            )
-
-            // Get contract addresses
-            const addresses = {
-                temperature: await this.getContractAddress(
-                    "UpdatableTemperatureFeed"
-                ),
-                humidity: await this.getContractAddress(
-                    "UpdatableHumidityFeed"
-                ),
-                rainfall: await this.getContractAddress(
-                    "UpdatableRainfallFeed"
-                ),
-                windSpeed: await this.getContractAddress(
-                    "UpdatableWindSpeedFeed"
-                ),
-            }
-
-            // Connect to contracts
-            this.contracts = {
-                temperature: UpdatableWeatherFeed.attach(addresses.temperature),
-                humidity: UpdatableWeatherFeed.attach(addresses.humidity),
-                rainfall: UpdatableWeatherFeed.attach(addresses.rainfall),
-                windSpeed: UpdatableWeatherFeed.attach(addresses.windSpeed),
-            }
-
-            console.log("Connected to weather feed contracts:")
-            Object.entries(addresses).forEach(([type, address]) => {
-                console.log(`  ${type}: ${address}`)
-            })
+            address = getAddress(loadManifest(network.name), "WeatherOracle")
         } catch (error) {
             throw new Error(`Failed to connect to contracts: ${error.message}`)
         }
+
+        await this.connectToOracle(address)
+        console.log(`Connected to WeatherOracle at ${address}`)
+
+        this.addRegion("global", DEFAULT_WEATHER_LOCATION)
+        for (const [region, { query }] of Object.entries(weatherRegions)) {
+            this.addRegion(region, query)
+        }
     }
 
-    async startMonitoring(location = "Sydney,AU") {
-        console.log(`\nStarting weather monitoring for ${location}`)
+    async connectToOracle(address) {
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        this.oracle = WeatherOracle.attach(address).connect(this.signer)
+    }
+
+    /**
+     * Track a region updated from one location
+     * @param {string} name - Region name ("global" for the global reading)
+     * @param {string} location - Location sent to the weather API
+     */
+    addRegion(name, location) {
+        this.locations[name] = location
+        this.status.registerFeed(name, this.oracle.target)
+    }
+
+    /**
+     * Start pushing weather data on an interval
+     * @param {string|Object} [locations] - Location for the global reading, or
+     * a map of region name ("global" or a region) to location
+     */
+    async startMonitoring(locations = {}) {
+        if (typeof locations === "string") {
+            locations = { global: locations }
+        }
+        for (const [name, location] of Object.entries(locations)) {
+            if (!this.locations[name]) {
+                throw new Error(`Unknown weather region "${name}"`)
+            }
+            this.locations[name] = location
+        }
+
+        console.log("\nStarting weather monitoring for:")
+        Object.entries(this.locations).forEach(([name, location]) => {
+            console.log(`  ${name}: ${location}`)
+        })
         console.log(
             `Update interval: ${this.updateInterval / 1000 / 60} minutes`
         )
+        console.log(`Stale after: ${this.status.staleAfter} seconds`)
 
         this.isRunning = true
-        this.location = location
 
-        // Initial update
-        await this.updateWeatherData()
+        if (this.healthPort) {
+            this.healthServer = createHealthApp(this.status).listen(
+                this.healthPort,
+                () => {
+                    console.log(
+                        `Health endpoint: http://localhost:${this.healthPort}/health`
+                    )
+                }
+            )
+        }
 
-        // Set up periodic updates
-        this.intervalId = setInterval(async () => {
-            if (this.isRunning) {
-                await this.updateWeatherData()
-            }
-        }, this.updateInterval)
+        // Initial update; later cycles are scheduled when the previous one
+        // finishes so slow retries never overlap
+        await this.runUpdateCycle()
+
+        this.heartbeatId = setInterval(
+            () => this.checkFeedHealth(),
+            this.heartbeatInterval
+        )
 
         console.log("Weather monitoring started. Press Ctrl+C to stop.")
 
-        // Handle graceful shutdown
+        // Handle graceful shutdown (Ctrl+C or process manager)
         process.on("SIGINT", () => {
             this.stopMonitoring()
         })
+        process.on("SIGTERM", () => {
+            this.stopMonitoring()
+        })
+    }
+
+    async runUpdateCycle() {
+        const startedAt = Date.now()
+        await this.updateWeatherData()
+        this.status.recordCycle(startedAt, Date.now())
+        await this.checkFeedHealth()
+
+        if (this.isRunning) {
+            this.timeoutId = setTimeout(
+                () => this.runUpdateCycle(),
+                this.updateInterval
+            )
+        }
     }
 
+    /**
+     * Fetch every region and record them all in one oracle transaction
+     * @returns {Promise<boolean>} True if the transaction succeeded
+     */
     async updateWeatherData() {
+        console.log(`\nUpdating weather data... (${new Date().toISOString()})`)
+
+        const readings = []
+        for (const [name, location] of Object.entries(this.locations)) {
+            const weatherData = await this.fetchWeather(name, location)
+            if (weatherData) {
+                readings.push({ name, weatherData })
+            }
+        }
+        if (readings.length === 0) return false
+
         try {
+            const tx = await withRetry(
+                async () => {
+                    const tx = await this.oracle.updateWeather(
+                        readings.map(({ name, weatherData }) => ({
+                            region: name === "global" ? GLOBAL_REGION : name,
+                            temperature: weatherData.temperature,
+                            humidity: weatherData.humidity,
+                            rainfall: weatherData.rainfall,
+                            windSpeed: weatherData.windSpeed,
+                        })),
+                        getFeeOverrides(network.name)
+                    )
+                    await tx.wait(getWaitConfirmations(network.name))
+                    return tx
+                },
+                {
+                    retries: this.retries,
+                    baseDelay: this.retryDelay,
+                    onRetry: (error, attempt, delay) => {
+                        // Resync with the node's pending nonce before retrying
+                        if (this.signer) this.signer.reset()
+                        console.warn(
+                            `  Oracle update failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`
+                        )
+                    },
+                }
+            )
+
+            readings.forEach(({ name, weatherData }) =>
+                this.status.recordSuccess(name, {
+                    value: JSON.stringify(weatherData),
+                    txHash: tx.hash,
+                })
+            )
             console.log(
-                `\nUpdating weather data... (${new Date().toISOString()})`
+                `Updated ${readings.length} regions (tx: ${tx.hash.substring(
+                    0,
+                    10
+                )}...)`
+            )
+            return true
+        } catch (error) {
+            readings.forEach(({ name }) =>
+                this.status.recordFailure(name, error)
             )
+            console.error("Failed to update weather oracle:", error.message)
+            return false
+        }
+    }
 
-            // Fetch current weather
-            const weatherData =
-                await this.weatherAPI.getContractFormattedWeather(this.location)
+    /**
+     * Fetch contract-formatted weather for a region, with retries
+     * @returns {Promise<Object|null>} Weather data, or null if every attempt failed
+     */
+    async fetchWeather(name, location) {
+        try {
+            const weatherData = await withRetry(
+                () => this.weatherAPI.getContractFormattedWeather(location),
+                {
+                    retries: this.retries,
+                    baseDelay: this.retryDelay,
+                    onRetry: (error, attempt, delay) =>
+                        console.warn(
+                            `  Weather fetch for ${location} failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`
+                        ),
+                }
+            )
 
-            console.log(`Current weather for ${this.location}:`)
+            console.log(`Current weather for ${location} (${name}):`)
             console.log(`  Temperature: ${weatherData.temperature / 100}°C`)
             console.log(`  Humidity: ${weatherData.humidity / 100}%`)
             console.log(`  Rainfall: ${weatherData.rainfall / 100}mm`)
             console.log(`  Wind Speed: ${weatherData.windSpeed / 100}km/h`)
-
-            // Update contracts in parallel for better performance
-            const updatePromises = [
-                this.updateContract("temperature", weatherData.temperature),
-                this.updateContract("humidity", weatherData.humidity),
-                this.updateContract("rainfall", weatherData.rainfall),
-                this.updateContract("windSpeed", weatherData.windSpeed),
-            ]
-
-            await Promise.all(updatePromises)
-            console.log("All weather feeds updated successfully!")
+            return weatherData
         } catch (error) {
-            console.error("Error updating weather data:", error.message)
+            this.status.recordFailure(name, error)
+            console.error(`Error fetching ${name} weather data:`, error.message)
+            return null
         }
     }
 
-    async updateContract(type, value) {
+    /**
+     * Heartbeat: flag regions whose latest round is too old and write the status file
+     */
+    async checkFeedHealth() {
+        for (const name of Object.keys(this.locations)) {
+            try {
+                const latestTimestamp = await this.oracle.getLatestTimestamp(
+                    name === "global" ? GLOBAL_REGION : name
+                )
+                if (this.status.recordHeartbeat(name, latestTimestamp)) {
+                    console.warn(
+                        `  STALE: ${name} last updated ${this.status.feeds[name].ageSeconds}s ago`
+                    )
+                }
+            } catch (error) {
+                this.status.recordFailure(name, error)
+                console.error(`  Heartbeat failed for ${name}:`, error.message)
+            }
+        }
+
         try {
-            const tx = await this.contracts[type].updateAnswer(value)
-            await tx.wait()
-            console.log(
-                `  ${type} feed updated (tx: ${tx.hash.substring(0, 10)}...)`
-            )
+            this.status.write()
         } catch (error) {
-            console.error(`  Failed to update ${type} feed:`, error.message)
+            console.error("Failed to write status file:", error.message)
         }
     }
 
@@ -140,8 +311,10 @@ class WeatherMonitor {
         console.log("\nStopping weather monitor...")
         this.isRunning = false
 
-        if (this.intervalId) {
-            clearInterval(this.intervalId)
+        clearTimeout(this.timeoutId)
+        clearInterval(this.heartbeatId)
+        if (this.healthServer) {
+            this.healthServer.close()
         }
 
         console.log("Weather monitor stopped.")
@@ -149,51 +322,28 @@ class WeatherMonitor {
     }
 
     async getCurrentFeedValues() {
-        console.log("\nCurrent feed values:")
-
-        try {
-            const values = await Promise.all([
-                this.contracts.temperature.latestRoundData(),
-                this.contracts.humidity.latestRoundData(),
-                this.contracts.rainfall.latestRoundData(),
-                this.contracts.windSpeed.latestRoundData(),
-            ])
-
-            const [tempData, humidityData, rainfallData, windData] = values
-
-            console.log(
-                `  Temperature: ${tempData.answer / 100}°C (Round ${
-                    tempData.roundId
-                })`
-            )
-            console.log(
-                `  Humidity: ${humidityData.answer / 100}% (Round ${
-                    humidityData.roundId
-                })`
-            )
-            console.log(
-                `  Rainfall: ${rainfallData.answer / 100}mm (Round ${
-                    rainfallData.roundId
-                })`
-            )
-            console.log(
-                `  Wind Speed: ${windData.answer / 100}km/h (Round ${
-                    windData.roundId
-                })`
-            )
-        } catch (error) {
-            console.error("Error fetching feed values:", error.message)
-        }
-    }
-
-    async getContractAddress(contractName) {
-        try {
-            const deployment = await deployments.get(contractName)
-            return deployment.address
-        } catch (error) {
-            throw new Error(
-                `Contract ${contractName} not found. Please deploy contracts first.`
-            )
+        console.log("\nCurrent weather oracle values:")
+
+        for (const name of Object.keys(this.locations)) {
+            try {
+                const [roundId, data] = await this.oracle.getLatestWeather(
+                    name === "global" ? GLOBAL_REGION : name
+                )
+                if (roundId === 0n) {
+                    console.log(`  ${name}: no data yet`)
+                    continue
+                }
+
+                console.log(
+                    `  ${name}: ${Number(data.temperature) / 100}°C, ${
+                        Number(data.humidity) / 100
+                    }%, ${Number(data.rainfall) / 100}mm, ${
+                        Number(data.windSpeed) / 100
+                    }km/h (Round ${roundId})`
+                )
+            } catch (error) {
+                console.error("Error fetching oracle values:", error.message)
+            }
         }
     }
 }
@@ -204,15 +354,15 @@ async function main() {
     try {
         await monitor.initialize()
 
-        // Get location from command line args or use default
+        // Command line args override the global reading's location
         const args = process.argv.slice(2)
-        const location = args.length > 0 ? args.join(" ") : "Sydney,AU"
+        const locations = args.length > 0 ? { global: args.join(" ") } : {}
 
         // Display current values first
         await monitor.getCurrentFeedValues()
 
         // Start monitoring
-        await monitor.startMonitoring(location)
+        await monitor.startMonitoring(locations)
     } catch (error) {
         console.error("Failed to start weather monitor:", error.message)
         process.exit(1)
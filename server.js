@@ -0,0 +1,329 @@
+const express = require("express")
+const { ethers } = require("ethers")
+const cors = require("cors")
+const multer = require("multer")
+const ContractService = require("./services/contractService")
+const { NotFoundError } = require("./services/contractService")
+const UploadOracle = require("./services/uploadOracle")
+const { UploadRejectedError } = require("./services/uploadOracle")
+const WeatherRiskService = require("./services/weatherRisk")
+const EventIndexer = require("./services/eventIndexer")
+const { getIndexerOptions } = require("./services/eventIndexer")
+const IndexStore = require("./services/indexStore")
+const { InvalidQueryError } = require("./services/indexStore")
+require("dotenv").config()
+
+/**
+ * Off-chain REST API over the deployed supply chain contracts
+ * Usage: npm start (or npm run dev for auto-reload)
+ */
+const MAX_PAGE_SIZE = 100
+const MAX_UPLOAD_SIZE = Number(process.env.MAX_UPLOAD_SIZE) || 10 * 1024 * 1024
+
+function createApp(
+    contractService = new ContractService(),
+    uploadOracle,
+    weatherRisk = new WeatherRiskService({ contractService }),
+    indexStore
+) {
+    const app = express()
+
+    app.use(cors())
+    app.use(express.json())
+
+    // Wrap async handlers so rejected promises reach the error middleware
+    const handle = (fn) => (req, res, next) =>
+        Promise.resolve(fn(req, res, next)).catch(next)
+
+    app.get("/api/health", (req, res) => {
+        res.json({
+            status: "ok",
+            network: contractService.network,
+            rpcUrl: contractService.rpcUrl,
+        })
+    })
+
+    app.get("/api/contracts", (req, res) => {
+        res.json(contractService.addresses)
+    })
+
+    // Batches
+    app.get(
+        "/api/batches",
+        handle(async (req, res) => {
+            const { offset, limit } = parsePagination(req.query)
+            res.json(await contractService.getBatches(offset, limit))
+        })
+    )
+
+    app.get(
+        "/api/batches/:id",
+        handle(async (req, res) => {
+            res.json(await contractService.getBatch(parseId(req.params.id)))
+        })
+    )
+
+    app.get(
+        "/api/batches/:id/provenance",
+        handle(async (req, res) => {
+            res.json(
+                await contractService.getProvenance(parseId(req.params.id))
+            )
+        })
+    )
+
+    app.get(
+        "/api/batches/:id/weather-risk",
+        handle(async (req, res) => {
+            res.json(await weatherRisk.getBatchRisk(parseId(req.params.id)))
+        })
+    )
+
+    // Offers
+    app.get(
+        "/api/offers",
+        handle(async (req, res) => {
+            if (req.query.availableTo) {
+                res.json(
+                    await contractService.getAvailableOffers(
+                        req.query.availableTo
+                    )
+                )
+                return
+            }
+            const { offset, limit } = parsePagination(req.query)
+            res.json(await contractService.getOffers(offset, limit))
+        })
+    )
+
+    app.get(
+        "/api/offers/:id",
+        handle(async (req, res) => {
+            res.json(await contractService.getOffer(parseId(req.params.id)))
+        })
+    )
+
+    // Shipments
+    app.get(
+        "/api/shipments",
+        handle(async (req, res) => {
+            const { offset, limit } = parsePagination(req.query)
+            res.json(await contractService.getShipments(offset, limit))
+        })
+    )
+
+    app.get(
+        "/api/shipments/tracking/:trackingId",
+        handle(async (req, res) => {
+            res.json(
+                await contractService.getShipmentByTrackingId(
+                    req.params.trackingId
+                )
+            )
+        })
+    )
+
+    app.get(
+        "/api/shipments/:id",
+        handle(async (req, res) => {
+            res.json(await contractService.getShipment(parseId(req.params.id)))
+        })
+    )
+
+    // File uploads (only when the upload oracle is running)
+    if (uploadOracle) {
+        const upload = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: MAX_UPLOAD_SIZE },
+        })
+
+        if (uploadOracle.storage.name === "local") {
+            app.use("/files", express.static(uploadOracle.storage.directory))
+        }
+
+        app.get("/api/uploads/pending", (req, res) => {
+            res.json(uploadOracle.getPendingRequests())
+        })
+
+        app.post(
+            "/api/uploads/:requestId",
+            upload.single("file"),
+            handle(async (req, res) => {
+                const requestId = parseId(req.params.requestId)
+                if (!req.file) {
+                    throw new BadRequestError("file field is required")
+                }
+                const tags = (req.body.tags || "")
+                    .split(",")
+                    .map((tag) => tag.trim())
+                    .filter((tag) => tag.length > 0)
+
+                res.status(201).json(
+                    await uploadOracle.fulfil(requestId, req.file, tags)
+                )
+            })
+        )
+    }
+
+    // Event index (only when the indexer is running)
+    if (indexStore) {
+        app.get("/api/index/status", (req, res) => {
+            res.json(indexStore.getStatus())
+        })
+
+        app.get("/api/index/batches/:id/timeline", (req, res) => {
+            const id = parseId(req.params.id)
+            if (!indexStore.get("batches", id)) {
+                throw new NotFoundError(`Batch ${id} not indexed`)
+            }
+            res.json(indexStore.getBatchTimeline(id))
+        })
+
+        app.get("/api/index/:table", (req, res) => {
+            const { offset, limit, ...filters } = req.query
+            res.json(
+                indexStore.query(
+                    req.params.table,
+                    filters,
+                    parsePagination({ offset, limit })
+                )
+            )
+        })
+
+        app.get("/api/index/:table/:id", (req, res) => {
+            const { table } = req.params
+            const id = parseEntityId(table, req.params.id)
+            const entity = indexStore.get(table, id)
+            if (!entity) {
+                throw new NotFoundError(`${table} ${id} not indexed`)
+            }
+            res.json(entity)
+        })
+
+        app.get("/api/index/:table/:id/events", (req, res) => {
+            const { table } = req.params
+            res.json(
+                indexStore.getEntityEvents(
+                    table,
+                    parseEntityId(table, req.params.id)
+                )
+            )
+        })
+    }
+
+    app.use((req, res) => {
+        res.status(404).json({ error: `Route ${req.path} not found` })
+    })
+
+    // eslint-disable-next-line no-unused-vars
+    app.use((error, req, res, next) => {
+        if (error instanceof NotFoundError) {
+            res.status(404).json({ error: error.message })
+        } else if (error instanceof UploadRejectedError) {
+            res.status(error.status).json({ error: error.message })
+        } else if (
+            error instanceof BadRequestError ||
+            error instanceof InvalidQueryError ||
+            error instanceof multer.MulterError
+        ) {
+            res.status(400).json({ error: error.message })
+        } else {
+            console.error(`Error handling ${req.method} ${req.path}:`, error)
+            res.status(500).json({ error: error.message })
+        }
+    })
+
+    return app
+}
+
+class BadRequestError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = "BadRequestError"
+    }
+}
+
+function parseId(value) {
+    const id = Number(value)
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new BadRequestError(`Invalid ID: ${value}`)
+    }
+    return id
+}
+
+// Stakeholders are keyed by address, everything else by ID
+function parseEntityId(table, value) {
+    if (table !== "stakeholders") return parseId(value)
+    if (!ethers.isAddress(value)) {
+        throw new BadRequestError(`Invalid address: ${value}`)
+    }
+    return value
+}
+
+function parsePagination(query) {
+    const offset = query.offset === undefined ? 0 : Number(query.offset)
+    const limit = query.limit === undefined ? 20 : Number(query.limit)
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new BadRequestError("offset must be a non-negative integer")
+    }
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_PAGE_SIZE) {
+        throw new BadRequestError(
+            `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+        )
+    }
+    return { offset, limit }
+}
+
+async function main() {
+    const port = process.env.PORT || 3001
+    const contractService = new ContractService()
+
+    let uploadOracle
+    if (contractService.addresses.FileStorageManager) {
+        try {
+            uploadOracle = new UploadOracle({
+                provider: contractService.provider,
+                address: contractService.addresses.FileStorageManager,
+            })
+            await uploadOracle.start()
+        } catch (error) {
+            console.warn(`Upload oracle not started: ${error.message}`)
+            uploadOracle = undefined
+        }
+    }
+
+    let indexStore
+    if (process.env.INDEXER_ENABLED !== "false") {
+        try {
+            const options = getIndexerOptions(contractService.manifest)
+            indexStore = new IndexStore(options.filename)
+            const indexer = new EventIndexer({
+                ...options,
+                provider: contractService.provider,
+                addresses: contractService.addresses,
+                store: indexStore,
+            })
+            indexer.start()
+        } catch (error) {
+            console.warn(`Event indexer not started: ${error.message}`)
+            indexStore = undefined
+        }
+    }
+
+    const app = createApp(contractService, uploadOracle, undefined, indexStore)
+
+    app.listen(port, () => {
+        console.log(`Supply chain API listening on port ${port}`)
+    })
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Failed to start API server:", error.message)
+        process.exit(1)
+    })
+}
+
+module.exports = { createApp, BadRequestError }
@@ -0,0 +1,447 @@
+const { ethers } = require("ethers")
+const { networkConfig } = require("../helper-hardhat-config")
+const { getRpcUrl } = require("../utils/networks")
+const { loadManifest, getAddresses } = require("../utils/deploymentManifest")
+const { readAllPages } = require("../utils/pagination")
+require("dotenv").config()
+
+const contractABIs = {
+    ProductBatch: [
+        "function nextBatchId() external view returns (uint256)",
+        "function getBatchInfo(uint256 batchId) external view returns (address farmer, address currentOwner, string name, string description, uint256 quantity, uint256 basePrice, string originLocation, uint8 status, uint256 createdAt, uint256 lastUpdated)",
+        "function getBatchMarketInfo(uint256 batchId) external view returns (address owner, string name, uint256 quantity, uint256 localPrice, uint256 usdPrice, uint8 status, uint8 tradingMode, tuple(int256 temperature, uint256 humidity, uint256 rainfall, uint256 windSpeed, uint256 timestamp) lastWeather, bool weatherVerificationRequired)",
+        "function cropWeatherRequirements(string cropType) external view returns (int256 temperature, uint256 humidity, uint256 rainfall, uint256 windSpeed, uint256 timestamp)",
+        "function getBatchWeatherRegion(uint256 batchId) external view returns (string)",
+    ],
+    OfferManager: [
+        "function nextOfferId() external view returns (uint256)",
+        "function getOfferInfo(uint256 offerId) external view returns (address creator, address counterparty, uint256 batchId, uint256 price, uint256 quantity, uint8 offerType, uint8 status, string terms, uint256 expiresAt, address acceptedBy)",
+        "function getAvailableOffersPage(address user, uint256 cursor, uint256 limit) external view returns (uint256[] offerIds, uint256 nextCursor)",
+    ],
+    ShipmentTracker: [
+        "function nextShipmentId() external view returns (uint256)",
+        "function shipments(uint256 shipmentId) external view returns (uint256 id, uint256 batchId, uint256 offerId, address sender, address receiver, address shipper, string trackingId, string fromLocation, string toLocation, uint8 status, string metadataHash, uint256 createdAt, uint256 pickedUpAt, uint256 deliveredAt, uint256 confirmedAt)",
+        "function trackingIdToShipment(string trackingId) external view returns (uint256)",
+        "function getTrackingHistory(uint256 shipmentId) external view returns (string[] locations, uint256[] timestamps)",
+    ],
+    ProvenanceTracker: [
+        "function getFullProvenanceChain(uint256 batchId) external view returns (uint256 recordCount, bytes32 rootHash, bool isFinalized)",
+        "function getProvenanceRecord(uint256 batchId, uint256 recordIndex) external view returns (address actor, string action, string location, uint256 timestamp, string metadataHash, bytes32 previousHash, bytes32 recordHash)",
+    ],
+    MetadataManager: [
+        "function metadataByHash(bytes32 metadataHash) external view returns (uint256)",
+        "function getMetadata(uint256 metadataId) external view returns (uint256 entityId, uint8 metadataType, string key, string value, string dataType, address creator, uint256 createdAt, uint256 updatedAt, bool isActive)",
+    ],
+}
+
+// MetadataManager record holding a batch's latest weather risk scores
+const WEATHER_RISK_METADATA = { type: 0, key: "weatherRisk" } // PRODUCT
+
+const BATCH_STATUS = [
+    "CREATED",
+    "LISTED",
+    "OFFERED",
+    "SOLD",
+    "SHIPPED",
+    "RECEIVED",
+    "PROCESSED",
+    "QUALITY_CHECKED",
+    "FINALIZED",
+]
+const TRADING_MODE = [
+    "SPOT_MARKET",
+    "CONTRACT_FARMING",
+    "COOPERATIVE",
+    "WEATHER_DEPENDENT",
+]
+const OFFER_TYPE = ["BUY_OFFER", "SELL_OFFER", "CONTRACT_OFFER"]
+const OFFER_STATUS = [
+    "OPEN",
+    "ACCEPTED",
+    "EXPIRED",
+    "CANCELLED",
+    "COUNTERED",
+    "FILLED",
+]
+const SHIPMENT_STATUS = [
+    "CREATED",
+    "PICKED_UP",
+    "IN_TRANSIT",
+    "DELIVERED",
+    "CONFIRMED",
+]
+
+/**
+ * Thrown when a requested record does not exist on-chain
+ */
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = "NotFoundError"
+    }
+}
+
+// RPC endpoint from the network registry for a network name
+function defaultRpcUrl(network) {
+    return (
+        (networkConfig[network] && getRpcUrl(network)) ||
+        "http://127.0.0.1:8545"
+    )
+}
+
+/**
+ * Read-only access to the deployed supply chain contracts
+ */
+class ContractService {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.network] - Deployment network (defaults to DEPLOYMENT_NETWORK or localhost)
+     * @param {Object} [options.manifest] - Deployment manifest (defaults to the network's manifest)
+     * @param {string} [options.rpcUrl] - JSON-RPC endpoint (defaults to RPC_URL or the network's RPC)
+     * @param {ethers.Provider} [options.provider] - Pre-built provider (overrides rpcUrl)
+     */
+    constructor(options = {}) {
+        this.manifest = options.manifest || loadManifest(options.network)
+        this.network = this.manifest.network
+        this.rpcUrl =
+            options.rpcUrl || process.env.RPC_URL || defaultRpcUrl(this.network)
+        this.provider =
+            options.provider || new ethers.JsonRpcProvider(this.rpcUrl)
+        this.addresses = getAddresses(this.manifest)
+        this.contracts = {}
+
+        for (const [name, abi] of Object.entries(contractABIs)) {
+            if (this.addresses[name]) {
+                this.contracts[name] = new ethers.Contract(
+                    this.addresses[name],
+                    abi,
+                    this.provider
+                )
+            } else {
+                console.warn(`${name} is not deployed on ${this.network}`)
+            }
+        }
+    }
+
+    /**
+     * Get a single batch with its market data
+     * @param {number|string} batchId - Batch ID
+     * @returns {Promise<Object>} Batch details
+     */
+    async getBatch(batchId) {
+        const productBatch = this._getContract("ProductBatch")
+        const info = await this._call(
+            () => productBatch.getBatchInfo(batchId),
+            `Batch ${batchId} not found`
+        )
+        const market = await productBatch.getBatchMarketInfo(batchId)
+
+        return {
+            id: Number(batchId),
+            farmer: info.farmer,
+            currentOwner: info.currentOwner,
+            name: info.name,
+            description: info.description,
+            quantity: info.quantity.toString(),
+            basePrice: info.basePrice.toString(),
+            usdPrice: market.usdPrice.toString(),
+            originLocation: info.originLocation,
+            status: BATCH_STATUS[Number(info.status)],
+            tradingMode: TRADING_MODE[Number(market.tradingMode)],
+            weatherVerificationRequired: market.weatherVerificationRequired,
+            lastWeather: {
+                temperature: market.lastWeather.temperature.toString(),
+                humidity: market.lastWeather.humidity.toString(),
+                rainfall: market.lastWeather.rainfall.toString(),
+                windSpeed: market.lastWeather.windSpeed.toString(),
+                timestamp: Number(market.lastWeather.timestamp),
+            },
+            createdAt: Number(info.createdAt),
+            lastUpdated: Number(info.lastUpdated),
+        }
+    }
+
+    /**
+     * List batches in ID order
+     * @param {number} offset - Number of batches to skip
+     * @param {number} limit - Maximum number of batches to return
+     * @returns {Promise<Object>} Page of batches and the total count
+     */
+    async getBatches(offset = 0, limit = 20) {
+        const productBatch = this._getContract("ProductBatch")
+        const total = Number(await productBatch.nextBatchId()) - 1
+        const batches = await this._page(total, offset, limit, (id) =>
+            this.getBatch(id)
+        )
+        return { total, offset, limit, batches }
+    }
+
+    /**
+     * Get the weather requirements set for a crop
+     * @param {string} cropType - Crop type (ProductBatch uses the batch name)
+     * @returns {Promise<Object|null>} Contract-scaled requirements, or null if none are set
+     */
+    async getCropWeatherRequirements(cropType) {
+        const productBatch = this._getContract("ProductBatch")
+        const requirements = await productBatch.cropWeatherRequirements(
+            cropType
+        )
+        if (requirements.timestamp === 0n) return null
+
+        return {
+            temperature: Number(requirements.temperature),
+            humidity: Number(requirements.humidity),
+            rainfall: Number(requirements.rainfall),
+            windSpeed: Number(requirements.windSpeed),
+            updatedAt: Number(requirements.timestamp),
+        }
+    }
+
+    /**
+     * Get the weather region a batch reads ("" for the global reading)
+     * @param {number|string} batchId - Batch ID
+     * @returns {Promise<string>} Region name
+     */
+    async getBatchWeatherRegion(batchId) {
+        const productBatch = this._getContract("ProductBatch")
+        return this._call(
+            () => productBatch.getBatchWeatherRegion(batchId),
+            `Batch ${batchId} not found`
+        )
+    }
+
+    /**
+     * Get the weather risk scores last recorded for a batch
+     * @param {number|string} batchId - Batch ID
+     * @returns {Promise<Object|null>} Recorded scores, or null if none (or MetadataManager is not deployed)
+     */
+    async getWeatherRiskMetadata(batchId) {
+        const metadataManager = this.contracts.MetadataManager
+        if (!metadataManager) return null
+
+        const metadataId = await metadataManager.metadataByHash(
+            weatherRiskMetadataHash(batchId)
+        )
+        if (metadataId === 0n) return null
+
+        const record = await metadataManager.getMetadata(metadataId)
+        if (!record.isActive) return null
+
+        return {
+            metadataId: Number(metadataId),
+            ...JSON.parse(record.value),
+            updatedAt: Number(record.updatedAt),
+        }
+    }
+
+    /**
+     * Get offer details
+     * @param {number|string} offerId - Offer ID
+     * @returns {Promise<Object>} Offer details
+     */
+    async getOffer(offerId) {
+        const offerManager = this._getContract("OfferManager")
+        const offer = await this._call(
+            () => offerManager.getOfferInfo(offerId),
+            `Offer ${offerId} not found`
+        )
+
+        return {
+            id: Number(offerId),
+            creator: offer.creator,
+            counterparty: offer.counterparty,
+            batchId: Number(offer.batchId),
+            price: offer.price.toString(),
+            quantity: offer.quantity.toString(),
+            offerType: OFFER_TYPE[Number(offer.offerType)],
+            status: OFFER_STATUS[Number(offer.status)],
+            terms: offer.terms,
+            expiresAt: Number(offer.expiresAt),
+            acceptedBy: offer.acceptedBy,
+        }
+    }
+
+    /**
+     * List offers in ID order
+     * @param {number} offset - Number of offers to skip
+     * @param {number} limit - Maximum number of offers to return
+     * @returns {Promise<Object>} Page of offers and the total count
+     */
+    async getOffers(offset = 0, limit = 20) {
+        const offerManager = this._getContract("OfferManager")
+        const total = Number(await offerManager.nextOfferId()) - 1
+        const offers = await this._page(total, offset, limit, (id) =>
+            this.getOffer(id)
+        )
+        return { total, offset, limit, offers }
+    }
+
+    /**
+     * Get offers a user can currently accept
+     * @param {string} user - User address
+     * @returns {Promise<Array>} Offer details
+     */
+    async getAvailableOffers(user) {
+        const offerManager = this._getContract("OfferManager")
+        const offerIds = await readAllPages((cursor, limit) =>
+            offerManager.getAvailableOffersPage(user, cursor, limit)
+        )
+        return Promise.all(offerIds.map((id) => this.getOffer(id)))
+    }
+
+    /**
+     * Get shipment details including its tracking history
+     * @param {number|string} shipmentId - Shipment ID
+     * @returns {Promise<Object>} Shipment details
+     */
+    async getShipment(shipmentId) {
+        const shipmentTracker = this._getContract("ShipmentTracker")
+        const shipment = await shipmentTracker.shipments(shipmentId)
+        if (shipment.id === 0n) {
+            throw new NotFoundError(`Shipment ${shipmentId} not found`)
+        }
+        const history = await shipmentTracker.getTrackingHistory(shipmentId)
+
+        return {
+            id: Number(shipment.id),
+            batchId: Number(shipment.batchId),
+            offerId: Number(shipment.offerId),
+            sender: shipment.sender,
+            receiver: shipment.receiver,
+            shipper: shipment.shipper,
+            trackingId: shipment.trackingId,
+            fromLocation: shipment.fromLocation,
+            toLocation: shipment.toLocation,
+            status: SHIPMENT_STATUS[Number(shipment.status)],
+            metadataHash: shipment.metadataHash,
+            createdAt: Number(shipment.createdAt),
+            pickedUpAt: Number(shipment.pickedUpAt),
+            deliveredAt: Number(shipment.deliveredAt),
+            confirmedAt: Number(shipment.confirmedAt),
+            trackingHistory: history.locations.map((location, i) => ({
+                location,
+                timestamp: Number(history.timestamps[i]),
+            })),
+        }
+    }
+
+    /**
+     * Get shipment details by tracking ID
+     * @param {string} trackingId - Tracking ID
+     * @returns {Promise<Object>} Shipment details
+     */
+    async getShipmentByTrackingId(trackingId) {
+        const shipmentTracker = this._getContract("ShipmentTracker")
+        const shipmentId = await shipmentTracker.trackingIdToShipment(
+            trackingId
+        )
+        if (shipmentId === 0n) {
+            throw new NotFoundError(`Tracking ID ${trackingId} not found`)
+        }
+        return this.getShipment(shipmentId)
+    }
+
+    /**
+     * List shipments in ID order
+     * @param {number} offset - Number of shipments to skip
+     * @param {number} limit - Maximum number of shipments to return
+     * @returns {Promise<Object>} Page of shipments and the total count
+     */
+    async getShipments(offset = 0, limit = 20) {
+        const shipmentTracker = this._getContract("ShipmentTracker")
+        const total = Number(await shipmentTracker.nextShipmentId()) - 1
+        const shipments = await this._page(total, offset, limit, (id) =>
+            this.getShipment(id)
+        )
+        return { total, offset, limit, shipments }
+    }
+
+    /**
+     * Get the full provenance chain for a batch
+     * @param {number|string} batchId - Batch ID
+     * @returns {Promise<Object>} Chain summary and every record in order
+     */
+    async getProvenance(batchId) {
+        const provenanceTracker = this._getContract("ProvenanceTracker")
+        const chain = await this._call(
+            () => provenanceTracker.getFullProvenanceChain(batchId),
+            `Provenance chain for batch ${batchId} not found`
+        )
+
+        const records = []
+        for (let i = 0; i < Number(chain.recordCount); i++) {
+            const record = await provenanceTracker.getProvenanceRecord(
+                batchId,
+                i
+            )
+            records.push({
+                actor: record.actor,
+                action: record.action,
+                location: record.location,
+                timestamp: Number(record.timestamp),
+                metadataHash: record.metadataHash,
+                previousHash: record.previousHash,
+                recordHash: record.recordHash,
+            })
+        }
+
+        return {
+            batchId: Number(batchId),
+            recordCount: Number(chain.recordCount),
+            rootHash: chain.rootHash,
+            isFinalized: chain.isFinalized,
+            records,
+        }
+    }
+
+    _getContract(name) {
+        const contract = this.contracts[name]
+        if (!contract) {
+            throw new Error(`${name} is not deployed on this network`)
+        }
+        return contract
+    }
+
+    async _page(total, offset, limit, fetchItem) {
+        const items = []
+        const end = Math.min(total, offset + limit)
+        for (let id = offset + 1; id <= end; id++) {
+            items.push(await fetchItem(id))
+        }
+        return items
+    }
+
+    // Contract view functions revert with "... does not exist" for unknown IDs
+    async _call(fn, notFoundMessage) {
+        try {
+            return await fn()
+        } catch (error) {
+            if (error.code === "CALL_EXCEPTION") {
+                throw new NotFoundError(notFoundMessage)
+            }
+            throw error
+        }
+    }
+}
+
+/**
+ * MetadataManager.metadataByHash key of a batch's weather risk record
+ * @param {number|string} batchId - Batch ID
+ * @returns {string} keccak256(abi.encodePacked(batchId, type, key))
+ */
+function weatherRiskMetadataHash(batchId) {
+    return ethers.solidityPackedKeccak256(
+        ["uint256", "uint8", "string"],
+        [batchId, WEATHER_RISK_METADATA.type, WEATHER_RISK_METADATA.key]
+    )
+}
+
+module.exports = ContractService
+module.exports.NotFoundError = NotFoundError
+module.exports.WEATHER_RISK_METADATA = WEATHER_RISK_METADATA
+module.exports.weatherRiskMetadataHash = weatherRiskMetadataHash
+module.exports.BATCH_STATUS = BATCH_STATUS
+module.exports.TRADING_MODE = TRADING_MODE
+module.exports.OFFER_TYPE = OFFER_TYPE
+module.exports.OFFER_STATUS = OFFER_STATUS
+module.exports.SHIPMENT_STATUS = SHIPMENT_STATUS
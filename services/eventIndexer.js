@@ -0,0 +1,601 @@
+const path = require("path")
+const { ethers } = require("ethers")
+const { networkConfig } = require("../helper-hardhat-config")
+const {
+    BATCH_STATUS,
+    TRADING_MODE,
+    OFFER_TYPE,
+    OFFER_STATUS,
+    SHIPMENT_STATUS,
+} = require("./contractService")
+const { ROLE, STORAGE_PROVIDER } = require("./indexStore")
+require("dotenv").config()
+
+const WEATHER_DATA =
+    "tuple(int256 temperature, uint256 humidity, uint256 rainfall, uint256 windSpeed, uint256 timestamp)"
+
+const indexedABIs = {
+    StakeholderManager: [
+        "event StakeholderRegistered(address indexed stakeholder, uint8 indexed role, string name, address indexed registeredBy)",
+        "event StakeholderDeactivated(address indexed stakeholder, address indexed deactivatedBy)",
+        "event StakeholderReactivated(address indexed stakeholder, address indexed reactivatedBy)",
+        "function getStakeholderInfo(address stakeholder) external view returns (uint8 role, string name, string licenseId, string location, string certification, bool active, uint256 registeredAt)",
+    ],
+    ProductBatch: [
+        "event BatchCreated(uint256 indexed batchId, address indexed farmer, string name, uint8 tradingMode)",
+        "event BatchListed(uint256 indexed batchId, uint256 price, uint8 tradingMode)",
+        "event BatchUpdated(uint256 indexed batchId, string action)",
+        "event PriceUpdated(uint256 indexed batchId, uint256 oldPrice, uint256 newPrice, uint256 usdValue, int256 adjustmentBps, string reason)",
+        "event QualityChecked(uint256 indexed batchId, string grade, bool passed)",
+        "event ProcessingCompleted(uint256 indexed batchId, uint256 inputQty, uint256 outputQty)",
+        `event WeatherVerified(uint256 indexed batchId, bool suitable, ${WEATHER_DATA} conditions)`,
+        "event ConsumerPurchaseCreated(uint256 indexed purchaseId, uint256 indexed batchId, address indexed consumer, address retailer)",
+        "event ProductPickedUp(uint256 indexed purchaseId, address indexed consumer)",
+        "event OwnershipClaimed(uint256 indexed purchaseId, uint256 indexed batchId, address indexed consumer)",
+        "event BatchSplit(uint256 indexed parentBatchId, uint256 indexed childBatchId, address indexed buyer, uint256 quantity)",
+        "function getBatchInfo(uint256 batchId) external view returns (address farmer, address currentOwner, string name, string description, uint256 quantity, uint256 basePrice, string originLocation, uint8 status, uint256 createdAt, uint256 lastUpdated)",
+        `function getBatchMarketInfo(uint256 batchId) external view returns (address owner, string name, uint256 quantity, uint256 localPrice, uint256 usdPrice, uint8 status, uint8 tradingMode, ${WEATHER_DATA} lastWeather, bool weatherVerificationRequired)`,
+        "function getConsumerPurchase(uint256 purchaseId) external view returns (uint256 batchId, address consumer, address retailer, uint256 purchasePrice, uint256 quantity, uint256 purchaseTime, bool isPickedUp, bool ownershipClaimed, string pickupLocation)",
+    ],
+    OfferManager: [
+        "event OfferCreated(uint256 indexed offerId, address indexed creator, uint256 indexed batchId, uint8 offerType)",
+        "event OfferAccepted(uint256 indexed offerId, address indexed acceptor, uint256 price)",
+        "event OfferCancelled(uint256 indexed offerId)",
+        "event OfferCountered(uint256 indexed offerId, uint256 indexed counterOfferId, address indexed creator)",
+        "event OfferExpired(uint256 indexed offerId)",
+        "event PartialFillsAllowed(uint256 indexed offerId, uint256 minFillQuantity)",
+        "event OfferFilled(uint256 indexed offerId, uint256 indexed fillOfferId, address indexed acceptor, uint256 quantity)",
+        "event ContractBatchLinked(uint256 indexed offerId, uint256 indexed batchId)",
+        "function getOfferInfo(uint256 offerId) external view returns (address creator, address counterparty, uint256 batchId, uint256 price, uint256 quantity, uint8 offerType, uint8 status, string terms, uint256 expiresAt, address acceptedBy)",
+    ],
+    ShipmentTracker: [
+        "event ShipmentCreated(uint256 indexed shipmentId, uint256 indexed batchId, address indexed receiver)",
+        "event ShipmentPickedUp(uint256 indexed shipmentId, address indexed shipper)",
+        "event ShipmentInTransit(uint256 indexed shipmentId, string location)",
+        "event ShipmentDelivered(uint256 indexed shipmentId, uint256 deliveredAt)",
+        "event DeliveryConfirmed(uint256 indexed shipmentId, address indexed receiver)",
+        "event LocationUpdated(uint256 indexed shipmentId, string location, uint256 timestamp)",
+        "function shipments(uint256 shipmentId) external view returns (uint256 id, uint256 batchId, uint256 offerId, address sender, address receiver, address shipper, string trackingId, string fromLocation, string toLocation, uint8 status, string metadataHash, uint256 createdAt, uint256 pickedUpAt, uint256 deliveredAt, uint256 confirmedAt)",
+    ],
+    FileStorageManager: [
+        "event FileUploadRequested(uint256 indexed requestId, uint256 indexed batchId, address indexed requester, string fileName, uint8 provider)",
+        "event FileUploaded(uint256 indexed fileId, uint256 indexed batchId, address indexed uploader, string fileHash, string storageUrl)",
+        "event FileDeactivated(uint256 indexed fileId, address indexed deactivator)",
+        "function getFileInfo(uint256 fileId) external view returns (uint256 batchId, string fileName, string fileHash, string storageUrl, uint8 provider, address uploader, uint256 uploadedAt, uint256 fileSize, string contentType, bool isActive)",
+    ],
+}
+
+// Event => [entity kind, argument holding the entity's ID]. The entity is
+// read again from the contract whenever one of its events is indexed.
+const EVENT_ENTITIES = {
+    StakeholderRegistered: ["stakeholder", "stakeholder"],
+    StakeholderDeactivated: ["stakeholder", "stakeholder"],
+    StakeholderReactivated: ["stakeholder", "stakeholder"],
+    BatchCreated: ["batch", "batchId"],
+    BatchListed: ["batch", "batchId"],
+    BatchUpdated: ["batch", "batchId"],
+    PriceUpdated: ["batch", "batchId"],
+    QualityChecked: ["batch", "batchId"],
+    ProcessingCompleted: ["batch", "batchId"],
+    WeatherVerified: ["batch", "batchId"],
+    BatchSplit: ["batch", "childBatchId"],
+    FileUploadRequested: ["batch", "batchId"],
+    ConsumerPurchaseCreated: ["purchase", "purchaseId"],
+    ProductPickedUp: ["purchase", "purchaseId"],
+    OwnershipClaimed: ["purchase", "purchaseId"],
+    OfferCreated: ["offer", "offerId"],
+    OfferAccepted: ["offer", "offerId"],
+    OfferCancelled: ["offer", "offerId"],
+    OfferCountered: ["offer", "offerId"],
+    OfferExpired: ["offer", "offerId"],
+    PartialFillsAllowed: ["offer", "offerId"],
+    OfferFilled: ["offer", "offerId"],
+    ContractBatchLinked: ["offer", "offerId"],
+    ShipmentCreated: ["shipment", "shipmentId"],
+    ShipmentPickedUp: ["shipment", "shipmentId"],
+    ShipmentInTransit: ["shipment", "shipmentId"],
+    ShipmentDelivered: ["shipment", "shipmentId"],
+    DeliveryConfirmed: ["shipment", "shipmentId"],
+    LocationUpdated: ["shipment", "shipmentId"],
+    FileUploaded: ["file", "fileId"],
+    FileDeactivated: ["file", "fileId"],
+}
+
+const DEFAULT_BATCH_SIZE = 2000
+const DEFAULT_POLL_INTERVAL = 4000
+// Recorded blocks compared per round trip when looking for a reorg's common ancestor
+const ANCESTOR_SEARCH_STEP = 20
+
+/**
+ * Indexes supply chain events into an IndexStore
+ *
+ * Each step reads the logs of a block range, re-reads every entity (batch,
+ * offer, shipment, purchase, stakeholder, file) an event touched at the
+ * range's last block and commits both in one transaction. Offers, shipments,
+ * purchases and files also refresh their batch, which ownership changes
+ * made through another contract do not emit an event for.
+ *
+ * Before each step the hash of the last indexed block is compared with the
+ * chain. After a reorg the indexer walks back through the recorded block
+ * hashes to the common ancestor, drops the events after it and re-reads the
+ * entities they touched.
+ */
+class EventIndexer {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider - Provider for the network
+     * @param {Object} options.addresses - Contract name => address; contracts missing here are not indexed
+     * @param {IndexStore} options.store - Database to write to
+     * @param {number} [options.startBlock] - First block to index (default 0)
+     * @param {number} [options.confirmations] - Blocks to stay behind the head (default 0)
+     * @param {number} [options.batchSize] - Maximum blocks per getLogs call (default 2000)
+     */
+    constructor({
+        provider,
+        addresses,
+        store,
+        startBlock = 0,
+        confirmations = 0,
+        batchSize = DEFAULT_BATCH_SIZE,
+    }) {
+        this.provider = provider
+        this.store = store
+        this.startBlock = startBlock
+        this.confirmations = confirmations
+        this.batchSize = batchSize
+        this.contracts = {}
+        this.contractNames = {}
+
+        for (const [name, abi] of Object.entries(indexedABIs)) {
+            if (!addresses[name]) continue
+            this.contracts[name] = new ethers.Contract(
+                addresses[name],
+                abi,
+                provider
+            )
+            this.contractNames[addresses[name].toLowerCase()] = name
+        }
+        if (Object.keys(this.contracts).length === 0) {
+            throw new Error("None of the indexed contracts are deployed")
+        }
+        this.isRunning = false
+    }
+
+    /**
+     * Index up to the confirmed head
+     * @returns {Promise<Object>} { lastBlock, events, reorgs }
+     */
+    async sync() {
+        await this._checkDeployment()
+
+        const summary = { lastBlock: null, events: 0, reorgs: 0 }
+        for (;;) {
+            const head = await this.provider.getBlockNumber()
+            const step = await this._step(head - this.confirmations)
+            if (step.reorg) summary.reorgs++
+            summary.events += step.events
+            summary.lastBlock = this.store.getStatus().lastBlock
+            if (step.done) return summary
+        }
+    }
+
+    /**
+     * Keep indexing new blocks until stop() is called
+     * @param {number} [interval] - Milliseconds between syncs (default 4000)
+     */
+    start(interval = DEFAULT_POLL_INTERVAL) {
+        this.isRunning = true
+
+        const tick = async () => {
+            try {
+                const { events, reorgs, lastBlock } = await this.sync()
+                if (events > 0 || reorgs > 0) {
+                    console.log(
+                        `Indexed ${events} events up to block ${lastBlock}${
+                            reorgs ? ` after ${reorgs} reorg(s)` : ""
+                        }`
+                    )
+                }
+            } catch (error) {
+                console.warn(`Event indexer sync failed: ${error.message}`)
+            }
+            if (this.isRunning) {
+                this.timer = setTimeout(tick, interval)
+            }
+        }
+        tick()
+    }
+
+    stop() {
+        this.isRunning = false
+        clearTimeout(this.timer)
+    }
+
+    // Start over when the chain or the contract addresses changed
+    async _checkDeployment() {
+        const { chainId } = await this.provider.getNetwork()
+        const deployment = JSON.stringify({
+            chainId: chainId.toString(),
+            startBlock: this.startBlock,
+            contracts: Object.keys(this.contractNames).sort(),
+        })
+
+        if (this.store.getMeta("deployment") !== deployment) {
+            this.store.reset()
+            this.store.setMeta("deployment", deployment)
+            this.store.setMeta("chainId", chainId)
+            this.store.setMeta("startBlock", this.startBlock)
+        }
+    }
+
+    async _step(target) {
+        const status = this.store.getStatus()
+        let lastBlock =
+            status.lastBlock === null ? this.startBlock - 1 : status.lastBlock
+
+        let reorg = false
+        if (status.lastBlock !== null) {
+            const ancestor = await this._findCommonAncestor(lastBlock)
+            if (ancestor < lastBlock) {
+                const removed = this.store.rollbackTo(ancestor)
+                console.warn(
+                    `Reorg detected: rolled back from block ${lastBlock} to ${ancestor} (${removed} events removed)`
+                )
+                lastBlock = ancestor
+                reorg = true
+            }
+        }
+
+        const pending = this.store.getPendingRefresh()
+        if (lastBlock >= target && pending.length === 0) {
+            return { done: true, events: 0, reorg }
+        }
+
+        const fromBlock = lastBlock + 1
+        const toBlock = Math.max(
+            lastBlock,
+            Math.min(target, lastBlock + this.batchSize)
+        )
+        const block = await this.provider.getBlock(toBlock)
+        const logs =
+            fromBlock <= toBlock
+                ? await this.provider.getLogs({
+                      address: Object.values(this.contracts).map(
+                          (contract) => contract.target
+                      ),
+                      fromBlock,
+                      toBlock,
+                  })
+                : []
+
+        const { events, blocks } = await this._decodeLogs(logs)
+        const entities = await this._readEntities(
+            [
+                ...events,
+                ...pending.map(({ kind, id }) => ({
+                    entityKind: kind,
+                    entityId: id,
+                })),
+            ],
+            toBlock
+        )
+
+        // The range changed while it was read; the next step rolls it back
+        const current = await this.provider.getBlock(toBlock)
+        if (!blocks || !current || current.hash !== block.hash) {
+            return { done: false, events: 0, reorg }
+        }
+
+        this.store.commitRange({
+            block: { number: toBlock, hash: block.hash },
+            events,
+            blocks,
+            entities,
+        })
+        return { done: toBlock >= target, events: events.length, reorg }
+    }
+
+    // Newest recorded block still on the chain, or the block before startBlock
+    async _findCommonAncestor(lastBlock) {
+        let below = lastBlock
+        for (;;) {
+            const recorded = this.store.getBlocksBefore(
+                below,
+                ANCESTOR_SEARCH_STEP
+            )
+            if (recorded.length === 0) return this.startBlock - 1
+
+            for (const { number, hash } of recorded) {
+                const block = await this.provider.getBlock(number)
+                if (block && block.hash === hash) return number
+            }
+            below = recorded[recorded.length - 1].number - 1
+        }
+    }
+
+    async _decodeLogs(logs) {
+        const blockTimes = new Map()
+        const events = []
+
+        for (const log of logs) {
+            const name = this.contractNames[log.address.toLowerCase()]
+            const parsed = this.contracts[name].interface.parseLog(log)
+            if (!parsed) continue
+
+            if (!blockTimes.has(log.blockHash)) {
+                // By hash, so a block replaced while the range is read is noticed
+                const block = await this.provider.getBlock(log.blockHash)
+                if (!block) return { events: [], blocks: null }
+                blockTimes.set(log.blockHash, {
+                    number: block.number,
+                    timestamp: block.timestamp,
+                })
+            }
+
+            const args = toJSON(parsed.args, parsed.fragment.inputs)
+            const [entityKind, idArg] = EVENT_ENTITIES[parsed.name] || [null]
+            events.push({
+                blockNumber: log.blockNumber,
+                logIndex: log.index,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                timestamp: blockTimes.get(log.blockHash).timestamp,
+                contract: name,
+                event: parsed.name,
+                entityKind,
+                entityId: entityKind ? args[idArg] : null,
+                args,
+            })
+        }
+
+        const blocks = [...blockTimes].map(([hash, { number }]) => ({
+            number,
+            hash,
+        }))
+        return { events, blocks }
+    }
+
+    // Read every touched entity at blockTag, batches last so the batches of
+    // touched offers, shipments, purchases and files are included
+    async _readEntities(touched, blockTag) {
+        const keys = new Map()
+        for (const { entityKind, entityId } of touched) {
+            if (!entityKind) continue
+            keys.set(`${entityKind}:${entityId}`.toLowerCase(), {
+                kind: entityKind,
+                id: entityId,
+            })
+        }
+
+        const entities = []
+        const batchIds = new Set()
+        for (const { kind, id } of keys.values()) {
+            if (kind === "batch") {
+                batchIds.add(Number(id))
+                continue
+            }
+            const value = await this._readEntity(kind, id, blockTag)
+            entities.push({ kind, id, value })
+            if (value && value.batchId > 0) batchIds.add(value.batchId)
+        }
+        for (const id of batchIds) {
+            entities.push({
+                kind: "batch",
+                id,
+                value: await this._readEntity("batch", id, blockTag),
+            })
+        }
+        return entities
+    }
+
+    // Entity as ContractService formats it, or null if it does not exist at blockTag
+    async _readEntity(kind, id, blockTag) {
+        const overrides = { blockTag }
+        const { ProductBatch, OfferManager, ShipmentTracker } = this.contracts
+
+        switch (kind) {
+            case "batch": {
+                if (!ProductBatch) return null
+                const info = await orNull(() =>
+                    ProductBatch.getBatchInfo(id, overrides)
+                )
+                if (!info) return null
+                const market = await ProductBatch.getBatchMarketInfo(
+                    id,
+                    overrides
+                )
+                return {
+                    id: Number(id),
+                    farmer: info.farmer,
+                    currentOwner: info.currentOwner,
+                    name: info.name,
+                    description: info.description,
+                    quantity: info.quantity.toString(),
+                    basePrice: info.basePrice.toString(),
+                    usdPrice: market.usdPrice.toString(),
+                    originLocation: info.originLocation,
+                    status: BATCH_STATUS[Number(info.status)],
+                    tradingMode: TRADING_MODE[Number(market.tradingMode)],
+                    weatherVerificationRequired:
+                        market.weatherVerificationRequired,
+                    createdAt: Number(info.createdAt),
+                    lastUpdated: Number(info.lastUpdated),
+                }
+            }
+            case "offer": {
+                if (!OfferManager) return null
+                const offer = await orNull(() =>
+                    OfferManager.getOfferInfo(id, overrides)
+                )
+                if (!offer) return null
+                return {
+                    id: Number(id),
+                    creator: offer.creator,
+                    counterparty: offer.counterparty,
+                    batchId: Number(offer.batchId),
+                    price: offer.price.toString(),
+                    quantity: offer.quantity.toString(),
+                    offerType: OFFER_TYPE[Number(offer.offerType)],
+                    status: OFFER_STATUS[Number(offer.status)],
+                    terms: offer.terms,
+                    expiresAt: Number(offer.expiresAt),
+                    acceptedBy: offer.acceptedBy,
+                }
+            }
+            case "shipment": {
+                if (!ShipmentTracker) return null
+                const shipment = await ShipmentTracker.shipments(id, overrides)
+                if (shipment.id === 0n) return null
+                return {
+                    id: Number(shipment.id),
+                    batchId: Number(shipment.batchId),
+                    offerId: Number(shipment.offerId),
+                    sender: shipment.sender,
+                    receiver: shipment.receiver,
+                    shipper: shipment.shipper,
+                    trackingId: shipment.trackingId,
+                    fromLocation: shipment.fromLocation,
+                    toLocation: shipment.toLocation,
+                    status: SHIPMENT_STATUS[Number(shipment.status)],
+                    metadataHash: shipment.metadataHash,
+                    createdAt: Number(shipment.createdAt),
+                    pickedUpAt: Number(shipment.pickedUpAt),
+                    deliveredAt: Number(shipment.deliveredAt),
+                    confirmedAt: Number(shipment.confirmedAt),
+                }
+            }
+            case "purchase": {
+                if (!ProductBatch) return null
+                const purchase = await orNull(() =>
+                    ProductBatch.getConsumerPurchase(id, overrides)
+                )
+                if (!purchase) return null
+                return {
+                    id: Number(id),
+                    batchId: Number(purchase.batchId),
+                    consumer: purchase.consumer,
+                    retailer: purchase.retailer,
+                    purchasePrice: purchase.purchasePrice.toString(),
+                    quantity: purchase.quantity.toString(),
+                    purchaseTime: Number(purchase.purchaseTime),
+                    isPickedUp: purchase.isPickedUp,
+                    ownershipClaimed: purchase.ownershipClaimed,
+                    pickupLocation: purchase.pickupLocation,
+                }
+            }
+            case "stakeholder": {
+                const { StakeholderManager } = this.contracts
+                if (!StakeholderManager) return null
+                const info = await orNull(() =>
+                    StakeholderManager.getStakeholderInfo(id, overrides)
+                )
+                if (!info || info.registeredAt === 0n) return null
+                return {
+                    address: ethers.getAddress(id),
+                    role: ROLE[Number(info.role)],
+                    name: info.name,
+                    licenseId: info.licenseId,
+                    location: info.location,
+                    certification: info.certification,
+                    isActive: info.active,
+                    registeredAt: Number(info.registeredAt),
+                }
+            }
+            case "file": {
+                const { FileStorageManager } = this.contracts
+                if (!FileStorageManager) return null
+                const file = await orNull(() =>
+                    FileStorageManager.getFileInfo(id, overrides)
+                )
+                if (!file) return null
+                return {
+                    id: Number(id),
+                    batchId: Number(file.batchId),
+                    fileName: file.fileName,
+                    fileHash: file.fileHash,
+                    storageUrl: file.storageUrl,
+                    provider: STORAGE_PROVIDER[Number(file.provider)],
+                    uploader: file.uploader,
+                    uploadedAt: Number(file.uploadedAt),
+                    fileSize: file.fileSize.toString(),
+                    contentType: file.contentType,
+                    isActive: file.isActive,
+                }
+            }
+            default:
+                throw new Error(`Unknown entity kind: ${kind}`)
+        }
+    }
+}
+
+// Contract view functions revert for unknown IDs. Nodes report the revert as
+// CALL_EXCEPTION, the in-process Hardhat network as an error carrying the
+// revert data; anything else (e.g. a network error) must not delete the entity
+async function orNull(fn) {
+    try {
+        return await fn()
+    } catch (error) {
+        if (error.code === "CALL_EXCEPTION" || error.data !== undefined) {
+            return null
+        }
+        throw error
+    }
+}
+
+// Decoded event arguments as JSON: uint256 as decimal strings, structs as objects
+function toJSON(values, params) {
+    const result = {}
+    params.forEach((param, i) => {
+        result[param.name] = toJSONValue(values[i], param)
+    })
+    return result
+}
+
+function toJSONValue(value, param) {
+    if (param.baseType === "tuple") return toJSON(value, param.components)
+    if (param.baseType === "array") {
+        return [...value].map((item) => toJSONValue(item, param.arrayChildren))
+    }
+    if (typeof value === "bigint") {
+        // Enums as numbers, other integers as decimal strings
+        return param.type === "uint8" ? Number(value) : value.toString()
+    }
+    return value
+}
+
+/**
+ * Indexer settings for a deployment, from the environment and the network registry
+ * @param {Object} manifest - Deployment manifest
+ * @returns {Object} { filename, startBlock, confirmations }
+ */
+function getIndexerOptions(manifest) {
+    const { network } = manifest
+    const deployedAt = Object.entries(manifest.contracts)
+        .filter(([name]) => indexedABIs[name])
+        .map(([, { blockNumber }]) => blockNumber)
+        .filter(
+            (blockNumber) => blockNumber !== null && blockNumber !== undefined
+        )
+
+    return {
+        filename:
+            process.env.INDEXER_DB_PATH ||
+            path.join(__dirname, `../data/indexer-${network}.sqlite`),
+        startBlock:
+            process.env.INDEXER_START_BLOCK !== undefined
+                ? Number(process.env.INDEXER_START_BLOCK)
+                : deployedAt.length
+                ? Math.min(...deployedAt)
+                : 0,
+        confirmations:
+            process.env.INDEXER_CONFIRMATIONS !== undefined
+                ? Number(process.env.INDEXER_CONFIRMATIONS)
+                : (networkConfig[network] &&
+                      networkConfig[network].blockConfirmations) ||
+                  0,
+    }
+}
+
+module.exports = EventIndexer
+module.exports.EVENT_ENTITIES = EVENT_ENTITIES
+module.exports.getIndexerOptions = getIndexerOptions
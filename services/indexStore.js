@@ -0,0 +1,609 @@
+const fs = require("fs")
+const path = require("path")
+const Database = require("better-sqlite3")
+const { ethers } = require("ethers")
+const {
+    BATCH_STATUS,
+    TRADING_MODE,
+    OFFER_TYPE,
+    OFFER_STATUS,
+    SHIPMENT_STATUS,
+} = require("./contractService")
+
+const ROLE = [
+    "NONE",
+    "FARMER",
+    "PROCESSOR",
+    "DISTRIBUTOR",
+    "SHIPPER",
+    "RETAILER",
+    "ADMIN",
+]
+const STORAGE_PROVIDER = ["IPFS", "S3", "ARWEAVE", "CUSTOM"]
+
+// Column types. Addresses compare case-insensitively, uint256 values are
+// decimal strings and booleans are stored as 0/1
+const ADDRESS = "address"
+const UINT = "uint"
+const INTEGER = "integer"
+const TEXT = "text"
+const BOOL = "bool"
+const enumOf = (names) => ({ enum: names })
+
+/**
+ * Indexed entities. Each row holds the entity as ContractService returns it,
+ * read at the last indexed block; `filters` are the columns the API can
+ * filter on and `groups` filters matching any of several columns.
+ */
+const TABLES = {
+    batches: {
+        key: "id",
+        columns: {
+            id: INTEGER,
+            farmer: ADDRESS,
+            currentOwner: ADDRESS,
+            name: TEXT,
+            description: TEXT,
+            quantity: UINT,
+            basePrice: UINT,
+            usdPrice: UINT,
+            originLocation: TEXT,
+            status: enumOf(BATCH_STATUS),
+            tradingMode: enumOf(TRADING_MODE),
+            weatherVerificationRequired: BOOL,
+            createdAt: INTEGER,
+            lastUpdated: INTEGER,
+        },
+        filters: ["farmer", "currentOwner", "status", "tradingMode"],
+    },
+    offers: {
+        key: "id",
+        columns: {
+            id: INTEGER,
+            creator: ADDRESS,
+            counterparty: ADDRESS,
+            batchId: INTEGER,
+            price: UINT,
+            quantity: UINT,
+            offerType: enumOf(OFFER_TYPE),
+            status: enumOf(OFFER_STATUS),
+            terms: TEXT,
+            expiresAt: INTEGER,
+            acceptedBy: ADDRESS,
+        },
+        filters: [
+            "creator",
+            "counterparty",
+            "batchId",
+            "offerType",
+            "status",
+            "acceptedBy",
+        ],
+    },
+    shipments: {
+        key: "id",
+        columns: {
+            id: INTEGER,
+            batchId: INTEGER,
+            offerId: INTEGER,
+            sender: ADDRESS,
+            receiver: ADDRESS,
+            shipper: ADDRESS,
+            trackingId: TEXT,
+            fromLocation: TEXT,
+            toLocation: TEXT,
+            status: enumOf(SHIPMENT_STATUS),
+            metadataHash: TEXT,
+            createdAt: INTEGER,
+            pickedUpAt: INTEGER,
+            deliveredAt: INTEGER,
+            confirmedAt: INTEGER,
+        },
+        filters: [
+            "batchId",
+            "sender",
+            "receiver",
+            "shipper",
+            "status",
+            "trackingId",
+        ],
+        // Shipments the address sends, receives or carries, like getUserShipmentsByStatus
+        groups: { participant: ["sender", "receiver", "shipper"] },
+    },
+    purchases: {
+        key: "id",
+        columns: {
+            id: INTEGER,
+            batchId: INTEGER,
+            consumer: ADDRESS,
+            retailer: ADDRESS,
+            purchasePrice: UINT,
+            quantity: UINT,
+            purchaseTime: INTEGER,
+            isPickedUp: BOOL,
+            ownershipClaimed: BOOL,
+            pickupLocation: TEXT,
+        },
+        filters: ["batchId", "consumer", "retailer", "isPickedUp"],
+    },
+    stakeholders: {
+        key: "address",
+        columns: {
+            address: ADDRESS,
+            role: enumOf(ROLE),
+            name: TEXT,
+            licenseId: TEXT,
+            location: TEXT,
+            certification: TEXT,
+            isActive: BOOL,
+            registeredAt: INTEGER,
+        },
+        filters: ["role", "isActive", "location"],
+    },
+    files: {
+        key: "id",
+        columns: {
+            id: INTEGER,
+            batchId: INTEGER,
+            fileName: TEXT,
+            fileHash: TEXT,
+            storageUrl: TEXT,
+            provider: enumOf(STORAGE_PROVIDER),
+            uploader: ADDRESS,
+            uploadedAt: INTEGER,
+            fileSize: UINT,
+            contentType: TEXT,
+            isActive: BOOL,
+        },
+        filters: ["batchId", "uploader", "contentType", "isActive"],
+    },
+}
+
+// Entity kind recorded on events => table holding the entity
+const ENTITY_TABLES = {
+    batch: "batches",
+    offer: "offers",
+    shipment: "shipments",
+    purchase: "purchases",
+    stakeholder: "stakeholders",
+    file: "files",
+}
+
+const MAX_PAGE_SIZE = 100
+
+function sqlType(type) {
+    if (type === ADDRESS) return "TEXT COLLATE NOCASE"
+    if (type === INTEGER || type === BOOL) return "INTEGER"
+    return "TEXT"
+}
+
+/**
+ * Thrown when a query filter or page is not valid for an entity
+ */
+class InvalidQueryError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = "InvalidQueryError"
+    }
+}
+
+/**
+ * SQLite database of indexed events and the entities they touched
+ *
+ * Writes happen in one transaction per indexed block range (see
+ * services/eventIndexer.js), so the entities always match the chain at
+ * `lastBlock`.
+ */
+class IndexStore {
+    /**
+     * @param {string} [filename] - Database file, or ":memory:" (the default)
+     */
+    constructor(filename = ":memory:") {
+        if (filename !== ":memory:") {
+            fs.mkdirSync(path.dirname(filename), { recursive: true })
+        }
+        this.db = new Database(filename)
+        this.db.pragma("journal_mode = WAL")
+        this._createSchema()
+    }
+
+    close() {
+        this.db.close()
+    }
+
+    _createSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS blocks (
+                number INTEGER PRIMARY KEY,
+                hash TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS events (
+                blockNumber INTEGER NOT NULL,
+                logIndex INTEGER NOT NULL,
+                blockHash TEXT NOT NULL,
+                transactionHash TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                contract TEXT NOT NULL,
+                event TEXT NOT NULL,
+                entityKind TEXT,
+                entityId TEXT COLLATE NOCASE,
+                args TEXT NOT NULL,
+                PRIMARY KEY (blockNumber, logIndex)
+            );
+            CREATE INDEX IF NOT EXISTS events_entity ON events (entityKind, entityId);
+            CREATE INDEX IF NOT EXISTS events_event ON events (event);
+            CREATE TABLE IF NOT EXISTS pending_refresh (
+                kind TEXT NOT NULL,
+                id TEXT NOT NULL,
+                PRIMARY KEY (kind, id)
+            );
+        `)
+
+        for (const [table, { key, columns, filters }] of Object.entries(
+            TABLES
+        )) {
+            const definitions = Object.entries(columns).map(
+                ([name, type]) =>
+                    `${name} ${sqlType(type)}${
+                        name === key ? " PRIMARY KEY" : ""
+                    }`
+            )
+            this.db.exec(
+                `CREATE TABLE IF NOT EXISTS ${table} (${definitions.join(
+                    ", "
+                )})`
+            )
+            for (const column of filters) {
+                this.db.exec(
+                    `CREATE INDEX IF NOT EXISTS ${table}_${column} ON ${table} (${column})`
+                )
+            }
+        }
+    }
+
+    /**
+     * Drop everything indexed, e.g. after the contracts were redeployed
+     */
+    reset() {
+        const tables = ["meta", "blocks", "events", "pending_refresh"]
+        this.db.transaction(() => {
+            for (const table of [...tables, ...Object.keys(TABLES)]) {
+                this.db.prepare(`DELETE FROM ${table}`).run()
+            }
+        })()
+    }
+
+    /**
+     * Indexing progress
+     * @returns {Object} { chainId, startBlock, lastBlock, lastBlockHash }, null where not indexed yet
+     */
+    getStatus() {
+        const meta = Object.fromEntries(
+            this.db
+                .prepare("SELECT key, value FROM meta")
+                .all()
+                .map(({ key, value }) => [key, value])
+        )
+        const lastBlock =
+            meta.lastBlock === undefined ? null : Number(meta.lastBlock)
+
+        return {
+            chainId: meta.chainId === undefined ? null : Number(meta.chainId),
+            startBlock:
+                meta.startBlock === undefined ? null : Number(meta.startBlock),
+            lastBlock,
+            lastBlockHash:
+                lastBlock === null ? null : this.getBlockHash(lastBlock),
+        }
+    }
+
+    getMeta(key) {
+        const row = this.db
+            .prepare("SELECT value FROM meta WHERE key = ?")
+            .get(key)
+        return row ? row.value : null
+    }
+
+    setMeta(key, value) {
+        this.db
+            .prepare(
+                "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+            )
+            .run(key, String(value))
+    }
+
+    /**
+     * Hash recorded for an indexed block, if any
+     */
+    getBlockHash(number) {
+        const row = this.db
+            .prepare("SELECT hash FROM blocks WHERE number = ?")
+            .get(number)
+        return row ? row.hash : null
+    }
+
+    /**
+     * Recorded blocks at or below a height, newest first
+     * @returns {Array<Object>} { number, hash }
+     */
+    getBlocksBefore(number, limit) {
+        return this.db
+            .prepare(
+                "SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?"
+            )
+            .all(number, limit)
+    }
+
+    /**
+     * Entities waiting to be re-read after a reorg
+     * @returns {Array<Object>} { kind, id }
+     */
+    getPendingRefresh() {
+        return this.db.prepare("SELECT kind, id FROM pending_refresh").all()
+    }
+
+    /**
+     * Record an indexed block range in one transaction
+     * @param {Object} range
+     * @param {Object} range.block - { number, hash } of the last block in the range
+     * @param {Array<Object>} range.events - Decoded events
+     * @param {Array<Object>} range.blocks - { number, hash } of the blocks with events
+     * @param {Array<Object>} range.entities - { kind, id, value }; a null value deletes the row
+     */
+    commitRange({ block, events, blocks, entities }) {
+        const insertEvent = this.db.prepare(`
+            INSERT OR REPLACE INTO events
+                (blockNumber, logIndex, blockHash, transactionHash, timestamp, contract, event, entityKind, entityId, args)
+            VALUES
+                (@blockNumber, @logIndex, @blockHash, @transactionHash, @timestamp, @contract, @event, @entityKind, @entityId, @args)
+        `)
+        const insertBlock = this.db.prepare(
+            "INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"
+        )
+
+        this.db.transaction(() => {
+            for (const event of events) {
+                insertEvent.run({
+                    ...event,
+                    entityId:
+                        event.entityId === null ? null : String(event.entityId),
+                    args: JSON.stringify(event.args),
+                })
+            }
+            for (const { number, hash } of [...blocks, block]) {
+                insertBlock.run(number, hash)
+            }
+            for (const { kind, id, value } of entities) {
+                this._saveEntity(kind, id, value)
+            }
+            this.db.prepare("DELETE FROM pending_refresh").run()
+            this.setMeta("lastBlock", block.number)
+        })()
+    }
+
+    /**
+     * Undo everything indexed after a block, queueing the entities those
+     * events touched to be read again
+     * @param {number} blockNumber - Last block to keep
+     * @returns {number} Number of events removed
+     */
+    rollbackTo(blockNumber) {
+        return this.db.transaction(() => {
+            this.db
+                .prepare(
+                    `INSERT OR IGNORE INTO pending_refresh (kind, id)
+                     SELECT DISTINCT entityKind, entityId FROM events
+                     WHERE blockNumber > ? AND entityKind IS NOT NULL`
+                )
+                .run(blockNumber)
+            const { changes } = this.db
+                .prepare("DELETE FROM events WHERE blockNumber > ?")
+                .run(blockNumber)
+            this.db
+                .prepare("DELETE FROM blocks WHERE number > ?")
+                .run(blockNumber)
+            this.setMeta("lastBlock", blockNumber)
+            return changes
+        })()
+    }
+
+    _saveEntity(kind, id, value) {
+        const table = ENTITY_TABLES[kind]
+        const { key, columns } = TABLES[table]
+
+        if (value === null) {
+            this.db.prepare(`DELETE FROM ${table} WHERE ${key} = ?`).run(id)
+            return
+        }
+
+        const names = Object.keys(columns)
+        const row = {}
+        for (const name of names) {
+            row[name] =
+                columns[name] === BOOL ? Number(value[name]) : value[name]
+        }
+        this.db
+            .prepare(
+                `INSERT OR REPLACE INTO ${table} (${names.join(
+                    ", "
+                )}) VALUES (${names.map((name) => `@${name}`).join(", ")})`
+            )
+            .run(row)
+    }
+
+    /**
+     * Get an indexed entity
+     * @param {string} table - Table name (batches, offers, ...)
+     * @param {number|string} id - Entity ID (address for stakeholders)
+     * @returns {Object|null} Entity, or null if not indexed
+     */
+    get(table, id) {
+        const { key } = this._table(table)
+        const row = this.db
+            .prepare(`SELECT * FROM ${table} WHERE ${key} = ?`)
+            .get(id)
+        return row ? this._fromRow(table, row) : null
+    }
+
+    /**
+     * Filter indexed entities, in ID order
+     * @param {string} table - Table name (batches, offers, ...)
+     * @param {Object} [filters] - Column => value; values are strings as in a query string
+     * @param {Object} [page]
+     * @param {number} [page.offset] - Number of matches to skip
+     * @param {number} [page.limit] - Maximum number of matches to return (at most 100)
+     * @returns {Object} { total, offset, limit, items }
+     */
+    query(table, filters = {}, { offset = 0, limit = 20 } = {}) {
+        const spec = this._table(table)
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new InvalidQueryError("offset must be a non-negative integer")
+        }
+        if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_PAGE_SIZE) {
+            throw new InvalidQueryError(
+                `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+            )
+        }
+
+        const groups = spec.groups || {}
+        const clauses = []
+        const params = []
+        for (const [name, value] of Object.entries(filters)) {
+            const columns = groups[name] || [name]
+            if (!groups[name] && !spec.filters.includes(name)) {
+                const names = [...spec.filters, ...Object.keys(groups)]
+                throw new InvalidQueryError(
+                    `Cannot filter ${table} by ${name}. Filters: ${names.join(
+                        ", "
+                    )}`
+                )
+            }
+            const parsed = parseFilter(name, spec.columns[columns[0]], value)
+            clauses.push(
+                `(${columns.map((column) => `${column} = ?`).join(" OR ")})`
+            )
+            params.push(...columns.map(() => parsed))
+        }
+        const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : ""
+
+        const { total } = this.db
+            .prepare(`SELECT COUNT(*) AS total FROM ${table} ${where}`)
+            .get(...params)
+        const items = this.db
+            .prepare(
+                `SELECT * FROM ${table} ${where} ORDER BY ${spec.key} LIMIT ? OFFSET ?`
+            )
+            .all(...params, limit, offset)
+            .map((row) => this._fromRow(table, row))
+
+        return { total, offset, limit, items }
+    }
+
+    /**
+     * Events recorded for an entity, oldest first
+     * @param {string} table - Table name (batches, offers, ...)
+     * @param {number|string} id - Entity ID (address for stakeholders)
+     * @returns {Array<Object>} Events
+     */
+    getEntityEvents(table, id) {
+        this._table(table)
+        const kind = Object.keys(ENTITY_TABLES).find(
+            (name) => ENTITY_TABLES[name] === table
+        )
+        return this.db
+            .prepare(
+                "SELECT * FROM events WHERE entityKind = ? AND entityId = ? ORDER BY blockNumber, logIndex"
+            )
+            .all(kind, String(id))
+            .map(fromEventRow)
+    }
+
+    /**
+     * Every event about a batch, including its offers, shipments, consumer
+     * purchases and files, oldest first
+     * @param {number} batchId - Batch ID
+     * @returns {Array<Object>} Events
+     */
+    getBatchTimeline(batchId) {
+        return this.db
+            .prepare(
+                `SELECT * FROM events
+                 WHERE (entityKind = 'batch' AND entityId = @id)
+                    OR (entityKind = 'offer' AND entityId IN (SELECT id FROM offers WHERE batchId = @id))
+                    OR (entityKind = 'shipment' AND entityId IN (SELECT id FROM shipments WHERE batchId = @id))
+                    OR (entityKind = 'purchase' AND entityId IN (SELECT id FROM purchases WHERE batchId = @id))
+                    OR (entityKind = 'file' AND entityId IN (SELECT id FROM files WHERE batchId = @id))
+                 ORDER BY blockNumber, logIndex`
+            )
+            .all({ id: String(batchId) })
+            .map(fromEventRow)
+    }
+
+    _table(table) {
+        const spec = TABLES[table]
+        if (!spec) {
+            throw new InvalidQueryError(`Unknown entity: ${table}`)
+        }
+        return spec
+    }
+
+    _fromRow(table, row) {
+        const { columns } = TABLES[table]
+        for (const [name, type] of Object.entries(columns)) {
+            if (type === BOOL) row[name] = row[name] === 1
+        }
+        return row
+    }
+}
+
+function fromEventRow(row) {
+    return { ...row, args: JSON.parse(row.args) }
+}
+
+// Turn a query string value into the stored value of a column
+function parseFilter(column, type, value) {
+    const text = String(value)
+
+    if (type === ADDRESS) {
+        if (!ethers.isAddress(text)) {
+            throw new InvalidQueryError(`${column} must be an address`)
+        }
+        return text
+    }
+    if (type === INTEGER) {
+        const number = Number(text)
+        if (!Number.isInteger(number) || number < 0) {
+            throw new InvalidQueryError(
+                `${column} must be a non-negative integer`
+            )
+        }
+        return number
+    }
+    if (type === BOOL) {
+        if (text !== "true" && text !== "false") {
+            throw new InvalidQueryError(`${column} must be true or false`)
+        }
+        return text === "true" ? 1 : 0
+    }
+    if (type.enum) {
+        const name = text.toUpperCase()
+        if (!type.enum.includes(name)) {
+            throw new InvalidQueryError(
+                `${column} must be one of ${type.enum.join(", ")}`
+            )
+        }
+        return name
+    }
+    return text
+}
+
+module.exports = IndexStore
+module.exports.InvalidQueryError = InvalidQueryError
+module.exports.TABLES = TABLES
+module.exports.ENTITY_TABLES = ENTITY_TABLES
+module.exports.ROLE = ROLE
+module.exports.STORAGE_PROVIDER = STORAGE_PROVIDER
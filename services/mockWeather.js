@@ -0,0 +1,124 @@
+const fs = require("fs")
+const path = require("path")
+const { toContractScale } = require("./weatherProviders/normalize")
+
+const SCENARIOS_DIR = path.join(__dirname, "weatherScenarios")
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+/**
+ * List scenario names available in services/weatherScenarios
+ * @returns {string[]} Scenario names
+ */
+function listScenarios() {
+    return fs
+        .readdirSync(SCENARIOS_DIR)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => path.basename(file, ".json"))
+}
+
+/**
+ * Load a weather scenario fixture
+ * @param {string} name - Scenario name (e.g. "heatwave") or path to a JSON file
+ * @returns {Object} { name, description, readings }
+ */
+function loadScenario(name) {
+    const file = name.endsWith(".json")
+        ? path.resolve(name)
+        : path.join(SCENARIOS_DIR, `${name}.json`)
+
+    if (!fs.existsSync(file)) {
+        throw new Error(
+            `Weather scenario "${name}" not found. Available: ${listScenarios().join(
+                ", "
+            )}`
+        )
+    }
+
+    const scenario = JSON.parse(fs.readFileSync(file, "utf8"))
+    if (!Array.isArray(scenario.readings) || scenario.readings.length === 0) {
+        throw new Error(`Weather scenario "${name}" has no readings`)
+    }
+    return scenario
+}
+
+/**
+ * Deterministic mock weather source
+ *
+ * With a scenario, readings are replayed in order (wrapping around at the
+ * end). Without one, values are drawn from the seeded generator in the same
+ * ranges as the original random mock data.
+ */
+class MockWeatherGenerator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.seed] - Seed for generated data (defaults to current time)
+     * @param {string} [options.scenario] - Scenario name or fixture path to replay
+     */
+    constructor(options = {}) {
+        this.seed =
+            options.seed === undefined ||
+            options.seed === null ||
+            options.seed === ""
+                ? Date.now()
+                : Number(options.seed)
+        this.random = createRandom(this.seed)
+        this.scenario = options.scenario ? loadScenario(options.scenario) : null
+        this.round = 0
+    }
+
+    /**
+     * Get the next mock reading
+     * @returns {Object} Scaled weather data
+     */
+    next() {
+        const round = this.round++
+
+        if (this.scenario) {
+            const readings = this.scenario.readings
+            return toContractScale({
+                ...readings[round % readings.length],
+                location: `Scenario: ${this.scenario.name}`,
+                description: this.scenario.description,
+            })
+        }
+
+        return toContractScale({
+            temperature: 20 + this.random() * 20, // 20-40°C
+            humidity: 40 + this.random() * 40, // 40-80%
+            rainfall: this.random() * 10, // 0-10mm
+            windSpeed: 5 + this.random() * 25, // 5-30 km/h
+            location: "Mock Location",
+            description: "mock weather data",
+        })
+    }
+
+    /**
+     * Restart the sequence from the first reading
+     */
+    reset() {
+        this.random = createRandom(this.seed)
+        this.round = 0
+    }
+}
+
+module.exports = {
+    MockWeatherGenerator,
+    createRandom,
+    loadScenario,
+    listScenarios,
+}
@@ -0,0 +1,681 @@
+const fs = require("fs")
+const path = require("path")
+const yaml = require("js-yaml")
+const { ethers } = require("ethers")
+const { MockWeatherGenerator } = require("./mockWeather")
+const { toContractScale } = require("./weatherProviders/normalize")
+const { weatherRegions } = require("../helper-hardhat-config")
+
+const SCENARIOS_DIR = path.join(__dirname, "seedScenarios")
+const SCENARIO_EXTENSIONS = [".yaml", ".yml", ".json"]
+
+// Contract enums, by name
+const ROLES = {
+    FARMER: 1,
+    PROCESSOR: 2,
+    DISTRIBUTOR: 3,
+    SHIPPER: 4,
+    RETAILER: 5,
+}
+// Consumers buy from retailers without a registered role
+const CONSUMER = "CONSUMER"
+const TRADING_MODES = {
+    SPOT_MARKET: 0,
+    CONTRACT_FARMING: 1,
+    COOPERATIVE: 2,
+    WEATHER_DEPENDENT: 3,
+}
+const OFFER_TYPES = ["BUY", "SELL", "CONTRACT"]
+// Shipment statuses in the order the seeder walks through them
+const SHIPMENT_STATUSES = [
+    "CREATED",
+    "PICKED_UP",
+    "IN_TRANSIT",
+    "DELIVERED",
+    "CONFIRMED",
+]
+
+const DEFAULT_OFFER_DURATION = 7 * 24 * 60 * 60
+// Funded contract offers are due this long after the offer expires
+const CONTRACT_DELIVERY_WINDOW = 180 * 24 * 60 * 60
+
+/**
+ * List scenario names available in services/seedScenarios
+ * @returns {string[]} Scenario names
+ */
+function listSeedScenarios() {
+    return fs
+        .readdirSync(SCENARIOS_DIR)
+        .filter((file) => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+        .map((file) => path.basename(file, path.extname(file)))
+}
+
+/**
+ * Load and validate a seed scenario
+ * @param {string} name - Scenario name (e.g. "demo") or path to a YAML/JSON file
+ * @returns {Object} Scenario
+ * @throws {Error} If the scenario is missing or invalid
+ */
+function loadSeedScenario(name) {
+    const file = SCENARIO_EXTENSIONS.includes(path.extname(name))
+        ? path.resolve(name)
+        : SCENARIO_EXTENSIONS.map((extension) =>
+              path.join(SCENARIOS_DIR, `${name}${extension}`)
+          ).find((candidate) => fs.existsSync(candidate))
+
+    if (!file || !fs.existsSync(file)) {
+        throw new Error(
+            `Seed scenario "${name}" not found. Available: ${listSeedScenarios().join(
+                ", "
+            )}`
+        )
+    }
+
+    const text = fs.readFileSync(file, "utf8")
+    const scenario =
+        path.extname(file) === ".json" ? JSON.parse(text) : yaml.load(text)
+    validateSeedScenario(scenario, name)
+    return scenario
+}
+
+/**
+ * Check a scenario's references and values before anything is sent
+ * @param {Object} scenario - Parsed scenario
+ * @param {string} [name] - Name used in the error message
+ * @throws {Error} Listing every problem found
+ */
+function validateSeedScenario(scenario, name = scenario && scenario.name) {
+    const problems = []
+    const check = (condition, problem) => condition || problems.push(problem)
+    const isCount = (value) => Number.isInteger(value) && value > 0
+    const isPrice = (value) => {
+        try {
+            return ethers.parseEther(String(value)) > 0n
+        } catch (error) {
+            return false
+        }
+    }
+
+    if (!scenario || typeof scenario !== "object") {
+        throw new Error(`Seed scenario "${name}" is not an object`)
+    }
+
+    const stakeholders = scenario.stakeholders || {}
+    const batches = scenario.batches || {}
+    const offers = scenario.offers || {}
+    const shipments = scenario.shipments || {}
+    const isStakeholder = (key, role) =>
+        Boolean(stakeholders[key]) &&
+        (!role || String(stakeholders[key].role).toUpperCase() === role)
+
+    const accounts = new Set()
+    for (const [key, stakeholder] of Object.entries(stakeholders)) {
+        const role = String(stakeholder.role).toUpperCase()
+        check(
+            Number.isInteger(stakeholder.account) && stakeholder.account > 0,
+            `stakeholder ${key}: account must be a signer index above 0 (0 is the deployer)`
+        )
+        check(
+            !accounts.has(stakeholder.account),
+            `stakeholder ${key}: account ${stakeholder.account} is used twice`
+        )
+        accounts.add(stakeholder.account)
+        check(
+            role === CONSUMER || ROLES[role] !== undefined,
+            `stakeholder ${key}: unknown role "${stakeholder.role}"`
+        )
+        check(
+            role === CONSUMER || Boolean(stakeholder.name),
+            `stakeholder ${key}: name is required`
+        )
+    }
+
+    ;(scenario.weather || []).forEach((round, index) => {
+        check(
+            Boolean(round.scenario) !== Array.isArray(round.readings),
+            `weather[${index}]: set either scenario or readings`
+        )
+        check(
+            round.rounds === undefined || isCount(round.rounds),
+            `weather[${index}]: rounds must be a positive integer`
+        )
+        for (const region of round.regions || []) {
+            check(
+                region === "" || weatherRegions[region] !== undefined,
+                `weather[${index}]: unknown region "${region}"`
+            )
+        }
+    })
+
+    for (const [key, batch] of Object.entries(batches)) {
+        check(
+            isStakeholder(batch.farmer, "FARMER"),
+            `batch ${key}: farmer "${batch.farmer}" is not a FARMER stakeholder`
+        )
+        check(Boolean(batch.name), `batch ${key}: name is required`)
+        check(
+            isCount(batch.quantity),
+            `batch ${key}: quantity must be a positive integer`
+        )
+        check(isPrice(batch.basePrice), `batch ${key}: invalid basePrice`)
+        check(
+            batch.listPrice === undefined || isPrice(batch.listPrice),
+            `batch ${key}: invalid listPrice`
+        )
+        check(
+            batch.tradingMode === undefined ||
+                TRADING_MODES[batch.tradingMode] !== undefined,
+            `batch ${key}: unknown tradingMode "${batch.tradingMode}"`
+        )
+    }
+
+    for (const [key, offer] of Object.entries(offers)) {
+        const type = String(offer.type).toUpperCase()
+        check(
+            OFFER_TYPES.includes(type),
+            `offer ${key}: type must be one of ${OFFER_TYPES.join(", ")}`
+        )
+        check(
+            isStakeholder(offer.from),
+            `offer ${key}: unknown stakeholder "${offer.from}"`
+        )
+        check(
+            offer.to === undefined || isStakeholder(offer.to),
+            `offer ${key}: unknown stakeholder "${offer.to}"`
+        )
+        check(
+            offer.acceptedBy === undefined || isStakeholder(offer.acceptedBy),
+            `offer ${key}: unknown stakeholder "${offer.acceptedBy}"`
+        )
+        check(
+            !offer.funded || type === "BUY" || type === "CONTRACT",
+            `offer ${key}: only BUY and CONTRACT offers are funded in advance`
+        )
+        check(
+            type === "CONTRACT"
+                ? Boolean(offer.cropType)
+                : batches[offer.batch],
+            type === "CONTRACT"
+                ? `offer ${key}: cropType is required`
+                : `offer ${key}: unknown batch "${offer.batch}"`
+        )
+        check(isPrice(offer.price), `offer ${key}: invalid price`)
+        check(
+            isCount(offer.quantity),
+            `offer ${key}: quantity must be a positive integer`
+        )
+    }
+
+    for (const [key, shipment] of Object.entries(shipments)) {
+        check(
+            Boolean(batches[shipment.batch]),
+            `shipment ${key}: unknown batch "${shipment.batch}"`
+        )
+        check(
+            shipment.offer === undefined || Boolean(offers[shipment.offer]),
+            `shipment ${key}: unknown offer "${shipment.offer}"`
+        )
+        for (const field of ["from", "to"]) {
+            check(
+                isStakeholder(shipment[field]),
+                `shipment ${key}: unknown stakeholder "${shipment[field]}"`
+            )
+        }
+        check(
+            shipment.shipper === undefined || isStakeholder(shipment.shipper),
+            `shipment ${key}: unknown stakeholder "${shipment.shipper}"`
+        )
+        check(
+            shipment.status === undefined ||
+                SHIPMENT_STATUSES.includes(shipment.status),
+            `shipment ${key}: status must be one of ${SHIPMENT_STATUSES.join(
+                ", "
+            )}`
+        )
+    }
+
+    ;(scenario.purchases || []).forEach((purchase, index) => {
+        check(
+            isStakeholder(purchase.consumer),
+            `purchases[${index}]: unknown stakeholder "${purchase.consumer}"`
+        )
+        check(
+            isStakeholder(purchase.retailer, "RETAILER"),
+            `purchases[${index}]: retailer "${purchase.retailer}" is not a RETAILER stakeholder`
+        )
+        check(
+            Boolean(batches[purchase.batch]),
+            `purchases[${index}]: unknown batch "${purchase.batch}"`
+        )
+        check(
+            isCount(purchase.quantity),
+            `purchases[${index}]: quantity must be a positive integer`
+        )
+        check(
+            purchase.listPrice === undefined || isPrice(purchase.listPrice),
+            `purchases[${index}]: invalid listPrice`
+        )
+    })
+
+    if (problems.length > 0) {
+        throw new Error(
+            `Seed scenario "${name}" is invalid:\n  - ${problems.join(
+                "\n  - "
+            )}`
+        )
+    }
+}
+
+/**
+ * Send a transaction and read an id from one of the contract's events
+ * @returns {Promise<number>} The event argument
+ */
+async function sendForEventId(transaction, contract, eventName, argName) {
+    const receipt = await (await transaction).wait()
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== contract.target.toLowerCase()) {
+            continue
+        }
+        const parsed = contract.interface.parseLog(log)
+        if (parsed && parsed.name === eventName) {
+            return Number(parsed.args[argName])
+        }
+    }
+    throw new Error(`No ${eventName} event in transaction ${receipt.hash}`)
+}
+
+/**
+ * Populate a freshly deployed chain with a scenario's stakeholders, weather
+ * rounds, batches, offers, shipments and consumer purchases, in that order
+ * @param {Object} options
+ * @param {Object} options.contracts - StakeholderManager, ProductBatch,
+ *   OfferManager, ShipmentTracker, Registry and WeatherOracle instances
+ *   connected to the deployer (the StakeholderManager admin), and optionally
+ *   ContractFarming to fund contract offers
+ * @param {Array} options.signers - Signers; stakeholders use them by index
+ * @param {Object} options.scenario - From loadSeedScenario
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<Object>} Created stakeholder addresses and batch, offer,
+ *   shipment and purchase ids, keyed as in the scenario
+ * @throws {Error} If a stakeholder is already registered (chain not fresh)
+ */
+async function seedScenario({
+    contracts,
+    signers,
+    scenario,
+    log = console.log,
+}) {
+    validateSeedScenario(scenario)
+    const {
+        StakeholderManager,
+        ProductBatch,
+        OfferManager,
+        ShipmentTracker,
+        Registry,
+        WeatherOracle,
+        ContractFarming,
+    } = contracts
+    const send = async (transaction) => (await transaction).wait()
+    const seeded = {
+        stakeholders: {},
+        weatherRounds: 0,
+        batches: {},
+        offers: {},
+        shipments: {},
+        purchases: [],
+    }
+
+    // Stakeholders, registered and approved through StakeholderManager
+    const stakeholders = scenario.stakeholders || {}
+    const signerOf = (key) => signers[stakeholders[key].account]
+    const addressOf = (key) => signerOf(key).address
+    for (const [key, stakeholder] of Object.entries(stakeholders)) {
+        const signer = signers[stakeholder.account]
+        if (!signer) {
+            throw new Error(
+                `stakeholder ${key}: no signer at index ${stakeholder.account} (${signers.length} available)`
+            )
+        }
+        seeded.stakeholders[key] = signer.address
+
+        const role = String(stakeholder.role).toUpperCase()
+        if (role === CONSUMER) continue
+        if (await StakeholderManager.isRegistered(signer.address)) {
+            throw new Error(
+                `stakeholder ${key} (${signer.address}) is already registered. Seed a freshly deployed chain.`
+            )
+        }
+        await send(
+            StakeholderManager.registerStakeholder(
+                signer.address,
+                ROLES[role],
+                stakeholder.name,
+                stakeholder.licenseId || "",
+                stakeholder.location || "",
+                stakeholder.certification || ""
+            )
+        )
+        log(`Registered ${role} ${key} (${stakeholder.name})`)
+    }
+
+    // Weather rounds: every round updates each region in one transaction
+    for (const round of scenario.weather || []) {
+        const regions = round.regions || ["", ...Object.keys(weatherRegions)]
+        const generator = round.scenario
+            ? new MockWeatherGenerator({ scenario: round.scenario })
+            : null
+        const rounds = round.rounds || (generator ? 1 : round.readings.length)
+        for (let i = 0; i < rounds; i++) {
+            const readings = regions.map((region) => {
+                const reading = generator
+                    ? generator.next()
+                    : toContractScale(round.readings[i % round.readings.length])
+                return {
+                    region,
+                    temperature: reading.temperature,
+                    humidity: reading.humidity,
+                    rainfall: reading.rainfall,
+                    windSpeed: reading.windSpeed,
+                }
+            })
+            await send(WeatherOracle.updateWeather(readings))
+            seeded.weatherRounds++
+        }
+        log(
+            `Recorded ${rounds} ${
+                round.scenario || "custom"
+            } weather round(s) for ${regions
+                .map((region) => region || "global")
+                .join(", ")}`
+        )
+    }
+
+    // Batches, optionally registered in the Registry and listed for sale
+    const batches = scenario.batches || {}
+    const categories = {}
+    for (const [key, batch] of Object.entries(batches)) {
+        const farmer = signerOf(batch.farmer)
+        const tradingMode = TRADING_MODES[batch.tradingMode || "SPOT_MARKET"]
+        const basePrice = ethers.parseEther(String(batch.basePrice))
+        const origin = batch.origin || stakeholders[batch.farmer].location || ""
+        const batchId = await sendForEventId(
+            ProductBatch.connect(farmer).createBatch(
+                batch.name,
+                batch.description || "",
+                batch.quantity,
+                basePrice,
+                origin,
+                batch.metadataHash || "",
+                tradingMode,
+                (batch.authorizedBuyers || []).map(addressOf),
+                Boolean(batch.weatherVerification)
+            ),
+            ProductBatch,
+            "BatchCreated",
+            "batchId"
+        )
+        seeded.batches[key] = batchId
+
+        if (batch.category) {
+            await send(
+                Registry.connect(farmer).registerProduct(
+                    ProductBatch.target,
+                    batchId,
+                    farmer.address,
+                    batch.name,
+                    batch.category,
+                    batch.quantity,
+                    basePrice,
+                    origin,
+                    tradingMode
+                )
+            )
+            categories[key] = batch.category
+        }
+        if (batch.listPrice !== undefined) {
+            await send(
+                ProductBatch.connect(farmer).listForSale(
+                    batchId,
+                    ethers.parseEther(String(batch.listPrice)),
+                    tradingMode
+                )
+            )
+        }
+        log(
+            `Created batch ${batchId} ${key} (${batch.name}) for ${batch.farmer}`
+        )
+    }
+
+    // Offers, optionally accepted; accepted trades of registered batches are
+    // recorded in the Registry
+    const escrowed = (await OfferManager.paymentEscrow()) !== ethers.ZeroAddress
+    const farmed =
+        Boolean(ContractFarming) &&
+        (await OfferManager.contractFarming()) !== ethers.ZeroAddress
+    for (const [key, offer] of Object.entries(scenario.offers || {})) {
+        const type = String(offer.type).toUpperCase()
+        const creator = OfferManager.connect(signerOf(offer.from))
+        const counterparty = offer.to ? addressOf(offer.to) : ethers.ZeroAddress
+        const price = ethers.parseEther(String(offer.price))
+        const terms = offer.terms || ""
+        const duration = offer.duration || DEFAULT_OFFER_DURATION
+        const batchId = type === "CONTRACT" ? 0 : seeded.batches[offer.batch]
+
+        const transaction =
+            type === "BUY"
+                ? creator.createBuyOffer(
+                      batchId,
+                      price,
+                      offer.quantity,
+                      terms,
+                      duration,
+                      counterparty
+                  )
+                : type === "SELL"
+                ? creator.createSellOffer(
+                      batchId,
+                      price,
+                      offer.quantity,
+                      terms,
+                      duration,
+                      counterparty
+                  )
+                : creator.createContractOffer(
+                      offer.cropType,
+                      offer.quantity,
+                      price,
+                      terms,
+                      duration,
+                      counterparty
+                  )
+        const offerId = await sendForEventId(
+            transaction,
+            OfferManager,
+            "OfferCreated",
+            "offerId"
+        )
+        seeded.offers[key] = offerId
+
+        // With an escrow, the buyer pays the price in: up front for a buy
+        // offer, on acceptance for a sell offer
+        const paid = escrowed && type !== "CONTRACT" && price > BigInt(0)
+        if (paid && type === "BUY" && (offer.funded || offer.acceptedBy)) {
+            await send(creator.fundOffer(offerId, { value: price }))
+        }
+        // With contract farming, the processor deposits a contract offer's
+        // price per unit for its whole quantity before the farmer can accept
+        if (
+            farmed &&
+            type === "CONTRACT" &&
+            (offer.funded || offer.acceptedBy)
+        ) {
+            const { expiresAt } = await OfferManager.offers(offerId)
+            await send(
+                ContractFarming.connect(signerOf(offer.from)).fundAgreement(
+                    offerId,
+                    0,
+                    0,
+                    ethers.MaxUint256,
+                    expiresAt + BigInt(CONTRACT_DELIVERY_WINDOW),
+                    { value: price * BigInt(offer.quantity) }
+                )
+            )
+        }
+        if (offer.acceptedBy) {
+            await send(
+                OfferManager.connect(signerOf(offer.acceptedBy)).acceptOffer(
+                    offerId,
+                    { value: paid && type === "SELL" ? price : 0 }
+                )
+            )
+            if (categories[offer.batch]) {
+                const [seller, buyer] =
+                    type === "BUY"
+                        ? [offer.acceptedBy, offer.from]
+                        : [offer.from, offer.acceptedBy]
+                await send(
+                    Registry.connect(signerOf(seller)).recordTransaction(
+                        batchId,
+                        addressOf(seller),
+                        addressOf(buyer),
+                        price,
+                        offer.quantity,
+                        batches[offer.batch].tradingMode || "SPOT_MARKET"
+                    )
+                )
+            }
+        }
+        log(
+            `Created ${type} offer ${offerId} ${key} from ${offer.from}${
+                offer.acceptedBy ? `, accepted by ${offer.acceptedBy}` : ""
+            }`
+        )
+    }
+
+    // Shipments, walked up to their target status. A confirmed shipment
+    // hands the batch to the receiver.
+    for (const [key, shipment] of Object.entries(scenario.shipments || {})) {
+        const sender = signerOf(shipment.from)
+        const shipper = shipment.shipper ? signerOf(shipment.shipper) : sender
+        const receiver = signerOf(shipment.to)
+        const batchId = seeded.batches[shipment.batch]
+        const target = SHIPMENT_STATUSES.indexOf(shipment.status || "CREATED")
+        const reached = (status) => target >= SHIPMENT_STATUSES.indexOf(status)
+
+        const shipmentId = await sendForEventId(
+            ShipmentTracker.connect(sender).createShipment(
+                batchId,
+                shipment.offer ? seeded.offers[shipment.offer] : 0,
+                receiver.address,
+                shipper.address,
+                shipment.trackingId || `SEED-${key}`,
+                shipment.fromLocation || "",
+                shipment.toLocation || "",
+                shipment.metadataHash || ""
+            ),
+            ShipmentTracker,
+            "ShipmentCreated",
+            "shipmentId"
+        )
+        seeded.shipments[key] = shipmentId
+
+        const carrier = ShipmentTracker.connect(shipper)
+        if (reached("PICKED_UP")) {
+            await send(carrier.pickupShipment(shipmentId))
+        }
+        if (reached("IN_TRANSIT")) {
+            for (const location of shipment.updates || ["In transit"]) {
+                await send(carrier.updateLocation(shipmentId, location))
+            }
+        }
+        if (reached("DELIVERED")) {
+            await send(carrier.markDelivered(shipmentId))
+        }
+        if (reached("CONFIRMED")) {
+            await send(
+                ShipmentTracker.connect(receiver).confirmDelivery(shipmentId)
+            )
+            const [owner] = await ProductBatch.getBatchMarketInfo(batchId)
+            if (owner === sender.address) {
+                await send(
+                    ProductBatch.connect(sender)[
+                        "transferOwnership(uint256,address)"
+                    ](batchId, receiver.address)
+                )
+            }
+        }
+        log(
+            `Created shipment ${shipmentId} ${key} (${shipment.from} -> ${shipment.to}), ${SHIPMENT_STATUSES[target]}`
+        )
+    }
+
+    // Consumer purchases from retailers, listing the batch first if needed
+    for (const purchase of scenario.purchases || []) {
+        const consumer = signerOf(purchase.consumer)
+        const retailer = signerOf(purchase.retailer)
+        const batchId = seeded.batches[purchase.batch]
+
+        if (purchase.listPrice !== undefined) {
+            const { isAvailableForSale } = await ProductBatch.batches(batchId)
+            if (!isAvailableForSale) {
+                await send(
+                    ProductBatch.connect(retailer).listForSale(
+                        batchId,
+                        ethers.parseEther(String(purchase.listPrice)),
+                        TRADING_MODES.SPOT_MARKET
+                    )
+                )
+            }
+        }
+
+        // Same price formula as ProductBatch.purchaseFromRetailer
+        const [, , , , quantity, basePrice] = await ProductBatch.getBatchInfo(
+            batchId
+        )
+        const value = (basePrice * BigInt(purchase.quantity)) / quantity
+        const buyer = ProductBatch.connect(consumer)
+        const purchaseId = await sendForEventId(
+            purchase.immediate
+                ? buyer.purchaseWithImmediateOwnership(
+                      batchId,
+                      retailer.address,
+                      purchase.quantity,
+                      purchase.pickupLocation || "",
+                      { value }
+                  )
+                : buyer.purchaseFromRetailer(
+                      batchId,
+                      retailer.address,
+                      purchase.quantity,
+                      purchase.pickupLocation || "",
+                      { value }
+                  ),
+            ProductBatch,
+            "ConsumerPurchaseCreated",
+            "purchaseId"
+        )
+        seeded.purchases.push(purchaseId)
+
+        if (!purchase.immediate && (purchase.pickedUp || purchase.claimed)) {
+            await send(buyer.confirmPickup(purchaseId))
+        }
+        if (!purchase.immediate && purchase.claimed) {
+            await send(buyer.claimOwnership(purchaseId))
+        }
+        log(
+            `Purchase ${purchaseId}: ${purchase.consumer} bought ${purchase.quantity} of ${purchase.batch} from ${purchase.retailer}`
+        )
+    }
+
+    return seeded
+}
+
+module.exports = {
+    ROLES,
+    TRADING_MODES,
+    SHIPMENT_STATUSES,
+    listSeedScenarios,
+    loadSeedScenario,
+    validateSeedScenario,
+    seedScenario,
+}
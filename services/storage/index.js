@@ -0,0 +1,27 @@
+const LocalStorage = require("./localStorage")
+const S3Storage = require("./s3Storage")
+
+const backends = {
+    local: LocalStorage,
+    s3: S3Storage,
+}
+
+/**
+ * Create the storage backend selected by STORAGE_BACKEND (local or s3)
+ * @param {string} [name] - Backend name
+ * @param {Object} [options] - Backend-specific options
+ * @returns {LocalStorage|S3Storage} Storage backend
+ */
+function createStorage(name = process.env.STORAGE_BACKEND || "local", options) {
+    const Backend = backends[name]
+    if (!Backend) {
+        throw new Error(
+            `Unknown storage backend "${name}". Expected one of: ${Object.keys(
+                backends
+            ).join(", ")}`
+        )
+    }
+    return new Backend(options)
+}
+
+module.exports = { createStorage, LocalStorage, S3Storage }
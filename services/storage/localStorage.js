@@ -0,0 +1,41 @@
+const fs = require("fs")
+const path = require("path")
+
+/**
+ * Stores uploaded files on local disk (served by server.js under /files)
+ */
+class LocalStorage {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.directory] - Directory to write files to
+     * @param {string} [options.publicBaseUrl] - Base URL the files are served from
+     */
+    constructor(options = {}) {
+        this.name = "local"
+        this.directory = path.resolve(
+            options.directory || process.env.LOCAL_STORAGE_DIR || "uploads"
+        )
+        this.publicBaseUrl = (
+            options.publicBaseUrl ||
+            process.env.PUBLIC_BASE_URL ||
+            `http://localhost:${process.env.PORT || 3001}`
+        ).replace(/\/$/, "")
+
+        fs.mkdirSync(this.directory, { recursive: true })
+    }
+
+    /**
+     * Save a file
+     * @param {string} key - Storage key (relative path)
+     * @param {Buffer} buffer - File contents
+     * @returns {Promise<string>} URL the file can be fetched from
+     */
+    async save(key, buffer) {
+        const filePath = path.join(this.directory, key)
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+        await fs.promises.writeFile(filePath, buffer)
+        return `${this.publicBaseUrl}/files/${key}`
+    }
+}
+
+module.exports = LocalStorage
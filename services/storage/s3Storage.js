@@ -0,0 +1,66 @@
+const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3")
+
+/**
+ * Stores uploaded files in Amazon S3 or an S3-compatible store such as MinIO
+ */
+class S3Storage {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.bucket] - Bucket name
+     * @param {string} [options.region] - Bucket region
+     * @param {string} [options.endpoint] - Custom endpoint for S3-compatible stores
+     * @param {string} [options.publicUrl] - Base URL objects are publicly served from
+     */
+    constructor(options = {}) {
+        this.name = "s3"
+        this.bucket = options.bucket || process.env.S3_BUCKET
+        this.region = options.region || process.env.S3_REGION || "us-east-1"
+        this.endpoint = options.endpoint || process.env.S3_ENDPOINT
+
+        if (!this.bucket) {
+            throw new Error("S3_BUCKET is required for the s3 storage backend")
+        }
+
+        this.client = new S3Client({
+            region: this.region,
+            endpoint: this.endpoint,
+            // MinIO and most S3 stand-ins only support path-style URLs
+            forcePathStyle: Boolean(this.endpoint),
+            credentials: process.env.S3_ACCESS_KEY_ID
+                ? {
+                      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                  }
+                : undefined,
+        })
+
+        this.publicUrl = (
+            options.publicUrl ||
+            process.env.S3_PUBLIC_URL ||
+            (this.endpoint
+                ? `${this.endpoint}/${this.bucket}`
+                : `https://${this.bucket}.s3.${this.region}.amazonaws.com`)
+        ).replace(/\/$/, "")
+    }
+
+    /**
+     * Save a file
+     * @param {string} key - Object key
+     * @param {Buffer} buffer - File contents
+     * @param {string} contentType - MIME type
+     * @returns {Promise<string>} URL the object can be fetched from
+     */
+    async save(key, buffer, contentType) {
+        await this.client.send(
+            new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+            })
+        )
+        return `${this.publicUrl}/${key}`
+    }
+}
+
+module.exports = S3Storage
@@ -0,0 +1,213 @@
+const crypto = require("crypto")
+const path = require("path")
+const { ethers } = require("ethers")
+const { createStorage } = require("./storage")
+const { readAllPages } = require("../utils/pagination")
+require("dotenv").config()
+
+const fileStorageManagerABI = [
+    "function getUploadRequest(uint256 requestId) external view returns (uint256 batchId, address requester, string fileName, string contentType, uint8 provider, uint256 requestedAt, bool isCompleted, uint256 fileId)",
+    "function getPendingUploadRequestsPage(uint256 cursor, uint256 limit) external view returns (uint256[] requestIds, uint256 nextCursor)",
+    "function hashToFileId(string fileHash) external view returns (uint256)",
+    "function isAuthorizedOracle(address oracle) external view returns (bool)",
+    "function completeFileUpload(uint256 requestId, string fileHash, string storageUrl, uint256 fileSize, string[] tags) external returns (uint256)",
+    "event FileUploadRequested(uint256 indexed requestId, uint256 indexed batchId, address indexed requester, string fileName, uint8 provider)",
+    "event FileUploaded(uint256 indexed fileId, uint256 indexed batchId, address indexed uploader, string fileHash, string storageUrl)",
+]
+
+const STORAGE_PROVIDER = ["IPFS", "S3", "ARWEAVE", "CUSTOM"]
+
+/**
+ * Thrown when an upload cannot be accepted for a request
+ */
+class UploadRejectedError extends Error {
+    constructor(message, status = 400) {
+        super(message)
+        this.name = "UploadRejectedError"
+        this.status = status
+    }
+}
+
+/**
+ * Oracle that fulfils FileStorageManager upload requests
+ *
+ * Listens for FileUploadRequested, accepts the file bytes off-chain, stores
+ * them in the configured backend and calls completeFileUpload with the
+ * SHA-256 hash, storage URL, size and tags.
+ */
+class UploadOracle {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider - Provider for the network
+     * @param {string} options.address - FileStorageManager address
+     * @param {string} [options.privateKey] - Oracle key (defaults to ORACLE_PRIVATE_KEY or PRIVATE_KEY)
+     * @param {Object} [options.storage] - Storage backend (defaults to STORAGE_BACKEND)
+     */
+    constructor({ provider, address, privateKey, storage }) {
+        const key =
+            privateKey || process.env.ORACLE_PRIVATE_KEY || process.env.PRIVATE_KEY
+        if (!key) {
+            throw new Error(
+                "ORACLE_PRIVATE_KEY not found in .env file. Upload oracle disabled."
+            )
+        }
+
+        this.wallet = new ethers.Wallet(key, provider)
+        this.contract = new ethers.Contract(
+            address,
+            fileStorageManagerABI,
+            this.wallet
+        )
+        this.storage = storage || createStorage()
+        this.pendingRequests = new Set()
+        this.isRunning = false
+    }
+
+    /**
+     * Check authorization, load pending requests and subscribe to new ones
+     */
+    async start() {
+        const authorized = await this.contract.isAuthorizedOracle(
+            this.wallet.address
+        )
+        if (!authorized) {
+            throw new Error(
+                `${this.wallet.address} is not an authorized oracle. Call setOracleOperator first.`
+            )
+        }
+
+        const pending = await readAllPages((cursor, limit) =>
+            this.contract.getPendingUploadRequestsPage(cursor, limit)
+        )
+        pending.forEach((requestId) =>
+            this.pendingRequests.add(Number(requestId))
+        )
+
+        await this.contract.on(
+            "FileUploadRequested",
+            (requestId, batchId, requester, fileName, provider) => {
+                this.pendingRequests.add(Number(requestId))
+                console.log(
+                    `Upload requested #${requestId} for batch ${batchId}: ${fileName} (${
+                        STORAGE_PROVIDER[Number(provider)]
+                    }) by ${requester}`
+                )
+            }
+        )
+
+        this.isRunning = true
+        console.log(
+            `Upload oracle ${this.wallet.address} started with ${this.storage.name} storage (${this.pendingRequests.size} pending)`
+        )
+    }
+
+    async stop() {
+        await this.contract.removeAllListeners("FileUploadRequested")
+        this.isRunning = false
+    }
+
+    /**
+     * Get IDs of requests still waiting for a file
+     * @returns {number[]} Pending request IDs
+     */
+    getPendingRequests() {
+        return [...this.pendingRequests].sort((a, b) => a - b)
+    }
+
+    /**
+     * Store a file for an upload request and complete it on-chain
+     * @param {number} requestId - Upload request ID
+     * @param {Object} file - Uploaded file
+     * @param {Buffer} file.buffer - File contents
+     * @param {string} file.mimetype - MIME type reported by the client
+     * @param {string[]} [tags] - Search tags recorded with the file
+     * @returns {Promise<Object>} The completed file record
+     */
+    async fulfil(requestId, file, tags = []) {
+        const request = await this._getRequest(requestId)
+
+        if (request.isCompleted) {
+            this.pendingRequests.delete(Number(requestId))
+            throw new UploadRejectedError(
+                `Upload request ${requestId} already completed`,
+                409
+            )
+        }
+        if (file.mimetype !== request.contentType) {
+            throw new UploadRejectedError(
+                `Content type ${file.mimetype} does not match requested ${request.contentType}`
+            )
+        }
+
+        const fileHash = crypto
+            .createHash("sha256")
+            .update(file.buffer)
+            .digest("hex")
+
+        if ((await this.contract.hashToFileId(fileHash)) !== 0n) {
+            throw new UploadRejectedError(
+                `File with hash ${fileHash} already stored`,
+                409
+            )
+        }
+
+        const key = `batch-${request.batchId}/${fileHash}${path.extname(
+            request.fileName
+        )}`
+        const storageUrl = await this.storage.save(
+            key,
+            file.buffer,
+            request.contentType
+        )
+
+        const tx = await this.contract.completeFileUpload(
+            requestId,
+            fileHash,
+            storageUrl,
+            file.buffer.length,
+            tags
+        )
+        const receipt = await tx.wait()
+
+        const uploaded = receipt.logs
+            .map((log) => this.contract.interface.parseLog(log))
+            .find((log) => log && log.name === "FileUploaded")
+
+        this.pendingRequests.delete(Number(requestId))
+        console.log(
+            `Upload request #${requestId} completed (tx: ${tx.hash.substring(
+                0,
+                10
+            )}...)`
+        )
+
+        return {
+            requestId: Number(requestId),
+            fileId: uploaded ? Number(uploaded.args.fileId) : null,
+            batchId: Number(request.batchId),
+            fileName: request.fileName,
+            fileHash,
+            storageUrl,
+            fileSize: file.buffer.length,
+            tags,
+            transactionHash: tx.hash,
+        }
+    }
+
+    async _getRequest(requestId) {
+        try {
+            return await this.contract.getUploadRequest(requestId)
+        } catch (error) {
+            if (error.code === "CALL_EXCEPTION") {
+                throw new UploadRejectedError(
+                    `Upload request ${requestId} not found`,
+                    404
+                )
+            }
+            throw error
+        }
+    }
+}
+
+module.exports = UploadOracle
+module.exports.UploadRejectedError = UploadRejectedError
@@ -1,15 +1,37 @@
-const axios = require("axios")
+const { createWeatherProvider } = require("./weatherProviders")
+const { toContractScale } = require("./weatherProviders/normalize")
+const { MockWeatherGenerator } = require("./mockWeather")
 require("dotenv").config()
 
 class WeatherAPIService {
-    constructor() {
-        // Using OpenWeatherMap API - you can get a free API key at openweathermap.org
-        this.apiKey = process.env.OPENWEATHER_API_KEY
-        this.baseUrl = "https://api.openweathermap.org/data/2.5"
-
-        if (!this.apiKey) {
+    /**
+     * @param {Object} [options]
+     * @param {string|Object} [options.provider] - Provider name or instance (defaults to WEATHER_PROVIDER, then OpenWeatherMap)
+     * @param {Object} [options.providerOptions] - Options passed to the provider when created by name
+     * @param {number} [options.seed] - Seed for mock data (defaults to WEATHER_MOCK_SEED)
+     * @param {string} [options.scenario] - Scenario to replay instead of live data (defaults to WEATHER_SCENARIO)
+     */
+    constructor(options = {}) {
+        this.mockWeather = new MockWeatherGenerator({
+            seed: options.seed ?? process.env.WEATHER_MOCK_SEED,
+            scenario: options.scenario || process.env.WEATHER_SCENARIO,
+        })
+
+        this.provider =
+            typeof options.provider === "object"
+                ? options.provider
+                : createWeatherProvider(
+                      options.provider,
+                      options.providerOptions
+                  )
+
+        if (this.mockWeather.scenario) {
+            console.log(
+                `Replaying weather scenario "${this.mockWeather.scenario.name}"`
+            )
+        } else if (!this.provider.isConfigured()) {
             console.warn(
-                "OPENWEATHER_API_KEY not found in .env file. Using mock data."
+                `Weather provider "${this.provider.name}" is not configured (check your .env file). Using mock data.`
             )
         }
     }
@@ -20,30 +42,12 @@ class WeatherAPIService {
      * @returns {Promise<Object>} Weather data
      */
     async getCurrentWeather(location = "Sydney,AU") {
-        if (!this.apiKey) {
+        if (this.mockWeather.scenario || !this.provider.isConfigured()) {
             return this._getMockWeatherData()
         }
 
         try {
-            const response = await axios.get(`${this.baseUrl}/weather`, {
-                params: {
-                    q: location,
-                    appid: this.apiKey,
-                    units: "metric", // Get temperature in Celsius
-                },
-            })
-
-            const weather = response.data
-
-            return {
-                temperature: Math.round(weather.main.temp * 100), // Scale by 100 for Solidity (25.5°C -> 2550)
-                humidity: Math.round(weather.main.humidity * 100), // Scale by 100 (65% -> 6500)
-                rainfall: this._calculateRainfall(weather), // mm scaled by 100
-                windSpeed: Math.round(weather.wind.speed * 3.6 * 100), // Convert m/s to km/h, scale by 100
-                timestamp: Math.floor(Date.now() / 1000),
-                location: weather.name,
-                description: weather.weather[0].description,
-            }
+            return await this.provider.getCurrentWeather(location)
         } catch (error) {
             console.error("Error fetching weather data:", error.message)
             console.log("Falling back to mock data...")
@@ -57,27 +61,15 @@ class WeatherAPIService {
      * @returns {Promise<Array>} Array of weather forecasts
      */
     async getWeatherForecast(location = "Sydney,AU") {
-        if (!this.apiKey) {
+        if (this.mockWeather.scenario) {
+            return this._getScenarioForecast()
+        }
+        if (!this.provider.isConfigured()) {
             return [this._getMockWeatherData()]
         }
 
         try {
-            const response = await axios.get(`${this.baseUrl}/forecast`, {
-                params: {
-                    q: location,
-                    appid: this.apiKey,
-                    units: "metric",
-                },
-            })
-
-            return response.data.list.map((item) => ({
-                temperature: Math.round(item.main.temp * 100),
-                humidity: Math.round(item.main.humidity * 100),
-                rainfall: this._calculateRainfall(item),
-                windSpeed: Math.round(item.wind.speed * 3.6 * 100),
-                timestamp: item.dt,
-                description: item.weather[0].description,
-            }))
+            return await this.provider.getForecast(location)
         } catch (error) {
             console.error("Error fetching forecast data:", error.message)
             return [this._getMockWeatherData()]
@@ -85,50 +77,29 @@ class WeatherAPIService {
     }
 
     /**
-     * Calculate rainfall from weather data
-     * @param {Object} weatherData - Weather data from API
-     * @returns {number} Rainfall in mm (scaled by 100)
+     * Get mock weather data for testing (seeded, or the next scenario reading)
+     * @returns {Object} Mock weather data
      */
-    _calculateRainfall(weatherData) {
-        let rainfall = 0
-
-        // Check for rain in the last 1 hour or 3 hours
-        if (weatherData.rain) {
-            rainfall = weatherData.rain["1h"] || weatherData.rain["3h"] || 0
-        }
-
-        // If no rain data but rainy conditions, estimate based on weather
-        if (rainfall === 0 && weatherData.weather) {
-            const mainWeather = weatherData.weather[0].main.toLowerCase()
-            if (mainWeather.includes("rain")) {
-                rainfall = Math.random() * 5 // Random rainfall between 0-5mm
-            } else if (mainWeather.includes("drizzle")) {
-                rainfall = Math.random() * 2 // Light rainfall
-            }
-        }
-
-        return Math.round(rainfall * 100) // Scale by 100 for Solidity
+    _getMockWeatherData() {
+        return this.mockWeather.next()
     }
 
     /**
-     * Get mock weather data for testing
-     * @returns {Object} Mock weather data
+     * Get every scenario reading as a 3-hourly forecast starting now
+     * @returns {Array} Scenario forecast
      */
-    _getMockWeatherData() {
-        const baseTemp = 20 + Math.random() * 20 // 20-40°C
-        const baseHumidity = 40 + Math.random() * 40 // 40-80%
-        const baseRainfall = Math.random() * 10 // 0-10mm
-        const baseWindSpeed = 5 + Math.random() * 25 // 5-30 km/h
-
-        return {
-            temperature: Math.round(baseTemp * 100),
-            humidity: Math.round(baseHumidity * 100),
-            rainfall: Math.round(baseRainfall * 100),
-            windSpeed: Math.round(baseWindSpeed * 100),
-            timestamp: Math.floor(Date.now() / 1000),
-            location: "Mock Location",
-            description: "mock weather data",
-        }
+    _getScenarioForecast() {
+        const { name, description, readings } = this.mockWeather.scenario
+        const now = Math.floor(Date.now() / 1000)
+
+        return readings.map((reading, i) =>
+            toContractScale({
+                ...reading,
+                timestamp: now + i * 3 * 60 * 60,
+                location: `Scenario: ${name}`,
+                description,
+            })
+        )
     }
 
     /**
@@ -0,0 +1,116 @@
+/**
+ * Round history readers for the WeatherOracle and UpdatableWeatherFeed contracts
+ *
+ * Rows are in display units (°C, %, mm, km/h) with Unix timestamps, ready to
+ * chart or export with toCSV.
+ */
+
+const METRICS = ["temperature", "humidity", "rainfall", "windSpeed"]
+
+const ORACLE_COLUMNS = ["region", "roundId", "timestamp", "time", ...METRICS]
+const FEED_COLUMNS = ["metric", "roundId", "timestamp", "time", "value"]
+
+// Contract values are scaled by 100
+const fromContractScale = (value) => Number(value) / 100
+
+/**
+ * Pick the round range to read, keeping the newest rounds when limited
+ * @returns {Array<number>} Round IDs in ascending order
+ */
+function roundRange(latestRoundId, { fromRound, toRound, limit } = {}) {
+    const last = Math.min(toRound || latestRoundId, latestRoundId)
+    let first = Math.max(fromRound || 1, 1)
+    if (limit && last - first + 1 > limit) {
+        first = last - limit + 1
+    }
+
+    const rounds = []
+    for (let roundId = first; roundId <= last; roundId++) {
+        rounds.push(roundId)
+    }
+    return rounds
+}
+
+/**
+ * Read a region's rounds from the WeatherOracle
+ * @param {ethers.Contract} oracle - WeatherOracle
+ * @param {string} region - Region name ("" for the global reading)
+ * @param {Object} [range]
+ * @param {number} [range.fromRound] - First round (default 1)
+ * @param {number} [range.toRound] - Last round (default latest)
+ * @param {number} [range.limit] - Keep only the newest rounds in the range
+ * @returns {Promise<Array>} One row per round, oldest first
+ */
+async function getOracleHistory(oracle, region, range) {
+    const latestRoundId = Number(await oracle.latestRoundId(region))
+
+    const rows = []
+    for (const roundId of roundRange(latestRoundId, range)) {
+        const data = await oracle.getWeatherRound(region, roundId)
+        rows.push({
+            region: region || "global",
+            roundId,
+            timestamp: Number(data.timestamp),
+            time: new Date(Number(data.timestamp) * 1000).toISOString(),
+            temperature: fromContractScale(data.temperature),
+            humidity: fromContractScale(data.humidity),
+            rainfall: fromContractScale(data.rainfall),
+            windSpeed: fromContractScale(data.windSpeed),
+        })
+    }
+    return rows
+}
+
+/**
+ * Read rounds from UpdatableWeatherFeed contracts (the global feeds)
+ * @param {Object} feeds - Metric name => UpdatableWeatherFeed contract
+ * @param {Object} [range] - Same as getOracleHistory, applied per feed
+ * @returns {Promise<Array>} One row per feed round, by metric then oldest first
+ */
+async function getFeedHistory(feeds, range) {
+    const rows = []
+    for (const [metric, feed] of Object.entries(feeds)) {
+        const latestRoundId = Number(await feed.getLatestRoundId())
+        for (const roundId of roundRange(latestRoundId, range)) {
+            const round = await feed.getRoundData(roundId)
+            rows.push({
+                metric,
+                roundId,
+                timestamp: Number(round.updatedAt),
+                time: new Date(Number(round.updatedAt) * 1000).toISOString(),
+                value: fromContractScale(round.answer),
+            })
+        }
+    }
+    return rows
+}
+
+/**
+ * Format rows as CSV
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<string>} columns - Column order (also the header)
+ * @returns {string} CSV text
+ */
+function toCSV(rows, columns) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? "" : String(value)
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+
+    return [
+        columns.join(","),
+        ...rows.map((row) =>
+            columns.map((column) => escape(row[column])).join(",")
+        ),
+    ].join("\n")
+}
+
+module.exports = {
+    getOracleHistory,
+    getFeedHistory,
+    toCSV,
+    roundRange,
+    METRICS,
+    ORACLE_COLUMNS,
+    FEED_COLUMNS,
+}
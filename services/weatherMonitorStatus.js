@@ -0,0 +1,156 @@
+const fs = require("fs")
+const path = require("path")
+const express = require("express")
+
+/**
+ * Health state of the weather monitor's feeds
+ *
+ * Tracks the last push and on-chain timestamp of each feed, flags feeds whose
+ * latest round is older than staleAfter, and persists everything to a JSON
+ * status file for ops tooling.
+ */
+class WeatherMonitorStatus {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.statusFile] - Path of the JSON status file (null to disable)
+     * @param {number} [options.staleAfter] - Seconds before a feed counts as stale
+     * @param {Function} [options.now] - Clock returning milliseconds (for tests)
+     */
+    constructor(options = {}) {
+        this.statusFile =
+            options.statusFile !== undefined
+                ? options.statusFile
+                : process.env.WEATHER_MONITOR_STATUS_FILE ||
+                  "weather-monitor-status.json"
+        this.staleAfter =
+            options.staleAfter ||
+            Number(process.env.WEATHER_STALE_AFTER_SECONDS) ||
+            15 * 60
+        this.now = options.now || Date.now
+        this.startedAt = new Date(this.now()).toISOString()
+        this.lastCycle = null
+        this.feeds = {}
+    }
+
+    /**
+     * Start tracking a feed
+     * @param {string} id - Feed ID, e.g. a WeatherOracle region such as "Sydney"
+     * @param {string} address - Contract address
+     */
+    registerFeed(id, address) {
+        this.feeds[id] = {
+            address,
+            value: null,
+            lastTxHash: null,
+            lastSuccessAt: null,
+            lastError: null,
+            consecutiveFailures: 0,
+            latestTimestamp: null,
+            ageSeconds: null,
+            stale: false,
+        }
+    }
+
+    recordSuccess(id, { value, txHash }) {
+        Object.assign(this.feeds[id], {
+            value: String(value),
+            lastTxHash: txHash,
+            lastSuccessAt: new Date(this.now()).toISOString(),
+            lastError: null,
+            consecutiveFailures: 0,
+        })
+    }
+
+    recordFailure(id, error) {
+        const feed = this.feeds[id]
+        feed.lastError = error.message
+        feed.consecutiveFailures++
+    }
+
+    /**
+     * Record a feed's on-chain latest timestamp and update its stale flag
+     * @param {string} id - Feed ID
+     * @param {number|bigint} latestTimestamp - getLatestTimestamp() in seconds
+     * @returns {boolean} True if the feed is stale
+     */
+    recordHeartbeat(id, latestTimestamp) {
+        const feed = this.feeds[id]
+        const ageSeconds = Math.max(
+            0,
+            Math.floor(this.now() / 1000) - Number(latestTimestamp)
+        )
+
+        feed.latestTimestamp = Number(latestTimestamp)
+        feed.ageSeconds = ageSeconds
+        feed.stale = ageSeconds > this.staleAfter
+        return feed.stale
+    }
+
+    recordCycle(startedAt, finishedAt) {
+        this.lastCycle = {
+            startedAt: new Date(startedAt).toISOString(),
+            finishedAt: new Date(finishedAt).toISOString(),
+        }
+    }
+
+    getStaleFeeds() {
+        return Object.keys(this.feeds).filter((id) => this.feeds[id].stale)
+    }
+
+    getFailingFeeds() {
+        return Object.keys(this.feeds).filter(
+            (id) => this.feeds[id].consecutiveFailures > 0
+        )
+    }
+
+    isHealthy() {
+        return (
+            this.getStaleFeeds().length === 0 &&
+            this.getFailingFeeds().length === 0
+        )
+    }
+
+    toJSON() {
+        return {
+            healthy: this.isHealthy(),
+            startedAt: this.startedAt,
+            updatedAt: new Date(this.now()).toISOString(),
+            staleAfterSeconds: this.staleAfter,
+            lastCycle: this.lastCycle,
+            staleFeeds: this.getStaleFeeds(),
+            failingFeeds: this.getFailingFeeds(),
+            feeds: this.feeds,
+        }
+    }
+
+    /**
+     * Write the status file (via a temp file so readers never see a partial write)
+     */
+    write() {
+        if (!this.statusFile) return
+
+        const file = path.resolve(this.statusFile)
+        const tmpFile = `${file}.tmp`
+        fs.writeFileSync(tmpFile, JSON.stringify(this, null, 2))
+        fs.renameSync(tmpFile, file)
+    }
+}
+
+/**
+ * Create the health endpoint app
+ * GET /health responds 200 when healthy and 503 otherwise, with the full status
+ * @param {WeatherMonitorStatus} status - Monitor status
+ * @returns {express.Application} Express app
+ */
+function createHealthApp(status) {
+    const app = express()
+
+    app.get("/health", (req, res) => {
+        res.status(status.isHealthy() ? 200 : 503).json(status)
+    })
+
+    return app
+}
+
+module.exports = WeatherMonitorStatus
+module.exports.createHealthApp = createHealthApp
@@ -0,0 +1,50 @@
+const OpenWeatherMapProvider = require("./openWeatherMap")
+const OpenMeteoProvider = require("./openMeteo")
+const StationProvider = require("./station")
+
+/**
+ * Weather provider interface
+ *
+ * Every provider exposes:
+ *   name                          - identifier used in WEATHER_PROVIDER
+ *   isConfigured()                - false when credentials/URLs are missing
+ *   getCurrentWeather(location)   - Promise<{temperature, humidity, rainfall, windSpeed, timestamp, location, description}>
+ *   getForecast(location)         - Promise<Array> of the same shape
+ *
+ * Values are scaled by 100 (see normalize.js) so they can be written to the
+ * weather feeds unchanged.
+ */
+const providers = {
+    openweathermap: OpenWeatherMapProvider,
+    "open-meteo": OpenMeteoProvider,
+    station: StationProvider,
+}
+
+/**
+ * Create the weather provider selected by WEATHER_PROVIDER
+ * @param {string} [name] - Provider name
+ * @param {Object} [options] - Provider-specific options
+ * @returns {Object} Weather provider
+ */
+function createWeatherProvider(
+    name = process.env.WEATHER_PROVIDER || "openweathermap",
+    options
+) {
+    const Provider = providers[name.toLowerCase()]
+    if (!Provider) {
+        throw new Error(
+            `Unknown weather provider "${name}". Expected one of: ${Object.keys(
+                providers
+            ).join(", ")}`
+        )
+    }
+    return new Provider(options)
+}
+
+module.exports = {
+    createWeatherProvider,
+    providers,
+    OpenWeatherMapProvider,
+    OpenMeteoProvider,
+    StationProvider,
+}
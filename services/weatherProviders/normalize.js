@@ -0,0 +1,26 @@
+/**
+ * Scale raw weather readings to the integer format used by the weather feeds
+ * (all values multiplied by 100, e.g. 25.5°C -> 2550)
+ * @param {Object} reading - Raw reading in metric units
+ * @param {number} reading.temperature - Temperature in °C
+ * @param {number} reading.humidity - Relative humidity in %
+ * @param {number} reading.rainfall - Rainfall in mm
+ * @param {number} reading.windSpeed - Wind speed in km/h
+ * @param {number} [reading.timestamp] - Unix timestamp in seconds
+ * @param {string} [reading.location] - Location name
+ * @param {string} [reading.description] - Human-readable conditions
+ * @returns {Object} Scaled weather data
+ */
+function toContractScale(reading) {
+    return {
+        temperature: Math.round(reading.temperature * 100),
+        humidity: Math.round(reading.humidity * 100),
+        rainfall: Math.round((reading.rainfall || 0) * 100),
+        windSpeed: Math.round(reading.windSpeed * 100),
+        timestamp: reading.timestamp || Math.floor(Date.now() / 1000),
+        location: reading.location,
+        description: reading.description,
+    }
+}
+
+module.exports = { toContractScale }
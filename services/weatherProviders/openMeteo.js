@@ -0,0 +1,148 @@
+const axios = require("axios")
+const { toContractScale } = require("./normalize")
+
+// WMO weather interpretation codes used by Open-Meteo
+const WEATHER_CODES = {
+    0: "clear sky",
+    1: "mainly clear",
+    2: "partly cloudy",
+    3: "overcast",
+    45: "fog",
+    48: "depositing rime fog",
+    51: "light drizzle",
+    53: "moderate drizzle",
+    55: "dense drizzle",
+    61: "slight rain",
+    63: "moderate rain",
+    65: "heavy rain",
+    71: "slight snow",
+    73: "moderate snow",
+    75: "heavy snow",
+    80: "slight rain showers",
+    81: "moderate rain showers",
+    82: "violent rain showers",
+    95: "thunderstorm",
+}
+
+const VARIABLES =
+    "temperature_2m,relative_humidity_2m,precipitation,wind_speed_10m,weather_code"
+
+/**
+ * Open-Meteo adapter (no API key required)
+ */
+class OpenMeteoProvider {
+    constructor(options = {}) {
+        this.name = "open-meteo"
+        this.baseUrl = options.baseUrl || "https://api.open-meteo.com/v1"
+        this.geocodingUrl =
+            options.geocodingUrl || "https://geocoding-api.open-meteo.com/v1"
+        this._coordinates = new Map()
+    }
+
+    isConfigured() {
+        return true
+    }
+
+    /**
+     * @param {string} location - City name (e.g. "Sydney,AU") or "lat,lon"
+     * @returns {Promise<Object>} Scaled weather data
+     */
+    async getCurrentWeather(location) {
+        const place = await this._resolve(location)
+        const response = await axios.get(`${this.baseUrl}/forecast`, {
+            params: {
+                latitude: place.latitude,
+                longitude: place.longitude,
+                current: VARIABLES,
+                wind_speed_unit: "kmh",
+                timeformat: "unixtime",
+            },
+        })
+
+        const current = response.data.current
+
+        return toContractScale({
+            temperature: current.temperature_2m,
+            humidity: current.relative_humidity_2m,
+            rainfall: current.precipitation,
+            windSpeed: current.wind_speed_10m,
+            timestamp: current.time,
+            location: place.name,
+            description: WEATHER_CODES[current.weather_code] || "unknown",
+        })
+    }
+
+    /**
+     * @param {string} location - City name (e.g. "Sydney,AU") or "lat,lon"
+     * @returns {Promise<Array>} Scaled hourly forecast for the next 5 days
+     */
+    async getForecast(location) {
+        const place = await this._resolve(location)
+        const response = await axios.get(`${this.baseUrl}/forecast`, {
+            params: {
+                latitude: place.latitude,
+                longitude: place.longitude,
+                hourly: VARIABLES,
+                forecast_days: 5,
+                wind_speed_unit: "kmh",
+                timeformat: "unixtime",
+            },
+        })
+
+        const hourly = response.data.hourly
+
+        return hourly.time.map((time, i) =>
+            toContractScale({
+                temperature: hourly.temperature_2m[i],
+                humidity: hourly.relative_humidity_2m[i],
+                rainfall: hourly.precipitation[i],
+                windSpeed: hourly.wind_speed_10m[i],
+                timestamp: time,
+                location: place.name,
+                description: WEATHER_CODES[hourly.weather_code[i]] || "unknown",
+            })
+        )
+    }
+
+    /**
+     * Resolve a location string to coordinates via the geocoding API
+     * @param {string} location - City name (e.g. "Sydney,AU") or "lat,lon"
+     * @returns {Promise<Object>} { name, latitude, longitude }
+     */
+    async _resolve(location) {
+        const coordinates = location.match(
+            /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/
+        )
+        if (coordinates) {
+            return {
+                name: location,
+                latitude: Number(coordinates[1]),
+                longitude: Number(coordinates[2]),
+            }
+        }
+
+        if (this._coordinates.has(location)) {
+            return this._coordinates.get(location)
+        }
+
+        const [name, countryCode] = location.split(",").map((s) => s.trim())
+        const response = await axios.get(`${this.geocodingUrl}/search`, {
+            params: { name, countryCode, count: 1 },
+        })
+
+        const results = response.data.results || []
+        if (results.length === 0) {
+            throw new Error(`Location not found: ${location}`)
+        }
+
+        const place = {
+            name: results[0].name,
+            latitude: results[0].latitude,
+            longitude: results[0].longitude,
+        }
+        this._coordinates.set(location, place)
+        return place
+    }
+}
+
+module.exports = OpenMeteoProvider
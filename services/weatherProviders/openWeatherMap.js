@@ -0,0 +1,99 @@
+const axios = require("axios")
+const { toContractScale } = require("./normalize")
+
+/**
+ * OpenWeatherMap adapter (/weather and /forecast endpoints)
+ */
+class OpenWeatherMapProvider {
+    constructor(options = {}) {
+        this.name = "openweathermap"
+        // Get a free API key at openweathermap.org
+        this.apiKey = options.apiKey || process.env.OPENWEATHER_API_KEY
+        this.baseUrl =
+            options.baseUrl || "https://api.openweathermap.org/data/2.5"
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey)
+    }
+
+    /**
+     * @param {string} location - City name (e.g. "Sydney,AU")
+     * @returns {Promise<Object>} Scaled weather data
+     */
+    async getCurrentWeather(location) {
+        const response = await axios.get(`${this.baseUrl}/weather`, {
+            params: {
+                q: location,
+                appid: this.apiKey,
+                units: "metric", // Get temperature in Celsius
+            },
+        })
+
+        const weather = response.data
+
+        return toContractScale({
+            temperature: weather.main.temp,
+            humidity: weather.main.humidity,
+            rainfall: this._calculateRainfall(weather),
+            windSpeed: weather.wind.speed * 3.6, // Convert m/s to km/h
+            location: weather.name,
+            description: weather.weather[0].description,
+        })
+    }
+
+    /**
+     * @param {string} location - City name (e.g. "Sydney,AU")
+     * @returns {Promise<Array>} Scaled 3-hourly forecast for the next 5 days
+     */
+    async getForecast(location) {
+        const response = await axios.get(`${this.baseUrl}/forecast`, {
+            params: {
+                q: location,
+                appid: this.apiKey,
+                units: "metric",
+            },
+        })
+
+        return response.data.list.map((item) =>
+            toContractScale({
+                temperature: item.main.temp,
+                humidity: item.main.humidity,
+                rainfall: this._calculateRainfall(item),
+                windSpeed: item.wind.speed * 3.6,
+                timestamp: item.dt,
+                location: response.data.city && response.data.city.name,
+                description: item.weather[0].description,
+            })
+        )
+    }
+
+    /**
+     * Calculate rainfall from weather data
+     * @param {Object} weatherData - Weather data from API
+     * @returns {number} Rainfall in mm
+     */
+    _calculateRainfall(weatherData) {
+        let rainfall = 0
+
+        // Check for rain in the last 1 hour or 3 hours
+        if (weatherData.rain) {
+            rainfall = weatherData.rain["1h"] || weatherData.rain["3h"] || 0
+        }
+
+        // If no rain data but rainy conditions, estimate based on weather
+        // (fixed estimates keep repeated reads of the same response identical)
+        if (rainfall === 0 && weatherData.weather) {
+            const mainWeather = weatherData.weather[0].main.toLowerCase()
+            if (mainWeather.includes("rain")) {
+                rainfall = 2.5 // Midpoint of typical 0-5mm light rain
+            } else if (mainWeather.includes("drizzle")) {
+                rainfall = 1 // Midpoint of typical 0-2mm drizzle
+            }
+        }
+
+        return rainfall
+    }
+}
+
+module.exports = OpenWeatherMapProvider
@@ -0,0 +1,72 @@
+const axios = require("axios")
+const { toContractScale } = require("./normalize")
+
+/**
+ * Adapter for on-farm weather stations or any HTTP endpoint that returns
+ * metric readings as JSON:
+ *   { temperature: °C, humidity: %, rainfall: mm, windSpeed: km/h, timestamp?: unix seconds }
+ *
+ * GET {STATION_API_URL}/current?location=<location>
+ * GET {STATION_API_URL}/forecast?location=<location> (optional, returns an array)
+ */
+class StationProvider {
+    constructor(options = {}) {
+        this.name = "station"
+        this.baseUrl = (
+            options.baseUrl ||
+            process.env.STATION_API_URL ||
+            ""
+        ).replace(/\/$/, "")
+        this.apiKey = options.apiKey || process.env.STATION_API_KEY
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl)
+    }
+
+    /**
+     * @param {string} location - Station or farm identifier
+     * @returns {Promise<Object>} Scaled weather data
+     */
+    async getCurrentWeather(location) {
+        const response = await axios.get(`${this.baseUrl}/current`, {
+            params: { location },
+            headers: this._headers(),
+        })
+
+        return this._normalize(response.data, location)
+    }
+
+    /**
+     * @param {string} location - Station or farm identifier
+     * @returns {Promise<Array>} Scaled forecast entries
+     */
+    async getForecast(location) {
+        const response = await axios.get(`${this.baseUrl}/forecast`, {
+            params: { location },
+            headers: this._headers(),
+        })
+
+        return response.data.map((reading) =>
+            this._normalize(reading, location)
+        )
+    }
+
+    _normalize(reading, location) {
+        return toContractScale({
+            temperature: reading.temperature,
+            humidity: reading.humidity,
+            rainfall: reading.rainfall,
+            windSpeed: reading.windSpeed,
+            timestamp: reading.timestamp,
+            location: reading.location || location,
+            description: reading.description || "station reading",
+        })
+    }
+
+    _headers() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    }
+}
+
+module.exports = StationProvider
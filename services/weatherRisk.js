@@ -0,0 +1,226 @@
+const WeatherAPIService = require("./weatherAPI")
+const {
+    weatherRegions,
+    DEFAULT_WEATHER_LOCATION,
+} = require("../helper-hardhat-config")
+
+// Allowed deviation from a crop's requirements before a reading adds risk
+// (contract scale, i.e. value * 100). Risk grows linearly beyond the
+// tolerance and saturates at twice the tolerance.
+const DEFAULT_TOLERANCES = {
+    temperature: 500, // ±5°C
+    humidity: 1000, // ±10%
+    rainfall: 500, // +5mm above the crop's rainfall
+    windSpeed: 1500, // +15km/h above the crop's wind speed
+}
+
+// How much each metric contributes to a reading's harvest risk
+const HARVEST_WEIGHTS = {
+    temperature: 0.3,
+    humidity: 0.2,
+    rainfall: 0.35,
+    windSpeed: 0.15,
+}
+
+// Crop-independent limits for moving a batch: rainfall, wind and heat from
+// `start` (no risk) to `max` (full risk), contract scale
+const TRANSPORT_LIMITS = {
+    rainfall: { start: 0, max: 1000 }, // 0-10mm
+    windSpeed: { start: 3000, max: 6000 }, // 30-60km/h
+    temperature: { start: 3000, max: 4000 }, // 30-40°C
+}
+
+const clamp = (value) => Math.min(1, Math.max(0, value))
+
+/**
+ * Risk from a value's distance to a target, beyond a tolerance
+ * @param {number} value - Forecast value
+ * @param {number} target - Required value
+ * @param {number} tolerance - Deviation that carries no risk
+ * @param {boolean} twoSided - False if only values above the target count
+ * @returns {number} Risk between 0 and 1
+ */
+function deviationRisk(value, target, tolerance, twoSided) {
+    const deviation = twoSided
+        ? Math.abs(value - target)
+        : Math.max(0, value - target)
+    return clamp((deviation - tolerance) / tolerance)
+}
+
+function riskLevel(score) {
+    if (score === null) return "UNKNOWN"
+    if (score < 34) return "LOW"
+    if (score < 67) return "MEDIUM"
+    return "HIGH"
+}
+
+/**
+ * Score harvest and transport risk from a forecast
+ *
+ * Harvest risk compares every forecast reading with the crop's requirements
+ * and reports the worst reading (0-100); it is null when the crop has no
+ * requirements, matching ProductBatch, which treats such crops as suitable.
+ * Transport risk only looks at the first transportWindowHours, against
+ * fixed rain, wind and heat limits.
+ *
+ * @param {Array} forecast - Contract-scaled readings from getWeatherForecast
+ * @param {Object|null} requirements - Contract-scaled crop requirements
+ * @param {Object} [options]
+ * @param {Object} [options.tolerances] - Overrides for DEFAULT_TOLERANCES
+ * @param {number} [options.transportWindowHours=24] - Hours of forecast used for transport risk
+ * @returns {Object} Scores (0-100), levels and the readings that drove them
+ */
+function scoreWeatherRisk(forecast, requirements, options = {}) {
+    if (!forecast || forecast.length === 0) {
+        throw new Error("Forecast is empty")
+    }
+    const tolerances = { ...DEFAULT_TOLERANCES, ...options.tolerances }
+    const transportWindowHours = options.transportWindowHours || 24
+
+    let harvest = null
+    if (requirements) {
+        harvest = { score: 0, reading: forecast[0], factors: {} }
+        for (const reading of forecast) {
+            const factors = {
+                temperature: deviationRisk(
+                    reading.temperature,
+                    requirements.temperature,
+                    tolerances.temperature,
+                    true
+                ),
+                humidity: deviationRisk(
+                    reading.humidity,
+                    requirements.humidity,
+                    tolerances.humidity,
+                    true
+                ),
+                rainfall: deviationRisk(
+                    reading.rainfall,
+                    requirements.rainfall,
+                    tolerances.rainfall,
+                    false
+                ),
+                windSpeed: deviationRisk(
+                    reading.windSpeed,
+                    requirements.windSpeed,
+                    tolerances.windSpeed,
+                    false
+                ),
+            }
+            const score = Object.keys(HARVEST_WEIGHTS).reduce(
+                (sum, metric) =>
+                    sum + HARVEST_WEIGHTS[metric] * factors[metric],
+                0
+            )
+            if (score > harvest.score) {
+                harvest = { score, reading, factors }
+            }
+        }
+    }
+
+    const transportEnd = forecast[0].timestamp + transportWindowHours * 60 * 60
+    let transport = { score: 0, reading: forecast[0], factors: {} }
+    for (const reading of forecast) {
+        if (reading.timestamp > transportEnd) break
+
+        const factors = {}
+        for (const [metric, { start, max }] of Object.entries(
+            TRANSPORT_LIMITS
+        )) {
+            factors[metric] = clamp((reading[metric] - start) / (max - start))
+        }
+        const score = Math.max(...Object.values(factors))
+        if (score > transport.score) {
+            transport = { score, reading, factors }
+        }
+    }
+
+    const harvestRisk = harvest && Math.round(harvest.score * 100)
+    const transportRisk = Math.round(transport.score * 100)
+
+    return {
+        harvestRisk,
+        harvestLevel: riskLevel(harvestRisk),
+        harvestFactors: harvest && harvest.factors,
+        worstHarvestAt: harvest && harvest.reading.timestamp,
+        transportRisk,
+        transportLevel: riskLevel(transportRisk),
+        transportFactors: transport.factors,
+        worstTransportAt: transport.reading.timestamp,
+        forecastFrom: forecast[0].timestamp,
+        forecastTo: forecast[forecast.length - 1].timestamp,
+    }
+}
+
+/**
+ * Per-batch weather risk from the batch's regional forecast and the
+ * requirements set with ProductBatch.setCropWeatherRequirements
+ */
+class WeatherRiskService {
+    /**
+     * @param {Object} options
+     * @param {ContractService} options.contractService - Contract reads
+     * @param {Object} [options.weatherAPI] - Forecast source (defaults to WeatherAPIService)
+     * @param {Object} [options.scoring] - Options passed to scoreWeatherRisk
+     */
+    constructor(options) {
+        this.contractService = options.contractService
+        this.weatherAPI = options.weatherAPI || new WeatherAPIService()
+        this.scoring = options.scoring || {}
+    }
+
+    /**
+     * Score a batch against its region's forecast
+     * @param {number|string} batchId - Batch ID
+     * @returns {Promise<Object>} Batch context, scores and the last recorded scores
+     */
+    async getBatchRisk(batchId) {
+        const batch = await this.contractService.getBatch(batchId)
+        // ProductBatch looks up requirements by batch name
+        const cropType = batch.name
+        const requirements =
+            await this.contractService.getCropWeatherRequirements(cropType)
+        const region = await this.contractService.getBatchWeatherRegion(batchId)
+        const location = weatherRegions[region]
+            ? weatherRegions[region].query
+            : DEFAULT_WEATHER_LOCATION
+
+        const forecast = await this.weatherAPI.getWeatherForecast(location)
+
+        return {
+            batchId: Number(batchId),
+            cropType,
+            tradingMode: batch.tradingMode,
+            region: region || "global",
+            location,
+            requirements,
+            ...scoreWeatherRisk(forecast, requirements, this.scoring),
+            recorded: await this.contractService.getWeatherRiskMetadata(
+                batchId
+            ),
+        }
+    }
+}
+
+/**
+ * Compact on-chain form of a risk report (MetadataManager value)
+ * @param {Object} risk - Result of getBatchRisk
+ * @returns {string} JSON string
+ */
+function toMetadataValue(risk) {
+    return JSON.stringify({
+        harvestRisk: risk.harvestRisk,
+        transportRisk: risk.transportRisk,
+        cropType: risk.cropType,
+        region: risk.region,
+        forecastFrom: risk.forecastFrom,
+        forecastTo: risk.forecastTo,
+        computedAt: Math.floor(Date.now() / 1000),
+    })
+}
+
+module.exports = WeatherRiskService
+module.exports.scoreWeatherRisk = scoreWeatherRisk
+module.exports.toMetadataValue = toMetadataValue
+module.exports.riskLevel = riskLevel
+module.exports.DEFAULT_TOLERANCES = DEFAULT_TOLERANCES
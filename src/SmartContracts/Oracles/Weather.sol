@@ -4,11 +4,18 @@ pragma solidity ^0.8.7;
 import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
 
 library Weather {
+    // Latest answer of a feed
+    function latestAnswer(
+        AggregatorV3Interface feed
+    ) internal view returns (int256 answer) {
+        (, answer, , , ) = feed.latestRoundData();
+    }
+
     // Get temperature in Celsius (scaled if feed is scaled)
     function getTemperature(
         AggregatorV3Interface temperatureFeed
     ) internal view returns (int256) {
-        (, int256 temperature, , , ) = temperatureFeed.latestRoundData();
+        int256 temperature = latestAnswer(temperatureFeed);
         return temperature;
     }
 
@@ -16,7 +23,7 @@ library Weather {
     function getHumidity(
         AggregatorV3Interface humidityFeed
     ) internal view returns (uint256) {
-        (, int256 humidity, , , ) = humidityFeed.latestRoundData();
+        int256 humidity = latestAnswer(humidityFeed);
         require(humidity >= 0, "Invalid humidity data");
         return uint256(humidity);
     }
@@ -25,7 +32,7 @@ library Weather {
     function getRainfall(
         AggregatorV3Interface rainfallFeed
     ) internal view returns (uint256) {
-        (, int256 rainfall, , , ) = rainfallFeed.latestRoundData();
+        int256 rainfall = latestAnswer(rainfallFeed);
         require(rainfall >= 0, "Invalid rainfall data");
         return uint256(rainfall);
     }
@@ -34,7 +41,7 @@ library Weather {
     function getWindSpeed(
         AggregatorV3Interface windSpeedFeed
     ) internal view returns (uint256) {
-        (, int256 windSpeed, , , ) = windSpeedFeed.latestRoundData();
+        int256 windSpeed = latestAnswer(windSpeedFeed);
         require(windSpeed >= 0, "Invalid wind speed data");
         return uint256(windSpeed);
     }
@@ -102,6 +109,26 @@ library Weather {
             windSpeedFeed
         );
 
+        return
+            isSuitable(
+                weather,
+                minTemp,
+                maxTemp,
+                minHumidity,
+                maxHumidity,
+                maxRainfall
+            );
+    }
+
+    // Combined suitability for an already-read snapshot
+    function isSuitable(
+        WeatherData memory weather,
+        int256 minTemp,
+        int256 maxTemp,
+        uint256 minHumidity,
+        uint256 maxHumidity,
+        uint256 maxRainfall
+    ) internal pure returns (bool) {
         return (weather.temperature >= minTemp &&
             weather.temperature <= maxTemp &&
             weather.humidity >= minHumidity &&
@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./Weather.sol";
+
+/**
+ * @title WeatherOracle
+ * @dev Multi-metric weather oracle keyed by region. Each round stores temperature,
+ * humidity, rainfall and wind speed together, and every region is updated in a
+ * single transaction, so readers never see a half-updated snapshot.
+ * The empty region "" holds the global reading.
+ */
+contract WeatherOracle {
+    struct Reading {
+        string region;
+        int256 temperature;     // °C * 100
+        uint256 humidity;       // % * 100
+        uint256 rainfall;       // mm * 100
+        uint256 windSpeed;      // km/h * 100
+    }
+
+    address public owner;
+    mapping(address => bool) public updaters;
+
+    mapping(string => mapping(uint80 => Weather.WeatherData)) private rounds;
+    mapping(string => uint80) public latestRoundId;
+    string[] private regions;
+
+    event WeatherUpdated(
+        string region,
+        uint80 indexed roundId,
+        int256 temperature,
+        uint256 humidity,
+        uint256 rainfall,
+        uint256 windSpeed,
+        uint256 updatedAt
+    );
+    event UpdaterChanged(address indexed updater, bool authorized);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can call this function");
+        _;
+    }
+
+    modifier onlyUpdater() {
+        require(updaters[msg.sender], "Only updater can call this function");
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+        updaters[msg.sender] = true;
+        emit UpdaterChanged(msg.sender, true);
+    }
+
+    /**
+     * @dev Record a new round for each reading in one transaction
+     * @param readings One reading per region ("" for global)
+     */
+    function updateWeather(Reading[] calldata readings) external onlyUpdater {
+        require(readings.length > 0, "No readings");
+
+        for (uint256 i = 0; i < readings.length; i++) {
+            Reading calldata reading = readings[i];
+            uint80 roundId = ++latestRoundId[reading.region];
+            if (roundId == 1) {
+                regions.push(reading.region);
+            }
+
+            rounds[reading.region][roundId] = Weather.WeatherData({
+                temperature: reading.temperature,
+                humidity: reading.humidity,
+                rainfall: reading.rainfall,
+                windSpeed: reading.windSpeed,
+                timestamp: block.timestamp
+            });
+
+            emit WeatherUpdated(
+                reading.region,
+                roundId,
+                reading.temperature,
+                reading.humidity,
+                reading.rainfall,
+                reading.windSpeed,
+                block.timestamp
+            );
+        }
+    }
+
+    /**
+     * @dev Authorize or revoke an updater
+     */
+    function setUpdater(address updater, bool authorized) external onlyOwner {
+        require(updater != address(0), "Invalid updater address");
+        updaters[updater] = authorized;
+        emit UpdaterChanged(updater, authorized);
+    }
+
+    /**
+     * @dev Latest snapshot for a region, falling back to the global reading
+     * @return roundId Round of the returned snapshot (0 if there is no data at all)
+     * @return data The snapshot; timestamp is when it was recorded
+     */
+    function getLatestWeather(string calldata region) external view returns (
+        uint80 roundId,
+        Weather.WeatherData memory data
+    ) {
+        roundId = latestRoundId[region];
+        if (roundId == 0) {
+            roundId = latestRoundId[""];
+            return (roundId, rounds[""][roundId]);
+        }
+        return (roundId, rounds[region][roundId]);
+    }
+
+    /**
+     * @dev Historical snapshot for a region (no fallback)
+     */
+    function getWeatherRound(string calldata region, uint80 roundId) external view returns (Weather.WeatherData memory) {
+        require(roundId > 0 && roundId <= latestRoundId[region], "Round does not exist");
+        return rounds[region][roundId];
+    }
+
+    /**
+     * @dev When a region was last updated (0 if never; no fallback)
+     */
+    function getLatestTimestamp(string calldata region) external view returns (uint256) {
+        return rounds[region][latestRoundId[region]].timestamp;
+    }
+
+    function getRegions() external view returns (string[] memory) {
+        return regions;
+    }
+}
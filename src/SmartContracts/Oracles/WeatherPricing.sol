@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title WeatherPricing
+ * @dev Per-crop price adjustment rules for weather-dependent listings. A rule is
+ * a list of bands keyed by how far the recorded rainfall is from the crop's
+ * required rainfall; each band carries a premium (positive) or discount
+ * (negative) in basis points. Deviations past the last band use the last band.
+ */
+contract WeatherPricing {
+    struct PriceBand {
+        uint256 maxRainfallDeviation;   // mm * 100, inclusive upper bound
+        int256 adjustmentBps;           // +500 = 5% premium, -1000 = 10% discount
+    }
+
+    int256 public constant MAX_ADJUSTMENT_BPS = 5000;  // ±50%
+
+    address public owner;
+
+    mapping(string => PriceBand[]) private bands;
+    mapping(string => uint256) public maxWeatherAge;   // seconds, 0 = no limit
+
+    event PricingRuleSet(string cropType, uint256 bandCount, uint256 maxWeatherAge);
+    event PricingRuleRemoved(string cropType);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can call this function");
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    /**
+     * @dev Replace a crop's bands
+     * @param cropType Batch name the rule applies to
+     * @param newBands Bands in ascending order of maxRainfallDeviation
+     * @param weatherMaxAge Oldest weather record (seconds) that is still priced, 0 for no limit
+     */
+    function setPricingRule(
+        string calldata cropType,
+        PriceBand[] calldata newBands,
+        uint256 weatherMaxAge
+    ) external onlyOwner {
+        require(newBands.length > 0, "No bands");
+
+        delete bands[cropType];
+        for (uint256 i = 0; i < newBands.length; i++) {
+            require(
+                newBands[i].adjustmentBps >= -MAX_ADJUSTMENT_BPS && newBands[i].adjustmentBps <= MAX_ADJUSTMENT_BPS,
+                "Adjustment out of range"
+            );
+            require(
+                i == 0 || newBands[i].maxRainfallDeviation > newBands[i - 1].maxRainfallDeviation,
+                "Bands must be ascending"
+            );
+            bands[cropType].push(newBands[i]);
+        }
+        maxWeatherAge[cropType] = weatherMaxAge;
+
+        emit PricingRuleSet(cropType, newBands.length, weatherMaxAge);
+    }
+
+    function removePricingRule(string calldata cropType) external onlyOwner {
+        delete bands[cropType];
+        delete maxWeatherAge[cropType];
+        emit PricingRuleRemoved(cropType);
+    }
+
+    function getPricingRule(string calldata cropType) external view returns (PriceBand[] memory, uint256) {
+        return (bands[cropType], maxWeatherAge[cropType]);
+    }
+
+    /**
+     * @dev Adjustment for a listing, from the batch's recorded weather check
+     * @param cropType Batch name
+     * @param recordedRainfall Rainfall at the batch's last weather check (mm * 100)
+     * @param recordedAt When the weather check was recorded (0 if never)
+     * @param requiredRainfall The crop's required rainfall (mm * 100)
+     * @param requirementsSetAt When the crop requirements were set (0 if unset)
+     * @return adjustmentBps Premium or discount in basis points (0 when no band applies)
+     * @return reason Why the adjustment was (or was not) applied
+     */
+    function getAdjustment(
+        string calldata cropType,
+        uint256 recordedRainfall,
+        uint256 recordedAt,
+        uint256 requiredRainfall,
+        uint256 requirementsSetAt
+    ) public view returns (int256 adjustmentBps, string memory reason) {
+        PriceBand[] storage cropBands = bands[cropType];
+        if (cropBands.length == 0) return (0, "No pricing rule");
+        if (requirementsSetAt == 0) return (0, "No crop requirements");
+        if (recordedAt == 0) return (0, "No weather record");
+
+        uint256 maxAge = maxWeatherAge[cropType];
+        if (maxAge != 0 && block.timestamp - recordedAt > maxAge) {
+            return (0, "Weather record stale");
+        }
+
+        uint256 deviation = recordedRainfall > requiredRainfall
+            ? recordedRainfall - requiredRainfall
+            : requiredRainfall - recordedRainfall;
+
+        uint256 band = 0;
+        while (band < cropBands.length - 1 && deviation > cropBands[band].maxRainfallDeviation) {
+            band++;
+        }
+        adjustmentBps = cropBands[band].adjustmentBps;
+
+        if (adjustmentBps > 0) return (adjustmentBps, "Rainfall premium");
+        if (adjustmentBps < 0) return (adjustmentBps, "Rainfall discount");
+        return (0, "Rainfall within expected band");
+    }
+
+    /**
+     * @dev Adjusted price for a listing (same inputs as getAdjustment)
+     * @return price askingPrice with the adjustment applied
+     * @return adjustmentBps Premium or discount in basis points
+     * @return reason Why the adjustment was (or was not) applied
+     */
+    function quote(
+        string calldata cropType,
+        uint256 askingPrice,
+        uint256 recordedRainfall,
+        uint256 recordedAt,
+        uint256 requiredRainfall,
+        uint256 requirementsSetAt
+    ) external view returns (uint256 price, int256 adjustmentBps, string memory reason) {
+        (adjustmentBps, reason) = getAdjustment(
+            cropType, recordedRainfall, recordedAt, requiredRainfall, requirementsSetAt
+        );
+        price = askingPrice * uint256(10000 + adjustmentBps) / 10000;
+    }
+}
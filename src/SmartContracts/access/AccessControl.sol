@@ -1,11 +1,15 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./Initializable.sol";
+
 /**
  * @title AccessControl
  * @dev Base contract for role-based access control with explicit activation/deactivation and trade authorization matrix.
+ * Roles are kept per contract unless a role registry (the StakeholderManager) is set, in which case every
+ * role, activation and trade check is answered by the registry.
  */
-contract AccessControl {
+contract AccessControl is Initializable {
     // Role definitions
     enum Role {
         NONE,           // 0 - No role assigned / inactive
@@ -20,6 +24,7 @@ contract AccessControl {
     // Events
     event RoleGranted(address indexed account, Role role);
     event RoleRevoked(address indexed account, Role role);
+    event RoleRegistryUpdated(address indexed registry);
 
     // State
     mapping(address => Role) private _roles;
@@ -29,6 +34,13 @@ contract AccessControl {
     // Compact role-pair trade permission
     mapping(Role => mapping(Role => bool)) private _tradeAllowed;
 
+    // Shared source of roles (zero address = use this contract's own roles)
+    AccessControl public roleRegistry;
+
+    // Reserved so AccessControl can gain state without shifting the storage
+    // of upgradeable contracts built on it
+    uint256[45] private __gap;
+
     // Modifiers
     modifier onlyOwner() {
         require(msg.sender == owner, "AccessControl: caller is not owner");
@@ -50,11 +62,24 @@ contract AccessControl {
         _;
     }
 
+    modifier onlyLocalRoles() {
+        require(address(roleRegistry) == address(0), "AccessControl: roles managed by role registry");
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
-        owner = msg.sender;
-        _roles[msg.sender] = Role.ADMIN;
-        _activeStatus[msg.sender] = true;
-        emit RoleGranted(msg.sender, Role.ADMIN);
+        _initializeAccessControl(msg.sender);
+    }
+
+    /**
+     * @dev Make admin the owner and first admin (called by proxy initializers).
+     */
+    function _initializeAccessControl(address admin) internal {
+        owner = admin;
+        _roles[admin] = Role.ADMIN;
+        _activeStatus[admin] = true;
+        emit RoleGranted(admin, Role.ADMIN);
         _initializeTradeMatrix();
     }
 
@@ -66,25 +91,45 @@ contract AccessControl {
         _tradeAllowed[Role.SHIPPER][Role.RETAILER] = true;
     }
 
+    /**
+     * @dev Answer all role checks from registry instead of this contract's own roles
+     * (owner only; zero address switches back to local roles).
+     */
+    function setRoleRegistry(address registry) external onlyOwner {
+        require(registry != address(this), "AccessControl: cannot use self as registry");
+        roleRegistry = AccessControl(registry);
+        emit RoleRegistryUpdated(registry);
+    }
+
+    /**
+     * @dev Raw role and activation flag, from the role registry when one is set.
+     */
+    function getRoleStatus(address account) public view returns (Role role, bool active) {
+        if (address(roleRegistry) != address(0)) return roleRegistry.getRoleStatus(account);
+        return (_roles[account], _activeStatus[account]);
+    }
+
     /**
      * @dev Check if account has specific role and is active.
      */
     function hasRole(address account, Role role) public view returns (bool) {
-        return _roles[account] == role && _activeStatus[account] && role != Role.NONE;
+        (Role current, bool active) = getRoleStatus(account);
+        return current == role && active && role != Role.NONE;
     }
 
     /**
      * @dev Get raw role (could be NONE).
      */
-    function getRole(address account) public view returns (Role) {
-        return _roles[account];
+    function getRole(address account) public view returns (Role role) {
+        (role, ) = getRoleStatus(account);
     }
 
     /**
      * @dev Check if account is active (role != NONE and explicit active flag).
      */
     function isActive(address account) public view returns (bool) {
-        return _roles[account] != Role.NONE && _activeStatus[account];
+        (Role role, bool active) = getRoleStatus(account);
+        return role != Role.NONE && active;
     }
     
     /**
@@ -97,7 +142,7 @@ contract AccessControl {
     /**
      * @dev Grant role (activates if role not NONE).
      */
-    function grantRole(address account, Role role) external onlyAdmin {
+    function grantRole(address account, Role role) external onlyAdmin onlyLocalRoles {
         require(account != address(0), "AccessControl: invalid address");
         require(role != Role.NONE, "AccessControl: cannot grant NONE");
 
@@ -117,7 +162,7 @@ contract AccessControl {
     /**
      * @dev Revoke role (deactivates).
      */
-    function revokeRole(address account) external onlyAdmin {
+    function revokeRole(address account) external onlyAdmin onlyLocalRoles {
         require(account != owner, "AccessControl: cannot revoke owner");
         Role previous = _roles[account];
         require(previous != Role.NONE, "AccessControl: already none");
@@ -130,7 +175,7 @@ contract AccessControl {
     /**
      * @dev Activate account (owner only) without changing role.
      */
-    function activateAccount(address account) external onlyOwner {
+    function activateAccount(address account) external onlyOwner onlyLocalRoles {
         require(account != address(0), "AccessControl: invalid address");
         _activeStatus[account] = true;
     }
@@ -138,7 +183,7 @@ contract AccessControl {
     /**
      * @dev Deactivate account without removing role (admin only).
      */
-    function deactivateAccount(address account) external onlyAdmin {
+    function deactivateAccount(address account) external onlyAdmin onlyLocalRoles {
         require(account != owner, "AccessControl: cannot deactivate owner");
         _activeStatus[account] = false;
     }
@@ -146,7 +191,7 @@ contract AccessControl {
     /**
      * @dev Reactivate account (admin only) assuming role is assigned.
      */
-    function reactivateAccount(address account) external onlyAdmin {
+    function reactivateAccount(address account) external onlyAdmin onlyLocalRoles {
         require(_roles[account] != Role.NONE, "AccessControl: no role assigned");
         _activeStatus[account] = true;
     }
@@ -189,11 +234,11 @@ contract AccessControl {
      * @dev Check if a role-pair is allowed in principle (ignores partnerships).
      */
     function isAuthorizedToTrade(address from, address to) public view returns (bool) {
-        Role fromRole = _roles[from];
-        Role toRole = _roles[to];
+        (Role fromRole, bool fromActive) = getRoleStatus(from);
+        (Role toRole, bool toActive) = getRoleStatus(to);
 
         if (fromRole == Role.NONE || toRole == Role.NONE) return false;
-        if (!_activeStatus[from] || !_activeStatus[to]) return false;
+        if (!fromActive || !toActive) return false;
         return _tradeAllowed[fromRole][toRole];
     }
 
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Initializable
+ * @dev One-time setup for contracts that can be deployed behind an upgradeable proxy.
+ * A proxy never runs its implementation's constructor, so it calls initialize() instead;
+ * direct deployments are set up by their constructors as before.
+ */
+abstract contract Initializable {
+    bool private _initialized;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        // Constructed contracts are already set up, which also stops anyone
+        // from initializing (and taking over) a proxy's implementation contract
+        _initialized = true;
+    }
+
+    modifier initializer() {
+        require(!_initialized, "Initializable: already initialized");
+        _initialized = true;
+        _;
+    }
+}
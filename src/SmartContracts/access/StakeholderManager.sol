@@ -2,6 +2,7 @@
 pragma solidity ^0.8.19;
 
 import "./AccessControl.sol";
+import "../utils/Pagination.sol";
 
 /**
  * @title StakeholderManager
@@ -526,6 +527,26 @@ contract StakeholderManager is AccessControl {
         return allStakeholders;
     }
 
+    /**
+     * @dev Page through registered stakeholders, `limit` from `cursor`
+     * (see Pagination)
+     */
+    function getAllStakeholdersPage(
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (address[] memory page, uint256 nextCursor) {
+        uint256 end;
+        (end, nextCursor) = Pagination.pageEnd(
+            cursor,
+            limit,
+            allStakeholders.length
+        );
+        page = new address[](end - cursor);
+        for (uint256 i = cursor; i < end; i++) {
+            page[i - cursor] = allStakeholders[i];
+        }
+    }
+
     function getStakeholdersByRole(
         Role role
     ) external view returns (address[] memory) {
@@ -165,4 +165,8 @@ contract StakeholderRegistry {
     function getAllStakeholders() external view returns (address[] memory) {
         return stakeholderManager.getAllStakeholders();
     }
+
+    function getAllStakeholdersPage(uint256 cursor, uint256 limit) external view returns (address[] memory page, uint256 nextCursor) {
+        return stakeholderManager.getAllStakeholdersPage(cursor, limit);
+    }
 }
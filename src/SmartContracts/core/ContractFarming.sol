@@ -0,0 +1,400 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../access/AccessControl.sol";
+import "./OfferManager.sol";
+import "./ProductBatch.sol";
+
+/**
+ * @title ContractFarming
+ * @dev Carries a contract farming offer from acceptance to a delivered batch. The
+ * processor deposits the most the contract can cost before the farmer accepts;
+ * the farmer then records planting, growth checks and the harvest, which links the
+ * batch grown for the contract. Once the batch is delivered and quality checked,
+ * the farmer is paid pricePerUnit for each unit delivered within the agreed
+ * quantity and quality tolerances, and the rest of the deposit goes back to the
+ * processor. Either party can instead raise a dispute, which an admin settles.
+ */
+contract ContractFarming is AccessControl {
+
+    enum AgreementStatus {
+        NONE,       // Contract offer not funded
+        FUNDED,     // Processor deposited, waiting for the farmer to accept
+        ACTIVE,     // Accepted, crop not planted yet
+        PLANTED,    // Growing
+        HARVESTED,  // Batch linked, waiting for delivery
+        DELIVERED,  // Processor confirmed delivery of the batch
+        SETTLED,    // Farmer paid per unit delivered
+        REFUNDED,   // Deposit returned to the processor
+        DISPUTED,   // Frozen until an admin resolves it
+        RESOLVED    // Split by an admin
+    }
+
+    enum MilestoneType {
+        PLANTING,
+        GROWTH_CHECK,
+        HARVEST
+    }
+
+    struct Agreement {
+        uint256 offerId;
+        address processor;
+        address farmer;
+        uint256 pricePerUnit;
+        uint256 expectedQuantity;
+        uint256 quantityToleranceBps;  // Delivered quantity may differ from expected by this much
+        uint256 minPurityLevel;        // Quality check must reach this purity...
+        uint256 maxMoistureContent;    // ...without exceeding this moisture
+        uint256 deliveryDeadline;      // Processor can reclaim the deposit from here on
+        uint256 deposit;
+        uint256 batchId;
+        AgreementStatus status;
+        uint256 acceptedAt;
+        uint256 harvestedAt;
+        uint256 deliveredAt;
+    }
+
+    struct Milestone {
+        MilestoneType milestoneType;
+        address recordedBy;
+        string notes;           // Observations or IPFS hash of photos and reports
+        uint256 recordedAt;
+    }
+
+    uint256 public constant MAX_BPS = 10000;
+
+    mapping(uint256 => Agreement) public agreements;        // offerId => agreement
+    mapping(uint256 => Milestone[]) internal milestones;    // offerId => milestones, oldest first
+    mapping(uint256 => uint256) public batchAgreements;     // batchId => offerId it was grown for
+    mapping(address => uint256[]) public userAgreements;    // processor or farmer => offerIds[]
+
+    OfferManager public offerManager;
+    ProductBatch public productBatch;
+    address public shipmentTracker;
+
+    // Events
+    event AgreementFunded(uint256 indexed offerId, address indexed processor, uint256 deposit);
+    event AgreementAccepted(uint256 indexed offerId, address indexed farmer);
+    event MilestoneRecorded(uint256 indexed offerId, MilestoneType indexed milestoneType, address indexed recordedBy, string notes);
+    event HarvestLinked(uint256 indexed offerId, uint256 indexed batchId, uint256 quantity);
+    event AgreementDelivered(uint256 indexed offerId, uint256 indexed batchId);
+    event AgreementSettled(uint256 indexed offerId, uint256 quantity, uint256 farmerAmount, uint256 processorRefund);
+    event AgreementRefunded(uint256 indexed offerId, address indexed processor, uint256 amount);
+    event AgreementDisputed(uint256 indexed offerId, address indexed raisedBy, string reason);
+    event AgreementResolved(uint256 indexed offerId, uint256 farmerAmount, uint256 processorAmount);
+
+    modifier onlyOfferManager() {
+        require(msg.sender == address(offerManager), "Only OfferManager");
+        _;
+    }
+
+    constructor(address _offerManager, address _shipmentTracker) {
+        require(_offerManager != address(0), "Invalid OfferManager address");
+        require(_shipmentTracker != address(0), "Invalid ShipmentTracker address");
+        offerManager = OfferManager(_offerManager);
+        productBatch = offerManager.productBatch();
+        shipmentTracker = _shipmentTracker;
+    }
+
+    /**
+     * @dev Set the delivery terms of an open contract offer and deposit the most it
+     * can cost: pricePerUnit for the expected quantity plus its tolerance (creator
+     * only). The farmer can't accept the offer until it is funded.
+     */
+    function fundAgreement(
+        uint256 offerId,
+        uint256 quantityToleranceBps,
+        uint256 minPurityLevel,
+        uint256 maxMoistureContent,
+        uint256 deliveryDeadline
+    ) external payable {
+        (
+            address processor,,,
+            uint256 pricePerUnit,
+            uint256 expectedQuantity,
+            OfferManager.OfferType offerType,
+            OfferManager.OfferStatus status,,
+            uint256 expiresAt,
+        ) = offerManager.getOfferInfo(offerId);
+
+        require(offerType == OfferManager.OfferType.CONTRACT_OFFER, "Not a contract offer");
+        require(msg.sender == processor, "Only creator can fund");
+        require(status == OfferManager.OfferStatus.OPEN, "Offer not available");
+        require(block.timestamp < expiresAt, "Offer expired");
+        require(agreements[offerId].status == AgreementStatus.NONE, "Agreement already funded");
+        require(quantityToleranceBps <= MAX_BPS, "Invalid quantity tolerance");
+        require(deliveryDeadline > expiresAt, "Deadline before offer expiry");
+
+        uint256 deposit = _maxQuantity(expectedQuantity, quantityToleranceBps) * pricePerUnit;
+        require(deposit > 0 && msg.value == deposit, "Incorrect payment amount");
+
+        agreements[offerId] = Agreement({
+            offerId: offerId,
+            processor: processor,
+            farmer: address(0),
+            pricePerUnit: pricePerUnit,
+            expectedQuantity: expectedQuantity,
+            quantityToleranceBps: quantityToleranceBps,
+            minPurityLevel: minPurityLevel,
+            maxMoistureContent: maxMoistureContent,
+            deliveryDeadline: deliveryDeadline,
+            deposit: deposit,
+            batchId: 0,
+            status: AgreementStatus.FUNDED,
+            acceptedAt: 0,
+            harvestedAt: 0,
+            deliveredAt: 0
+        });
+        userAgreements[processor].push(offerId);
+
+        emit AgreementFunded(offerId, processor, deposit);
+    }
+
+    /**
+     * @dev Start a funded agreement when the farmer accepts its offer (OfferManager only)
+     */
+    function acceptAgreement(uint256 offerId, address farmer) external onlyOfferManager {
+        Agreement storage agreement = agreements[offerId];
+        require(agreement.status == AgreementStatus.FUNDED, "Agreement not funded");
+
+        agreement.farmer = farmer;
+        agreement.status = AgreementStatus.ACTIVE;
+        agreement.acceptedAt = block.timestamp;
+        userAgreements[farmer].push(offerId);
+
+        emit AgreementAccepted(offerId, farmer);
+    }
+
+    /**
+     * @dev Return the deposit of a contract offer closed before acceptance
+     * (OfferManager only). Does nothing for offers that were never funded.
+     */
+    function closeAgreement(uint256 offerId) external onlyOfferManager {
+        if (agreements[offerId].status == AgreementStatus.FUNDED) {
+            _refund(agreements[offerId]);
+        }
+    }
+
+    /**
+     * @dev Farmer records that the contracted crop is planted
+     */
+    function recordPlanting(uint256 offerId, string calldata notes) external {
+        Agreement storage agreement = agreements[offerId];
+        require(msg.sender == agreement.farmer, "Only farmer");
+        require(agreement.status == AgreementStatus.ACTIVE, "Agreement not active");
+
+        agreement.status = AgreementStatus.PLANTED;
+        _recordMilestone(offerId, MilestoneType.PLANTING, notes);
+    }
+
+    /**
+     * @dev Farmer or processor records a check on the growing crop
+     */
+    function recordGrowthCheck(uint256 offerId, string calldata notes) external {
+        Agreement storage agreement = agreements[offerId];
+        require(msg.sender == agreement.farmer || msg.sender == agreement.processor, "Only farmer or processor");
+        require(agreement.status == AgreementStatus.PLANTED, "Crop not growing");
+
+        _recordMilestone(offerId, MilestoneType.GROWTH_CHECK, notes);
+    }
+
+    /**
+     * @dev Farmer records the harvest and links the batch created from it. The batch
+     * must be a contract farming batch the farmer created since accepting and still
+     * owns; it is marked as sold under the contract.
+     */
+    function recordHarvest(uint256 offerId, uint256 batchId, string calldata notes) external {
+        Agreement storage agreement = agreements[offerId];
+        require(msg.sender == agreement.farmer, "Only farmer");
+        require(agreement.status == AgreementStatus.PLANTED, "Crop not growing");
+        require(batchAgreements[batchId] == 0, "Batch already linked");
+
+        (address farmer, address owner, string memory cropType,, uint256 quantity,,,, uint256 createdAt,) =
+            productBatch.getBatchInfo(batchId);
+        (,,,,,, ProductBatch.TradingMode tradingMode,,) = productBatch.getBatchMarketInfo(batchId);
+        require(farmer == msg.sender && owner == msg.sender, "Not your batch");
+        require(tradingMode == ProductBatch.TradingMode.CONTRACT_FARMING, "Not a contract farming batch");
+        require(
+            keccak256(bytes(cropType)) == keccak256(bytes(offerManager.contractCropTypes(offerId))),
+            "Batch is not the contracted crop"
+        );
+        require(createdAt >= agreement.acceptedAt, "Batch created before the contract");
+
+        agreement.batchId = batchId;
+        agreement.status = AgreementStatus.HARVESTED;
+        agreement.harvestedAt = block.timestamp;
+        batchAgreements[batchId] = offerId;
+        offerManager.linkContractBatch(offerId, batchId);
+
+        _recordMilestone(offerId, MilestoneType.HARVEST, notes);
+        emit HarvestLinked(offerId, batchId, quantity);
+    }
+
+    /**
+     * @dev Record the delivery when the processor confirms a shipment of the
+     * harvested batch (ShipmentTracker only). Does nothing for other shipments, so
+     * it never blocks a confirmation.
+     */
+    function recordDelivery(uint256 offerId, uint256 batchId, address receiver) external {
+        require(msg.sender == shipmentTracker, "Only ShipmentTracker");
+        Agreement storage agreement = agreements[offerId];
+        if (
+            agreement.status != AgreementStatus.HARVESTED ||
+            agreement.batchId != batchId ||
+            agreement.processor != receiver
+        ) {
+            return;
+        }
+
+        agreement.status = AgreementStatus.DELIVERED;
+        agreement.deliveredAt = block.timestamp;
+        emit AgreementDelivered(offerId, batchId);
+    }
+
+    /**
+     * @dev Pay the farmer for a delivered batch within the agreed tolerances (farmer
+     * or processor). The batch quantity must be within quantityToleranceBps of the
+     * expected quantity, and a quality check since the harvest must meet the purity
+     * and moisture terms. The farmer gets pricePerUnit for each unit; the rest of
+     * the deposit goes back to the processor.
+     */
+    function settle(uint256 offerId) external {
+        Agreement storage agreement = agreements[offerId];
+        require(msg.sender == agreement.farmer || msg.sender == agreement.processor, "Only farmer or processor");
+        require(agreement.status == AgreementStatus.DELIVERED, "Batch not delivered");
+
+        (,,,, uint256 quantity,,,,,) = productBatch.getBatchInfo(agreement.batchId);
+        require(
+            quantity >= _minQuantity(agreement.expectedQuantity, agreement.quantityToleranceBps) &&
+            quantity <= _maxQuantity(agreement.expectedQuantity, agreement.quantityToleranceBps),
+            "Quantity outside tolerance"
+        );
+
+        (,, uint256 moistureContent, uint256 purityLevel,,,, uint256 checkedAt) =
+            productBatch.qualityData(agreement.batchId);
+        require(checkedAt >= agreement.harvestedAt && checkedAt > 0, "Quality not checked");
+        require(
+            purityLevel >= agreement.minPurityLevel && moistureContent <= agreement.maxMoistureContent,
+            "Quality outside tolerance"
+        );
+
+        uint256 farmerAmount = quantity * agreement.pricePerUnit;
+        uint256 processorRefund = agreement.deposit - farmerAmount;
+        agreement.status = AgreementStatus.SETTLED;
+        _pay(agreement.farmer, farmerAmount);
+        if (processorRefund > 0) _pay(agreement.processor, processorRefund);
+
+        emit AgreementSettled(offerId, quantity, farmerAmount, processorRefund);
+    }
+
+    /**
+     * @dev Processor reclaims the deposit once the delivery deadline passes without
+     * a delivery
+     */
+    function claimRefund(uint256 offerId) external {
+        Agreement storage agreement = agreements[offerId];
+        require(msg.sender == agreement.processor, "Only processor can claim refund");
+        require(
+            agreement.status == AgreementStatus.ACTIVE ||
+            agreement.status == AgreementStatus.PLANTED ||
+            agreement.status == AgreementStatus.HARVESTED,
+            "Agreement not refundable"
+        );
+        require(block.timestamp >= agreement.deliveryDeadline, "Delivery deadline not reached");
+        _refund(agreement);
+    }
+
+    /**
+     * @dev Farmer or processor freezes an accepted agreement for an admin to settle,
+     * e.g. when a delivery falls outside the tolerances
+     */
+    function raiseDispute(uint256 offerId, string calldata reason) external {
+        Agreement storage agreement = agreements[offerId];
+        require(msg.sender == agreement.farmer || msg.sender == agreement.processor, "Only farmer or processor");
+        require(
+            agreement.status >= AgreementStatus.ACTIVE && agreement.status <= AgreementStatus.DELIVERED,
+            "Agreement not in progress"
+        );
+
+        agreement.status = AgreementStatus.DISPUTED;
+        emit AgreementDisputed(offerId, msg.sender, reason);
+    }
+
+    /**
+     * @dev Settle a dispute: farmerAmount goes to the farmer, the rest back to the processor
+     */
+    function resolveDispute(uint256 offerId, uint256 farmerAmount) external onlyAdmin {
+        Agreement storage agreement = agreements[offerId];
+        require(agreement.status == AgreementStatus.DISPUTED, "Agreement not disputed");
+        require(farmerAmount <= agreement.deposit, "Amount exceeds deposit");
+
+        uint256 processorAmount = agreement.deposit - farmerAmount;
+        agreement.status = AgreementStatus.RESOLVED;
+        if (farmerAmount > 0) _pay(agreement.farmer, farmerAmount);
+        if (processorAmount > 0) _pay(agreement.processor, processorAmount);
+
+        emit AgreementResolved(offerId, farmerAmount, processorAmount);
+    }
+
+    /**
+     * @dev Agreement of a contract offer (status NONE if it was never funded)
+     */
+    function getAgreement(uint256 offerId) external view returns (Agreement memory) {
+        return agreements[offerId];
+    }
+
+    /**
+     * @dev Planting, growth checks and harvest of an agreement, oldest first
+     */
+    function getMilestones(uint256 offerId) external view returns (Milestone[] memory) {
+        return milestones[offerId];
+    }
+
+    /**
+     * @dev Contract offers a processor funded or a farmer accepted, oldest first
+     */
+    function getUserAgreements(address user) external view returns (uint256[] memory) {
+        return userAgreements[user];
+    }
+
+    /**
+     * @dev Smallest and largest batch quantity the agreement accepts
+     */
+    function getQuantityRange(uint256 offerId) external view returns (uint256 minQuantity, uint256 maxQuantity) {
+        Agreement storage agreement = agreements[offerId];
+        return (
+            _minQuantity(agreement.expectedQuantity, agreement.quantityToleranceBps),
+            _maxQuantity(agreement.expectedQuantity, agreement.quantityToleranceBps)
+        );
+    }
+
+    // Internal functions
+    function _recordMilestone(uint256 offerId, MilestoneType milestoneType, string calldata notes) internal {
+        milestones[offerId].push(Milestone({
+            milestoneType: milestoneType,
+            recordedBy: msg.sender,
+            notes: notes,
+            recordedAt: block.timestamp
+        }));
+        emit MilestoneRecorded(offerId, milestoneType, msg.sender, notes);
+    }
+
+    function _minQuantity(uint256 expectedQuantity, uint256 toleranceBps) internal pure returns (uint256) {
+        return (expectedQuantity * (MAX_BPS - toleranceBps) + MAX_BPS - 1) / MAX_BPS;
+    }
+
+    function _maxQuantity(uint256 expectedQuantity, uint256 toleranceBps) internal pure returns (uint256) {
+        return (expectedQuantity * (MAX_BPS + toleranceBps)) / MAX_BPS;
+    }
+
+    function _refund(Agreement storage agreement) internal {
+        agreement.status = AgreementStatus.REFUNDED;
+        _pay(agreement.processor, agreement.deposit);
+        emit AgreementRefunded(agreement.offerId, agreement.processor, agreement.deposit);
+    }
+
+    function _pay(address to, uint256 amount) internal {
+        (bool success, ) = payable(to).call{value: amount}("");
+        require(success, "Native transfer failed");
+    }
+}
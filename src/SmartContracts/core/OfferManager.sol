@@ -3,6 +3,9 @@ pragma solidity ^0.8.19;
 
 import "../access/AccessControl.sol";
 import "./ProductBatch.sol";
+import "./PaymentEscrow.sol";
+import "./ContractFarming.sol";
+import "../utils/Pagination.sol";
 
 contract OfferManager is AccessControl {
 
@@ -10,7 +13,9 @@ contract OfferManager is AccessControl {
         OPEN,
         ACCEPTED,
         EXPIRED,
-        CANCELLED
+        CANCELLED,
+        COUNTERED,      // Answered with a counter-offer
+        FILLED          // Every unit taken by partial fills
     }
 
     enum OfferType {
@@ -40,17 +45,68 @@ contract OfferManager is AccessControl {
     mapping(address => uint256[]) public userOffers;   // user => offerIds[]
     mapping(OfferType => uint256[]) public offersByType;
 
-    uint256 public nextOfferId = 1;
+    uint256 public nextOfferId;
     ProductBatch public productBatch;
 
+    // Payments for accepted buy and sell offers (zero address = no escrow)
+    PaymentEscrow public paymentEscrow;
+    mapping(uint256 => address) public paymentTokens;  // offerId => ERC-20 (address(0) = native)
+
+    // Negotiation threads
+    mapping(uint256 => uint256) public parentOffers;   // counter-offerId => offerId it answers (0 = opening offer)
+
+    // Partial fills
+    mapping(uint256 => uint256) public minFillQuantities;  // offerId => smallest fill (0 = accepted whole only)
+    mapping(uint256 => uint256) public filledQuantities;   // offerId => quantity taken by fills so far
+    mapping(uint256 => uint256) public filledOffers;       // fill offerId => offerId it fills
+    mapping(uint256 => uint256[]) public offerFills;       // offerId => fill offerIds[]
+
+    // Contract farming: deposits, milestones and delivery (zero address = offers only)
+    ContractFarming public contractFarming;
+    mapping(uint256 => string) public contractCropTypes;   // contract offerId => crop to grow
+
     // Events
     event OfferCreated(uint256 indexed offerId, address indexed creator, uint256 indexed batchId, OfferType offerType);
     event OfferAccepted(uint256 indexed offerId, address indexed acceptor, uint256 price);
     event OfferCancelled(uint256 indexed offerId);
-
+    event PaymentTokenSet(uint256 indexed offerId, address token);
+    event OfferCountered(uint256 indexed offerId, uint256 indexed counterOfferId, address indexed creator);
+    event OfferExpired(uint256 indexed offerId);
+    event PartialFillsAllowed(uint256 indexed offerId, uint256 minFillQuantity);
+    event OfferFilled(uint256 indexed offerId, uint256 indexed fillOfferId, address indexed acceptor, uint256 quantity);
+    event ContractBatchLinked(uint256 indexed offerId, uint256 indexed batchId);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
     constructor(address _productBatch) {
+        _initializeOfferManager(_productBatch);
+    }
+
+    /**
+     * @dev Initialize a proxy deployment (the constructor sets up direct deployments).
+     */
+    function initialize(address _productBatch) external initializer {
+        _initializeAccessControl(msg.sender);
+        _initializeOfferManager(_productBatch);
+    }
+
+    function _initializeOfferManager(address _productBatch) internal {
         require(_productBatch != address(0), "Invalid ProductBatch address");
         productBatch = ProductBatch(_productBatch);
+        nextOfferId = 1;
+    }
+
+    /**
+     * @dev Set the escrow that holds payments for accepted offers
+     */
+    function setPaymentEscrow(address _paymentEscrow) external onlyAdmin {
+        paymentEscrow = PaymentEscrow(_paymentEscrow);
+    }
+
+    /**
+     * @dev Set the contract that funds contract farming offers and tracks them to delivery
+     */
+    function setContractFarming(address _contractFarming) external onlyAdmin {
+        contractFarming = ContractFarming(_contractFarming);
     }
 
     /**
@@ -129,53 +185,237 @@ contract OfferManager is AccessControl {
         require(hasRole(farmer, Role.FARMER), "Invalid farmer address");
 
         // Create temporary batch ID 0 for contract offers (no batch exists yet)
-        return _createOffer(
+        uint256 offerId = _createOffer(
             msg.sender,
             farmer,
-            0, // No batch exists yet
+            0, // No batch exists yet, linked at harvest (see ContractFarming)
             pricePerUnit,
             expectedQuantity,
             OfferType.CONTRACT_OFFER,
             farmingInstructions,
             duration
         );
+        contractCropTypes[offerId] = cropType;
+        return offerId;
     }
 
     /**
-     * @dev Accept an offer
+     * @dev Answer a buy or sell offer with a counter-offer on the same batch, addressed
+     * to its creator: a buy offer is countered with a sell offer and vice versa. Only
+     * someone who could accept the offer can counter it. An offer addressed to the
+     * caller is closed as COUNTERED (returning a buy offer's deposit); an open offer
+     * stays available to everyone else.
      */
-    function acceptOffer(uint256 offerId) external onlyActiveStakeholder {
+    function counterOffer(
+        uint256 offerId,
+        uint256 price,
+        uint256 quantity,
+        string calldata terms,
+        uint256 duration
+    ) external onlyActiveStakeholder returns (uint256) {
         require(_offerExists(offerId), "Offer does not exist");
         Offer storage offer = offers[offerId];
 
+        require(offer.offerType != OfferType.CONTRACT_OFFER, "Contract offers cannot be countered");
         require(offer.status == OfferStatus.OPEN, "Offer not available");
         require(block.timestamp < offer.expiresAt, "Offer expired");
-        require(msg.sender != offer.creator, "Cannot accept own offer");
+        require(msg.sender != offer.creator, "Cannot counter own offer");
+        require(duration > 0, "Duration must be positive");
+        require(quantity > 0, "Quantity must be positive");
 
-        // Check if offer is for specific counterparty
         if (offer.counterparty != address(0)) {
             require(msg.sender == offer.counterparty, "Offer not for you");
         }
-
-        // Validate acceptor based on offer type
         _validateAcceptor(msg.sender, offer.offerType, offer.batchId);
 
+        // Close the offer being answered
+        if (offer.counterparty != address(0)) {
+            offer.status = OfferStatus.COUNTERED;
+            _releaseOffer(offerId, offer);
+        }
+
+        uint256 counterOfferId = _createOffer(
+            msg.sender,
+            offer.creator,
+            offer.batchId,
+            price,
+            quantity,
+            offer.offerType == OfferType.BUY_OFFER ? OfferType.SELL_OFFER : OfferType.BUY_OFFER,
+            terms,
+            duration
+        );
+        parentOffers[counterOfferId] = offerId;
+
+        // Keep negotiating in the same payment token
+        address token = paymentTokens[offerId];
+        if (token != address(0)) {
+            paymentTokens[counterOfferId] = token;
+            emit PaymentTokenSet(counterOfferId, token);
+        }
+
+        emit OfferCountered(offerId, counterOfferId, msg.sender);
+        return counterOfferId;
+    }
+
+    /**
+     * @dev Pay for an offer in an ERC-20 token the escrow accepts instead of the
+     * native currency (creator only, before the offer is funded)
+     */
+    function setPaymentToken(uint256 offerId, address token) external {
+        require(_offerExists(offerId), "Offer does not exist");
+        Offer storage offer = offers[offerId];
+
+        require(msg.sender == offer.creator, "Only creator can set payment token");
+        require(offer.status == OfferStatus.OPEN, "Offer not available");
+        require(_requiresEscrow(offer), "Offer not paid through escrow");
+        require(!paymentEscrow.isDeposited(offerId), "Offer already funded");
+        require(token == address(0) || paymentEscrow.acceptedTokens(token), "Payment token not accepted");
+
+        paymentTokens[offerId] = token;
+        emit PaymentTokenSet(offerId, token);
+    }
+
+    /**
+     * @dev Let several acceptors each take part of a buy or sell offer, at least
+     * minFillQuantity at a time (creator only, while the offer is open). The offer
+     * can still be accepted whole until its first fill.
+     */
+    function allowPartialFills(uint256 offerId, uint256 minFillQuantity) external {
+        require(_offerExists(offerId), "Offer does not exist");
+        Offer storage offer = offers[offerId];
+
+        require(msg.sender == offer.creator, "Only creator can allow partial fills");
+        require(offer.status == OfferStatus.OPEN, "Offer not available");
+        require(offer.offerType != OfferType.CONTRACT_OFFER && offer.batchId != 0, "Offer has no batch to split");
+        require(minFillQuantity > 0 && minFillQuantity <= offer.quantity, "Invalid minimum fill");
+
+        minFillQuantities[offerId] = minFillQuantity;
+        emit PartialFillsAllowed(offerId, minFillQuantity);
+    }
+
+    /**
+     * @dev Deposit the offered price of a buy offer into escrow (creator only).
+     * The seller can only accept a funded buy offer; cancelling returns the deposit.
+     */
+    function fundOffer(uint256 offerId) external payable onlyActiveStakeholder {
+        require(_offerExists(offerId), "Offer does not exist");
+        Offer storage offer = offers[offerId];
+
+        require(offer.offerType == OfferType.BUY_OFFER, "Only buy offers are funded in advance");
+        require(msg.sender == offer.creator, "Only creator can fund");
+        require(offer.status == OfferStatus.OPEN, "Offer not available");
+        require(block.timestamp < offer.expiresAt, "Offer expired");
+        require(_requiresEscrow(offer), "Offer not paid through escrow");
+
+        paymentEscrow.deposit{value: msg.value}(
+            offerId, offer.batchId, msg.sender, paymentTokens[offerId], offer.offeredPrice
+        );
+    }
+
+    /**
+     * @dev Accept an offer. With an escrow set, accepting a sell offer deposits the
+     * asking price (msg.value, or an approved ERC-20 payment token) and accepting a
+     * buy offer holds the buyer's deposit until delivery is confirmed. An offer for
+     * less than its whole batch is sold as a child batch split off it. With
+     * ContractFarming set, a contract farming offer must be funded there first.
+     */
+    function acceptOffer(uint256 offerId) external payable onlyActiveStakeholder {
+        require(_offerExists(offerId), "Offer does not exist");
+        Offer storage offer = offers[offerId];
+
+        _checkAcceptor(offer);
+        require(filledQuantities[offerId] == 0, "Offer partially filled");
+
         // Update offer
         offer.status = OfferStatus.ACCEPTED;
         offer.acceptedBy = msg.sender;
         offer.acceptedAt = block.timestamp;
 
+        // A funded contract farming offer starts its agreement
+        if (offer.offerType == OfferType.CONTRACT_OFFER && address(contractFarming) != address(0)) {
+            contractFarming.acceptAgreement(offerId, msg.sender);
+        }
+
         // Update batch status if applicable
-        if (offer.batchId != 0) {
-            productBatch.markAsSold(offer.batchId, msg.sender, offer.offeredPrice);
+        uint256 soldBatchId = offer.batchId;
+        if (soldBatchId != 0) {
+            soldBatchId = _sellBatch(offer, offer.quantity);
         }
 
+        // Hold the buyer's payment for the seller
+        _holdPayment(offerId, offer, soldBatchId, offerId);
+
         // Track acceptor's involvement
         userOffers[msg.sender].push(offerId);
 
         emit OfferAccepted(offerId, msg.sender, offer.offeredPrice);
     }
 
+    /**
+     * @dev Take part of an offer that allows partial fills. Each fill is recorded as
+     * an accepted offer of its own (see filledOffers) for its quantity and share of
+     * the price, on a child batch split off the offer's batch, and is paid through
+     * the escrow like any accepted offer: a sell offer's fill pays its share in, a
+     * buy offer's fill takes its share of the buyer's deposit. The offer is FILLED
+     * once nothing remains.
+     * @return fillOfferId The accepted offer recording this fill
+     */
+    function fillOffer(uint256 offerId, uint256 quantity) external payable onlyActiveStakeholder returns (uint256 fillOfferId) {
+        require(_offerExists(offerId), "Offer does not exist");
+        Offer storage offer = offers[offerId];
+
+        _checkAcceptor(offer);
+        require(minFillQuantities[offerId] > 0, "Partial fills not allowed");
+
+        uint256 filled = filledQuantities[offerId];
+        uint256 remaining = offer.quantity - filled;
+        require(quantity <= remaining, "Exceeds remaining quantity");
+        require(quantity >= minFillQuantities[offerId] || quantity == remaining, "Below minimum fill");
+
+        (,, uint256 batchQuantity,,,,,,) = productBatch.getBatchMarketInfo(offer.batchId);
+        require(quantity <= batchQuantity, "Insufficient batch quantity");
+
+        // Shares of the price add up to the offered price once the offer is filled
+        uint256 price = (offer.offeredPrice * (filled + quantity)) / offer.quantity -
+            (offer.offeredPrice * filled) / offer.quantity;
+
+        filledQuantities[offerId] = filled + quantity;
+        if (quantity == remaining) {
+            offer.status = OfferStatus.FILLED;
+        }
+
+        uint256 soldBatchId = _sellBatch(offer, quantity);
+        fillOfferId = _createOffer(
+            offer.creator,
+            msg.sender,
+            soldBatchId,
+            price,
+            quantity,
+            offer.offerType,
+            offer.terms,
+            offer.expiresAt - block.timestamp
+        );
+        Offer storage fill = offers[fillOfferId];
+        fill.status = OfferStatus.ACCEPTED;
+        fill.acceptedBy = msg.sender;
+        fill.acceptedAt = block.timestamp;
+
+        filledOffers[fillOfferId] = offerId;
+        offerFills[offerId].push(fillOfferId);
+        userOffers[msg.sender].push(fillOfferId);
+
+        // Pay in the offer's payment token
+        address token = paymentTokens[offerId];
+        if (token != address(0)) {
+            paymentTokens[fillOfferId] = token;
+            emit PaymentTokenSet(fillOfferId, token);
+        }
+        _holdPayment(fillOfferId, fill, soldBatchId, offerId);
+
+        emit OfferAccepted(fillOfferId, msg.sender, price);
+        emit OfferFilled(offerId, fillOfferId, msg.sender, quantity);
+    }
+
     /**
      * @dev Cancel an offer
      */
@@ -187,9 +427,31 @@ contract OfferManager is AccessControl {
         require(offer.status == OfferStatus.OPEN, "Offer not cancellable");
 
         offer.status = OfferStatus.CANCELLED;
+        _releaseOffer(offerId, offer);
+
         emit OfferCancelled(offerId);
     }
 
+    /**
+     * @dev Close open offers that are past their expiry as EXPIRED, returning what
+     * they hold. Anyone can call it (see scripts/offer-expiry-keeper.js); offers
+     * that are not open or not expired yet are skipped.
+     * @return expired Number of offers closed
+     */
+    function expireOffers(uint256[] calldata offerIds) external returns (uint256 expired) {
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            uint256 offerId = offerIds[i];
+            if (!_isExpirable(offerId)) continue;
+
+            Offer storage offer = offers[offerId];
+            offer.status = OfferStatus.EXPIRED;
+            _releaseOffer(offerId, offer);
+
+            emit OfferExpired(offerId);
+            expired++;
+        }
+    }
+
     /**
      * @dev Get offers available to a specific user
      */
@@ -217,6 +479,102 @@ contract OfferManager is AccessControl {
         return availableOffers;
     }
 
+    /**
+     * @dev Page through offers available to a specific user, scanning
+     * `limit` offer IDs from `cursor` (see Pagination)
+     */
+    function getAvailableOffersPage(address user, uint256 cursor, uint256 limit) external view returns (uint256[] memory offerIds, uint256 nextCursor) {
+        Role userRole = getRole(user);
+        // Offer IDs start at 1
+        if (cursor == 0) cursor = 1;
+        uint256 end;
+        (end, nextCursor) = Pagination.pageEnd(cursor, limit, nextOfferId);
+        uint256 count = 0;
+
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isOfferAvailableToUser(i, user, userRole)) {
+                count++;
+            }
+        }
+
+        offerIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isOfferAvailableToUser(i, user, userRole)) {
+                offerIds[index] = i;
+                index++;
+            }
+        }
+    }
+
+    /**
+     * @dev Page through open offers that are past their expiry (the ones
+     * expireOffers closes), scanning `limit` offer IDs from `cursor` (see Pagination)
+     */
+    function getExpirableOffersPage(uint256 cursor, uint256 limit) external view returns (uint256[] memory offerIds, uint256 nextCursor) {
+        // Offer IDs start at 1
+        if (cursor == 0) cursor = 1;
+        uint256 end;
+        (end, nextCursor) = Pagination.pageEnd(cursor, limit, nextOfferId);
+        uint256 count = 0;
+
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isExpirable(i)) {
+                count++;
+            }
+        }
+
+        offerIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isExpirable(i)) {
+                offerIds[index] = i;
+                index++;
+            }
+        }
+    }
+
+    /**
+     * @dev Every offer made on a batch, oldest first, including counter-offers
+     * (see parentOffers for how they thread)
+     */
+    function getOffersForBatch(uint256 batchId) external view returns (uint256[] memory) {
+        return batchOffers[batchId];
+    }
+
+    /**
+     * @dev Link the batch harvested for an accepted contract offer and mark it sold
+     * to the processor who made the offer (ContractFarming only). The farmer keeps
+     * it to ship until the processor confirms its delivery.
+     */
+    function linkContractBatch(uint256 offerId, uint256 batchId) external {
+        require(msg.sender == address(contractFarming), "Only ContractFarming");
+        Offer storage offer = offers[offerId];
+
+        offer.batchId = batchId;
+        batchOffers[batchId].push(offerId);
+        (,, uint256 quantity,,,,,,) = productBatch.getBatchMarketInfo(batchId);
+        productBatch.markAsSold(batchId, offer.creator, quantity);
+
+        emit ContractBatchLinked(offerId, batchId);
+    }
+
+    /**
+     * @dev Quantity of an offer still open to acceptors (0 once it is closed)
+     */
+    function getRemainingQuantity(uint256 offerId) external view returns (uint256) {
+        require(_offerExists(offerId), "Offer does not exist");
+        if (offers[offerId].status != OfferStatus.OPEN) return 0;
+        return offers[offerId].quantity - filledQuantities[offerId];
+    }
+
+    /**
+     * @dev The accepted offers recording an offer's partial fills, oldest first
+     */
+    function getOfferFills(uint256 offerId) external view returns (uint256[] memory) {
+        return offerFills[offerId];
+    }
+
     /**
      * @dev Get offers by type (for marketplace browsing)
      */
@@ -286,7 +644,7 @@ contract OfferManager is AccessControl {
         uint256 price,
         uint256 quantity,
         OfferType offerType,
-        string calldata terms,
+        string memory terms,
         uint256 duration
     ) internal returns (uint256) {
         uint256 offerId = nextOfferId++;
@@ -318,6 +676,59 @@ contract OfferManager is AccessControl {
         return offerId;
     }
 
+    // Whether msg.sender can accept (or fill) an offer
+    function _checkAcceptor(Offer storage offer) internal view {
+        require(offer.status == OfferStatus.OPEN, "Offer not available");
+        require(block.timestamp < offer.expiresAt, "Offer expired");
+        require(msg.sender != offer.creator, "Cannot accept own offer");
+
+        // Check if offer is for specific counterparty
+        if (offer.counterparty != address(0)) {
+            require(msg.sender == offer.counterparty, "Offer not for you");
+        }
+
+        // Validate acceptor based on offer type
+        _validateAcceptor(msg.sender, offer.offerType, offer.batchId);
+    }
+
+    // Mark quantity of the offer's batch as sold to the buyer: the whole batch,
+    // or a child batch split off it. The buyer is the acceptor of a sell offer
+    // and the creator of a buy offer. The seller keeps a sold batch until it is
+    // delivered, so it can't be sold again meanwhile; a sell offer's creator
+    // must still own it.
+    function _sellBatch(Offer storage offer, uint256 quantity) internal returns (uint256) {
+        (address owner,,,,, ProductBatch.BatchStatus status,,,) = productBatch.getBatchMarketInfo(offer.batchId);
+        require(status != ProductBatch.BatchStatus.SOLD, "Batch already sold");
+        if (offer.offerType == OfferType.SELL_OFFER) {
+            require(owner == offer.creator, "Seller no longer owns batch");
+            return productBatch.markAsSold(offer.batchId, msg.sender, quantity);
+        }
+        return productBatch.markAsSold(offer.batchId, offer.creator, quantity);
+    }
+
+    // Hold the buyer's payment for the seller of an accepted offer, delivered as
+    // soldBatchId. A buy offer is paid from fundedOfferId's deposit: its own, or
+    // the offer it fills.
+    function _holdPayment(uint256 offerId, Offer storage offer, uint256 soldBatchId, uint256 fundedOfferId) internal {
+        if (!_requiresEscrow(offer)) {
+            require(msg.value == 0, "Offer not paid through escrow");
+            return;
+        }
+
+        if (offer.offerType == OfferType.SELL_OFFER) {
+            paymentEscrow.deposit{value: msg.value}(
+                offerId, soldBatchId, msg.sender, paymentTokens[offerId], offer.offeredPrice
+            );
+            paymentEscrow.hold(offerId, offer.creator, soldBatchId);
+        } else {
+            require(msg.value == 0, "Buy offer is paid by its creator");
+            if (fundedOfferId != offerId) {
+                paymentEscrow.splitDeposit(fundedOfferId, offerId, offer.offeredPrice);
+            }
+            paymentEscrow.hold(offerId, msg.sender, soldBatchId);
+        }
+    }
+
     function _validateAcceptor(address acceptor, OfferType offerType, uint256 batchId) internal view {
         if (offerType == OfferType.BUY_OFFER) {
             // For buy offers, acceptor should be the seller (batch owner)
@@ -367,6 +778,30 @@ contract OfferManager is AccessControl {
         return false;
     }
 
+    // Buy and sell offers for a batch at a price are paid through the escrow, if set
+    function _requiresEscrow(Offer storage offer) internal view returns (bool) {
+        return address(paymentEscrow) != address(0) &&
+            offer.offerType != OfferType.CONTRACT_OFFER &&
+            offer.batchId != 0 &&
+            offer.offeredPrice > 0;
+    }
+
+    function _isExpirable(uint256 offerId) internal view returns (bool) {
+        return _offerExists(offerId) &&
+            offers[offerId].status == OfferStatus.OPEN &&
+            block.timestamp >= offers[offerId].expiresAt;
+    }
+
+    // Give back what an open offer holds once it is closed: a buy offer's escrow
+    // deposit, or a contract farming offer's deposit
+    function _releaseOffer(uint256 offerId, Offer storage offer) internal {
+        if (_requiresEscrow(offer) && paymentEscrow.isDeposited(offerId)) {
+            paymentEscrow.returnDeposit(offerId);
+        } else if (offer.offerType == OfferType.CONTRACT_OFFER && address(contractFarming) != address(0)) {
+            contractFarming.closeAgreement(offerId);
+        }
+    }
+
     function _offerExists(uint256 offerId) internal view returns (bool) {
         return offerId > 0 && offerId < nextOfferId;
     }
@@ -0,0 +1,301 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../access/AccessControl.sol";
+
+/**
+ * @dev The subset of ERC-20 the escrow uses
+ */
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/**
+ * @title PaymentEscrow
+ * @dev Holds the buyer's payment for an accepted offer until the receiver confirms
+ * delivery in ShipmentTracker. Payments are in the native currency or an accepted
+ * ERC-20 stablecoin. The buyer can reclaim the payment once the delivery deadline
+ * passes; either party can instead raise a dispute, which an admin settles.
+ */
+contract PaymentEscrow is AccessControl {
+
+    enum EscrowStatus {
+        NONE,
+        DEPOSITED,  // Buy offer funded by its creator, not accepted yet
+        HELD,       // Offer accepted, waiting for delivery
+        RELEASED,   // Paid to the seller on delivery
+        REFUNDED,   // Returned to the buyer
+        DISPUTED,   // Frozen until an admin resolves it
+        RESOLVED    // Split by an admin
+    }
+
+    struct Escrow {
+        uint256 offerId;
+        uint256 batchId;
+        address buyer;
+        address seller;
+        address token;          // address(0) for the native currency
+        uint256 amount;
+        EscrowStatus status;
+        uint256 depositedAt;
+        uint256 deadline;       // Buyer can claim a refund from here on
+    }
+
+    mapping(uint256 => Escrow) public escrows;          // offerId => escrow
+    mapping(address => bool) public acceptedTokens;     // ERC-20 payment tokens
+
+    address public offerManager;
+    address public shipmentTracker;
+    uint256 public deliveryTimeout;
+
+    // Events
+    event EscrowDeposited(uint256 indexed offerId, address indexed buyer, address token, uint256 amount);
+    event EscrowHeld(uint256 indexed offerId, address indexed seller, uint256 deadline);
+    event EscrowSplit(uint256 indexed offerId, uint256 indexed fillOfferId, uint256 amount);
+    event EscrowReleased(uint256 indexed offerId, address indexed seller, uint256 amount);
+    event EscrowRefunded(uint256 indexed offerId, address indexed buyer, uint256 amount);
+    event EscrowDisputed(uint256 indexed offerId, address indexed raisedBy, string reason);
+    event DisputeResolved(uint256 indexed offerId, uint256 buyerAmount, uint256 sellerAmount);
+    event PaymentTokenUpdated(address indexed token, bool accepted);
+    event DeliveryTimeoutUpdated(uint256 deliveryTimeout);
+
+    modifier onlyOfferManager() {
+        require(msg.sender == offerManager, "Only OfferManager");
+        _;
+    }
+
+    constructor(address _offerManager, address _shipmentTracker) {
+        require(_offerManager != address(0), "Invalid OfferManager address");
+        require(_shipmentTracker != address(0), "Invalid ShipmentTracker address");
+        offerManager = _offerManager;
+        shipmentTracker = _shipmentTracker;
+        deliveryTimeout = 14 days;
+    }
+
+    /**
+     * @dev Accept or stop accepting an ERC-20 token for new payments
+     */
+    function setAcceptedToken(address token, bool accepted) external onlyAdmin {
+        require(token != address(0), "Invalid token address");
+        acceptedTokens[token] = accepted;
+        emit PaymentTokenUpdated(token, accepted);
+    }
+
+    /**
+     * @dev Time the seller has to deliver after acceptance (applies to later acceptances)
+     */
+    function setDeliveryTimeout(uint256 _deliveryTimeout) external onlyAdmin {
+        require(_deliveryTimeout > 0, "Timeout must be positive");
+        deliveryTimeout = _deliveryTimeout;
+        emit DeliveryTimeoutUpdated(_deliveryTimeout);
+    }
+
+    /**
+     * @dev Take the buyer's payment for an offer (OfferManager only). Native payments
+     * arrive as msg.value; ERC-20 payments are pulled from the buyer, who must have
+     * approved this contract.
+     */
+    function deposit(
+        uint256 offerId,
+        uint256 batchId,
+        address buyer,
+        address token,
+        uint256 amount
+    ) external payable onlyOfferManager {
+        require(escrows[offerId].status == EscrowStatus.NONE, "Offer already funded");
+        require(amount > 0, "Amount must be positive");
+
+        if (token == address(0)) {
+            require(msg.value == amount, "Incorrect payment amount");
+        } else {
+            require(acceptedTokens[token], "Payment token not accepted");
+            require(msg.value == 0, "Native payment not expected");
+        }
+
+        escrows[offerId] = Escrow({
+            offerId: offerId,
+            batchId: batchId,
+            buyer: buyer,
+            seller: address(0),
+            token: token,
+            amount: amount,
+            status: EscrowStatus.DEPOSITED,
+            depositedAt: block.timestamp,
+            deadline: 0
+        });
+
+        if (token != address(0)) {
+            _callToken(token, abi.encodeCall(IERC20.transferFrom, (buyer, address(this), amount)));
+        }
+
+        emit EscrowDeposited(offerId, buyer, token, amount);
+    }
+
+    /**
+     * @dev Hold a deposit for the seller once the offer is accepted, until batchId is
+     * delivered (OfferManager only). batchId differs from the deposit's when the
+     * offer is sold as a child batch split off it.
+     */
+    function hold(uint256 offerId, address seller, uint256 batchId) external onlyOfferManager {
+        Escrow storage escrow = escrows[offerId];
+        require(escrow.status == EscrowStatus.DEPOSITED, "Offer not funded");
+
+        escrow.batchId = batchId;
+        escrow.seller = seller;
+        escrow.status = EscrowStatus.HELD;
+        escrow.deadline = block.timestamp + deliveryTimeout;
+
+        emit EscrowHeld(offerId, seller, escrow.deadline);
+    }
+
+    /**
+     * @dev Move part of a buy offer's deposit to the offer recording a partial fill
+     * of it (OfferManager only). The rest stays deposited for later fills.
+     */
+    function splitDeposit(uint256 offerId, uint256 fillOfferId, uint256 amount) external onlyOfferManager {
+        Escrow storage escrow = escrows[offerId];
+        require(escrow.status == EscrowStatus.DEPOSITED, "Offer not funded");
+        require(escrows[fillOfferId].status == EscrowStatus.NONE, "Offer already funded");
+        require(amount > 0 && amount <= escrow.amount, "Invalid split amount");
+
+        escrows[fillOfferId] = Escrow({
+            offerId: fillOfferId,
+            batchId: escrow.batchId,
+            buyer: escrow.buyer,
+            seller: address(0),
+            token: escrow.token,
+            amount: amount,
+            status: EscrowStatus.DEPOSITED,
+            depositedAt: block.timestamp,
+            deadline: 0
+        });
+
+        // A fully split deposit leaves nothing to return
+        if (amount == escrow.amount) {
+            delete escrows[offerId];
+        } else {
+            escrow.amount -= amount;
+        }
+
+        emit EscrowSplit(offerId, fillOfferId, amount);
+    }
+
+    /**
+     * @dev Return the deposit of a cancelled offer (OfferManager only)
+     */
+    function returnDeposit(uint256 offerId) external onlyOfferManager {
+        Escrow storage escrow = escrows[offerId];
+        require(escrow.status == EscrowStatus.DEPOSITED, "No deposit to return");
+        _refund(escrow);
+    }
+
+    /**
+     * @dev Pay the seller when the buyer confirms delivery of the offer's batch
+     * (ShipmentTracker only). Does nothing for shipments that don't settle a held
+     * escrow, so a disputed payment never blocks the confirmation.
+     */
+    function releaseOnDelivery(uint256 offerId, uint256 batchId, address receiver) external {
+        require(msg.sender == shipmentTracker, "Only ShipmentTracker");
+        Escrow storage escrow = escrows[offerId];
+        if (escrow.status != EscrowStatus.HELD || escrow.batchId != batchId || escrow.buyer != receiver) {
+            return;
+        }
+
+        escrow.status = EscrowStatus.RELEASED;
+        _pay(escrow.token, escrow.seller, escrow.amount);
+
+        emit EscrowReleased(offerId, escrow.seller, escrow.amount);
+    }
+
+    /**
+     * @dev Buyer reclaims the payment after the delivery deadline
+     */
+    function claimRefund(uint256 offerId) external {
+        Escrow storage escrow = escrows[offerId];
+        require(msg.sender == escrow.buyer, "Only buyer can claim refund");
+        require(escrow.status == EscrowStatus.HELD, "Escrow not held");
+        require(block.timestamp >= escrow.deadline, "Delivery deadline not reached");
+        _refund(escrow);
+    }
+
+    /**
+     * @dev Seller returns the payment, e.g. when it cannot deliver
+     */
+    function refundBuyer(uint256 offerId) external {
+        Escrow storage escrow = escrows[offerId];
+        require(msg.sender == escrow.seller, "Only seller can refund");
+        require(
+            escrow.status == EscrowStatus.HELD || escrow.status == EscrowStatus.DISPUTED,
+            "Escrow not refundable"
+        );
+        _refund(escrow);
+    }
+
+    /**
+     * @dev Buyer or seller freezes a held payment for an admin to settle
+     */
+    function raiseDispute(uint256 offerId, string calldata reason) external {
+        Escrow storage escrow = escrows[offerId];
+        require(msg.sender == escrow.buyer || msg.sender == escrow.seller, "Only buyer or seller");
+        require(escrow.status == EscrowStatus.HELD, "Escrow not held");
+
+        escrow.status = EscrowStatus.DISPUTED;
+        emit EscrowDisputed(offerId, msg.sender, reason);
+    }
+
+    /**
+     * @dev Settle a dispute: buyerAmount goes back to the buyer, the rest to the seller
+     */
+    function resolveDispute(uint256 offerId, uint256 buyerAmount) external onlyAdmin {
+        Escrow storage escrow = escrows[offerId];
+        require(escrow.status == EscrowStatus.DISPUTED, "Escrow not disputed");
+        require(buyerAmount <= escrow.amount, "Amount exceeds escrow");
+
+        uint256 sellerAmount = escrow.amount - buyerAmount;
+        escrow.status = EscrowStatus.RESOLVED;
+        if (buyerAmount > 0) _pay(escrow.token, escrow.buyer, buyerAmount);
+        if (sellerAmount > 0) _pay(escrow.token, escrow.seller, sellerAmount);
+
+        emit DisputeResolved(offerId, buyerAmount, sellerAmount);
+    }
+
+    /**
+     * @dev Escrow of an offer (status NONE if it was never funded)
+     */
+    function getEscrow(uint256 offerId) external view returns (Escrow memory) {
+        return escrows[offerId];
+    }
+
+    /**
+     * @dev Whether an offer's payment is deposited and waiting for acceptance
+     */
+    function isDeposited(uint256 offerId) external view returns (bool) {
+        return escrows[offerId].status == EscrowStatus.DEPOSITED;
+    }
+
+    // Internal functions
+    function _refund(Escrow storage escrow) internal {
+        escrow.status = EscrowStatus.REFUNDED;
+        _pay(escrow.token, escrow.buyer, escrow.amount);
+        emit EscrowRefunded(escrow.offerId, escrow.buyer, escrow.amount);
+    }
+
+    function _pay(address token, address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Native transfer failed");
+        } else {
+            _callToken(token, abi.encodeCall(IERC20.transfer, (to, amount)));
+        }
+    }
+
+    // Accepts tokens that return nothing as well as those that return true
+    function _callToken(address token, bytes memory data) internal {
+        (bool success, bytes memory result) = token.call(data);
+        require(
+            success && (result.length == 0 || abi.decode(result, (bool))) && token.code.length > 0,
+            "Token transfer failed"
+        );
+    }
+}
@@ -2,8 +2,12 @@
 pragma solidity ^0.8.19;
 
 import "../access/AccessControl.sol";
+import "../access/StakeholderManager.sol";
 import "../Oracles/Price.sol";
 import "../Oracles/Weather.sol";
+import "../Oracles/WeatherOracle.sol";
+import "../Oracles/WeatherPricing.sol";
+import "../utils/Pagination.sol";
 import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
 
 contract ProductBatch is AccessControl {
@@ -91,7 +95,7 @@ contract ProductBatch is AccessControl {
     // Add to state variables section
     mapping(uint256 => ConsumerPurchase) public consumerPurchases;
     mapping(address => uint256[]) public consumerPurchaseHistory;
-    uint256 public nextPurchaseId = 1;
+    uint256 public nextPurchaseId;
 
     // Add events
     event ConsumerPurchaseCreated(uint256 indexed purchaseId, uint256 indexed batchId, address indexed consumer, address retailer);
@@ -106,7 +110,7 @@ contract ProductBatch is AccessControl {
     mapping(BatchStatus => uint256[]) public batchesByStatus;
     mapping(TradingMode => uint256[]) public batchesByTradingMode;
 
-    uint256 public nextBatchId = 1;
+    uint256 public nextBatchId;
     uint256 public totalBatches;
 
     // Oracle feeds
@@ -116,17 +120,49 @@ contract ProductBatch is AccessControl {
     AggregatorV3Interface public rainfallFeed;        // Rainfall data
     AggregatorV3Interface public windSpeedFeed;       // Wind speed data
 
+    // Regional weather snapshots (the global feeds above are used when unset)
+    WeatherOracle public weatherOracle;
+    mapping(string => string) public locationRegions;      // location => region
+    StakeholderManager public stakeholderManager;          // farmer location lookup
+
+    // Weather-dependent listing premiums/discounts (no adjustment when unset)
+    WeatherPricing public weatherPricing;
+
     // Weather thresholds for different crops
     mapping(string => Weather.WeatherData) public cropWeatherRequirements;
 
+    // Only OfferManager sells batches; selling part of one splits off a child batch
+    address public offerManager;
+    mapping(uint256 => uint256) public parentBatches;    // child batchId => batch it was split from
+    address public shipmentTracker;
+
     // Events
     event BatchCreated(uint256 indexed batchId, address indexed farmer, string name, TradingMode tradingMode);
     event BatchListed(uint256 indexed batchId, uint256 price, TradingMode tradingMode);
     event WeatherVerified(uint256 indexed batchId, bool suitable, Weather.WeatherData conditions);
-    event PriceUpdated(uint256 indexed batchId, uint256 oldPrice, uint256 newPrice, uint256 usdValue);
+    event PriceUpdated(uint256 indexed batchId, uint256 oldPrice, uint256 newPrice, uint256 usdValue, int256 adjustmentBps, string reason);
     event QualityChecked(uint256 indexed batchId, string grade, bool passed);
     event ProcessingCompleted(uint256 indexed batchId, uint256 inputQty, uint256 outputQty);
     event BatchUpdated(uint256 indexed batchId, string action);
+    event BatchSplit(uint256 indexed parentBatchId, uint256 indexed childBatchId, address indexed buyer, uint256 quantity);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _initializeProductBatch();
+    }
+
+    /**
+     * @dev Initialize a proxy deployment (the constructor sets up direct deployments).
+     */
+    function initialize() external initializer {
+        _initializeAccessControl(msg.sender);
+        _initializeProductBatch();
+    }
+
+    function _initializeProductBatch() internal {
+        nextBatchId = 1;
+        nextPurchaseId = 1;
+    }
 
     /**
      * @dev Create a new batch with oracle integration
@@ -146,46 +182,29 @@ contract ProductBatch is AccessControl {
         require(bytes(name).length > 0, "Name required");
         require(quantity > 0, "Quantity must be > 0");
 
-        uint256 batchId = nextBatchId++;
-
-        // Get current weather conditions if required
+        // Get current weather conditions for the origin region if required
         Weather.WeatherData memory currentWeather;
-        if (requiresWeatherVerification && _hasWeatherFeeds()) {
-            currentWeather = Weather.getWeatherData(
-                temperatureFeed, humidityFeed, rainfallFeed, windSpeedFeed
-            );
+        if (requiresWeatherVerification) {
+            (, currentWeather) = _getWeatherData(originLocation, msg.sender);
         }
 
         // Calculate current USD price
         uint256 currentUSDPrice = _calculateUSDPrice(basePrice);
 
-        batches[batchId] = Batch({
-            id: batchId,
-            farmer: msg.sender,
-            currentOwner: msg.sender,
-            name: name,
-            description: description,
-            quantity: quantity,
-            basePrice: basePrice,
-            currentMarketPrice: currentUSDPrice,
-            originLocation: originLocation,
-            metadataHash: metadataHash,
-            status: BatchStatus.CREATED,
-            tradingMode: tradingMode,
-            createdAt: block.timestamp,
-            lastUpdated: block.timestamp,
-            authorizedBuyers: authorizedBuyers,
-            offerIds: new uint256[](0),
-            isAvailableForSale: false,
-            requiresWeatherVerification: requiresWeatherVerification,
-            lastWeatherCheck: currentWeather,
-            priceLastUpdated: block.timestamp
-        });
-
-        // Update indexes
-        batchesByStatus[BatchStatus.CREATED].push(batchId);
-        batchesByTradingMode[tradingMode].push(batchId);
-        totalBatches++;
+        uint256 batchId = _newBatch(BatchStatus.CREATED, tradingMode);
+        Batch storage batch = batches[batchId];
+        batch.farmer = msg.sender;
+        batch.currentOwner = msg.sender;
+        batch.name = name;
+        batch.description = description;
+        batch.quantity = quantity;
+        batch.basePrice = basePrice;
+        batch.currentMarketPrice = currentUSDPrice;
+        batch.originLocation = originLocation;
+        batch.metadataHash = metadataHash;
+        batch.authorizedBuyers = authorizedBuyers;
+        batch.requiresWeatherVerification = requiresWeatherVerification;
+        batch.lastWeatherCheck = currentWeather;
 
         emit BatchCreated(batchId, msg.sender, name, tradingMode);
 
@@ -197,7 +216,8 @@ contract ProductBatch is AccessControl {
     }
 
     /**
-     * @dev List batch for sale with weather verification
+     * @dev List batch for sale with weather verification. Weather-dependent
+     * listings are priced through weatherPricing from the recorded weather check.
      */
     function listForSale(
         uint256 batchId,
@@ -208,18 +228,34 @@ contract ProductBatch is AccessControl {
         Batch storage batch = batches[batchId];
         require(msg.sender == batch.currentOwner, "Only owner can list");
         require(!batch.isAvailableForSale, "Already listed");
+        require(batch.status != BatchStatus.SOLD, "Sold batch awaiting delivery");
 
         // Weather verification for weather-dependent trading
-        if (batch.requiresWeatherVerification && _hasWeatherFeeds()) {
-            Weather.WeatherData memory currentWeather = Weather.getWeatherData(
-                temperatureFeed, humidityFeed, rainfallFeed, windSpeedFeed
-            );
-
-            bool weatherSuitable = _checkWeatherSuitability(batch.name, currentWeather);
-            require(weatherSuitable, "Weather conditions not suitable for trading");
+        if (batch.requiresWeatherVerification) {
+            (bool hasFeeds, Weather.WeatherData memory currentWeather) = _getWeatherData(batch.originLocation, batch.farmer);
+            if (hasFeeds) {
+                bool weatherSuitable = _checkWeatherSuitability(batch.name, currentWeather);
+                require(weatherSuitable, "Weather conditions not suitable for trading");
+
+                batch.lastWeatherCheck = currentWeather;
+                emit WeatherVerified(batchId, weatherSuitable, currentWeather);
+            }
+        }
 
-            batch.lastWeatherCheck = currentWeather;
-            emit WeatherVerified(batchId, weatherSuitable, currentWeather);
+        // Weather premium/discount for weather-dependent listings
+        int256 adjustmentBps;
+        string memory reason = "Listed";
+        if (tradingMode == TradingMode.WEATHER_DEPENDENT && address(weatherPricing) != address(0)) {
+            string memory cropType = batch.name;
+            Weather.WeatherData storage requirements = cropWeatherRequirements[cropType];
+            (askingPrice, adjustmentBps, reason) = weatherPricing.quote(
+                cropType,
+                askingPrice,
+                batch.lastWeatherCheck.rainfall,
+                batch.lastWeatherCheck.timestamp,
+                requirements.rainfall,
+                requirements.timestamp
+            );
         }
 
         // Update price with oracle data
@@ -238,7 +274,7 @@ contract ProductBatch is AccessControl {
         batchesByStatus[BatchStatus.LISTED].push(batchId);
 
         emit BatchListed(batchId, newUSDPrice, tradingMode);
-        emit PriceUpdated(batchId, oldPrice, askingPrice, newUSDPrice);
+        emit PriceUpdated(batchId, oldPrice, askingPrice, newUSDPrice, adjustmentBps, reason);
     }
 
     /**
@@ -256,23 +292,19 @@ contract ProductBatch is AccessControl {
         require(hasRole(msg.sender, Role.PROCESSOR), "Unauthorized");
 
         // Get current weather conditions
-        Weather.WeatherData memory currentWeather;
-        if (_hasWeatherFeeds()) {
-            currentWeather = Weather.getWeatherData(
-                temperatureFeed, humidityFeed, rainfallFeed, windSpeedFeed
-            );
-        }
+        (, Weather.WeatherData memory currentWeather) = _getWeatherData(
+            batches[batchId].originLocation, batches[batchId].farmer
+        );
 
-        qualityData[batchId] = QualityData({
-            batchId: batchId,
-            qualityGrade: qualityGrade,
-            moistureContent: moistureContent,
-            purityLevel: purityLevel,
-            isOrganic: isOrganic,
-            certificationBody: certificationBody,
-            harvestConditions: currentWeather,
-            checkedAt: block.timestamp
-        });
+        QualityData storage quality = qualityData[batchId];
+        quality.batchId = batchId;
+        quality.qualityGrade = qualityGrade;
+        quality.moistureContent = moistureContent;
+        quality.purityLevel = purityLevel;
+        quality.isOrganic = isOrganic;
+        quality.certificationBody = certificationBody;
+        quality.harvestConditions = currentWeather;
+        quality.checkedAt = block.timestamp;
 
         // Determine if quality check passed
         bool qualityPassed = purityLevel >= 80 && moistureContent <= 15; // Basic criteria
@@ -299,23 +331,17 @@ contract ProductBatch is AccessControl {
         require(msg.sender == batch.currentOwner, "Only owner can process");
 
         // Record current weather conditions during processing
-        Weather.WeatherData memory processingWeather;
-        if (_hasWeatherFeeds()) {
-            processingWeather = Weather.getWeatherData(
-                temperatureFeed, humidityFeed, rainfallFeed, windSpeedFeed
-            );
-        }
-
-        processingData[batchId] = ProcessingData({
-            processor: msg.sender,
-            processingType: processingType,
-            qualityMetrics: qualityMetrics,
-            certificationHash: "", // ADD THIS LINE
-            processedAt: block.timestamp,
-            inputQuantity: batch.quantity,
-            outputQuantity: outputQuantity,
-            processingConditions: processingWeather
-        });
+        (, Weather.WeatherData memory processingWeather) = _getWeatherData(batch.originLocation, batch.farmer);
+
+        ProcessingData storage processing = processingData[batchId];
+        processing.processor = msg.sender;
+        processing.processingType = processingType;
+        processing.qualityMetrics = qualityMetrics;
+        processing.certificationHash = "";
+        processing.processedAt = block.timestamp;
+        processing.inputQuantity = batch.quantity;
+        processing.outputQuantity = outputQuantity;
+        processing.processingConditions = processingWeather;
 
         // Update batch
         batch.quantity = outputQuantity;
@@ -342,7 +368,7 @@ contract ProductBatch is AccessControl {
         batch.currentMarketPrice = newUSDPrice;
         batch.priceLastUpdated = block.timestamp;
 
-        emit PriceUpdated(batchId, oldPrice, batch.basePrice, newUSDPrice);
+        emit PriceUpdated(batchId, oldPrice, batch.basePrice, newUSDPrice, 0, "Market update");
     }
 
     /**
@@ -376,19 +402,23 @@ contract ProductBatch is AccessControl {
     }
 
     /**
-     * @dev Get available batches by trading mode with price data
+     * @dev Page through available batches by trading mode with price data.
+     * Scans `limit` batches of the mode from `cursor` (see Pagination).
      */
-    function getAvailableBatches(TradingMode tradingMode) external view returns (
+    function getAvailableBatchesPage(TradingMode tradingMode, uint256 cursor, uint256 limit) external view returns (
         uint256[] memory batchIds,
         uint256[] memory localPrices,
         uint256[] memory usdPrices,
-        Weather.WeatherData[] memory weatherConditions
+        Weather.WeatherData[] memory weatherConditions,
+        uint256 nextCursor
     ) {
-        uint256[] memory modeBatches = batchesByTradingMode[tradingMode];
+        uint256[] storage modeBatches = batchesByTradingMode[tradingMode];
+        uint256 end;
+        (end, nextCursor) = Pagination.pageEnd(cursor, limit, modeBatches.length);
         uint256 count = 0;
 
         // Count available batches
-        for (uint256 i = 0; i < modeBatches.length; i++) {
+        for (uint256 i = cursor; i < end; i++) {
             if (batches[modeBatches[i]].isAvailableForSale) {
                 count++;
             }
@@ -401,7 +431,7 @@ contract ProductBatch is AccessControl {
         weatherConditions = new Weather.WeatherData[](count);
 
         uint256 index = 0;
-        for (uint256 i = 0; i < modeBatches.length; i++) {
+        for (uint256 i = cursor; i < end; i++) {
             uint256 batchId = modeBatches[i];
             if (batches[batchId].isAvailableForSale) {
                 batchIds[index] = batchId;
@@ -411,8 +441,6 @@ contract ProductBatch is AccessControl {
                 index++;
             }
         }
-
-        return (batchIds, localPrices, usdPrices, weatherConditions);
     }
 
     /**
@@ -438,15 +466,12 @@ contract ProductBatch is AccessControl {
         uint256 maxHumidity,
         uint256 maxRainfall
     ) external view returns (bool suitable, Weather.WeatherData memory currentConditions) {
-        require(_hasWeatherFeeds(), "Weather feeds not available");
-
-        currentConditions = Weather.getWeatherData(
-            temperatureFeed, humidityFeed, rainfallFeed, windSpeedFeed
-        );
+        bool hasData;
+        (hasData, currentConditions) = _getWeatherSnapshot("");
+        require(hasData, "Weather feeds not available");
 
-        suitable = Weather.isFarmingConditionsSuitable(
-            temperatureFeed, humidityFeed, rainfallFeed, windSpeedFeed,
-            minTemp, maxTemp, minHumidity, maxHumidity, maxRainfall
+        suitable = Weather.isSuitable(
+            currentConditions, minTemp, maxTemp, minHumidity, maxHumidity, maxRainfall
         );
 
         return (suitable, currentConditions);
@@ -479,6 +504,53 @@ contract ProductBatch is AccessControl {
         windSpeedFeed = AggregatorV3Interface(_windSpeedFeed);
     }
 
+    /**
+     * @dev Set the multi-metric weather oracle (zero address falls back to the global feeds)
+     */
+    function setWeatherOracle(address _weatherOracle) external onlyAdmin {
+        weatherOracle = WeatherOracle(_weatherOracle);
+    }
+
+    /**
+     * @dev Map a batch origin or stakeholder location to a weather region
+     */
+    function setLocationRegion(string calldata location, string calldata region) external onlyAdmin {
+        locationRegions[location] = region;
+    }
+
+    /**
+     * @dev Set the weather pricing rules (zero address disables adjustments)
+     */
+    function setWeatherPricing(address _weatherPricing) external onlyAdmin {
+        weatherPricing = WeatherPricing(_weatherPricing);
+    }
+
+    /**
+     * @dev Set the OfferManager allowed to mark batches as sold
+     */
+    function setOfferManager(address _offerManager) external onlyAdmin {
+        offerManager = _offerManager;
+    }
+
+    /**
+     * @dev Set the ShipmentTracker allowed to hand sold batches to their buyers
+     */
+    function setShipmentTracker(address _shipmentTracker) external onlyAdmin {
+        shipmentTracker = _shipmentTracker;
+    }
+
+    function setStakeholderManager(address _stakeholderManager) external onlyAdmin {
+        stakeholderManager = StakeholderManager(_stakeholderManager);
+    }
+
+    /**
+     * @dev Get the weather region used for a batch ("" means the global reading)
+     */
+    function getBatchWeatherRegion(uint256 batchId) external view returns (string memory) {
+        require(_batchExists(batchId), "Batch does not exist");
+        return _getWeatherRegion(batches[batchId].originLocation, batches[batchId].farmer);
+    }
+
     function setCropWeatherRequirements(
         string calldata cropType,
         int256 temperature,
@@ -508,6 +580,41 @@ contract ProductBatch is AccessControl {
                address(windSpeedFeed) != address(0);
     }
 
+    /**
+     * @dev Resolve a region from the origin location, then the farmer's registered location
+     */
+    function _getWeatherRegion(string memory location, address farmer) internal view returns (string memory region) {
+        region = locationRegions[location];
+        if (bytes(region).length == 0 && address(stakeholderManager) != address(0)) {
+            try stakeholderManager.getStakeholderInfo(farmer) returns (
+                Role, string memory, string memory, string memory farmerLocation, string memory, bool, uint256
+            ) {
+                region = locationRegions[farmerLocation];
+            } catch {}
+        }
+    }
+
+    function _getWeatherData(string memory location, address farmer) internal view returns (bool, Weather.WeatherData memory) {
+        return _getWeatherSnapshot(_getWeatherRegion(location, farmer));
+    }
+
+    /**
+     * @dev Read one consistent snapshot for a region from the oracle (which falls
+     * back to its global reading), or from the global feeds if no oracle is set
+     */
+    function _getWeatherSnapshot(string memory region) internal view returns (bool, Weather.WeatherData memory data) {
+        if (address(weatherOracle) != address(0)) {
+            uint80 roundId;
+            (roundId, data) = weatherOracle.getLatestWeather(region);
+            return (roundId != 0, data);
+        }
+        if (!_hasWeatherFeeds()) return (false, data);
+
+        return (true, Weather.getWeatherData(
+            temperatureFeed, humidityFeed, rainfallFeed, windSpeedFeed
+        ));
+    }
+
     function _checkWeatherSuitability(string memory cropType, Weather.WeatherData memory current) internal view returns (bool) {
         Weather.WeatherData storage requirements = cropWeatherRequirements[cropType];
 
@@ -522,6 +629,23 @@ contract ProductBatch is AccessControl {
                 current.rainfall <= requirements.rainfall + 50); // +50mm tolerance
     }
 
+    // Start a new batch under the next ID and index it
+    function _newBatch(BatchStatus status, TradingMode tradingMode) internal returns (uint256 batchId) {
+        batchId = nextBatchId++;
+        Batch storage batch = batches[batchId];
+        batch.id = batchId;
+        batch.status = status;
+        batch.tradingMode = tradingMode;
+        batch.createdAt = block.timestamp;
+        batch.lastUpdated = block.timestamp;
+        batch.priceLastUpdated = block.timestamp;
+
+        // Update indexes
+        batchesByStatus[status].push(batchId);
+        batchesByTradingMode[tradingMode].push(batchId);
+        totalBatches++;
+    }
+
     function _batchExists(uint256 batchId) internal view returns (bool) {
         return batchId > 0 && batchId < nextBatchId;
     }
@@ -545,6 +669,8 @@ contract ProductBatch is AccessControl {
 
         batch.currentOwner = newOwner;
         batch.lastUpdated = block.timestamp;
+
+        emit BatchUpdated(batchId, "Ownership transferred");
     }
 
     function getBatchInfo(uint256 batchId) external view returns (
@@ -577,22 +703,71 @@ contract ProductBatch is AccessControl {
     }
 
     /**
-    * @dev Mark batch as sold (called by OfferManager)
+    * @dev Mark `quantity` of a batch as sold to buyer (called by OfferManager). A
+    * quantity that covers the batch sells all of it; a smaller one is split off
+    * into a child batch that keeps the batch's provenance and takes its share of
+    * the base price, while the rest stays unsold. The seller keeps the sold
+    * batch, whole or child, to ship it; it passes to the buyer when they
+    * confirm its delivery (see deliverBatch).
+    * @return soldBatchId The batch sold to the buyer
     */
-    function markAsSold(uint256 batchId, address buyer, uint256 salePrice) external {
+    function markAsSold(uint256 batchId, address buyer, uint256 quantity) external returns (uint256 soldBatchId) {
+        require(msg.sender == offerManager, "Only OfferManager");
         require(_batchExists(batchId), "Batch does not exist");
         Batch storage batch = batches[batchId];
 
-        batch.status = BatchStatus.SOLD;
-        batch.currentOwner = buyer;
-        batch.isAvailableForSale = false;
+        if (quantity >= batch.quantity) {
+            batch.status = BatchStatus.SOLD;
+            batch.isAvailableForSale = false;
+            batch.lastUpdated = block.timestamp;
+
+            // Update status index
+            _removeFromStatusIndex(batchId, BatchStatus.LISTED);
+            batchesByStatus[BatchStatus.SOLD].push(batchId);
+
+            emit BatchUpdated(batchId, "Sold");
+            return batchId;
+        }
+
+        require(quantity > 0, "Quantity must be > 0");
+        uint256 childPrice = (batch.basePrice * quantity) / batch.quantity;
+
+        soldBatchId = _newBatch(BatchStatus.SOLD, batch.tradingMode);
+        Batch storage child = batches[soldBatchId];
+        child.farmer = batch.farmer;
+        child.currentOwner = batch.currentOwner;
+        child.name = batch.name;
+        child.description = batch.description;
+        child.quantity = quantity;
+        child.basePrice = childPrice;
+        child.currentMarketPrice = _calculateUSDPrice(childPrice);
+        child.originLocation = batch.originLocation;
+        child.metadataHash = batch.metadataHash;
+        child.requiresWeatherVerification = batch.requiresWeatherVerification;
+        child.lastWeatherCheck = batch.lastWeatherCheck;
+        parentBatches[soldBatchId] = batchId;
+
+        batch.quantity -= quantity;
+        batch.basePrice -= childPrice;
+        batch.currentMarketPrice = _calculateUSDPrice(batch.basePrice);
         batch.lastUpdated = block.timestamp;
 
-        // Update status index
-        _removeFromStatusIndex(batchId, BatchStatus.LISTED);
-        batchesByStatus[BatchStatus.SOLD].push(batchId);
+        emit BatchSplit(batchId, soldBatchId, buyer, quantity);
+    }
+
+    /**
+    * @dev Hand a sold batch to the receiver who confirmed its delivery (called by ShipmentTracker)
+    */
+    function deliverBatch(uint256 batchId, address receiver) external {
+        require(msg.sender == shipmentTracker, "Only ShipmentTracker");
+        require(_batchExists(batchId), "Batch does not exist");
+        Batch storage batch = batches[batchId];
+
+        batch.currentOwner = receiver;
+        batch.status = BatchStatus.RECEIVED;
+        batch.lastUpdated = block.timestamp;
 
-        emit BatchUpdated(batchId, "Sold");
+        emit BatchUpdated(batchId, "Delivered");
     }
 
     // Replace all the consumer functions with these:
@@ -815,28 +990,29 @@ contract ProductBatch is AccessControl {
     }
 
     /**
-    * @dev Get all products available from retailers for consumers
+    * @dev Page through products available from retailers for consumers.
+    * Scans `limit` batch IDs from `cursor` (see Pagination).
     */
-    function getRetailerProducts() external view returns (
+    function getRetailerProductsPage(uint256 cursor, uint256 limit) external view returns (
         uint256[] memory batchIds,
         address[] memory retailers,
         string[] memory productNames,
         string[] memory descriptions,
         uint256[] memory prices,
         uint256[] memory quantities,
-        string[] memory origins
+        string[] memory origins,
+        uint256 nextCursor
     ) {
+        // Batch IDs start at 1
+        if (cursor == 0) cursor = 1;
+        uint256 end;
+        (end, nextCursor) = Pagination.pageEnd(cursor, limit, nextBatchId);
         uint256 count = 0;
 
         // First, count available products from retailers
-        for (uint256 i = 1; i < nextBatchId; i++) {
-            if (_batchExists(i)) {
-                Batch storage batch = batches[i];
-                if (batch.isAvailableForSale &&
-                    batch.quantity > 0 &&
-                    hasRole(batch.currentOwner, Role.RETAILER)) {
-                    count++;
-                }
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isRetailerProduct(i)) {
+                count++;
             }
         }
         // Initialize arrays
@@ -850,25 +1026,26 @@ contract ProductBatch is AccessControl {
 
         // Fill arrays
         uint256 index = 0;
-        for (uint256 i = 1; i < nextBatchId; i++) {
-            if (_batchExists(i)) {
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isRetailerProduct(i)) {
                 Batch storage batch = batches[i];
-                if (batch.isAvailableForSale &&
-                    batch.quantity > 0 &&
-                    hasRole(batch.currentOwner, Role.RETAILER)) {
-
-                    batchIds[index] = batch.id;
-                    retailers[index] = batch.currentOwner;
-                    productNames[index] = batch.name;
-                    descriptions[index] = batch.description;
-                    prices[index] = batch.basePrice;
-                    quantities[index] = batch.quantity;
-                    origins[index] = batch.originLocation;
-                    index++;
-                }
+                batchIds[index] = batch.id;
+                retailers[index] = batch.currentOwner;
+                productNames[index] = batch.name;
+                descriptions[index] = batch.description;
+                prices[index] = batch.basePrice;
+                quantities[index] = batch.quantity;
+                origins[index] = batch.originLocation;
+                index++;
             }
         }
+    }
 
-        return (batchIds, retailers, productNames, descriptions, prices, quantities, origins);
+    function _isRetailerProduct(uint256 batchId) internal view returns (bool) {
+        Batch storage batch = batches[batchId];
+        return _batchExists(batchId) &&
+            batch.isAvailableForSale &&
+            batch.quantity > 0 &&
+            hasRole(batch.currentOwner, Role.RETAILER);
     }
 }
\ No newline at end of file
@@ -6,6 +6,7 @@ import "./ProductBatch.sol";
 import "../verification/ProvenanceTracker.sol";
 import "../verification/QRCodeVerifier.sol";
 import "../verification/PublicVerification.sol";
+import "../utils/Pagination.sol";
 
 contract Registry is AccessControl {
 
@@ -121,8 +122,8 @@ contract Registry is AccessControl {
     mapping(uint256 => bool) public weatherVerifiedProducts;
 
     // State variables
-    uint256 public nextProductId = 1;
-    uint256 public nextTransactionId = 1;
+    uint256 public nextProductId;
+    uint256 public nextTransactionId;
     MarketMetrics public marketMetrics;
     WeatherAnalytics public globalWeatherAnalytics;
 
@@ -138,6 +139,24 @@ contract Registry is AccessControl {
     event MarketPriceUpdated(string indexed category, uint256 oldUSDPrice, uint256 newUSDPrice, uint256 oldLocalPrice, uint256 newLocalPrice);
     event WeatherAnalyticsUpdated(string indexed category, uint256 products, uint256 transactions);
 
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _initializeRegistry();
+    }
+
+    /**
+     * @dev Initialize a proxy deployment (the constructor sets up direct deployments).
+     */
+    function initialize() external initializer {
+        _initializeAccessControl(msg.sender);
+        _initializeRegistry();
+    }
+
+    function _initializeRegistry() internal {
+        nextProductId = 1;
+        nextTransactionId = 1;
+    }
+
     // ====================================================================
     // INTERNAL HELPER FUNCTIONS (Declared first to avoid forward reference issues)
     // ====================================================================
@@ -327,20 +346,7 @@ contract Registry is AccessControl {
         uint256 count = 0;
 
         for (uint256 i = 1; i < nextProductId && count < 100; i++) {
-            ProductRecord storage product = products[i];
-
-            if (!product.isAvailable) continue;
-
-            // Apply filters
-            if (bytes(category).length > 0 && !_stringEquals(product.category, category)) continue;
-            if (product.tradingMode != tradingMode && tradingMode != ProductBatch.TradingMode.SPOT_MARKET) continue;
-            if (weatherDependentOnly && !product.weatherDependent) continue;
-
-            // Search term filter
-            if (bytes(searchTerm).length > 0 &&
-                !_stringContains(product.name, searchTerm) &&
-                !_stringContains(product.category, searchTerm) &&
-                !_stringContains(product.originLocation, searchTerm)) continue;
+            if (!_matchesSearch(products[i], searchTerm, category, tradingMode, weatherDependentOnly)) continue;
 
             results[count] = i;
             count++;
@@ -355,6 +361,59 @@ contract Registry is AccessControl {
         return searchResults;
     }
 
+    /**
+     * @dev Page through searchProducts results without its 100 result cap,
+     * scanning `limit` product IDs from `cursor` (see Pagination)
+     */
+    function searchProductsPage(
+        string memory searchTerm,
+        string memory category,
+        ProductBatch.TradingMode tradingMode,
+        bool weatherDependentOnly,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (uint256[] memory productIds, uint256 nextCursor) {
+        // Product IDs start at 1
+        if (cursor == 0) cursor = 1;
+        uint256 end;
+        (end, nextCursor) = Pagination.pageEnd(cursor, limit, nextProductId);
+        uint256[] memory results = new uint256[](end - cursor);
+        uint256 count = 0;
+
+        for (uint256 i = cursor; i < end; i++) {
+            if (!_matchesSearch(products[i], searchTerm, category, tradingMode, weatherDependentOnly)) continue;
+
+            results[count] = i;
+            count++;
+        }
+
+        productIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            productIds[i] = results[i];
+        }
+    }
+
+    function _matchesSearch(
+        ProductRecord storage product,
+        string memory searchTerm,
+        string memory category,
+        ProductBatch.TradingMode tradingMode,
+        bool weatherDependentOnly
+    ) internal view returns (bool) {
+        if (!product.isAvailable) return false;
+
+        // Apply filters
+        if (bytes(category).length > 0 && !_stringEquals(product.category, category)) return false;
+        if (product.tradingMode != tradingMode && tradingMode != ProductBatch.TradingMode.SPOT_MARKET) return false;
+        if (weatherDependentOnly && !product.weatherDependent) return false;
+
+        // Search term filter
+        return bytes(searchTerm).length == 0 ||
+            _stringContains(product.name, searchTerm) ||
+            _stringContains(product.category, searchTerm) ||
+            _stringContains(product.originLocation, searchTerm);
+    }
+
     // ====================================================================
     // COMPATIBILITY FUNCTIONS (Now that enhanced versions are declared)
     // ====================================================================
@@ -3,6 +3,8 @@ pragma solidity ^0.8.19;
 
 import "../access/AccessControl.sol";
 import "./ProductBatch.sol";
+import "./PaymentEscrow.sol";
+import "./ContractFarming.sol";
 
 contract ShipmentTracker is AccessControl {
 
@@ -41,9 +43,15 @@ contract ShipmentTracker is AccessControl {
     mapping(address => uint256[]) public userShipments;   // user => shipmentIds[]
     mapping(string => uint256) public trackingIdToShipment; // trackingId => shipmentId
 
-    uint256 public nextShipmentId = 1;
+    uint256 public nextShipmentId;
     ProductBatch public productBatch;
 
+    // Releases offer payments on confirmed delivery (zero address = no escrow)
+    PaymentEscrow public paymentEscrow;
+
+    // Records deliveries of contract farming harvests (zero address = none)
+    ContractFarming public contractFarming;
+
     // Events
     event ShipmentCreated(uint256 indexed shipmentId, uint256 indexed batchId, address indexed receiver);
     event ShipmentPickedUp(uint256 indexed shipmentId, address indexed shipper);
@@ -52,9 +60,37 @@ contract ShipmentTracker is AccessControl {
     event DeliveryConfirmed(uint256 indexed shipmentId, address indexed receiver);
     event LocationUpdated(uint256 indexed shipmentId, string location, uint256 timestamp);
 
+    /// @custom:oz-upgrades-unsafe-allow constructor
     constructor(address _productBatch) {
+        _initializeShipmentTracker(_productBatch);
+    }
+
+    /**
+     * @dev Initialize a proxy deployment (the constructor sets up direct deployments).
+     */
+    function initialize(address _productBatch) external initializer {
+        _initializeAccessControl(msg.sender);
+        _initializeShipmentTracker(_productBatch);
+    }
+
+    function _initializeShipmentTracker(address _productBatch) internal {
         require(_productBatch != address(0), "Invalid ProductBatch address");
         productBatch = ProductBatch(_productBatch);
+        nextShipmentId = 1;
+    }
+
+    /**
+     * @dev Set the escrow paid out when a delivery is confirmed
+     */
+    function setPaymentEscrow(address _paymentEscrow) external onlyAdmin {
+        paymentEscrow = PaymentEscrow(_paymentEscrow);
+    }
+
+    /**
+     * @dev Set the contract farming agreements whose harvests are delivered here
+     */
+    function setContractFarming(address _contractFarming) external onlyAdmin {
+        contractFarming = ContractFarming(_contractFarming);
     }
 
     /**
@@ -196,8 +232,20 @@ contract ShipmentTracker is AccessControl {
         shipment.status = ShipmentStatus.CONFIRMED;
         shipment.confirmedAt = block.timestamp;
 
-        // Transfer batch ownership
-        //productBatch.transferOwnership(shipment.batchId, msg.sender);
+        // Hand the batch sold by the offer this shipment delivers to its receiver
+        if (shipment.offerId != 0) {
+            productBatch.deliverBatch(shipment.batchId, msg.sender);
+        }
+
+        // Pay the seller of the offer this shipment delivers
+        if (address(paymentEscrow) != address(0) && shipment.offerId != 0) {
+            paymentEscrow.releaseOnDelivery(shipment.offerId, shipment.batchId, msg.sender);
+        }
+
+        // Or record the delivery of a contract farming harvest, settled in ContractFarming
+        if (address(contractFarming) != address(0) && shipment.offerId != 0) {
+            contractFarming.recordDelivery(shipment.offerId, shipment.batchId, msg.sender);
+        }
 
         emit DeliveryConfirmed(shipmentId, msg.sender);
     }
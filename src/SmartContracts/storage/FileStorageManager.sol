@@ -2,6 +2,7 @@
 pragma solidity ^0.8.19;
 
 import "../access/AccessControl.sol";
+import "../utils/Pagination.sol";
 
 /**
  * @title FileStorageManager
@@ -265,7 +266,7 @@ contract FileStorageManager is AccessControl {
         uint256 count = 0;
 
         for (uint256 i = 1; i < nextRequestId; i++) {
-            if (uploadRequests[i].requestId != 0 && !uploadRequests[i].isCompleted) {
+            if (_isPendingUploadRequest(i)) {
                 result[count] = i;
                 count++;
             }
@@ -280,6 +281,37 @@ contract FileStorageManager is AccessControl {
         return pendingRequests;
     }
 
+    /**
+     * @dev Page through pending upload requests, scanning `limit` request IDs
+     * from `cursor` (see Pagination)
+     */
+    function getPendingUploadRequestsPage(uint256 cursor, uint256 limit) external view returns (uint256[] memory requestIds, uint256 nextCursor) {
+        // Request IDs start at 1
+        if (cursor == 0) cursor = 1;
+        uint256 end;
+        (end, nextCursor) = Pagination.pageEnd(cursor, limit, nextRequestId);
+        uint256 count = 0;
+
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isPendingUploadRequest(i)) {
+                count++;
+            }
+        }
+
+        requestIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isPendingUploadRequest(i)) {
+                requestIds[index] = i;
+                index++;
+            }
+        }
+    }
+
+    function _isPendingUploadRequest(uint256 requestId) internal view returns (bool) {
+        return uploadRequests[requestId].requestId != 0 && !uploadRequests[requestId].isCompleted;
+    }
+
     /**
      * @dev Search files by tags
      */
@@ -413,7 +445,7 @@ contract FileStorageManager is AccessControl {
 
         // Count pending requests
         for (uint256 i = 1; i < nextRequestId; i++) {
-            if (uploadRequests[i].requestId != 0 && !uploadRequests[i].isCompleted) {
+            if (_isPendingUploadRequest(i)) {
                 pendingRequests++;
             }
         }
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../core/ProductBatch.sol";
+
+/**
+ * @title ProductBatchV2
+ * @dev ProductBatch upgrade used in tests: appends new state after the existing layout
+ */
+contract ProductBatchV2 is ProductBatch {
+    mapping(uint256 => string) public batchNotes;
+
+    function setBatchNote(uint256 batchId, string calldata note) external onlyAdmin {
+        batchNotes[batchId] = note;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Pagination
+ * @dev Cursor paging for listing views (the *Page functions). A page scans at
+ * most `limit` entries of a listing from `cursor` (0 to start) and returns the
+ * cursor of the next page, which is 0 after the last. Filtered listings can
+ * return fewer than `limit` results per page, or none, so a call's gas is
+ * bounded by the page size rather than the size of the listing.
+ */
+library Pagination {
+    /**
+     * @dev End (exclusive) of the page of `limit` entries from `cursor` in a
+     * listing of `length` entries, and the cursor of the next page
+     */
+    function pageEnd(
+        uint256 cursor,
+        uint256 limit,
+        uint256 length
+    ) internal pure returns (uint256 end, uint256 nextCursor) {
+        if (cursor >= length) return (cursor, 0);
+        end = limit < length - cursor ? cursor + limit : length;
+        nextCursor = end < length ? end : 0;
+    }
+}
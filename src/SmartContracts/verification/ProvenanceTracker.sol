@@ -45,6 +45,13 @@ contract ProvenanceTracker is AccessControl {
     );
     event ProvenanceChainFinalized(uint256 indexed batchId, bytes32 rootHash);
 
+    /**
+     * @dev Initialize a proxy deployment (the constructor sets up direct deployments).
+     */
+    function initialize() external initializer {
+        _initializeAccessControl(msg.sender);
+    }
+
     /**
      * @dev Add a new provenance record
      */
@@ -4,12 +4,13 @@ pragma solidity ^0.8.19;
 import "./QRCodeVerifier.sol";
 import "./ProvenanceTracker.sol";
 import "../core/Registry.sol";
+import "../access/Initializable.sol";
 
 /**
  * @title PublicVerification
  * @dev Public interface for consumers to verify products without authentication
  */
-contract PublicVerification {
+contract PublicVerification is Initializable {
 
     struct PublicProductInfo {
         string productName;
@@ -60,11 +61,31 @@ contract PublicVerification {
     event ProductVerification(string indexed qrCode, address indexed verifier, bool isValid);
     event StatsUpdated(uint256 totalVerifications, uint256 totalProducts, uint256 dailyCount);
 
+    /// @custom:oz-upgrades-unsafe-allow constructor
     constructor(
         address _qrVerifier,
         address _provenanceTracker,
         address _registry
     ) {
+        _initializePublicVerification(_qrVerifier, _provenanceTracker, _registry);
+    }
+
+    /**
+     * @dev Initialize a proxy deployment (the constructor sets up direct deployments).
+     */
+    function initialize(
+        address _qrVerifier,
+        address _provenanceTracker,
+        address _registry
+    ) external initializer {
+        _initializePublicVerification(_qrVerifier, _provenanceTracker, _registry);
+    }
+
+    function _initializePublicVerification(
+        address _qrVerifier,
+        address _provenanceTracker,
+        address _registry
+    ) internal {
         qrVerifier = QRCodeVerifier(_qrVerifier);
         provenanceTracker = ProvenanceTracker(_provenanceTracker);
         registry = Registry(_registry);
@@ -54,11 +54,32 @@ contract QRCodeVerifier is AccessControl {
     event QRCodeVerified(string indexed qrCode, address indexed verifier, bool isValid);
     event QRCodeDeactivated(string indexed qrCode, uint256 indexed batchId);
 
+    /// @custom:oz-upgrades-unsafe-allow constructor
     constructor(
         address _provenanceTracker,
         address _productBatch,
         address _registry
     ) {
+        _initializeQRCodeVerifier(_provenanceTracker, _productBatch, _registry);
+    }
+
+    /**
+     * @dev Initialize a proxy deployment (the constructor sets up direct deployments).
+     */
+    function initialize(
+        address _provenanceTracker,
+        address _productBatch,
+        address _registry
+    ) external initializer {
+        _initializeAccessControl(msg.sender);
+        _initializeQRCodeVerifier(_provenanceTracker, _productBatch, _registry);
+    }
+
+    function _initializeQRCodeVerifier(
+        address _provenanceTracker,
+        address _productBatch,
+        address _registry
+    ) internal {
         provenanceTracker = ProvenanceTracker(_provenanceTracker);
         productBatch = ProductBatch(_productBatch);
         registry = Registry(_registry);
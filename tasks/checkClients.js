@@ -0,0 +1,65 @@
+const path = require("path")
+const { task } = require("hardhat/config")
+const { checkPortalClients } = require("../utils/contractClients")
+const { loadManifest, abiHash } = require("../utils/deploymentManifest")
+
+/**
+ * Fail when a portal calls a function its contract lacks
+ * Usage:
+ *   npx hardhat check-clients                       # against the artifacts
+ *   npx hardhat check-clients --network polygon     # and the deployed ABIs
+ */
+task(
+    "check-clients",
+    "Check the portals' contract calls against the artifacts and deployed ABIs"
+).setAction(async (args, hre) => {
+    await hre.run("compile", { quiet: true })
+
+    const abis = {}
+    for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+        const artifact = await hre.artifacts.readArtifact(name)
+        abis[artifact.contractName] = artifact.abi
+    }
+
+    const { contracts, calls, problems, untyped } = checkPortalClients(abis)
+    const where = ({ file, line }) =>
+        `${path.relative(hre.config.paths.root, file)}:${line}`
+
+    for (const contract of untyped) {
+        console.warn(
+            `WARNING: ${where(contract)} uses a hand-written ABI, not checked`
+        )
+    }
+    const errors = problems.map(
+        (problem) => `${where(problem)} ${problem.problem}`
+    )
+
+    // The clients are generated from the artifacts, so the deployed
+    // contracts must have been deployed from the same ABIs
+    if (hre.network.name !== "hardhat") {
+        const manifest = loadManifest(hre.network.name)
+        for (const name of [...contracts].sort()) {
+            const deployed = manifest.contracts[name]
+            if (!deployed) {
+                errors.push(`${name} is not deployed on ${manifest.network}`)
+            } else if (!deployed.abiHash) {
+                console.warn(
+                    `WARNING: ${name} on ${manifest.network} has no ABI hash, redeploy to check it`
+                )
+            } else if (abis[name] && deployed.abiHash !== abiHash(abis[name])) {
+                errors.push(
+                    `${name} on ${manifest.network} was deployed from a different ABI than the portal clients`
+                )
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        errors.forEach((error) => console.error(error))
+        throw new Error(`${errors.length} portal contract client problem(s)`)
+    }
+
+    console.log(
+        `Checked ${calls} portal calls to ${contracts.size} contracts on ${hre.network.name}`
+    )
+})
@@ -0,0 +1,49 @@
+const path = require("path")
+const { task } = require("hardhat/config")
+const {
+    BASELINE_PATH,
+    runGasBenchmark,
+    checkGasBudget,
+    updateGasBaseline,
+    loadGasBaseline,
+    writeGasBaseline,
+    formatGasReport,
+} = require("../utils/gasBudget")
+
+/**
+ * Measure contract sizes and lifecycle gas against benchmarks/gas-baseline.json
+ * Usage:
+ *   npx hardhat gas-budget            # fail on a contract over 24KB or a call over budget
+ *   npx hardhat gas-budget --update   # record new baselines (keeps existing budgets)
+ */
+task(
+    "gas-budget",
+    "Check contract sizes and lifecycle gas against the committed baseline"
+)
+    .addFlag("update", "Write the measurements to benchmarks/gas-baseline.json")
+    .setAction(async (args, hre) => {
+        const baseline = loadGasBaseline()
+        const measured = await runGasBenchmark(hre)
+        let result = checkGasBudget(measured, baseline)
+
+        // Report changes against the committed baseline, then check the
+        // updated one: budgets are kept, so calls over budget still fail
+        console.log(formatGasReport(result))
+        if (args.update) {
+            const updated = updateGasBaseline(measured, baseline)
+            writeGasBaseline(updated)
+            console.log(
+                `\nUpdated ${path.relative(
+                    hre.config.paths.root,
+                    BASELINE_PATH
+                )}`
+            )
+            result = checkGasBudget(measured, updated)
+        }
+
+        if (result.problems.length > 0) {
+            throw new Error(
+                `${result.problems.length} gas or contract size budget problem(s)`
+            )
+        }
+    })
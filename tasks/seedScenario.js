@@ -0,0 +1,73 @@
+const { task } = require("hardhat/config")
+const {
+    listSeedScenarios,
+    loadSeedScenario,
+    seedScenario,
+} = require("../services/scenarioSeeder")
+const { loadManifest, getAddress } = require("../utils/deploymentManifest")
+
+const SEEDED_CONTRACTS = [
+    "StakeholderManager",
+    "ProductBatch",
+    "OfferManager",
+    "ShipmentTracker",
+    "Registry",
+    "WeatherOracle",
+    "ContractFarming",
+]
+
+/**
+ * Populate a freshly deployed chain with demo/QA data from a scenario file
+ * Usage:
+ *   npx hardhat seed-scenario --network localhost
+ *   npx hardhat seed-scenario --scenario qa-smoke --network localhost
+ *   npx hardhat seed-scenario --scenario ./my-scenario.yaml --network localhost
+ */
+task(
+    "seed-scenario",
+    "Seed stakeholders, weather, batches, offers, shipments and purchases from a scenario file"
+)
+    .addOptionalParam(
+        "scenario",
+        `Scenario in services/seedScenarios (${listSeedScenarios().join(
+            ", "
+        )}) or path to a YAML/JSON file`,
+        "demo"
+    )
+    .setAction(async (args, hre) => {
+        const scenario = loadSeedScenario(args.scenario)
+        const manifest = loadManifest(hre.network.name)
+
+        const contracts = {}
+        for (const name of SEEDED_CONTRACTS) {
+            contracts[name] = await hre.ethers.getContractAt(
+                name,
+                getAddress(manifest, name)
+            )
+        }
+
+        console.log(
+            `Seeding "${scenario.name || args.scenario}" on ${
+                hre.network.name
+            }...`
+        )
+        const seeded = await seedScenario({
+            contracts,
+            signers: await hre.ethers.getSigners(),
+            scenario,
+        })
+
+        console.log("\nSeeded:")
+        console.table(
+            Object.entries(seeded.stakeholders).map(([key, address]) => ({
+                stakeholder: key,
+                role: scenario.stakeholders[key].role,
+                address,
+            }))
+        )
+        console.log(`Weather rounds: ${seeded.weatherRounds}`)
+        console.log(`Batches:   ${JSON.stringify(seeded.batches)}`)
+        console.log(`Offers:    ${JSON.stringify(seeded.offers)}`)
+        console.log(`Shipments: ${JSON.stringify(seeded.shipments)}`)
+        console.log(`Purchases: ${JSON.stringify(seeded.purchases)}`)
+    })
@@ -0,0 +1,32 @@
+const { task } = require("hardhat/config")
+const {
+    FAIL,
+    checkDeployment,
+    formatReport,
+} = require("../utils/deploymentChecks")
+
+/**
+ * Check a deployment after `npx hardhat deploy`: contract code, ProductBatch
+ * feeds, cross-contract references, admin roles and explorer verification
+ * Usage:
+ *   npx hardhat verify-deployment --network localhost
+ *   npx hardhat verify-deployment --network polygon
+ *   npx hardhat verify-deployment --skip-explorer --network polygon
+ */
+task(
+    "verify-deployment",
+    "Check every deployed contract's wiring, admin roles and explorer verification"
+)
+    .addFlag("skipExplorer", "Skip the block explorer verification checks")
+    .setAction(async (args, hre) => {
+        const options = args.skipExplorer ? { explorer: null } : {}
+        const results = await checkDeployment(hre, options)
+
+        console.log(`Deployment checks on ${hre.network.name}:\n`)
+        console.log(formatReport(results))
+
+        const failed = results.filter(({ status }) => status === FAIL).length
+        if (failed > 0) {
+            throw new Error(`${failed} deployment check(s) failed`)
+        }
+    })
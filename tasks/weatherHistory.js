@@ -0,0 +1,90 @@
+const fs = require("fs")
+const { task, types } = require("hardhat/config")
+const {
+    getOracleHistory,
+    getFeedHistory,
+    toCSV,
+    METRICS,
+    ORACLE_COLUMNS,
+    FEED_COLUMNS,
+} = require("../services/weatherHistory")
+const { loadManifest, getAddress } = require("../utils/deploymentManifest")
+
+/**
+ * Browse weather round history and export it as CSV
+ * Usage:
+ *   npx hardhat weather-history --network localhost
+ *   npx hardhat weather-history --region Sydney --limit 200 --out sydney.csv --network localhost
+ *   npx hardhat weather-history --feeds --network localhost
+ */
+task("weather-history", "Print and export weather round history")
+    .addOptionalParam(
+        "region",
+        'Region to read ("global" for the global reading, default: every region)'
+    )
+    .addFlag(
+        "feeds",
+        "Read the global UpdatableWeatherFeed contracts instead of the WeatherOracle"
+    )
+    .addOptionalParam("fromRound", "First round", undefined, types.int)
+    .addOptionalParam("toRound", "Last round", undefined, types.int)
+    .addOptionalParam(
+        "limit",
+        "Keep only the newest rounds (per region or feed)",
+        50,
+        types.int
+    )
+    .addOptionalParam("out", "Write the rows to this CSV file")
+    .setAction(async (args, hre) => {
+        const range = {
+            fromRound: args.fromRound,
+            toRound: args.toRound,
+            limit: args.limit,
+        }
+
+        const manifest = loadManifest(hre.network.name)
+
+        let rows, columns
+        if (args.feeds) {
+            const productBatch = await hre.ethers.getContractAt(
+                "ProductBatch",
+                getAddress(manifest, "ProductBatch")
+            )
+            const feeds = {}
+            for (const metric of METRICS) {
+                feeds[metric] = await hre.ethers.getContractAt(
+                    "UpdatableWeatherFeed",
+                    await productBatch[`${metric}Feed`]()
+                )
+            }
+
+            rows = await getFeedHistory(feeds, range)
+            columns = FEED_COLUMNS
+        } else {
+            const oracle = await hre.ethers.getContractAt(
+                "WeatherOracle",
+                getAddress(manifest, "WeatherOracle")
+            )
+            const regions = args.region
+                ? [args.region === "global" ? "" : args.region]
+                : await oracle.getRegions()
+
+            rows = []
+            for (const region of regions) {
+                rows.push(...(await getOracleHistory(oracle, region, range)))
+            }
+            columns = ORACLE_COLUMNS
+        }
+
+        if (rows.length === 0) {
+            console.log("No weather rounds found")
+            return
+        }
+
+        console.table(rows, columns)
+
+        if (args.out) {
+            fs.writeFileSync(args.out, toCSV(rows, columns) + "\n")
+            console.log(`Wrote ${rows.length} rows to ${args.out}`)
+        }
+    })
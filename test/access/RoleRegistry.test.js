@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Shared role registry", function () {
+    let stakeholderManager, productBatch, offerManager;
+    let owner, farmer, processor, user1;
+
+    const ROLE = { NONE: 0, FARMER: 1, PROCESSOR: 2, DISTRIBUTOR: 3, SHIPPER: 4, RETAILER: 5, ADMIN: 6 };
+    const TRADING_MODE = { SPOT_MARKET: 0 };
+
+    const register = (account, role, name) => stakeholderManager.connect(owner).registerStakeholder(
+        account.address, role, name, `LIC-${name}`, "Sydney", "Organic"
+    );
+
+    const createBatch = () => productBatch.connect(farmer).createBatch(
+        "Wheat", "Description", 100, ethers.parseEther("0.01"), "Sydney", "QmHash",
+        TRADING_MODE.SPOT_MARKET, [], false
+    );
+
+    beforeEach(async function () {
+        [owner, farmer, processor, user1] = await ethers.getSigners();
+
+        const StakeholderManager = await ethers.getContractFactory("StakeholderManager");
+        stakeholderManager = await StakeholderManager.deploy();
+        await stakeholderManager.waitForDeployment();
+        const registryAddress = await stakeholderManager.getAddress();
+
+        const ProductBatch = await ethers.getContractFactory("ProductBatch");
+        productBatch = await ProductBatch.deploy();
+        await productBatch.waitForDeployment();
+
+        const OfferManager = await ethers.getContractFactory("OfferManager");
+        offerManager = await OfferManager.deploy(await productBatch.getAddress());
+        await offerManager.waitForDeployment();
+
+        for (const contract of [productBatch, offerManager]) {
+            await contract.connect(owner).setRoleRegistry(registryAddress);
+        }
+    });
+
+    describe("Configuration", function () {
+        it("Should let the owner set the registry", async function () {
+            const registryAddress = await stakeholderManager.getAddress();
+            expect(await productBatch.roleRegistry()).to.equal(registryAddress);
+            await expect(productBatch.connect(owner).setRoleRegistry(registryAddress))
+                .to.emit(productBatch, "RoleRegistryUpdated")
+                .withArgs(registryAddress);
+        });
+
+        it("Should reject a registry set by anyone else or pointing at itself", async function () {
+            await expect(productBatch.connect(user1).setRoleRegistry(user1.address))
+                .to.be.revertedWith("AccessControl: caller is not owner");
+            await expect(productBatch.connect(owner).setRoleRegistry(await productBatch.getAddress()))
+                .to.be.revertedWith("AccessControl: cannot use self as registry");
+        });
+
+        it("Should switch back to local roles when the registry is cleared", async function () {
+            await register(farmer, ROLE.FARMER, "Farm");
+            await productBatch.connect(owner).setRoleRegistry(ethers.ZeroAddress);
+
+            expect(await productBatch.getRole(farmer.address)).to.equal(ROLE.NONE);
+            await productBatch.connect(owner).grantRole(farmer.address, ROLE.FARMER);
+            expect(await productBatch.hasRole(farmer.address, ROLE.FARMER)).to.equal(true);
+        });
+    });
+
+    describe("Role checks", function () {
+        it("Should recognise a stakeholder registered once in every contract", async function () {
+            await register(farmer, ROLE.FARMER, "Farm");
+            await register(processor, ROLE.PROCESSOR, "Mill");
+
+            for (const contract of [productBatch, offerManager]) {
+                expect(await contract.hasRole(farmer.address, ROLE.FARMER)).to.equal(true);
+                expect(await contract.getRole(processor.address)).to.equal(ROLE.PROCESSOR);
+                expect(await contract.isActive(processor.address)).to.equal(true);
+                expect(await contract.isAuthorizedToTrade(farmer.address, processor.address)).to.equal(true);
+                expect(await contract.isAdmin(owner.address)).to.equal(true);
+            }
+
+            await createBatch();
+            await productBatch.connect(farmer).listForSale(1, ethers.parseEther("0.012"), TRADING_MODE.SPOT_MARKET);
+            await expect(offerManager.connect(processor).createBuyOffer(
+                1, ethers.parseEther("0.012"), 100, "Terms", 86400, farmer.address
+            )).to.emit(offerManager, "OfferCreated");
+        });
+
+        it("Should recognise a stakeholder approved through a registration request", async function () {
+            await stakeholderManager.connect(farmer).submitRegistrationRequest(
+                ROLE.FARMER, "Farm", "LIC-1", "Sydney", "Organic", "Wheat grower", "farm@example.com"
+            );
+            await expect(createBatch()).to.be.revertedWith("AccessControl: account not active");
+
+            await stakeholderManager.connect(owner).approveRegistrationRequest(1, "Approved");
+            await expect(createBatch()).to.emit(productBatch, "BatchCreated");
+        });
+
+        it("Should apply a deactivation in the registry everywhere", async function () {
+            await register(farmer, ROLE.FARMER, "Farm");
+            await stakeholderManager.connect(owner).deactivateStakeholder(farmer.address);
+
+            expect(await productBatch.getRoleStatus(farmer.address)).to.deep.equal([ROLE.NONE, false]);
+            expect(await offerManager.isActive(farmer.address)).to.equal(false);
+            await expect(createBatch()).to.be.revertedWith("AccessControl: account not active");
+        });
+
+        it("Should use registry admins for admin-only functions", async function () {
+            await expect(productBatch.connect(user1).setPriceFeed(user1.address))
+                .to.be.revertedWith("AccessControl: admin role required");
+
+            await stakeholderManager.connect(owner).grantRole(user1.address, ROLE.ADMIN);
+            await productBatch.connect(user1).setPriceFeed(user1.address);
+        });
+
+        it("Should refuse local role changes while the registry is set", async function () {
+            await register(farmer, ROLE.FARMER, "Farm");
+            const message = "AccessControl: roles managed by role registry";
+
+            await expect(productBatch.connect(owner).grantRole(user1.address, ROLE.FARMER)).to.be.revertedWith(message);
+            await expect(productBatch.connect(owner).revokeRole(farmer.address)).to.be.revertedWith(message);
+            await expect(productBatch.connect(owner).activateAccount(user1.address)).to.be.revertedWith(message);
+            await expect(productBatch.connect(owner).deactivateAccount(farmer.address)).to.be.revertedWith(message);
+            await expect(productBatch.connect(owner).reactivateAccount(farmer.address)).to.be.revertedWith(message);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    countArguments, findContractCalls, findPropertyBindings, checkCall, checkPortalClients
+} = require("../../utils/contractClients");
+
+describe("Portal contract clients", function () {
+    let abis;
+
+    const IMPORTS = 'import { OfferManager, ProductBatch__factory, OfferManager__factory } from "@agri-supply-chain/contracts";\n';
+
+    const problemsIn = (source) =>
+        findContractCalls(source).map((call) => checkCall(call, abis[call.contract])).filter(Boolean);
+
+    before(async function () {
+        abis = {};
+        for (const name of ["ProductBatch", "OfferManager"]) {
+            abis[name] = (await artifacts.readArtifact(name)).abi;
+        }
+    });
+
+    it("Should count top-level call arguments", function () {
+        const source = 'f(a, g(b, c), { value: 1 }, "x,y", [1, 2])';
+        expect(countArguments(source, 1)).to.equal(5);
+        expect(countArguments("f()", 1)).to.equal(0);
+        expect(countArguments("f(\n  a,\n  b\n)", 1)).to.equal(2);
+    });
+
+    it("Should resolve calls to the nearest factory binding or typed parameter", function () {
+        const source = IMPORTS + `
+            const contract = ProductBatch__factory.connect(address, signer);
+            await contract.getBatchInfo(1);
+            const loadOffers = async (contract: OfferManager) => {
+                await contract.getOfferInfo(1);
+                await contract.acceptOffer.staticCall(1);
+                contract.filters.OfferAccepted();
+                await contract.getAddress();
+            };
+        `;
+
+        expect(findContractCalls(source).map(({ contract, member, kind }) => [contract, member, kind])).to.deep.equal([
+            ["ProductBatch", "getBatchInfo", "function"],
+            ["OfferManager", "getOfferInfo", "function"],
+            ["OfferManager", "acceptOffer", "function"],
+            ["OfferManager", "OfferAccepted", "event"]
+        ]);
+        expect(problemsIn(source)).to.deep.equal([]);
+    });
+
+    it("Should report missing functions, events and wrong argument counts", function () {
+        const source = IMPORTS + `
+            const productBatch = ProductBatch__factory.connect(address, signer);
+            await productBatch.batchExists(1);
+            await productBatch.listForSale(1, price);
+            await productBatch.listForSale(1, price, 0, { gasLimit: 100000 });
+            productBatch.filters.BatchDeleted();
+        `;
+
+        expect(problemsIn(source)).to.deep.equal([
+            "ProductBatch has no function batchExists",
+            "ProductBatch.listForSale takes 3 arguments, called with 2",
+            "ProductBatch has no event BatchDeleted"
+        ]);
+    });
+
+    it("Should require signatures for overloaded functions", function () {
+        const source = IMPORTS + `
+            const productBatch = ProductBatch__factory.connect(address, signer);
+            await productBatch.transferOwnership(1, buyer);
+            await productBatch["transferOwnership(uint256,address)"](1, buyer);
+            await productBatch["transferOwnership(uint256)"](1);
+        `;
+
+        expect(problemsIn(source)).to.deep.equal([
+            'ProductBatch.transferOwnership is overloaded, call it by signature ("transferOwnership(uint256,address)" or "transferOwnership(address)")',
+            "ProductBatch has no function transferOwnership(uint256)"
+        ]);
+    });
+
+    it("Should follow clients created in a shared hook", function () {
+        const hook = IMPORTS + "contractInstances.productBatch = ProductBatch__factory.connect(address, signer);";
+        const page = "await contracts?.productBatch?.getRetailerProductsPage(0, 20);\nawait contracts.productBatch.batchCount();";
+
+        const bindings = findPropertyBindings([hook, page]);
+        expect(bindings).to.deep.equal({ productBatch: "ProductBatch" });
+
+        const problems = findContractCalls(page, bindings).map((call) => checkCall(call, abis[call.contract]));
+        expect(problems).to.deep.equal([null, "ProductBatch has no function batchCount"]);
+    });
+
+    it("Should check a portal's source tree", function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "portal-"));
+        try {
+            fs.mkdirSync(path.join(dir, "pages"));
+            fs.writeFileSync(path.join(dir, "pages", "Farmer.tsx"), IMPORTS + `
+                const offerManager = OfferManager__factory.connect(address, signer);
+                await offerManager.getOffersByBatch(1);
+            `);
+            fs.writeFileSync(path.join(dir, "Legacy.tsx"), "const c = new ethers.Contract(address, abi, signer);");
+
+            const { contracts, calls, problems, untyped } = checkPortalClients(abis, [dir]);
+
+            expect([...contracts]).to.deep.equal(["OfferManager"]);
+            expect(calls).to.equal(1);
+            expect(problems).to.deep.equal([{
+                file: path.join(dir, "pages", "Farmer.tsx"),
+                line: 4,
+                problem: "OfferManager has no function getOffersByBatch"
+            }]);
+            expect(untyped).to.deep.equal([{ file: path.join(dir, "Legacy.tsx"), line: 1 }]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
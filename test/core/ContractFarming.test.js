@@ -0,0 +1,347 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("ContractFarming", function () {
+    let productBatch, offerManager, shipmentTracker, contractFarming;
+    let owner, farmer, processor, shipper, otherFarmer;
+
+    const ROLE = { FARMER: 1, PROCESSOR: 2, DISTRIBUTOR: 3, SHIPPER: 4, RETAILER: 5, ADMIN: 6 };
+    const OFFER_STATUS = { OPEN: 0, ACCEPTED: 1, EXPIRED: 2, CANCELLED: 3, COUNTERED: 4, FILLED: 5 };
+    const AGREEMENT = {
+        NONE: 0, FUNDED: 1, ACTIVE: 2, PLANTED: 3, HARVESTED: 4, DELIVERED: 5,
+        SETTLED: 6, REFUNDED: 7, DISPUTED: 8, RESOLVED: 9
+    };
+    const MILESTONE = { PLANTING: 0, GROWTH_CHECK: 1, HARVEST: 2 };
+    const BATCH_STATUS = { CREATED: 0, SOLD: 3, RECEIVED: 5 };
+    const TRADING_MODE = { SPOT_MARKET: 0, CONTRACT_FARMING: 1 };
+
+    const PRICE_PER_UNIT = ethers.parseEther("0.001");
+    const EXPECTED_QUANTITY = 1000;
+    const TOLERANCE_BPS = 500; // 950 to 1050 units
+    const MIN_PURITY = 90;
+    const MAX_MOISTURE = 14;
+    const DELIVERY_WINDOW = 90 * 24 * 3600;
+    const DEPOSIT = PRICE_PER_UNIT * 1050n;
+
+    let deadline;
+
+    const createContractOffer = () => offerManager.connect(processor).createContractOffer(
+        "Wheat", EXPECTED_QUANTITY, PRICE_PER_UNIT, "Plant by June", 3600, farmer.address
+    );
+
+    const fund = (offerId = 1) => contractFarming.connect(processor).fundAgreement(
+        offerId, TOLERANCE_BPS, MIN_PURITY, MAX_MOISTURE, deadline, { value: DEPOSIT }
+    );
+
+    const createBatch = (account, quantity, tradingMode = TRADING_MODE.CONTRACT_FARMING, name = "Wheat") =>
+        productBatch.connect(account).createBatch(
+            name, "Description", quantity, ethers.parseEther("0.5"), "Dubbo", "QmHash", tradingMode, [], false
+        );
+
+    // Funded, accepted and planted; the farmer's batch of `quantity` units is harvested as batch 1
+    const harvest = async (quantity) => {
+        await createContractOffer();
+        await fund();
+        await offerManager.connect(farmer).acceptOffer(1);
+        await contractFarming.connect(farmer).recordPlanting(1, "Sown 40ha");
+        await createBatch(farmer, quantity);
+        await contractFarming.connect(farmer).recordHarvest(1, 1, "QmHarvestReport");
+    };
+
+    // Farmer ships the harvested batch to the processor, who confirms the delivery
+    const deliver = async () => {
+        await shipmentTracker.connect(farmer).createShipment(
+            1, 1, processor.address, shipper.address, "TRACK-1", "Farm", "Mill", ""
+        );
+        await shipmentTracker.connect(shipper).pickupShipment(1);
+        await shipmentTracker.connect(shipper).markDelivered(1);
+        return shipmentTracker.connect(processor).confirmDelivery(1);
+    };
+
+    const checkQuality = (moisture, purity) =>
+        productBatch.connect(processor).checkQuality(1, "A", moisture, purity, false, "AgriCert");
+
+    beforeEach(async function () {
+        [owner, farmer, processor, shipper, otherFarmer] = await ethers.getSigners();
+
+        productBatch = await (await ethers.getContractFactory("ProductBatch")).deploy();
+        offerManager = await (await ethers.getContractFactory("OfferManager")).deploy(await productBatch.getAddress());
+        shipmentTracker = await (await ethers.getContractFactory("ShipmentTracker"))
+            .deploy(await productBatch.getAddress());
+        contractFarming = await (await ethers.getContractFactory("ContractFarming"))
+            .deploy(await offerManager.getAddress(), await shipmentTracker.getAddress());
+
+        for (const contract of [productBatch, offerManager, shipmentTracker]) {
+            await contract.grantRole(farmer.address, ROLE.FARMER);
+            await contract.grantRole(otherFarmer.address, ROLE.FARMER);
+            await contract.grantRole(processor.address, ROLE.PROCESSOR);
+            await contract.grantRole(shipper.address, ROLE.SHIPPER);
+        }
+        await productBatch.setOfferManager(await offerManager.getAddress());
+        await productBatch.setShipmentTracker(await shipmentTracker.getAddress());
+        await offerManager.setContractFarming(await contractFarming.getAddress());
+        await shipmentTracker.setContractFarming(await contractFarming.getAddress());
+
+        const block = await ethers.provider.getBlock("latest");
+        deadline = block.timestamp + DELIVERY_WINDOW;
+    });
+
+    describe("Funding", function () {
+        it("Should only let the farmer accept a funded contract offer", async function () {
+            await createContractOffer();
+            expect(await offerManager.contractCropTypes(1)).to.equal("Wheat");
+
+            await expect(offerManager.connect(farmer).acceptOffer(1)).to.be.revertedWith("Agreement not funded");
+
+            await expect(contractFarming.connect(farmer).fundAgreement(
+                1, TOLERANCE_BPS, MIN_PURITY, MAX_MOISTURE, deadline, { value: DEPOSIT }
+            )).to.be.revertedWith("Only creator can fund");
+            await expect(contractFarming.connect(processor).fundAgreement(
+                1, 10001, MIN_PURITY, MAX_MOISTURE, deadline, { value: DEPOSIT }
+            )).to.be.revertedWith("Invalid quantity tolerance");
+            await expect(contractFarming.connect(processor).fundAgreement(
+                1, TOLERANCE_BPS, MIN_PURITY, MAX_MOISTURE, 1, { value: DEPOSIT }
+            )).to.be.revertedWith("Deadline before offer expiry");
+            await expect(contractFarming.connect(processor).fundAgreement(
+                1, TOLERANCE_BPS, MIN_PURITY, MAX_MOISTURE, deadline, { value: DEPOSIT - 1n }
+            )).to.be.revertedWith("Incorrect payment amount");
+
+            const funding = fund();
+            await expect(funding).to.changeEtherBalances([processor, contractFarming], [-DEPOSIT, DEPOSIT]);
+            await expect(funding).to.emit(contractFarming, "AgreementFunded").withArgs(1, processor.address, DEPOSIT);
+            await expect(fund()).to.be.revertedWith("Agreement already funded");
+            expect(await contractFarming.getQuantityRange(1)).to.deep.equal([950n, 1050n]);
+
+            await expect(offerManager.connect(farmer).acceptOffer(1))
+                .to.emit(contractFarming, "AgreementAccepted").withArgs(1, farmer.address);
+            const agreement = await contractFarming.getAgreement(1);
+            expect(agreement.farmer).to.equal(farmer.address);
+            expect(agreement.status).to.equal(AGREEMENT.ACTIVE);
+            expect(await contractFarming.getUserAgreements(processor.address)).to.deep.equal([1n]);
+            expect(await contractFarming.getUserAgreements(farmer.address)).to.deep.equal([1n]);
+        });
+
+        it("Should only fund open contract offers", async function () {
+            await createBatch(farmer, 100, TRADING_MODE.SPOT_MARKET);
+            await offerManager.connect(processor).createBuyOffer(1, PRICE_PER_UNIT, 100, "Terms", 3600, farmer.address);
+            await expect(contractFarming.connect(processor).fundAgreement(
+                1, TOLERANCE_BPS, MIN_PURITY, MAX_MOISTURE, deadline, { value: DEPOSIT }
+            )).to.be.revertedWith("Not a contract offer");
+
+            await createContractOffer();
+            await offerManager.connect(processor).cancelOffer(2);
+            await expect(fund(2)).to.be.revertedWith("Offer not available");
+        });
+
+        it("Should not fund a contract offer that has expired", async function () {
+            await createContractOffer();
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine", []);
+
+            await expect(fund()).to.be.revertedWith("Offer expired");
+            expect((await contractFarming.getAgreement(1)).status).to.equal(AGREEMENT.NONE);
+        });
+
+        it("Should return the deposit when the offer is cancelled before acceptance", async function () {
+            await createContractOffer();
+            await fund();
+
+            const cancel = offerManager.connect(processor).cancelOffer(1);
+            await expect(cancel).to.changeEtherBalances([processor, contractFarming], [DEPOSIT, -DEPOSIT]);
+            await expect(cancel).to.emit(contractFarming, "AgreementRefunded").withArgs(1, processor.address, DEPOSIT);
+            expect((await contractFarming.getAgreement(1)).status).to.equal(AGREEMENT.REFUNDED);
+        });
+
+        it("Should only take calls from OfferManager and ShipmentTracker", async function () {
+            await expect(contractFarming.connect(farmer).acceptAgreement(1, farmer.address))
+                .to.be.revertedWith("Only OfferManager");
+            await expect(contractFarming.connect(processor).closeAgreement(1)).to.be.revertedWith("Only OfferManager");
+            await expect(contractFarming.connect(processor).recordDelivery(1, 1, processor.address))
+                .to.be.revertedWith("Only ShipmentTracker");
+            await expect(offerManager.connect(farmer).linkContractBatch(1, 1)).to.be.revertedWith("Only ContractFarming");
+        });
+    });
+
+    describe("Milestones", function () {
+        beforeEach(async function () {
+            await createContractOffer();
+            await fund();
+            await offerManager.connect(farmer).acceptOffer(1);
+        });
+
+        it("Should record planting, growth checks and the harvest in order", async function () {
+            await expect(contractFarming.connect(farmer).recordGrowthCheck(1, "Too early"))
+                .to.be.revertedWith("Crop not growing");
+            await expect(contractFarming.connect(processor).recordPlanting(1, "Sown"))
+                .to.be.revertedWith("Only farmer");
+            await expect(contractFarming.connect(farmer).recordPlanting(1, "Sown 40ha"))
+                .to.emit(contractFarming, "MilestoneRecorded")
+                .withArgs(1, MILESTONE.PLANTING, farmer.address, "Sown 40ha");
+            await expect(contractFarming.connect(farmer).recordPlanting(1, "Sown again"))
+                .to.be.revertedWith("Agreement not active");
+
+            await contractFarming.connect(processor).recordGrowthCheck(1, "Even emergence");
+            await contractFarming.connect(farmer).recordGrowthCheck(1, "Heading");
+            await expect(contractFarming.connect(shipper).recordGrowthCheck(1, "Looks good"))
+                .to.be.revertedWith("Only farmer or processor");
+
+            await createBatch(farmer, 1000);
+            await expect(contractFarming.connect(farmer).recordHarvest(1, 1, "QmHarvestReport"))
+                .to.emit(contractFarming, "HarvestLinked").withArgs(1, 1, 1000);
+
+            const milestones = await contractFarming.getMilestones(1);
+            expect(milestones.map((m) => m.milestoneType)).to.deep.equal([
+                BigInt(MILESTONE.PLANTING), BigInt(MILESTONE.GROWTH_CHECK),
+                BigInt(MILESTONE.GROWTH_CHECK), BigInt(MILESTONE.HARVEST)
+            ]);
+            expect(milestones[1].recordedBy).to.equal(processor.address);
+            expect(milestones[3].notes).to.equal("QmHarvestReport");
+        });
+
+        it("Should link the harvested batch to the contract offer", async function () {
+            await contractFarming.connect(farmer).recordPlanting(1, "Sown 40ha");
+            await createBatch(farmer, 1000);
+
+            await expect(contractFarming.connect(farmer).recordHarvest(1, 1, "Harvested"))
+                .to.emit(offerManager, "ContractBatchLinked").withArgs(1, 1);
+
+            expect((await offerManager.getOfferInfo(1)).batchId).to.equal(1);
+            expect(await offerManager.getOffersForBatch(1)).to.deep.equal([1n]);
+            expect(await contractFarming.batchAgreements(1)).to.equal(1);
+            // Sold to the processor, but the farmer keeps the batch to ship it
+            const batch = await productBatch.getBatchMarketInfo(1);
+            expect(batch.status).to.equal(BATCH_STATUS.SOLD);
+            expect(batch.owner).to.equal(farmer.address);
+            expect((await contractFarming.getAgreement(1)).status).to.equal(AGREEMENT.HARVESTED);
+        });
+
+        it("Should only link a contract farming batch the farmer grew since accepting", async function () {
+            await createBatch(farmer, 1000); // Batch 1, grown before the second contract
+            await createBatch(farmer, 1000, TRADING_MODE.SPOT_MARKET); // Batch 2
+            await createBatch(otherFarmer, 1000); // Batch 3
+            await createBatch(farmer, 1000, TRADING_MODE.CONTRACT_FARMING, "Barley"); // Batch 4
+
+            await createContractOffer();
+            await fund(2);
+            await offerManager.connect(farmer).acceptOffer(2);
+            await contractFarming.connect(farmer).recordPlanting(2, "Sown 40ha");
+
+            await expect(contractFarming.connect(otherFarmer).recordHarvest(2, 3, "Harvested"))
+                .to.be.revertedWith("Only farmer");
+            await expect(contractFarming.connect(farmer).recordHarvest(2, 3, "Harvested"))
+                .to.be.revertedWith("Not your batch");
+            await expect(contractFarming.connect(farmer).recordHarvest(2, 2, "Harvested"))
+                .to.be.revertedWith("Not a contract farming batch");
+            await expect(contractFarming.connect(farmer).recordHarvest(2, 1, "Harvested"))
+                .to.be.revertedWith("Batch created before the contract");
+            await expect(contractFarming.connect(farmer).recordHarvest(2, 4, "Harvested"))
+                .to.be.revertedWith("Batch is not the contracted crop");
+
+            await contractFarming.connect(farmer).recordPlanting(1, "Sown 40ha");
+            await contractFarming.connect(farmer).recordHarvest(1, 1, "Harvested");
+            await createBatch(farmer, 1000); // Batch 5
+            await expect(contractFarming.connect(farmer).recordHarvest(2, 1, "Harvested"))
+                .to.be.revertedWith("Batch already linked");
+            await contractFarming.connect(farmer).recordHarvest(2, 5, "Harvested");
+        });
+    });
+
+    describe("Settlement", function () {
+        it("Should pay the farmer per unit delivered and refund the rest", async function () {
+            await harvest(980);
+            await expect(contractFarming.connect(farmer).settle(1)).to.be.revertedWith("Batch not delivered");
+
+            await expect(deliver()).to.emit(contractFarming, "AgreementDelivered").withArgs(1, 1);
+            expect((await contractFarming.getAgreement(1)).status).to.equal(AGREEMENT.DELIVERED);
+            const batch = await productBatch.getBatchMarketInfo(1);
+            expect(batch.owner).to.equal(processor.address);
+            expect(batch.status).to.equal(BATCH_STATUS.RECEIVED);
+            await expect(contractFarming.connect(farmer).settle(1)).to.be.revertedWith("Quality not checked");
+
+            await checkQuality(12, 95);
+            await expect(contractFarming.connect(shipper).settle(1)).to.be.revertedWith("Only farmer or processor");
+
+            const farmerAmount = PRICE_PER_UNIT * 980n;
+            const settle = contractFarming.connect(farmer).settle(1);
+            await expect(settle).to.changeEtherBalances(
+                [farmer, processor, contractFarming], [farmerAmount, DEPOSIT - farmerAmount, -DEPOSIT]
+            );
+            await expect(settle).to.emit(contractFarming, "AgreementSettled")
+                .withArgs(1, 980, farmerAmount, DEPOSIT - farmerAmount);
+            expect((await contractFarming.getAgreement(1)).status).to.equal(AGREEMENT.SETTLED);
+            expect((await offerManager.getOfferInfo(1)).status).to.equal(OFFER_STATUS.ACCEPTED);
+            await expect(contractFarming.connect(farmer).settle(1)).to.be.revertedWith("Batch not delivered");
+        });
+
+        it("Should ignore confirmed shipments that aren't the contract's delivery", async function () {
+            await harvest(1000);
+            await shipmentTracker.connect(farmer).createShipment(
+                1, 1, shipper.address, shipper.address, "TRACK-1", "Farm", "Depot", ""
+            );
+            await shipmentTracker.connect(shipper).pickupShipment(1);
+            await shipmentTracker.connect(shipper).markDelivered(1);
+            await expect(shipmentTracker.connect(shipper).confirmDelivery(1))
+                .to.not.emit(contractFarming, "AgreementDelivered");
+            expect((await contractFarming.getAgreement(1)).status).to.equal(AGREEMENT.HARVESTED);
+        });
+
+        it("Should not settle a delivery outside the quantity tolerance", async function () {
+            await harvest(940);
+            await deliver();
+            await checkQuality(12, 95);
+
+            await expect(contractFarming.connect(farmer).settle(1)).to.be.revertedWith("Quantity outside tolerance");
+        });
+
+        it("Should not settle a delivery outside the quality tolerance", async function () {
+            await harvest(1000);
+            await deliver();
+
+            await checkQuality(16, 95);
+            await expect(contractFarming.connect(farmer).settle(1)).to.be.revertedWith("Quality outside tolerance");
+            await checkQuality(12, 85);
+            await expect(contractFarming.connect(farmer).settle(1)).to.be.revertedWith("Quality outside tolerance");
+        });
+    });
+
+    describe("Refunds and disputes", function () {
+        it("Should let the processor reclaim the deposit after the delivery deadline", async function () {
+            await harvest(1000);
+            await expect(contractFarming.connect(farmer).claimRefund(1))
+                .to.be.revertedWith("Only processor can claim refund");
+            await expect(contractFarming.connect(processor).claimRefund(1))
+                .to.be.revertedWith("Delivery deadline not reached");
+
+            await ethers.provider.send("evm_increaseTime", [DELIVERY_WINDOW]);
+            await expect(contractFarming.connect(processor).claimRefund(1))
+                .to.changeEtherBalances([processor, contractFarming], [DEPOSIT, -DEPOSIT]);
+            expect((await contractFarming.getAgreement(1)).status).to.equal(AGREEMENT.REFUNDED);
+            await expect(contractFarming.connect(processor).claimRefund(1))
+                .to.be.revertedWith("Agreement not refundable");
+        });
+
+        it("Should freeze a disputed agreement until an admin splits the deposit", async function () {
+            await harvest(940);
+            await deliver();
+
+            await expect(contractFarming.connect(shipper).raiseDispute(1, "Short"))
+                .to.be.revertedWith("Only farmer or processor");
+            await expect(contractFarming.connect(processor).raiseDispute(1, "60 units short"))
+                .to.emit(contractFarming, "AgreementDisputed").withArgs(1, processor.address, "60 units short");
+            await checkQuality(12, 95);
+            await expect(contractFarming.connect(farmer).settle(1)).to.be.revertedWith("Batch not delivered");
+
+            const farmerAmount = PRICE_PER_UNIT * 900n;
+            await expect(contractFarming.connect(farmer).resolveDispute(1, farmerAmount))
+                .to.be.revertedWith("AccessControl: admin role required");
+            await expect(contractFarming.resolveDispute(1, DEPOSIT + 1n)).to.be.revertedWith("Amount exceeds deposit");
+            const resolve = contractFarming.resolveDispute(1, farmerAmount);
+            await expect(resolve).to.changeEtherBalances([farmer, processor], [farmerAmount, DEPOSIT - farmerAmount]);
+            await expect(resolve).to.emit(contractFarming, "AgreementResolved")
+                .withArgs(1, farmerAmount, DEPOSIT - farmerAmount);
+            expect((await contractFarming.getAgreement(1)).status).to.equal(AGREEMENT.RESOLVED);
+            await expect(contractFarming.connect(farmer).raiseDispute(1, "Again"))
+                .to.be.revertedWith("Agreement not in progress");
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers, deployments } = hre;
+const {
+    PASS, FAIL, SKIP, checkDeployment, formatReport, isVerifiedOnExplorer
+} = require("../../utils/deploymentChecks");
+
+describe("Deployment checks", function () {
+    let deployer, other;
+
+    const failures = (results) => results.filter(({ status }) => status === FAIL);
+    const find = (results, contract, check) =>
+        results.find((result) => result.contract === contract && result.check === check);
+    const contract = async (name) => ethers.getContractAt(name, (await deployments.get(name)).address);
+
+    beforeEach(async function () {
+        [deployer, other] = await ethers.getSigners();
+        await deployments.fixture(["all"]);
+    });
+
+    it("Should pass every check on a fresh deployment", async function () {
+        const results = await checkDeployment(hre);
+
+        expect(failures(results)).to.deep.equal([]);
+        expect(find(results, "ProductBatch", "priceFeed").detail)
+            .to.contain((await deployments.get("MockV3Aggregator")).address);
+        expect(find(results, "QRCodeVerifier", "registry").status).to.equal(PASS);
+        expect(find(results, "OfferManager", "roleRegistry").status).to.equal(PASS);
+        expect(find(results, "StakeholderManager", "deployer admin").status).to.equal(PASS);
+        expect(find(results, "*", "explorer verification").status).to.equal(SKIP);
+    });
+
+    it("Should report wrong feeds, references and owners", async function () {
+        const productBatch = await contract("ProductBatch");
+        await productBatch.setPriceFeed(other.address);
+        await productBatch.setWeatherOracle(ethers.ZeroAddress);
+        await (await contract("OfferManager")).setRoleRegistry(ethers.ZeroAddress);
+        await (await contract("Registry")).transferOwnership(other.address);
+
+        const results = await checkDeployment(hre);
+
+        expect(failures(results).map(({ contract, check }) => `${contract}.${check}`)).to.have.members([
+            "ProductBatch.priceFeed",
+            "ProductBatch.weatherOracle",
+            "OfferManager.roleRegistry",
+            "Registry.owner"
+        ]);
+        expect(find(results, "ProductBatch", "priceFeed").detail)
+            .to.equal(`${other.address}, expected ${(await deployments.get("MockV3Aggregator")).address}`);
+        expect(find(results, "Registry", "owner").detail)
+            .to.equal(`${other.address}, expected deployer ${deployer.address}`);
+    });
+
+    it("Should report a recorded contract without code", async function () {
+        await deployments.save("MissingContract", { abi: [], address: other.address });
+
+        const results = await checkDeployment(hre);
+
+        expect(find(results, "MissingContract", "deployed")).to.deep.equal({
+            contract: "MissingContract", check: "deployed", status: FAIL, detail: other.address
+        });
+    });
+
+    it("Should check explorer verification for every contract", async function () {
+        const registry = (await deployments.get("Registry")).address;
+        const requests = [];
+        const get = async (url, { params }) => {
+            requests.push({ url, params });
+            const verified = params.address !== registry;
+            return { data: { status: "1", result: [{ SourceCode: verified ? "contract X {}" : "" }] } };
+        };
+
+        const results = await checkDeployment(hre, {
+            explorer: { apiUrl: "https://explorer.test/api", apiKey: "KEY", get }
+        });
+
+        expect(failures(results).map(({ contract, check }) => `${contract}.${check}`))
+            .to.deep.equal(["Registry.explorer verification (contract)"]);
+        expect(requests).to.have.length(Object.keys(await deployments.all()).length);
+        expect(requests[0].params).to.include({ module: "contract", action: "getsourcecode", apikey: "KEY" });
+    });
+
+    it("Should surface explorer API errors", async function () {
+        const get = async () => ({ data: { status: "0", message: "NOTOK", result: "Invalid API Key" } });
+
+        await expect(isVerifiedOnExplorer({ apiUrl: "https://explorer.test/api", apiKey: "bad", get }, other.address))
+            .to.be.rejectedWith("Explorer API error: Invalid API Key");
+    });
+
+    it("Should format a report with a summary line", function () {
+        const report = formatReport([
+            { contract: "ProductBatch", check: "priceFeed", status: PASS, detail: "0x1" },
+            { contract: "Registry", check: "owner", status: FAIL, detail: "0x2, expected deployer 0x3" },
+            { contract: "*", check: "explorer verification", status: SKIP, detail: "no block explorer API for hardhat" }
+        ]);
+
+        expect(report.split("\n")).to.deep.equal([
+            "PASS  ProductBatch  priceFeed              0x1",
+            "FAIL  Registry      owner                  0x2, expected deployer 0x3",
+            "SKIP  *             explorer verification  no block explorer API for hardhat",
+            "",
+            "1 passed, 1 failed, 1 skipped"
+        ]);
+    });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    abiHash, buildManifest, writeManifest, loadManifest, getAddresses, getAddress
+} = require("../../utils/deploymentManifest");
+
+describe("Deployment manifest", function () {
+    let dir, portalPaths, deployments, deployer;
+
+    beforeEach(async function () {
+        [deployer] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifests-"));
+        portalPaths = [path.join(dir, "admin", "deployments.json"), path.join(dir, "public", "deployments.json")];
+
+        // Shaped like hardhat-deploy's deployments.all()
+        const weatherOracle = await (await ethers.getContractFactory("WeatherOracle")).deploy();
+        const receipt = await weatherOracle.deploymentTransaction().wait();
+        deployments = {
+            WeatherOracle: {
+                address: await weatherOracle.getAddress(),
+                abi: (await artifacts.readArtifact("WeatherOracle")).abi,
+                transactionHash: receipt.hash,
+                receipt: { blockNumber: receipt.blockNumber }
+            },
+            WeatherPricing: {
+                address: deployer.address,
+                abi: (await artifacts.readArtifact("WeatherPricing")).abi
+            }
+        };
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const build = (network = "localhost") => buildManifest({
+        network,
+        chainId: 31337,
+        deployer: deployer.address,
+        blockNumber: 7,
+        deployments,
+        gitCommit: "abc123"
+    });
+
+    it("Should hash ABIs independently of fragment order", async function () {
+        const abi = deployments.WeatherOracle.abi;
+
+        expect(abiHash([...abi].reverse())).to.equal(abiHash(abi));
+        expect(abiHash(deployments.WeatherPricing.abi)).to.not.equal(abiHash(abi));
+    });
+
+    it("Should record each contract's address, ABI hash and deployment block", async function () {
+        const manifest = build();
+
+        expect(manifest).to.include({ network: "localhost", chainId: 31337, blockNumber: 7, gitCommit: "abc123" });
+        expect(Object.keys(manifest.contracts)).to.deep.equal(["WeatherOracle", "WeatherPricing"]);
+        expect(manifest.contracts.WeatherOracle).to.deep.equal({
+            address: deployments.WeatherOracle.address,
+            abiHash: abiHash(deployments.WeatherOracle.abi),
+            blockNumber: deployments.WeatherOracle.receipt.blockNumber,
+            transactionHash: deployments.WeatherOracle.transactionHash,
+            implementation: null
+        });
+        expect(manifest.contracts.WeatherPricing).to.include({ blockNumber: null, transactionHash: null });
+    });
+
+    it("Should write, load and copy manifests to the portals", async function () {
+        writeManifest(build("localhost"), { dir, portalPaths });
+        writeManifest(build("polygon"), { dir, portalPaths });
+
+        const manifest = loadManifest("localhost", { dir });
+        expect(getAddresses(manifest)).to.deep.equal({
+            WeatherOracle: deployments.WeatherOracle.address,
+            WeatherPricing: deployer.address
+        });
+
+        for (const portalPath of portalPaths) {
+            const portalDeployments = JSON.parse(fs.readFileSync(portalPath, "utf8"));
+            expect(Object.keys(portalDeployments)).to.deep.equal(["localhost", "polygon"]);
+            expect(portalDeployments.localhost).to.deep.equal(manifest);
+        }
+    });
+
+    it("Should explain missing manifests and contracts", async function () {
+        expect(() => loadManifest("polygon", { dir })).to.throw("No deployment manifest for polygon");
+
+        writeManifest(build(), { dir, portalPaths });
+        const manifest = loadManifest("localhost", { dir });
+        expect(getAddress(manifest, "WeatherOracle")).to.equal(deployments.WeatherOracle.address);
+        expect(() => getAddress(manifest, "ProductBatch")).to.throw("ProductBatch is not deployed on localhost");
+    });
+});
@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers, deployments, network } = require("hardhat");
+const ContractService = require("../../services/contractService");
+const EventIndexer = require("../../services/eventIndexer");
+const IndexStore = require("../../services/indexStore");
+const { InvalidQueryError } = require("../../services/indexStore");
+const { loadSeedScenario, seedScenario } = require("../../services/scenarioSeeder");
+
+describe("Event indexer", function () {
+    let contracts, addresses, seeded, signers, store, indexer;
+
+    const CONTRACTS = [
+        "StakeholderManager", "ProductBatch", "OfferManager", "ShipmentTracker", "Registry", "WeatherOracle",
+        "FileStorageManager"
+    ];
+
+    const createBatch = (farmer, name) => contracts.ProductBatch.connect(farmer).createBatch(
+        name, "", 10, ethers.parseEther("0.01"), "Sydney", "", 0, [], false
+    );
+
+    before(async function () {
+        signers = await ethers.getSigners();
+        await deployments.fixture(["all"]);
+
+        contracts = {};
+        addresses = {};
+        for (const name of CONTRACTS) {
+            addresses[name] = (await deployments.get(name)).address;
+            contracts[name] = await ethers.getContractAt(name, addresses[name]);
+        }
+        seeded = await seedScenario({ contracts, signers, scenario: loadSeedScenario("demo"), log: () => {} });
+
+        // One file for the mangoes, uploaded by the deployer (the default oracle)
+        const farmer = await ethers.getSigner(seeded.stakeholders.greenValley);
+        await contracts.FileStorageManager.connect(farmer)
+            .requestFileStorage(seeded.batches.mangoes, "harvest.pdf", "application/pdf", 0);
+        await contracts.FileStorageManager.completeFileUpload(1, "QmHarvest", "ipfs://QmHarvest", 2048, []);
+    });
+
+    beforeEach(async function () {
+        store = new IndexStore();
+        indexer = new EventIndexer({ provider: ethers.provider, addresses, store, batchSize: 25 });
+    });
+
+    afterEach(function () {
+        store.close();
+    });
+
+    it("Should index every entity as ContractService reads it", async function () {
+        const { events } = await indexer.sync();
+        const head = await ethers.provider.getBlockNumber();
+        const manifest = {
+            network: "hardhat",
+            contracts: Object.fromEntries(Object.entries(addresses).map(([name, address]) => [name, { address }]))
+        };
+        const service = new ContractService({ provider: ethers.provider, manifest });
+
+        expect(events).to.be.greaterThan(0);
+        expect(store.getStatus()).to.include({ chainId: 31337, lastBlock: head });
+
+        for (const batchId of Object.values(seeded.batches)) {
+            const { lastWeather, ...batch } = await service.getBatch(batchId);
+            expect(store.get("batches", batchId)).to.deep.equal(batch);
+        }
+        for (const offerId of Object.values(seeded.offers)) {
+            expect(store.get("offers", offerId)).to.deep.equal(await service.getOffer(offerId));
+        }
+        for (const shipmentId of Object.values(seeded.shipments)) {
+            const { trackingHistory, ...shipment } = await service.getShipment(shipmentId);
+            expect(store.get("shipments", shipmentId)).to.deep.equal(shipment);
+        }
+        expect(store.query("stakeholders").total).to.equal(7);
+        expect(store.get("files", 1)).to.include({ batchId: seeded.batches.mangoes, fileName: "harvest.pdf" });
+    });
+
+    it("Should follow ownership changes made through other contracts", async function () {
+        await indexer.sync();
+        const { mangoes, apples } = seeded.batches;
+        const { freshProcessing, bob } = seeded.stakeholders;
+
+        // The confirmed delivery handed the mangoes to the processor and
+        // Bob's claim took the apples off the retailer's shelf
+        expect(store.get("batches", mangoes).currentOwner).to.equal(freshProcessing);
+        expect(store.get("batches", apples).currentOwner).to.equal(bob);
+    });
+
+    it("Should filter and page indexed entities", async function () {
+        await indexer.sync();
+        const { greenValley, outbackFreight, alice } = seeded.stakeholders;
+
+        const farmed = store.query("batches", { farmer: greenValley.toLowerCase() });
+        expect(farmed.items.map(({ id }) => id)).to.deep.equal([seeded.batches.mangoes, seeded.batches.wheat]);
+
+        const shipments = store.query("shipments", { participant: outbackFreight, status: "in_transit" });
+        expect(shipments.items.map(({ id }) => id)).to.deep.equal([seeded.shipments.tomatoDelivery]);
+
+        const pickedUp = store.query("purchases", { consumer: alice, isPickedUp: "true" });
+        expect(pickedUp.total).to.equal(1);
+        expect(pickedUp.items[0].isPickedUp).to.equal(true);
+
+        const page = store.query("offers", { status: "ACCEPTED" }, { offset: 1, limit: 1 });
+        expect(page.total).to.equal(3);
+        expect(page.items.map(({ id }) => id)).to.deep.equal([seeded.offers.appleSupply]);
+    });
+
+    it("Should reject unknown filters and malformed values", async function () {
+        expect(() => store.query("batches", { name: "Wheat" })).to.throw(InvalidQueryError, "Cannot filter batches");
+        expect(() => store.query("batches", { farmer: "0x123" })).to.throw(InvalidQueryError, "must be an address");
+        expect(() => store.query("offers", { status: "SOLD" })).to.throw(InvalidQueryError, "must be one of");
+        expect(() => store.query("batches", {}, { limit: 101 })).to.throw(InvalidQueryError, "limit");
+        expect(() => store.query("wallets")).to.throw(InvalidQueryError, "Unknown entity");
+    });
+
+    it("Should build a batch timeline across contracts", async function () {
+        await indexer.sync();
+
+        const timeline = store.getBatchTimeline(seeded.batches.mangoes);
+        const names = timeline.map(({ event }) => event);
+        expect(names[0]).to.equal("BatchCreated");
+        expect(names).to.include.members(["OfferCreated", "OfferAccepted", "ShipmentCreated", "LocationUpdated",
+            "DeliveryConfirmed", "FileUploaded"]);
+        expect(names).to.not.include("ConsumerPurchaseCreated");
+
+        const locations = timeline.filter(({ event }) => event === "LocationUpdated").map(({ args }) => args.location);
+        expect(locations).to.include("Pacific Highway - In transit");
+        expect(timeline[0].args).to.include({ batchId: String(seeded.batches.mangoes), name: "Organic Mangoes" });
+    });
+
+    it("Should stay the given number of blocks behind the head", async function () {
+        indexer = new EventIndexer({ provider: ethers.provider, addresses, store, confirmations: 3 });
+        await indexer.sync();
+
+        expect(store.getStatus().lastBlock).to.equal((await ethers.provider.getBlockNumber()) - 3);
+    });
+
+    it("Should roll back events from blocks replaced by a reorg", async function () {
+        const farmer = await ethers.getSigner(seeded.stakeholders.sunnyAcres);
+        await indexer.sync();
+        const batchCount = store.query("batches").total;
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        await createBatch(farmer, "Orphaned Pears");
+        await createBatch(farmer, "Orphaned Plums");
+        await indexer.sync();
+        expect(store.query("batches").total).to.equal(batchCount + 2);
+
+        // The replacement chain mines one different batch and is longer
+        await network.provider.send("evm_revert", [snapshot]);
+        await createBatch(farmer, "Canonical Figs");
+        await network.provider.send("hardhat_mine", ["0x3"]);
+        const { reorgs } = await indexer.sync();
+
+        expect(reorgs).to.equal(1);
+        expect(store.query("batches").total).to.equal(batchCount + 1);
+        expect(store.get("batches", batchCount + 1).name).to.equal("Canonical Figs");
+        expect(store.get("batches", batchCount + 2)).to.be.null;
+        expect(store.getEntityEvents("batches", batchCount + 2)).to.deep.equal([]);
+        expect(store.getStatus().lastBlockHash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("Should re-read entities whose replacement blocks have no events", async function () {
+        const farmer = await ethers.getSigner(seeded.stakeholders.sunnyAcres);
+        await indexer.sync();
+        const batchCount = store.query("batches").total;
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        await createBatch(farmer, "Orphaned Quinces");
+        await indexer.sync();
+
+        await network.provider.send("evm_revert", [snapshot]);
+        await network.provider.send("hardhat_mine", ["0x2"]);
+        await indexer.sync();
+
+        expect(store.get("batches", batchCount + 1)).to.be.null;
+        expect(store.getPendingRefresh()).to.deep.equal([]);
+    });
+
+    it("Should start over when the contracts are redeployed", async function () {
+        await indexer.sync();
+
+        const redeployed = new EventIndexer({
+            provider: ethers.provider,
+            addresses: { ...addresses, ProductBatch: ethers.ZeroAddress.replace(/0$/, "1") },
+            store,
+            startBlock: await ethers.provider.getBlockNumber()
+        });
+        await redeployed.sync();
+
+        expect(store.query("batches").total).to.equal(0);
+        expect(store.query("stakeholders").total).to.equal(0);
+    });
+});
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+    CONTRACT_SIZE_LIMIT, runGasBenchmark, checkGasBudget, updateGasBaseline, loadGasBaseline, formatGasReport
+} = require("../../utils/gasBudget");
+
+describe("Gas and contract size budgets", function () {
+    let measured, result;
+
+    before(async function () {
+        this.timeout(300000);
+        measured = await runGasBenchmark(hre);
+        result = checkGasBudget(measured, loadGasBaseline());
+    });
+
+    it("Should keep every deployed contract under the 24KB limit", function () {
+        expect(measured.sizes).to.include.keys("ProductBatch", "Registry", "StakeholderManager");
+        for (const [name, size] of Object.entries(measured.sizes)) {
+            expect(size, name).to.be.at.most(CONTRACT_SIZE_LIMIT);
+        }
+    });
+
+    it("Should keep every lifecycle call and product view within its gas budget", function () {
+        expect(measured.gas).to.include.keys(
+            "ProductBatch.createBatch",
+            "OfferManager.acceptOffer",
+            "ShipmentTracker.confirmDelivery",
+            "ProductBatch.purchaseFromRetailer",
+            "Registry.getProductsByRole (50 products)",
+            "ProductBatch.getRetailerProductsPage (50 products)"
+        );
+        expect(result.problems, formatGasReport(result)).to.deep.equal([]);
+    });
+
+    describe("Budget checks", function () {
+        const baseline = {
+            contractSizeLimit: 100,
+            contracts: { Small: 40 },
+            gas: {
+                "A.call": { baseline: 1000, budget: 1100 },
+                "A.removed": { baseline: 500, budget: 600 }
+            }
+        };
+
+        it("Should flag oversized contracts, calls over budget and calls without one", function () {
+            const { problems, warnings } = checkGasBudget(
+                { sizes: { Small: 50, Big: 101 }, gas: { "A.call": 1101, "A.new": 10 } },
+                baseline
+            );
+
+            expect(problems).to.deep.equal([
+                "Big is 101 bytes, over the 100-byte contract size limit",
+                "A.call used 1101 gas, over its budget of 1100 (baseline 1000)",
+                "A.new has no gas budget, run npx hardhat gas-budget --update"
+            ]);
+            expect(warnings).to.deep.equal(["A.removed has a budget but was not measured"]);
+        });
+
+        it("Should keep existing budgets when recording a new baseline", function () {
+            const updated = updateGasBaseline({ sizes: { Small: 50 }, gas: { "A.call": 1500, "A.new": 12345 } }, baseline);
+
+            expect(updated).to.deep.equal({
+                contractSizeLimit: 100,
+                contracts: { Small: 50 },
+                gas: {
+                    "A.call": { baseline: 1500, budget: 1100 },
+                    // Measured gas plus 10%, rounded up to 1000
+                    "A.new": { baseline: 12345, budget: 14000 }
+                }
+            });
+        });
+
+        it("Should report changes from the baseline", function () {
+            const report = formatGasReport(checkGasBudget({ sizes: { Small: 50 }, gas: { "A.call": 900 } }, baseline));
+
+            expect(report).to.match(/Small\s+50\s+50\.0%\s+\+10 \(\+25\.0%\)/);
+            expect(report).to.match(/A\.call\s+900\s+1100\s+-100 \(-10\.0%\)/);
+            expect(report).to.contain("1 contracts and 1 calls within budget");
+        });
+    });
+});
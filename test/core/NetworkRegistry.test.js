@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { networkConfig } = require("../../helper-hardhat-config");
+const {
+    getNetworkConfig, getRpcUrl, getFeeOverrides, getDeployOptions, buildHardhatNetworks, buildExplorerChains
+} = require("../../utils/networks");
+const { getFeedAddresses, getExplorerConfig } = require("../../utils/deploymentChecks");
+
+describe("Network registry", function () {
+    const UPDATABLE_FEEDS = {
+        UpdatableTemperatureFeed: "0x0000000000000000000000000000000000000001",
+        UpdatableHumidityFeed: "0x0000000000000000000000000000000000000002",
+        UpdatableRainfallFeed: "0x0000000000000000000000000000000000000003",
+        UpdatableWindSpeedFeed: "0x0000000000000000000000000000000000000004"
+    };
+
+    // Just enough of the Hardhat runtime for the feed and explorer lookups
+    const fakeHre = (name, etherscan = {}) => ({
+        network: { name },
+        config: { etherscan },
+        deployments: {
+            get: async (deployment) => {
+                if (!UPDATABLE_FEEDS[deployment]) throw new Error(`No deployment found for: ${deployment}`);
+                return { address: UPDATABLE_FEEDS[deployment] };
+            }
+        }
+    });
+
+    afterEach(function () {
+        delete networkConfig.testnet;
+    });
+
+    it("Should build a Hardhat network for every registry entry", function () {
+        const networks = buildHardhatNetworks({ PRIVATE_KEY: "0x01", SEPOLIA_RPC_URL: "https://sepolia.example" });
+
+        expect(Object.keys(networks)).to.have.members(Object.keys(networkConfig));
+        expect(networks.hardhat).to.deep.equal({ chainId: 31337, allowUnlimitedContractSize: true });
+        expect(networks.sepolia).to.deep.equal({
+            chainId: 11155111, url: "https://sepolia.example", accounts: ["0x01"]
+        });
+        expect(networks.polygon.url).to.equal("https://rpc-amoy.polygon.technology/");
+        // Local chains and forks use the node's unlocked accounts
+        expect(networks.localhost).to.not.have.property("accounts");
+        expect(networks.fork).to.deep.equal({ chainId: 31337, url: "http://127.0.0.1:8545" });
+    });
+
+    it("Should fork the configured network in the hardhat network", function () {
+        const networks = buildHardhatNetworks({
+            FORK_NETWORK: "polygon", POLYGON_RPC_URL: "https://amoy.example", FORK_BLOCK_NUMBER: "1234"
+        });
+
+        expect(networks.hardhat.forking).to.deep.equal({ url: "https://amoy.example", blockNumber: 1234 });
+    });
+
+    it("Should list every network with an explorer for verification", function () {
+        expect(buildExplorerChains()).to.deep.include({
+            network: "baseSepolia",
+            chainId: 84532,
+            urls: { apiURL: "https://api-sepolia.basescan.org/api", browserURL: "https://sepolia.basescan.org/" }
+        });
+        expect(buildExplorerChains().map(({ network }) => network)).to.not.include.members(["localhost", "fork"]);
+    });
+
+    it("Should convert EIP-1559 and legacy fees to wei", function () {
+        expect(getFeeOverrides("polygon")).to.deep.equal({
+            maxFeePerGas: 60000000000n, maxPriorityFeePerGas: 30000000000n
+        });
+        expect(getDeployOptions("polygon")).to.deep.equal({
+            waitConfirmations: 6, maxFeePerGas: "60000000000", maxPriorityFeePerGas: "30000000000"
+        });
+        expect(getDeployOptions("localhost")).to.deep.equal({ waitConfirmations: 1 });
+
+        networkConfig.testnet = { chainId: 1, fees: { gasPrice: 2.5 } };
+        expect(getFeeOverrides("testnet")).to.deep.equal({ gasPrice: 2500000000n });
+    });
+
+    it("Should reject networks missing from the registry", function () {
+        expect(() => getNetworkConfig("mainnet")).to.throw('Network "mainnet" is not in the network registry');
+        expect(() => getRpcUrl("mainnet")).to.throw('Network "mainnet" is not in the network registry');
+    });
+
+    it("Should resolve feeds from the registry on live networks and forks", async function () {
+        const polygonEthUsd = networkConfig.polygon.feeds.ethUsd;
+        const expected = {
+            priceFeed: polygonEthUsd,
+            temperatureFeed: UPDATABLE_FEEDS.UpdatableTemperatureFeed,
+            humidityFeed: UPDATABLE_FEEDS.UpdatableHumidityFeed,
+            rainfallFeed: UPDATABLE_FEEDS.UpdatableRainfallFeed,
+            windSpeedFeed: UPDATABLE_FEEDS.UpdatableWindSpeedFeed
+        };
+
+        expect(await getFeedAddresses(fakeHre("polygon"))).to.deep.equal(expected);
+        // A fork reads the forked network's feeds
+        expect(networkConfig.fork.forkOf).to.equal("polygon");
+        expect(await getFeedAddresses(fakeHre("fork"))).to.deep.equal(expected);
+
+        // Configured weather feeds are used instead of deployed ones
+        networkConfig.testnet = { chainId: 1, feeds: { ethUsd: "0x00000000000000000000000000000000000000aa", rainfall: "0x00000000000000000000000000000000000000bb" } };
+        const feeds = await getFeedAddresses(fakeHre("testnet"));
+        expect(feeds.rainfallFeed).to.equal("0x00000000000000000000000000000000000000bb");
+        expect(feeds.humidityFeed).to.equal(UPDATABLE_FEEDS.UpdatableHumidityFeed);
+    });
+
+    it("Should require an ETH/USD feed on live networks", async function () {
+        networkConfig.testnet = { chainId: 1 };
+
+        await expect(getFeedAddresses(fakeHre("testnet")))
+            .to.be.rejectedWith("No ethUsd feed configured for testnet in the network registry");
+    });
+
+    it("Should only verify on live networks with an explorer and API key", function () {
+        expect(getExplorerConfig(fakeHre("sepolia", { apiKey: "KEY" }))).to.deep.equal({
+            apiUrl: "https://api-sepolia.etherscan.io/api", apiKey: "KEY"
+        });
+        expect(getExplorerConfig(fakeHre("sepolia", { apiKey: "" }))).to.be.null;
+        expect(getExplorerConfig(fakeHre("fork", { apiKey: "KEY" }))).to.be.null;
+        expect(getExplorerConfig(fakeHre("localhost", { apiKey: "KEY" }))).to.be.null;
+    });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const OfferExpiryKeeper = require("../../scripts/offer-expiry-keeper");
+
+describe("Offer expiry", function () {
+    let productBatch, offerManager, shipmentTracker, paymentEscrow;
+    let owner, farmer, processor, distributor;
+
+    const ROLE = { FARMER: 1, PROCESSOR: 2, DISTRIBUTOR: 3, SHIPPER: 4, RETAILER: 5, ADMIN: 6 };
+    const OFFER_STATUS = { OPEN: 0, ACCEPTED: 1, EXPIRED: 2, CANCELLED: 3, COUNTERED: 4 };
+    const ESCROW = { NONE: 0, DEPOSITED: 1, HELD: 2, RELEASED: 3, REFUNDED: 4 };
+    const PRICE = ethers.parseEther("0.015");
+    const HOUR = 3600;
+
+    const statusOf = async (offerId) => (await offerManager.getOfferInfo(offerId)).status;
+
+    beforeEach(async function () {
+        [owner, farmer, processor, distributor] = await ethers.getSigners();
+
+        productBatch = await (await ethers.getContractFactory("ProductBatch")).deploy();
+        offerManager = await (await ethers.getContractFactory("OfferManager")).deploy(await productBatch.getAddress());
+        shipmentTracker = await (await ethers.getContractFactory("ShipmentTracker"))
+            .deploy(await productBatch.getAddress());
+        paymentEscrow = await (await ethers.getContractFactory("PaymentEscrow"))
+            .deploy(await offerManager.getAddress(), await shipmentTracker.getAddress());
+
+        for (const contract of [productBatch, offerManager]) {
+            await contract.grantRole(farmer.address, ROLE.FARMER);
+            await contract.grantRole(processor.address, ROLE.PROCESSOR);
+            await contract.grantRole(distributor.address, ROLE.DISTRIBUTOR);
+        }
+        await productBatch.setOfferManager(await offerManager.getAddress());
+        await productBatch.setShipmentTracker(await shipmentTracker.getAddress());
+        await offerManager.setPaymentEscrow(await paymentEscrow.getAddress());
+
+        await productBatch.connect(farmer).createBatch(
+            "Test Mangoes", "Description", 100, ethers.parseEther("0.01"), "Sydney", "QmHash", 0, [], false
+        );
+
+        // 1: funded buy offer, 2: sell offer, 3: buy offer open for longer, 4: cancelled sell offer
+        await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Terms", HOUR, farmer.address);
+        await offerManager.connect(processor).fundOffer(1, { value: PRICE });
+        await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", HOUR, ethers.ZeroAddress);
+        await offerManager.connect(distributor).createBuyOffer(1, 0, 50, "Terms", 3 * HOUR, farmer.address);
+        await offerManager.connect(farmer).createSellOffer(1, 0, 100, "Terms", HOUR, distributor.address);
+        await offerManager.connect(farmer).cancelOffer(4);
+    });
+
+    describe("Contract sweep", function () {
+        it("Should only list open offers past their expiry", async function () {
+            expect((await offerManager.getExpirableOffersPage(0, 10)).offerIds).to.deep.equal([]);
+
+            await ethers.provider.send("evm_increaseTime", [HOUR]);
+            await ethers.provider.send("evm_mine");
+
+            const page = await offerManager.getExpirableOffersPage(0, 10);
+            expect(page.offerIds).to.deep.equal([1n, 2n]);
+            expect(page.nextCursor).to.equal(0);
+
+            const firstPage = await offerManager.getExpirableOffersPage(0, 1);
+            expect(firstPage.offerIds).to.deep.equal([1n]);
+            expect(firstPage.nextCursor).to.equal(2);
+        });
+
+        it("Should mark expired offers EXPIRED and skip the rest", async function () {
+            await ethers.provider.send("evm_increaseTime", [HOUR]);
+
+            const sweep = offerManager.connect(distributor).expireOffers([1, 2, 3, 4, 99]);
+            await expect(sweep).to.emit(offerManager, "OfferExpired").withArgs(1);
+            await expect(sweep).to.emit(offerManager, "OfferExpired").withArgs(2);
+
+            expect(await statusOf(1)).to.equal(OFFER_STATUS.EXPIRED);
+            expect(await statusOf(2)).to.equal(OFFER_STATUS.EXPIRED);
+            expect(await statusOf(3)).to.equal(OFFER_STATUS.OPEN);
+            expect(await statusOf(4)).to.equal(OFFER_STATUS.CANCELLED);
+            expect(await offerManager.getAvailableOffers(farmer.address)).to.deep.equal([3n]);
+
+            // Sweeping again is a no-op
+            await expect(offerManager.expireOffers([1, 2])).to.not.emit(offerManager, "OfferExpired");
+        });
+
+        it("Should return an expired buy offer's deposit", async function () {
+            await ethers.provider.send("evm_increaseTime", [HOUR]);
+
+            await expect(offerManager.expireOffers([1]))
+                .to.changeEtherBalances([processor, paymentEscrow], [PRICE, -PRICE]);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.REFUNDED);
+            await expect(offerManager.connect(processor).cancelOffer(1)).to.be.revertedWith("Offer not cancellable");
+        });
+    });
+
+    describe("Keeper", function () {
+        let keeper;
+
+        beforeEach(async function () {
+            keeper = new OfferExpiryKeeper({ batchSize: 1, retries: 1, retryDelay: 1 });
+            keeper.signer = new ethers.NonceManager(owner);
+            await keeper.connectToOfferManager(await offerManager.getAddress());
+        });
+
+        it("Should expire every offer past its expiry in chunks", async function () {
+            expect(await keeper.sweep()).to.deep.equal([]);
+
+            await ethers.provider.send("evm_increaseTime", [HOUR]);
+            await ethers.provider.send("evm_mine");
+
+            expect(await keeper.findExpiredOffers()).to.deep.equal([1, 2]);
+            expect(await keeper.sweep()).to.deep.equal([1, 2]);
+            expect(await statusOf(1)).to.equal(OFFER_STATUS.EXPIRED);
+            expect(await statusOf(2)).to.equal(OFFER_STATUS.EXPIRED);
+            expect(await keeper.findExpiredOffers()).to.deep.equal([]);
+        });
+
+        it("Should report only the offers it expired itself", async function () {
+            await ethers.provider.send("evm_increaseTime", [HOUR]);
+            await offerManager.connect(distributor).expireOffers([1]);
+
+            expect(await keeper.expireOffers([1, 2])).to.deep.equal([2]);
+        });
+    });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Partial offer fills", function () {
+    let productBatch, offerManager, shipmentTracker, paymentEscrow;
+    let owner, farmer, processor, distributor, shipper;
+
+    const ROLE = { FARMER: 1, PROCESSOR: 2, DISTRIBUTOR: 3, SHIPPER: 4, RETAILER: 5, ADMIN: 6 };
+    const OFFER_STATUS = { OPEN: 0, ACCEPTED: 1, EXPIRED: 2, CANCELLED: 3, COUNTERED: 4, FILLED: 5 };
+    const BATCH_STATUS = { CREATED: 0, SOLD: 3, RECEIVED: 5 };
+    const ESCROW = { NONE: 0, DEPOSITED: 1, HELD: 2, RELEASED: 3, REFUNDED: 4 };
+    const PRICE = ethers.parseEther("0.015");
+
+    const share = (quantity) => (PRICE * BigInt(quantity)) / 100n;
+
+    const batchOf = async (batchId) => productBatch.getBatchMarketInfo(batchId);
+
+    // Farmer ships a batch sold through offerId to the processor, who confirms the delivery
+    const deliver = async (batchId, offerId) => {
+        await shipmentTracker.connect(farmer).createShipment(
+            batchId, offerId, processor.address, shipper.address, `TRACK-${offerId}`, "Farm", "Plant", ""
+        );
+        const shipmentId = (await shipmentTracker.nextShipmentId()) - 1n;
+        await shipmentTracker.connect(shipper).pickupShipment(shipmentId);
+        await shipmentTracker.connect(shipper).markDelivered(shipmentId);
+        return shipmentTracker.connect(processor).confirmDelivery(shipmentId);
+    };
+
+    beforeEach(async function () {
+        [owner, farmer, processor, distributor, shipper] = await ethers.getSigners();
+
+        productBatch = await (await ethers.getContractFactory("ProductBatch")).deploy();
+        offerManager = await (await ethers.getContractFactory("OfferManager")).deploy(await productBatch.getAddress());
+        shipmentTracker = await (await ethers.getContractFactory("ShipmentTracker"))
+            .deploy(await productBatch.getAddress());
+        paymentEscrow = await (await ethers.getContractFactory("PaymentEscrow"))
+            .deploy(await offerManager.getAddress(), await shipmentTracker.getAddress());
+
+        for (const contract of [productBatch, offerManager, shipmentTracker]) {
+            await contract.grantRole(farmer.address, ROLE.FARMER);
+            await contract.grantRole(processor.address, ROLE.PROCESSOR);
+            await contract.grantRole(distributor.address, ROLE.DISTRIBUTOR);
+            await contract.grantRole(shipper.address, ROLE.SHIPPER);
+        }
+        await productBatch.setOfferManager(await offerManager.getAddress());
+        await productBatch.setShipmentTracker(await shipmentTracker.getAddress());
+        await offerManager.setPaymentEscrow(await paymentEscrow.getAddress());
+        await shipmentTracker.setPaymentEscrow(await paymentEscrow.getAddress());
+
+        await productBatch.connect(farmer).createBatch(
+            "Test Mangoes", "Description", 100, ethers.parseEther("0.01"), "Sydney", "QmHash", 0, [], false
+        );
+    });
+
+    describe("Allowing fills", function () {
+        it("Should only let the creator allow fills on an open batch offer", async function () {
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", 3600, ethers.ZeroAddress);
+            await offerManager.connect(processor).createContractOffer("Wheat", 1000, PRICE, "Terms", 3600, farmer.address);
+
+            await expect(offerManager.connect(processor).allowPartialFills(1, 10))
+                .to.be.revertedWith("Only creator can allow partial fills");
+            await expect(offerManager.connect(farmer).allowPartialFills(1, 0))
+                .to.be.revertedWith("Invalid minimum fill");
+            await expect(offerManager.connect(farmer).allowPartialFills(1, 101))
+                .to.be.revertedWith("Invalid minimum fill");
+            await expect(offerManager.connect(processor).allowPartialFills(2, 10))
+                .to.be.revertedWith("Offer has no batch to split");
+            await expect(offerManager.connect(processor).fillOffer(1, 10, { value: share(10) }))
+                .to.be.revertedWith("Partial fills not allowed");
+
+            await expect(offerManager.connect(farmer).allowPartialFills(1, 10))
+                .to.emit(offerManager, "PartialFillsAllowed").withArgs(1, 10);
+            expect(await offerManager.minFillQuantities(1)).to.equal(10);
+            expect(await offerManager.getRemainingQuantity(1)).to.equal(100);
+        });
+
+        it("Should only let OfferManager mark batches as sold", async function () {
+            await expect(productBatch.connect(farmer).markAsSold(1, processor.address, 10))
+                .to.be.revertedWith("Only OfferManager");
+            await expect(productBatch.connect(farmer).setOfferManager(farmer.address)).to.be.reverted;
+        });
+    });
+
+    describe("Sell offers", function () {
+        beforeEach(async function () {
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", 3600, ethers.ZeroAddress);
+            await offerManager.connect(farmer).allowPartialFills(1, 10);
+        });
+
+        it("Should sell each fill as a child batch for its share of the price", async function () {
+            const fill = offerManager.connect(processor).fillOffer(1, 30, { value: share(30) });
+            await expect(fill).to.changeEtherBalances([processor, paymentEscrow], [-share(30), share(30)]);
+            await expect(fill).to.emit(productBatch, "BatchSplit").withArgs(1, 2, processor.address, 30);
+            await expect(fill).to.emit(offerManager, "OfferFilled").withArgs(1, 2, processor.address, 30);
+
+            expect(await productBatch.parentBatches(2)).to.equal(1);
+            const child = await batchOf(2);
+            expect(child.owner).to.equal(farmer.address);
+            expect(child.quantity).to.equal(30);
+            expect(child.status).to.equal(BATCH_STATUS.SOLD);
+            const parent = await batchOf(1);
+            expect(parent.owner).to.equal(farmer.address);
+            expect(parent.quantity).to.equal(70);
+
+            const fillOffer = await offerManager.getOfferInfo(2);
+            expect(fillOffer.batchId).to.equal(2);
+            expect(fillOffer.price).to.equal(share(30));
+            expect(fillOffer.quantity).to.equal(30);
+            expect(fillOffer.status).to.equal(OFFER_STATUS.ACCEPTED);
+            expect(fillOffer.acceptedBy).to.equal(processor.address);
+            expect(await offerManager.filledOffers(2)).to.equal(1);
+
+            const escrow = await paymentEscrow.getEscrow(2);
+            expect(escrow.batchId).to.equal(2);
+            expect(escrow.seller).to.equal(farmer.address);
+            expect(escrow.status).to.equal(ESCROW.HELD);
+
+            expect(await offerManager.getRemainingQuantity(1)).to.equal(70);
+            expect((await offerManager.getOfferInfo(1)).status).to.equal(OFFER_STATUS.OPEN);
+
+            // The child batch passes to the processor when they confirm its delivery
+            await expect(deliver(2, 2)).to.changeEtherBalances([farmer, paymentEscrow], [share(30), -share(30)]);
+            expect((await batchOf(2)).owner).to.equal(processor.address);
+            expect((await batchOf(2)).status).to.equal(BATCH_STATUS.RECEIVED);
+            expect((await batchOf(1)).owner).to.equal(farmer.address);
+        });
+
+        it("Should close the offer as FILLED once every unit is taken", async function () {
+            await offerManager.connect(processor).fillOffer(1, 33, { value: share(33) });
+            await expect(offerManager.connect(distributor).fillOffer(1, 5, { value: share(5) }))
+                .to.be.revertedWith("Below minimum fill");
+            await expect(offerManager.connect(distributor).fillOffer(1, 68, { value: share(68) }))
+                .to.be.revertedWith("Exceeds remaining quantity");
+            await expect(offerManager.connect(distributor).acceptOffer(1, { value: PRICE }))
+                .to.be.revertedWith("Offer partially filled");
+
+            // The last fill takes what is left of the batch and the rest of the price
+            const rest = PRICE - share(33);
+            await offerManager.connect(distributor).fillOffer(1, 67, { value: rest });
+            expect((await offerManager.getOfferInfo(3)).batchId).to.equal(1);
+            expect((await batchOf(1)).owner).to.equal(farmer.address);
+            expect((await batchOf(1)).status).to.equal(BATCH_STATUS.SOLD);
+
+            expect((await offerManager.getOfferInfo(1)).status).to.equal(OFFER_STATUS.FILLED);
+            expect(await offerManager.getRemainingQuantity(1)).to.equal(0);
+            expect(await offerManager.getOfferFills(1)).to.deep.equal([2n, 3n]);
+            expect((await paymentEscrow.getEscrow(2)).amount + (await paymentEscrow.getEscrow(3)).amount)
+                .to.equal(PRICE);
+            await expect(offerManager.connect(processor).fillOffer(1, 10, { value: share(10) }))
+                .to.be.revertedWith("Offer not available");
+        });
+
+        it("Should reject fills once the batch is sold or delivered", async function () {
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", 3600, ethers.ZeroAddress);
+            await offerManager.connect(processor).acceptOffer(2, { value: PRICE });
+
+            await expect(offerManager.connect(distributor).fillOffer(1, 10, { value: share(10) }))
+                .to.be.revertedWith("Batch already sold");
+            await deliver(1, 2);
+            await expect(offerManager.connect(distributor).fillOffer(1, 10, { value: share(10) }))
+                .to.be.revertedWith("Seller no longer owns batch");
+        });
+    });
+
+    describe("Buy offers", function () {
+        beforeEach(async function () {
+            await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Terms", 3600, farmer.address);
+            await offerManager.connect(processor).fundOffer(1, { value: PRICE });
+            await offerManager.connect(processor).allowPartialFills(1, 20);
+        });
+
+        it("Should pay each fill from the buyer's deposit on delivery", async function () {
+            await expect(offerManager.connect(farmer).fillOffer(1, 40, { value: 1 }))
+                .to.be.revertedWith("Buy offer is paid by its creator");
+            const fill = offerManager.connect(farmer).fillOffer(1, 40);
+            await expect(fill).to.emit(paymentEscrow, "EscrowSplit").withArgs(1, 2, share(40));
+            await expect(fill).to.emit(productBatch, "BatchSplit").withArgs(1, 2, processor.address, 40);
+
+            // The child batch is sold to the processor, who made the offer, but
+            // the farmer keeps it to ship until the processor confirms delivery
+            expect((await batchOf(2)).owner).to.equal(farmer.address);
+            expect((await batchOf(2)).status).to.equal(BATCH_STATUS.SOLD);
+            expect((await paymentEscrow.getEscrow(1)).amount).to.equal(PRICE - share(40));
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.DEPOSITED);
+            const escrow = await paymentEscrow.getEscrow(2);
+            expect(escrow.batchId).to.equal(2);
+            expect(escrow.buyer).to.equal(processor.address);
+            expect(escrow.seller).to.equal(farmer.address);
+            expect(escrow.status).to.equal(ESCROW.HELD);
+
+            await expect(deliver(2, 2)).to.changeEtherBalances([farmer, paymentEscrow], [share(40), -share(40)]);
+            expect((await paymentEscrow.getEscrow(2)).status).to.equal(ESCROW.RELEASED);
+            expect((await batchOf(2)).owner).to.equal(processor.address);
+            expect((await batchOf(2)).status).to.equal(BATCH_STATUS.RECEIVED);
+        });
+
+        it("Should return what is left of the deposit when the offer is cancelled", async function () {
+            await offerManager.connect(farmer).fillOffer(1, 40);
+
+            await expect(offerManager.connect(processor).cancelOffer(1))
+                .to.changeEtherBalances([processor, paymentEscrow], [PRICE - share(40), share(40) - PRICE]);
+            expect((await paymentEscrow.getEscrow(2)).status).to.equal(ESCROW.HELD);
+            expect(await offerManager.getRemainingQuantity(1)).to.equal(0);
+        });
+
+        it("Should move the whole deposit to the fills once the offer is filled", async function () {
+            await offerManager.connect(farmer).fillOffer(1, 40);
+            await offerManager.connect(farmer).fillOffer(1, 60);
+
+            expect((await offerManager.getOfferInfo(1)).status).to.equal(OFFER_STATUS.FILLED);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.NONE);
+            expect((await paymentEscrow.getEscrow(3)).amount).to.equal(PRICE - share(40));
+            await expect(offerManager.connect(processor).cancelOffer(1)).to.be.revertedWith("Offer not cancellable");
+        });
+    });
+
+    describe("Whole offers", function () {
+        it("Should split the batch when an offer is for part of it", async function () {
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 40, "Terms", 3600, processor.address);
+
+            await expect(offerManager.connect(processor).acceptOffer(1, { value: PRICE }))
+                .to.emit(productBatch, "BatchSplit").withArgs(1, 2, processor.address, 40);
+            expect((await batchOf(1)).quantity).to.equal(60);
+            expect((await batchOf(1)).owner).to.equal(farmer.address);
+            expect((await batchOf(2)).owner).to.equal(farmer.address);
+            expect((await paymentEscrow.getEscrow(1)).batchId).to.equal(2);
+        });
+    });
+});
@@ -34,6 +34,8 @@ describe("OfferManager", function () {
             await contract.connect(owner).activateAccount(retailer.address);
         }
 
+        await productBatch.setOfferManager(await offerManager.getAddress());
+
         // Create a test batch
         await productBatch.connect(farmer).createBatch(
             "Test Mangoes", "Description", 100, ethers.parseEther("0.01"),
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Offer negotiation", function () {
+    let productBatch, offerManager, shipmentTracker, paymentEscrow, stablecoin;
+    let owner, farmer, processor, distributor;
+
+    const ROLE = { FARMER: 1, PROCESSOR: 2, DISTRIBUTOR: 3, SHIPPER: 4, RETAILER: 5, ADMIN: 6 };
+    const OFFER_TYPE = { BUY_OFFER: 0, SELL_OFFER: 1, CONTRACT_OFFER: 2 };
+    const OFFER_STATUS = { OPEN: 0, ACCEPTED: 1, EXPIRED: 2, CANCELLED: 3, COUNTERED: 4 };
+    const ESCROW = { NONE: 0, DEPOSITED: 1, HELD: 2, RELEASED: 3, REFUNDED: 4 };
+    const PRICE = ethers.parseEther("0.015");
+    const COUNTER_PRICE = ethers.parseEther("0.018");
+
+    beforeEach(async function () {
+        [owner, farmer, processor, distributor] = await ethers.getSigners();
+
+        productBatch = await (await ethers.getContractFactory("ProductBatch")).deploy();
+        offerManager = await (await ethers.getContractFactory("OfferManager")).deploy(await productBatch.getAddress());
+        shipmentTracker = await (await ethers.getContractFactory("ShipmentTracker"))
+            .deploy(await productBatch.getAddress());
+        paymentEscrow = await (await ethers.getContractFactory("PaymentEscrow"))
+            .deploy(await offerManager.getAddress(), await shipmentTracker.getAddress());
+        stablecoin = await (await ethers.getContractFactory("MockStablecoin")).deploy("Mock USD Coin", "mUSDC");
+
+        for (const contract of [productBatch, offerManager]) {
+            await contract.grantRole(farmer.address, ROLE.FARMER);
+            await contract.grantRole(processor.address, ROLE.PROCESSOR);
+            await contract.grantRole(distributor.address, ROLE.DISTRIBUTOR);
+        }
+
+        await productBatch.setOfferManager(await offerManager.getAddress());
+        await productBatch.setShipmentTracker(await shipmentTracker.getAddress());
+
+        await productBatch.connect(farmer).createBatch(
+            "Test Mangoes", "Description", 100, ethers.parseEther("0.01"), "Sydney", "QmHash", 0, [], false
+        );
+    });
+
+    describe("Counter-offers", function () {
+        it("Should answer a buy offer with a sell offer to its creator", async function () {
+            await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Deliver in May", 3600, farmer.address);
+
+            await expect(offerManager.connect(farmer).counterOffer(1, COUNTER_PRICE, 80, "Deliver in June", 7200))
+                .to.emit(offerManager, "OfferCountered").withArgs(1, 2, farmer.address)
+                .and.to.emit(offerManager, "OfferCreated").withArgs(2, farmer.address, 1, OFFER_TYPE.SELL_OFFER);
+
+            const parent = await offerManager.getOfferInfo(1);
+            expect(parent.status).to.equal(OFFER_STATUS.COUNTERED);
+
+            const counter = await offerManager.getOfferInfo(2);
+            expect(counter.creator).to.equal(farmer.address);
+            expect(counter.counterparty).to.equal(processor.address);
+            expect(counter.batchId).to.equal(1);
+            expect(counter.price).to.equal(COUNTER_PRICE);
+            expect(counter.quantity).to.equal(80);
+            expect(counter.offerType).to.equal(OFFER_TYPE.SELL_OFFER);
+            expect(counter.terms).to.equal("Deliver in June");
+            expect(await offerManager.parentOffers(2)).to.equal(1);
+
+            await expect(offerManager.connect(farmer).acceptOffer(1)).to.be.revertedWith("Offer not available");
+        });
+
+        it("Should keep the negotiation history of a batch", async function () {
+            await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Terms", 3600, farmer.address);
+            await offerManager.connect(farmer).counterOffer(1, COUNTER_PRICE, 100, "Terms", 3600);
+            await offerManager.connect(processor).counterOffer(2, ethers.parseEther("0.016"), 100, "Terms", 3600);
+            await offerManager.connect(farmer).acceptOffer(3);
+
+            expect(await offerManager.getOffersForBatch(1)).to.deep.equal([1n, 2n, 3n]);
+            expect(await offerManager.parentOffers(1)).to.equal(0);
+            expect(await offerManager.parentOffers(3)).to.equal(2);
+
+            const statuses = await Promise.all([1, 2, 3].map(async (id) => (await offerManager.getOfferInfo(id)).status));
+            expect(statuses).to.deep.equal([OFFER_STATUS.COUNTERED, OFFER_STATUS.COUNTERED, OFFER_STATUS.ACCEPTED]);
+            expect((await offerManager.getOfferInfo(3)).offerType).to.equal(OFFER_TYPE.BUY_OFFER);
+        });
+
+        it("Should leave an open offer available to others", async function () {
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", 3600, ethers.ZeroAddress);
+            await offerManager.connect(processor).counterOffer(1, PRICE / 2n, 100, "Terms", 3600);
+
+            expect((await offerManager.getOfferInfo(1)).status).to.equal(OFFER_STATUS.OPEN);
+            expect((await offerManager.getOfferInfo(2)).counterparty).to.equal(farmer.address);
+
+            await offerManager.connect(distributor).acceptOffer(1);
+            await expect(offerManager.connect(farmer).acceptOffer(2))
+                .to.be.revertedWith("Batch already sold");
+        });
+
+        it("Should only let someone who could accept an offer counter it", async function () {
+            await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Terms", 3600, ethers.ZeroAddress);
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", 3600, processor.address);
+            await offerManager.connect(processor).createContractOffer("Wheat", 1000, PRICE, "Terms", 3600, farmer.address);
+
+            await expect(offerManager.connect(processor).counterOffer(1, PRICE, 100, "Terms", 3600))
+                .to.be.revertedWith("Cannot counter own offer");
+            await expect(offerManager.connect(distributor).counterOffer(1, PRICE, 100, "Terms", 3600))
+                .to.be.revertedWith("Only batch owner can accept buy offer");
+            await expect(offerManager.connect(distributor).counterOffer(2, PRICE, 100, "Terms", 3600))
+                .to.be.revertedWith("Offer not for you");
+            await expect(offerManager.connect(farmer).counterOffer(3, PRICE, 100, "Terms", 3600))
+                .to.be.revertedWith("Contract offers cannot be countered");
+            await expect(offerManager.connect(processor).counterOffer(2, PRICE, 0, "Terms", 3600))
+                .to.be.revertedWith("Quantity must be positive");
+
+            await offerManager.connect(farmer).cancelOffer(2);
+            await expect(offerManager.connect(processor).counterOffer(2, PRICE, 100, "Terms", 3600))
+                .to.be.revertedWith("Offer not available");
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await expect(offerManager.connect(farmer).counterOffer(1, PRICE, 100, "Terms", 3600))
+                .to.be.revertedWith("Offer expired");
+        });
+    });
+
+    describe("With payment escrow", function () {
+        beforeEach(async function () {
+            await offerManager.setPaymentEscrow(await paymentEscrow.getAddress());
+            await paymentEscrow.setAcceptedToken(await stablecoin.getAddress(), true);
+        });
+
+        it("Should return a countered buy offer's deposit", async function () {
+            await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Terms", 3600, farmer.address);
+            await offerManager.connect(processor).fundOffer(1, { value: PRICE });
+
+            await expect(offerManager.connect(farmer).counterOffer(1, COUNTER_PRICE, 100, "Terms", 3600))
+                .to.changeEtherBalances([processor, paymentEscrow], [PRICE, -PRICE]);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.REFUNDED);
+
+            // The buyer pays the counter-offer's price on acceptance
+            await offerManager.connect(processor).acceptOffer(2, { value: COUNTER_PRICE });
+            expect((await paymentEscrow.getEscrow(2)).status).to.equal(ESCROW.HELD);
+        });
+
+        it("Should carry the payment token over to the counter-offer", async function () {
+            const token = await stablecoin.getAddress();
+            await offerManager.connect(farmer).createSellOffer(1, 15000000, 100, "Terms", 3600, processor.address);
+            await offerManager.connect(farmer).setPaymentToken(1, token);
+
+            await expect(offerManager.connect(processor).counterOffer(1, 12000000, 100, "Terms", 3600))
+                .to.emit(offerManager, "PaymentTokenSet").withArgs(2, token);
+            expect(await offerManager.paymentTokens(2)).to.equal(token);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+const { loadSeedScenario, seedScenario } = require("../../services/scenarioSeeder");
+const { readAllPages } = require("../../utils/pagination");
+
+describe("Paginated listings", function () {
+    let contracts, seeded;
+
+    const CONTRACTS = [
+        "StakeholderManager", "StakeholderRegistry", "ProductBatch", "OfferManager", "ShipmentTracker", "Registry",
+        "WeatherOracle", "FileStorageManager"
+    ];
+    const SPOT_MARKET = 0;
+
+    // Every page of a listing, `limit` entries at a time
+    const pagesOf = async (fetchPage, limit) => {
+        const pages = [];
+        let cursor = 0n;
+        do {
+            const page = await fetchPage(cursor, limit);
+            pages.push(page);
+            cursor = page.nextCursor;
+        } while (cursor !== 0n);
+        return pages;
+    };
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        await deployments.fixture(["all"]);
+
+        contracts = {};
+        for (const name of CONTRACTS) {
+            contracts[name] = await ethers.getContractAt(name, (await deployments.get(name)).address);
+        }
+        // Without Bob's claim the apples stay on the retailer's shelf
+        const scenario = loadSeedScenario("demo");
+        scenario.purchases = scenario.purchases.filter(({ claimed }) => !claimed);
+        seeded = await seedScenario({ contracts, signers, scenario, log: () => {} });
+    });
+
+    it("Should page through stakeholders in registration order", async function () {
+        const { StakeholderManager, StakeholderRegistry } = contracts;
+        const all = await StakeholderManager.getAllStakeholders();
+
+        const pages = await pagesOf((cursor, limit) => StakeholderManager.getAllStakeholdersPage(cursor, limit), 3);
+        expect(pages.map(({ page }) => page.length)).to.deep.equal([3, 3, 1]);
+        expect(pages.flatMap(({ page }) => [...page])).to.deep.equal([...all]);
+
+        const [page, nextCursor] = await StakeholderRegistry.getAllStakeholdersPage(2, 2);
+        expect(page).to.deep.equal([all[2], all[3]]);
+        expect(nextCursor).to.equal(4);
+    });
+
+    it("Should return an empty last page past the end of a listing", async function () {
+        const { StakeholderManager, ProductBatch } = contracts;
+
+        const [page, nextCursor] = await StakeholderManager.getAllStakeholdersPage(100, 10);
+        expect(page).to.deep.equal([]);
+        expect(nextCursor).to.equal(0);
+
+        const products = await ProductBatch.getRetailerProductsPage(100, 10);
+        expect(products.batchIds).to.deep.equal([]);
+        expect(products.nextCursor).to.equal(0);
+    });
+
+    it("Should page through retailer products, scanning a fixed number of batches per call", async function () {
+        const { ProductBatch } = contracts;
+        const { apples } = seeded.batches;
+
+        // Batches 1-4: only the apples are listed by a retailer
+        const pages = await pagesOf((cursor, limit) => ProductBatch.getRetailerProductsPage(cursor, limit), 2);
+        expect(pages.map(({ nextCursor }) => nextCursor)).to.deep.equal([3n, 0n]);
+        expect(pages.map(({ batchIds }) => batchIds.map(Number))).to.deep.equal([[], [apples]]);
+
+        const [batchIds, retailers, productNames] = pages[1];
+        expect(batchIds).to.deep.equal([apples]);
+        expect(retailers).to.deep.equal([seeded.stakeholders.marketFresh]);
+        expect(productNames).to.deep.equal(["Red Apples"]);
+    });
+
+    it("Should page through available batches by trading mode", async function () {
+        const { ProductBatch } = contracts;
+
+        // Mangoes, apples and tomatoes are spot market batches; only the apples are still for sale
+        const pages = await pagesOf(
+            (cursor, limit) => ProductBatch.getAvailableBatchesPage(SPOT_MARKET, cursor, limit), 1
+        );
+        expect(pages.map(({ nextCursor }) => nextCursor)).to.deep.equal([1n, 2n, 0n]);
+        expect(pages.flatMap(({ batchIds }) => batchIds.map(Number))).to.deep.equal([seeded.batches.apples]);
+    });
+
+    it("Should page through search results without the 100 result cap", async function () {
+        const { Registry } = contracts;
+        const search = (cursor, limit) => Registry.searchProductsPage("", "", SPOT_MARKET, false, cursor, limit);
+
+        // Of the four registered products only the wheat is still available
+        const pages = await pagesOf(search, 2);
+        expect(pages.map(({ nextCursor }) => nextCursor)).to.deep.equal([3n, 0n]);
+        expect(pages.map(({ productIds }) => productIds.map(Number))).to.deep.equal([[2], []]);
+        expect(await readAllPages(search, 1)).to.deep.equal([...(await Registry.searchProducts("", "", SPOT_MARKET, false))]);
+    });
+
+    it("Should page through offers available to a user", async function () {
+        const { OfferManager } = contracts;
+        const { sunnyAcres } = seeded.stakeholders;
+
+        const expected = await OfferManager.getAvailableOffers(sunnyAcres);
+        expect(expected.map(Number)).to.deep.equal([seeded.offers.wheatContract]);
+        expect(
+            await readAllPages((cursor, limit) => OfferManager.getAvailableOffersPage(sunnyAcres, cursor, limit), 2)
+        ).to.deep.equal([...expected]);
+    });
+
+    it("Should page through pending upload requests", async function () {
+        const { FileStorageManager } = contracts;
+        const [deployer] = await ethers.getSigners();
+        const farmer = await ethers.getSigner(seeded.stakeholders.greenValley);
+
+        for (const name of ["a.pdf", "b.pdf", "c.pdf"]) {
+            await FileStorageManager.connect(farmer).requestFileStorage(1, name, "application/pdf", 1);
+        }
+        await FileStorageManager.connect(deployer).completeFileUpload(2, "QmB", "https://files/b.pdf", 10, []);
+
+        const pages = await pagesOf((cursor, limit) => FileStorageManager.getPendingUploadRequestsPage(cursor, limit), 2);
+        expect(pages.map(({ requestIds }) => requestIds.map(Number))).to.deep.equal([[1], [3]]);
+        expect(await FileStorageManager.getPendingUploadRequests()).to.deep.equal([1n, 3n]);
+    });
+});
@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PaymentEscrow", function () {
+    let productBatch, offerManager, shipmentTracker, paymentEscrow, stablecoin;
+    let owner, farmer, processor, retailer, shipper;
+
+    const ROLE = { FARMER: 1, PROCESSOR: 2, DISTRIBUTOR: 3, SHIPPER: 4, RETAILER: 5, ADMIN: 6 };
+    const ESCROW = { NONE: 0, DEPOSITED: 1, HELD: 2, RELEASED: 3, REFUNDED: 4, DISPUTED: 5, RESOLVED: 6 };
+    const PRICE = ethers.parseEther("0.015");
+    const TOKEN_PRICE = 15000000n; // 15 mUSDC
+    const DELIVERY_TIMEOUT = 14 * 24 * 60 * 60;
+
+    // Farmer ships batch 1 to the processor, who confirms the delivery
+    const deliver = async (offerId, receiver = processor) => {
+        const trackingId = `TRACK-${offerId}-${receiver.address.slice(2, 8)}`;
+        await shipmentTracker.connect(farmer).createShipment(
+            1, offerId, receiver.address, shipper.address, trackingId, "Farm", "Plant", ""
+        );
+        const shipmentId = (await shipmentTracker.nextShipmentId()) - 1n;
+        await shipmentTracker.connect(shipper).pickupShipment(shipmentId);
+        await shipmentTracker.connect(shipper).markDelivered(shipmentId);
+        return shipmentTracker.connect(receiver).confirmDelivery(shipmentId);
+    };
+
+    // Processor's buy offer for batch 1, funded and accepted by the farmer
+    const acceptedBuyOffer = async () => {
+        await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Terms", 3600, farmer.address);
+        await offerManager.connect(processor).fundOffer(1, { value: PRICE });
+        await offerManager.connect(farmer).acceptOffer(1);
+    };
+
+    beforeEach(async function () {
+        [owner, farmer, processor, retailer, shipper] = await ethers.getSigners();
+
+        productBatch = await (await ethers.getContractFactory("ProductBatch")).deploy();
+        offerManager = await (await ethers.getContractFactory("OfferManager")).deploy(await productBatch.getAddress());
+        shipmentTracker = await (await ethers.getContractFactory("ShipmentTracker"))
+            .deploy(await productBatch.getAddress());
+        paymentEscrow = await (await ethers.getContractFactory("PaymentEscrow"))
+            .deploy(await offerManager.getAddress(), await shipmentTracker.getAddress());
+        stablecoin = await (await ethers.getContractFactory("MockStablecoin")).deploy("Mock USD Coin", "mUSDC");
+
+        for (const contract of [productBatch, offerManager, shipmentTracker]) {
+            await contract.grantRole(farmer.address, ROLE.FARMER);
+            await contract.grantRole(processor.address, ROLE.PROCESSOR);
+            await contract.grantRole(retailer.address, ROLE.RETAILER);
+            await contract.grantRole(shipper.address, ROLE.SHIPPER);
+        }
+        await productBatch.setOfferManager(await offerManager.getAddress());
+        await productBatch.setShipmentTracker(await shipmentTracker.getAddress());
+        await offerManager.setPaymentEscrow(await paymentEscrow.getAddress());
+        await shipmentTracker.setPaymentEscrow(await paymentEscrow.getAddress());
+        await paymentEscrow.setAcceptedToken(await stablecoin.getAddress(), true);
+
+        await productBatch.connect(farmer).createBatch(
+            "Test Mangoes", "Description", 100, ethers.parseEther("0.01"), "Sydney", "QmHash", 0, [], false
+        );
+        await stablecoin.mint(processor.address, 100n * TOKEN_PRICE);
+    });
+
+    describe("Deposits", function () {
+        it("Should take the asking price when a sell offer is accepted", async function () {
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", 3600, processor.address);
+
+            await expect(offerManager.connect(processor).acceptOffer(1, { value: PRICE - 1n }))
+                .to.be.revertedWith("Incorrect payment amount");
+            const accept = offerManager.connect(processor).acceptOffer(1, { value: PRICE });
+            await expect(accept).to.changeEtherBalances([processor, paymentEscrow], [-PRICE, PRICE]);
+            await expect(accept).to.emit(paymentEscrow, "EscrowHeld");
+
+            const escrow = await paymentEscrow.getEscrow(1);
+            expect(escrow.buyer).to.equal(processor.address);
+            expect(escrow.seller).to.equal(farmer.address);
+            expect(escrow.amount).to.equal(PRICE);
+            expect(escrow.status).to.equal(ESCROW.HELD);
+        });
+
+        it("Should only let a seller accept a funded buy offer", async function () {
+            await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Terms", 3600, farmer.address);
+
+            await expect(offerManager.connect(farmer).acceptOffer(1)).to.be.revertedWith("Offer not funded");
+            await expect(offerManager.connect(farmer).fundOffer(1, { value: PRICE }))
+                .to.be.revertedWith("Only creator can fund");
+
+            await expect(offerManager.connect(processor).fundOffer(1, { value: PRICE }))
+                .to.emit(paymentEscrow, "EscrowDeposited")
+                .withArgs(1, processor.address, ethers.ZeroAddress, PRICE);
+            await expect(offerManager.connect(processor).fundOffer(1, { value: PRICE }))
+                .to.be.revertedWith("Offer already funded");
+            await expect(offerManager.connect(farmer).acceptOffer(1, { value: 1 }))
+                .to.be.revertedWith("Buy offer is paid by its creator");
+
+            await offerManager.connect(farmer).acceptOffer(1);
+            expect((await paymentEscrow.getEscrow(1)).seller).to.equal(farmer.address);
+        });
+
+        it("Should return a buy offer's deposit when it is cancelled", async function () {
+            await offerManager.connect(processor).createBuyOffer(1, PRICE, 100, "Terms", 3600, farmer.address);
+            await offerManager.connect(processor).fundOffer(1, { value: PRICE });
+
+            await expect(offerManager.connect(processor).cancelOffer(1))
+                .to.changeEtherBalances([processor, paymentEscrow], [PRICE, -PRICE]);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.REFUNDED);
+        });
+
+        it("Should pull an accepted ERC-20 payment token from the buyer", async function () {
+            const token = await stablecoin.getAddress();
+            await offerManager.connect(processor).createBuyOffer(1, TOKEN_PRICE, 100, "Terms", 3600, farmer.address);
+
+            await expect(offerManager.connect(processor).setPaymentToken(1, retailer.address))
+                .to.be.revertedWith("Payment token not accepted");
+            await expect(offerManager.connect(processor).setPaymentToken(1, token))
+                .to.emit(offerManager, "PaymentTokenSet").withArgs(1, token);
+
+            await stablecoin.connect(processor).approve(await paymentEscrow.getAddress(), TOKEN_PRICE);
+            await expect(offerManager.connect(processor).fundOffer(1, { value: 1 }))
+                .to.be.revertedWith("Native payment not expected");
+            await expect(offerManager.connect(processor).fundOffer(1))
+                .to.changeTokenBalances(stablecoin, [processor, paymentEscrow], [-TOKEN_PRICE, TOKEN_PRICE]);
+            await expect(offerManager.connect(processor).setPaymentToken(1, ethers.ZeroAddress))
+                .to.be.revertedWith("Offer already funded");
+
+            await offerManager.connect(farmer).acceptOffer(1);
+            await expect(deliver(1)).to.changeTokenBalances(stablecoin, [farmer, paymentEscrow], [TOKEN_PRICE, -TOKEN_PRICE]);
+        });
+
+        it("Should leave contract farming offers and unpriced offers out of escrow", async function () {
+            await offerManager.connect(processor).createContractOffer("Wheat", 1000, PRICE, "Terms", 3600, farmer.address);
+            await offerManager.connect(processor).createBuyOffer(1, 0, 100, "Terms", 3600, farmer.address);
+
+            await expect(offerManager.connect(farmer).acceptOffer(1, { value: PRICE }))
+                .to.be.revertedWith("Offer not paid through escrow");
+            await offerManager.connect(farmer).acceptOffer(1);
+            await offerManager.connect(farmer).acceptOffer(2);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.NONE);
+            expect((await paymentEscrow.getEscrow(2)).status).to.equal(ESCROW.NONE);
+        });
+
+        it("Should only take deposits and releases from the marketplace contracts", async function () {
+            await expect(paymentEscrow.connect(processor).deposit(1, 1, processor.address, ethers.ZeroAddress, 1, { value: 1 }))
+                .to.be.revertedWith("Only OfferManager");
+            await expect(paymentEscrow.connect(processor).releaseOnDelivery(1, 1, processor.address))
+                .to.be.revertedWith("Only ShipmentTracker");
+        });
+    });
+
+    describe("Release and refunds", function () {
+        beforeEach(async function () {
+            await acceptedBuyOffer();
+        });
+
+        it("Should pay the seller when the buyer confirms delivery", async function () {
+            const confirm = deliver(1);
+            await expect(confirm).to.changeEtherBalances([farmer, paymentEscrow], [PRICE, -PRICE]);
+            await expect(confirm).to.emit(paymentEscrow, "EscrowReleased").withArgs(1, farmer.address, PRICE);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.RELEASED);
+        });
+
+        it("Should not release on a delivery to someone other than the buyer", async function () {
+            await deliver(1, retailer);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.HELD);
+        });
+
+        it("Should let the buyer reclaim the payment after the delivery deadline", async function () {
+            await expect(paymentEscrow.connect(processor).claimRefund(1))
+                .to.be.revertedWith("Delivery deadline not reached");
+
+            await ethers.provider.send("evm_increaseTime", [DELIVERY_TIMEOUT]);
+            await expect(paymentEscrow.connect(farmer).claimRefund(1)).to.be.revertedWith("Only buyer can claim refund");
+            await expect(paymentEscrow.connect(processor).claimRefund(1))
+                .to.changeEtherBalances([processor, paymentEscrow], [PRICE, -PRICE]);
+
+            // A late delivery no longer pays out
+            await expect(deliver(1)).to.not.emit(paymentEscrow, "EscrowReleased");
+        });
+
+        it("Should let the seller refund the buyer", async function () {
+            await expect(paymentEscrow.connect(processor).refundBuyer(1)).to.be.revertedWith("Only seller can refund");
+            await expect(paymentEscrow.connect(farmer).refundBuyer(1))
+                .to.emit(paymentEscrow, "EscrowRefunded").withArgs(1, processor.address, PRICE);
+        });
+    });
+
+    describe("Delivery", function () {
+        const STATUS = { SOLD: 3, RECEIVED: 5 };
+
+        const expectBatch = async (owner, status) => {
+            const batch = await productBatch.getBatchInfo(1);
+            expect(batch.currentOwner).to.equal(owner.address);
+            expect(batch.status).to.equal(status);
+        };
+
+        it("Should ship a sold batch and hand it to the buyer of a sell offer on delivery", async function () {
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", 3600, processor.address);
+            await offerManager.connect(processor).acceptOffer(1, { value: PRICE });
+
+            // The farmer keeps the batch to ship it, and can't sell it again meanwhile
+            await expectBatch(farmer, STATUS.SOLD);
+            await expect(productBatch.connect(farmer).listForSale(1, PRICE, 0))
+                .to.be.revertedWith("Sold batch awaiting delivery");
+            await offerManager.connect(farmer).createSellOffer(1, PRICE, 100, "Terms", 3600, retailer.address);
+            await expect(offerManager.connect(retailer).acceptOffer(2, { value: PRICE }))
+                .to.be.revertedWith("Batch already sold");
+
+            const confirm = deliver(1);
+            await expect(confirm).to.changeEtherBalances([farmer, paymentEscrow], [PRICE, -PRICE]);
+            await expect(confirm).to.emit(productBatch, "BatchUpdated").withArgs(1, "Delivered");
+            await expectBatch(processor, STATUS.RECEIVED);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.RELEASED);
+
+            // Paid and delivered: nothing left to refund, and the batch is the processor's
+            await ethers.provider.send("evm_increaseTime", [DELIVERY_TIMEOUT]);
+            await expect(paymentEscrow.connect(processor).claimRefund(1)).to.be.revertedWith("Escrow not held");
+            await productBatch.connect(processor).processBatch(1, "Drying", "Grade A", 90);
+        });
+
+        it("Should sell a buy offer's batch to its creator rather than the farmer accepting it", async function () {
+            await acceptedBuyOffer();
+            await expectBatch(farmer, STATUS.SOLD);
+
+            await expect(deliver(1)).to.emit(paymentEscrow, "EscrowReleased").withArgs(1, farmer.address, PRICE);
+            await expectBatch(processor, STATUS.RECEIVED);
+            await expect(productBatch.connect(farmer)["transferOwnership(uint256,address)"](1, farmer.address))
+                .to.be.revertedWith("Only current owner");
+        });
+
+        it("Should only let ShipmentTracker hand over batches", async function () {
+            await expect(productBatch.connect(farmer).deliverBatch(1, processor.address))
+                .to.be.revertedWith("Only ShipmentTracker");
+        });
+    });
+
+    describe("Disputes", function () {
+        beforeEach(async function () {
+            await acceptedBuyOffer();
+        });
+
+        it("Should freeze a disputed payment until an admin splits it", async function () {
+            await expect(paymentEscrow.connect(retailer).raiseDispute(1, "Not mine"))
+                .to.be.revertedWith("Only buyer or seller");
+            await expect(paymentEscrow.connect(processor).raiseDispute(1, "Grade B on arrival"))
+                .to.emit(paymentEscrow, "EscrowDisputed").withArgs(1, processor.address, "Grade B on arrival");
+
+            // Neither delivery nor the deadline pays out a disputed escrow
+            await deliver(1);
+            await ethers.provider.send("evm_increaseTime", [DELIVERY_TIMEOUT]);
+            await expect(paymentEscrow.connect(processor).claimRefund(1)).to.be.revertedWith("Escrow not held");
+
+            const buyerShare = PRICE / 3n;
+            await expect(paymentEscrow.connect(farmer).resolveDispute(1, buyerShare))
+                .to.be.revertedWith("AccessControl: admin role required");
+            await expect(paymentEscrow.resolveDispute(1, PRICE + 1n)).to.be.revertedWith("Amount exceeds escrow");
+            const resolve = paymentEscrow.resolveDispute(1, buyerShare);
+            await expect(resolve).to.changeEtherBalances([processor, farmer], [buyerShare, PRICE - buyerShare]);
+            await expect(resolve).to.emit(paymentEscrow, "DisputeResolved").withArgs(1, buyerShare, PRICE - buyerShare);
+            expect((await paymentEscrow.getEscrow(1)).status).to.equal(ESCROW.RESOLVED);
+        });
+    });
+});
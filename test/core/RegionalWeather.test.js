@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("ProductBatch regional weather", function () {
+    let productBatch, stakeholderManager, weatherOracle;
+    let owner, farmer, user1;
+
+    const ROLE = { FARMER: 1, PROCESSOR: 2, DISTRIBUTOR: 3, SHIPPER: 4, RETAILER: 5, ADMIN: 6 };
+    const TRADING_MODE = { SPOT_MARKET: 0, CONTRACT_FARMING: 1, COOPERATIVE: 2, WEATHER_DEPENDENT: 3 };
+
+    const reading = (region, temperature, humidity, rainfall, windSpeed) =>
+        ({ region, temperature, humidity, rainfall, windSpeed });
+
+    const createBatch = (name, originLocation) => productBatch.connect(farmer).createBatch(
+        name, "Description", 100, ethers.parseEther("0.01"), originLocation, "QmHash",
+        TRADING_MODE.WEATHER_DEPENDENT, [], true
+    );
+
+    beforeEach(async function () {
+        [owner, farmer, user1] = await ethers.getSigners();
+
+        const ProductBatch = await ethers.getContractFactory("ProductBatch");
+        productBatch = await ProductBatch.deploy();
+        await productBatch.waitForDeployment();
+
+        const StakeholderManager = await ethers.getContractFactory("StakeholderManager");
+        stakeholderManager = await StakeholderManager.deploy();
+        await stakeholderManager.waitForDeployment();
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle");
+        weatherOracle = await WeatherOracle.deploy();
+        await weatherOracle.waitForDeployment();
+
+        await productBatch.connect(owner).grantRole(farmer.address, ROLE.FARMER);
+
+        await weatherOracle.updateWeather([
+            reading("", 2000, 6000, 500, 1000),
+            reading("Sydney", 3100, 4500, 0, 2500)
+        ]);
+
+        await productBatch.connect(owner).setWeatherOracle(await weatherOracle.getAddress());
+        await productBatch.connect(owner).setLocationRegion("Sydney", "Sydney");
+        await productBatch.connect(owner).setLocationRegion("Sydney, NSW", "Sydney");
+    });
+
+    describe("Configuration", function () {
+        it("Should store the weather oracle and location mappings", async function () {
+            expect(await productBatch.weatherOracle()).to.equal(await weatherOracle.getAddress());
+            expect(await productBatch.locationRegions("Sydney, NSW")).to.equal("Sydney");
+        });
+
+        it("Should only allow admin to configure regions", async function () {
+            await expect(productBatch.connect(user1).setWeatherOracle(await weatherOracle.getAddress()))
+                .to.be.revertedWith("AccessControl: admin role required");
+            await expect(productBatch.connect(user1).setLocationRegion("Melbourne, VIC", "Melbourne"))
+                .to.be.revertedWith("AccessControl: admin role required");
+            await expect(productBatch.connect(user1).setStakeholderManager(await stakeholderManager.getAddress()))
+                .to.be.revertedWith("AccessControl: admin role required");
+        });
+
+        it("Should use the global feeds when no oracle is set", async function () {
+            const UpdatableWeatherFeed = await ethers.getContractFactory("UpdatableWeatherFeed");
+            const feeds = [
+                await UpdatableWeatherFeed.deploy(2, "Temperature Feed", 1500),
+                await UpdatableWeatherFeed.deploy(2, "Humidity Feed", 7000),
+                await UpdatableWeatherFeed.deploy(2, "Rainfall Feed", 100),
+                await UpdatableWeatherFeed.deploy(2, "Wind Speed Feed", 500)
+            ];
+            await productBatch.connect(owner).setWeatherFeeds(...(await Promise.all(feeds.map((feed) => feed.getAddress()))));
+            await productBatch.connect(owner).setWeatherOracle(ethers.ZeroAddress);
+
+            await createBatch("Mangoes", "Sydney, NSW");
+
+            const info = await productBatch.getBatchMarketInfo(1);
+            expect(info.lastWeather.temperature).to.equal(1500);
+        });
+    });
+
+    describe("Region resolution", function () {
+        it("Should use the region reading for a mapped origin location", async function () {
+            await createBatch("Mangoes", "Sydney, NSW");
+
+            expect(await productBatch.getBatchWeatherRegion(1)).to.equal("Sydney");
+            const info = await productBatch.getBatchMarketInfo(1);
+            expect(info.lastWeather.temperature).to.equal(3100);
+            expect(info.lastWeather.humidity).to.equal(4500);
+        });
+
+        it("Should match an origin location equal to the region name", async function () {
+            await createBatch("Mangoes", "Sydney");
+
+            expect(await productBatch.getBatchWeatherRegion(1)).to.equal("Sydney");
+        });
+
+        it("Should fall back to the global reading for an unknown location", async function () {
+            await createBatch("Mangoes", "Costa Rica");
+
+            expect(await productBatch.getBatchWeatherRegion(1)).to.equal("");
+            const info = await productBatch.getBatchMarketInfo(1);
+            expect(info.lastWeather.temperature).to.equal(2000);
+        });
+
+        it("Should use the farmer's registered location when the origin is unmapped", async function () {
+            await stakeholderManager.connect(owner).registerStakeholder(
+                farmer.address, ROLE.FARMER, "Green Farm", "LIC-001", "Sydney, NSW", "Organic"
+            );
+            await productBatch.connect(owner).setStakeholderManager(await stakeholderManager.getAddress());
+
+            await createBatch("Mangoes", "North Paddock");
+
+            expect(await productBatch.getBatchWeatherRegion(1)).to.equal("Sydney");
+            const info = await productBatch.getBatchMarketInfo(1);
+            expect(info.lastWeather.temperature).to.equal(3100);
+        });
+
+        it("Should fall back to the global reading for an unregistered farmer", async function () {
+            await productBatch.connect(owner).setStakeholderManager(await stakeholderManager.getAddress());
+
+            await createBatch("Mangoes", "North Paddock");
+
+            expect(await productBatch.getBatchWeatherRegion(1)).to.equal("");
+        });
+    });
+
+    describe("Weather verification", function () {
+        beforeEach(async function () {
+            // Requirements match the global conditions, not Sydney's
+            await productBatch.connect(owner).setCropWeatherRequirements("Wheat", 2000, 6000, 500, 1000);
+        });
+
+        it("Should list a batch when its region is suitable", async function () {
+            await createBatch("Wheat", "Costa Rica");
+
+            await expect(productBatch.connect(farmer).listForSale(1, ethers.parseEther("0.02"), TRADING_MODE.SPOT_MARKET))
+                .to.emit(productBatch, "BatchListed");
+        });
+
+        it("Should reject listing when its region is unsuitable", async function () {
+            await createBatch("Wheat", "Sydney, NSW");
+
+            await expect(productBatch.connect(farmer).listForSale(1, ethers.parseEther("0.02"), TRADING_MODE.SPOT_MARKET))
+                .to.be.revertedWith("Weather conditions not suitable for trading");
+        });
+
+        it("Should pick up new region readings", async function () {
+            await createBatch("Wheat", "Sydney, NSW");
+
+            await weatherOracle.updateWeather([reading("Sydney", 2000, 6000, 500, 1000)]);
+
+            await expect(productBatch.connect(farmer).listForSale(1, ethers.parseEther("0.02"), TRADING_MODE.SPOT_MARKET))
+                .to.emit(productBatch, "WeatherVerified");
+        });
+    });
+});
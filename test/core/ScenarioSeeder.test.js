@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+const {
+    listSeedScenarios, loadSeedScenario, validateSeedScenario, seedScenario
+} = require("../../services/scenarioSeeder");
+
+describe("Scenario seeder", function () {
+    let contracts, signers;
+
+    const CONTRACTS = [
+        "StakeholderManager", "ProductBatch", "OfferManager", "ShipmentTracker", "Registry", "WeatherOracle",
+        "ContractFarming"
+    ];
+    const seed = (scenario) => seedScenario({ contracts, signers, scenario, log: () => {} });
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        await deployments.fixture(["all"]);
+
+        contracts = {};
+        for (const name of CONTRACTS) {
+            contracts[name] = await ethers.getContractAt(name, (await deployments.get(name)).address);
+        }
+    });
+
+    it("Should ship the demo and QA smoke scenarios", function () {
+        expect(listSeedScenarios()).to.include.members(["demo", "qa-smoke"]);
+        expect(loadSeedScenario("demo").stakeholders.greenValley.role).to.equal("FARMER");
+        expect(loadSeedScenario("qa-smoke").batches.carrots.quantity).to.equal(50);
+    });
+
+    it("Should seed the demo scenario", async function () {
+        const { StakeholderManager, ProductBatch, OfferManager, ShipmentTracker, Registry, WeatherOracle } = contracts;
+        const seeded = await seed(loadSeedScenario("demo"));
+        const { greenValley, freshProcessing, alice, bob } = seeded.stakeholders;
+
+        // Stakeholders are registered once and recognised by every contract
+        expect(await StakeholderManager.getTotalStakeholders()).to.equal(7);
+        expect(await StakeholderManager.isRegistered(alice)).to.be.false;
+        expect(await ProductBatch.hasRole(greenValley, 1)).to.be.true;
+
+        expect(seeded.weatherRounds).to.equal(5);
+        expect(await WeatherOracle.latestRoundId("Sydney")).to.equal(4);
+        expect(await WeatherOracle.latestRoundId("Melbourne")).to.equal(3);
+
+        expect(seeded.batches).to.deep.equal({ mangoes: 1, wheat: 2, apples: 3, tomatoes: 4 });
+        const wheat = await ProductBatch.getBatchMarketInfo(seeded.batches.wheat);
+        expect(wheat.weatherVerificationRequired).to.be.true;
+        expect(wheat.lastWeather.timestamp).to.be.greaterThan(0);
+
+        // Accepted offers of registered batches are recorded in the Registry
+        expect((await OfferManager.offers(seeded.offers.mangoOrder)).status).to.equal(1);
+        expect((await OfferManager.offers(seeded.offers.wheatBid)).status).to.equal(0);
+        expect((await Registry.getMarketplaceOverview())[2]).to.equal(3);
+
+        // The contract offer is funded for the farmer to accept
+        const agreement = await contracts.ContractFarming.getAgreement(seeded.offers.wheatContract);
+        expect(agreement.status).to.equal(1);
+        expect(agreement.deposit).to.equal(ethers.parseEther("4"));
+
+        // The confirmed shipment hands the mangoes to the processor
+        expect((await ShipmentTracker.shipments(seeded.shipments.mangoDelivery)).status).to.equal(4);
+        expect((await ShipmentTracker.shipments(seeded.shipments.tomatoDelivery)).status).to.equal(2);
+        expect((await ProductBatch.getBatchMarketInfo(seeded.batches.mangoes)).owner).to.equal(freshProcessing);
+
+        // Alice picked up her apples; Bob claimed ownership of the batch
+        expect(seeded.purchases).to.have.length(2);
+        const [, , , , quantity] = await ProductBatch.getBatchInfo(seeded.batches.apples);
+        expect(quantity).to.equal(134);
+        expect((await ProductBatch.getConsumerPurchase(seeded.purchases[0])).isPickedUp).to.be.true;
+        expect((await ProductBatch.getBatchMarketInfo(seeded.batches.apples)).owner).to.equal(bob);
+    });
+
+    it("Should refuse to seed a chain that already has the stakeholders", async function () {
+        const scenario = loadSeedScenario("qa-smoke");
+        await seed(scenario);
+
+        await expect(seed(scenario)).to.be.rejectedWith(
+            `stakeholder farmer (${signers[1].address}) is already registered. Seed a freshly deployed chain.`
+        );
+    });
+
+    it("Should report every invalid reference before sending anything", async function () {
+        const scenario = {
+            name: "broken",
+            stakeholders: {
+                farmer: { account: 1, role: "FARMER", name: "Farm" },
+                buyer: { account: 1, role: "BARISTA", name: "Cafe" }
+            },
+            weather: [{ scenario: "drought", regions: ["Perth"] }],
+            batches: { beans: { farmer: "buyer", name: "Beans", quantity: 0, basePrice: "free" } },
+            offers: { bid: { type: "BUY", from: "nobody", batch: "rice", price: "0.1", quantity: 1 } },
+            purchases: [{ consumer: "buyer", retailer: "farmer", batch: "beans", quantity: 1 }]
+        };
+
+        expect(() => validateSeedScenario(scenario)).to.throw(
+            'Seed scenario "broken" is invalid:\n' +
+            "  - stakeholder buyer: account 1 is used twice\n" +
+            '  - stakeholder buyer: unknown role "BARISTA"\n' +
+            '  - weather[0]: unknown region "Perth"\n' +
+            '  - batch beans: farmer "buyer" is not a FARMER stakeholder\n' +
+            "  - batch beans: quantity must be a positive integer\n" +
+            "  - batch beans: invalid basePrice\n" +
+            '  - offer bid: unknown stakeholder "nobody"\n' +
+            '  - offer bid: unknown batch "rice"\n' +
+            '  - purchases[0]: retailer "farmer" is not a RETAILER stakeholder'
+        );
+        await expect(seed(scenario)).to.be.rejectedWith('Seed scenario "broken" is invalid');
+        expect(await contracts.StakeholderManager.getTotalStakeholders()).to.equal(0);
+    });
+
+    it("Should name the available scenarios when one is missing", function () {
+        expect(() => loadSeedScenario("harvest-festival")).to.throw(
+            'Seed scenario "harvest-festival" not found. Available: demo, qa-smoke'
+        );
+    });
+});
@@ -0,0 +1,112 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers, upgrades } = hre;
+const {
+    UPGRADEABLE_CONTRACTS, deployProxy, validateUpgrade, upgradeProxy
+} = require("../../utils/upgrades");
+
+describe("Upgradeable core contracts", function () {
+    let owner, farmer, productBatch, productBatchAddress;
+
+    const ROLE = { FARMER: 1 };
+    const TRADING_MODE = { SPOT_MARKET: 0 };
+
+    const createBatch = (contract, name) => contract.connect(farmer).createBatch(
+        name, "Description", 100, ethers.parseEther("0.01"), "Sydney", "QmHash",
+        TRADING_MODE.SPOT_MARKET, [], false
+    );
+
+    beforeEach(async function () {
+        [owner, farmer] = await ethers.getSigners();
+
+        ({ address: productBatchAddress } = await deployProxy(hre, "ProductBatch"));
+        productBatch = await ethers.getContractAt("ProductBatch", productBatchAddress);
+        await productBatch.grantRole(farmer.address, ROLE.FARMER);
+    });
+
+    it("Should pass the upgrade safety checks for every core contract", async function () {
+        for (const name of UPGRADEABLE_CONTRACTS) {
+            const factory = await ethers.getContractFactory(name);
+            // Constructor arguments are all contract addresses
+            const constructorArgs = factory.interface.deploy.inputs.map(() => productBatchAddress);
+            await upgrades.validateImplementation(factory, { kind: "transparent", constructorArgs });
+        }
+    });
+
+    it("Should initialize a proxy like a direct deployment", async function () {
+        const { address, implementation, args, receipt } = await deployProxy(hre, "OfferManager", [productBatchAddress]);
+        const offerManager = await ethers.getContractAt("OfferManager", address);
+
+        expect(args).to.deep.equal([productBatchAddress]);
+        expect(receipt.blockNumber).to.be.a("number");
+        expect(implementation).to.equal(await upgrades.erc1967.getImplementationAddress(address));
+        expect(await offerManager.owner()).to.equal(owner.address);
+        expect(await offerManager.isAdmin(owner.address)).to.equal(true);
+        expect(await offerManager.productBatch()).to.equal(productBatchAddress);
+        expect(await offerManager.nextOfferId()).to.equal(1);
+        expect(await productBatch.nextBatchId()).to.equal(1);
+    });
+
+    it("Should not initialize a proxy or its implementation twice", async function () {
+        await expect(productBatch.connect(farmer).initialize())
+            .to.be.revertedWith("Initializable: already initialized");
+
+        const implementation = await ethers.getContractAt(
+            "ProductBatch",
+            await upgrades.erc1967.getImplementationAddress(productBatchAddress)
+        );
+        await expect(implementation.connect(farmer).initialize())
+            .to.be.revertedWith("Initializable: already initialized");
+    });
+
+    it("Should keep the address and state across an upgrade", async function () {
+        await createBatch(productBatch, "Wheat");
+
+        const result = await upgradeProxy(hre, "ProductBatchV2", productBatchAddress);
+        expect(result.upgraded).to.equal(true);
+        expect(result.implementation).to.not.equal(result.previousImplementation);
+        expect(result.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(productBatchAddress));
+
+        const upgraded = await ethers.getContractAt("ProductBatchV2", productBatchAddress);
+        expect(await upgraded.version()).to.equal("2");
+        expect(await upgraded.owner()).to.equal(owner.address);
+        expect(await upgraded.hasRole(farmer.address, ROLE.FARMER)).to.equal(true);
+
+        const batch = await upgraded.getBatchInfo(1);
+        expect(batch.farmer).to.equal(farmer.address);
+        expect(batch.name).to.equal("Wheat");
+        expect(batch.quantity).to.equal(100);
+
+        // Old functions keep counting from the stored state; new state starts empty
+        await createBatch(upgraded, "Barley");
+        expect(await upgraded.nextBatchId()).to.equal(3);
+        expect(await upgraded.batchNotes(1)).to.equal("");
+        await upgraded.setBatchNote(1, "Recalled");
+        expect(await upgraded.batchNotes(1)).to.equal("Recalled");
+    });
+
+    it("Should not send an upgrade when the code is unchanged", async function () {
+        const implementation = await upgrades.erc1967.getImplementationAddress(productBatchAddress);
+
+        const result = await upgradeProxy(hre, "ProductBatch", productBatchAddress);
+
+        expect(result).to.deep.equal({
+            previousImplementation: implementation,
+            implementation,
+            upgraded: false,
+            transactionHash: null
+        });
+    });
+
+    it("Should refuse an upgrade with an incompatible storage layout", async function () {
+        const { address } = await deployProxy(hre, "ShipmentTracker", [productBatchAddress]);
+
+        await expect(validateUpgrade(hre, "OfferManager", address, [productBatchAddress]))
+            .to.be.rejectedWith("New storage layout is incompatible");
+        await expect(upgradeProxy(hre, "OfferManager", address, [productBatchAddress]))
+            .to.be.rejectedWith("New storage layout is incompatible");
+
+        const shipmentTracker = await ethers.getContractAt("ShipmentTracker", address);
+        expect(await shipmentTracker.nextShipmentId()).to.equal(1);
+    });
+});
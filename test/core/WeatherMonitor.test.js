@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const WeatherMonitor = require("../../scripts/weather-monitor");
+const WeatherMonitorStatus = require("../../services/weatherMonitorStatus");
+const { withRetry } = require("../../utils/retry");
+
+describe("WeatherMonitor daemon", function () {
+    let monitor, status, weatherOracle, owner, clock;
+
+    const reading = { temperature: 2150, humidity: 5500, rainfall: 120, windSpeed: 900 };
+
+    const createMonitor = async (signer, weatherAPI) => {
+        monitor = new WeatherMonitor({
+            weatherAPI,
+            retries: 2,
+            retryDelay: 1,
+            healthPort: null,
+            status
+        });
+        monitor.signer = new ethers.NonceManager(signer);
+        await monitor.connectToOracle(await weatherOracle.getAddress());
+        monitor.addRegion("global", "Sydney,AU");
+        monitor.addRegion("Sydney", "Sydney,AU");
+        monitor.addRegion("Melbourne", "Melbourne,AU");
+    };
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle");
+        weatherOracle = await WeatherOracle.deploy();
+        await weatherOracle.waitForDeployment();
+
+        // Wall clock pinned to the latest block so staleness is deterministic
+        const block = await ethers.provider.getBlock("latest");
+        clock = block.timestamp * 1000;
+
+        status = new WeatherMonitorStatus({ statusFile: null, staleAfter: 600, now: () => clock });
+        await createMonitor(owner, { getContractFormattedWeather: async () => reading });
+    });
+
+    it("Should record every region in a single transaction", async function () {
+        await monitor.updateWeatherData();
+
+        for (const region of ["", "Sydney", "Melbourne"]) {
+            const [roundId, data] = await weatherOracle.getLatestWeather(region);
+            expect(roundId).to.equal(1);
+            expect(data.temperature).to.equal(reading.temperature);
+            expect(data.windSpeed).to.equal(reading.windSpeed);
+        }
+        expect(status.feeds.global.lastTxHash).to.match(/^0x/);
+        expect(status.feeds.Melbourne.lastTxHash).to.equal(status.feeds.global.lastTxHash);
+        expect(status.isHealthy()).to.be.true;
+    });
+
+    it("Should skip a region whose fetch keeps failing", async function () {
+        await createMonitor(owner, {
+            getContractFormattedWeather: async (location) => {
+                if (location === "Melbourne,AU") throw new Error("Provider unavailable");
+                return reading;
+            }
+        });
+
+        await monitor.updateWeatherData();
+
+        expect(await weatherOracle.latestRoundId("Sydney")).to.equal(1);
+        expect(await weatherOracle.latestRoundId("Melbourne")).to.equal(0);
+        expect(status.feeds.Melbourne.consecutiveFailures).to.equal(1);
+        expect(status.getFailingFeeds()).to.deep.equal(["Melbourne"]);
+    });
+
+    it("Should record a failure for every region once transaction retries are exhausted", async function () {
+        const [, outsider] = await ethers.getSigners();
+        await createMonitor(outsider, { getContractFormattedWeather: async () => reading });
+
+        expect(await monitor.updateWeatherData()).to.be.false;
+
+        expect(await weatherOracle.latestRoundId("")).to.equal(0);
+        expect(status.getFailingFeeds()).to.have.members(["global", "Sydney", "Melbourne"]);
+        expect(status.isHealthy()).to.be.false;
+    });
+
+    it("Should flag regions that stop moving", async function () {
+        await monitor.updateWeatherData();
+        clock = (await ethers.provider.getBlock("latest")).timestamp * 1000;
+        await monitor.checkFeedHealth();
+        expect(status.getStaleFeeds()).to.be.empty;
+
+        clock += 601 * 1000;
+        await monitor.checkFeedHealth();
+        expect(status.getStaleFeeds()).to.have.members(["global", "Sydney", "Melbourne"]);
+
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Math.floor(clock / 1000)]);
+        await monitor.updateWeatherData();
+        await monitor.checkFeedHealth();
+        expect(status.getStaleFeeds()).to.be.empty;
+    });
+
+    it("Should back off exponentially between retries", async function () {
+        const delays = [];
+        let calls = 0;
+
+        const result = await withRetry(async () => {
+            calls++;
+            if (calls < 3) throw new Error("RPC unavailable");
+            return "ok";
+        }, { retries: 3, baseDelay: 1, onRetry: (error, attempt, delay) => delays.push(delay) });
+
+        expect(result).to.equal("ok");
+        expect(delays).to.deep.equal([1, 2]);
+    });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const ContractService = require("../../services/contractService");
+const WeatherRiskService = require("../../services/weatherRisk");
+const { scoreWeatherRisk } = require("../../services/weatherRisk");
+const { recordWeatherRisk } = require("../../scripts/record-weather-risk");
+
+describe("Weather risk scoring", function () {
+    const HOUR = 60 * 60;
+    const requirements = { temperature: 2000, humidity: 6000, rainfall: 500, windSpeed: 1000 };
+
+    // 3-hourly forecast starting at t=0
+    const forecast = (...readings) => readings.map((reading, i) => ({
+        temperature: 2000, humidity: 6000, rainfall: 0, windSpeed: 1000, timestamp: i * 3 * HOUR, ...reading
+    }));
+
+    describe("scoreWeatherRisk", function () {
+        it("Should score conditions within tolerance as no risk", function () {
+            const risk = scoreWeatherRisk(forecast({ temperature: 2400 }, { humidity: 6900 }), requirements);
+
+            expect(risk.harvestRisk).to.equal(0);
+            expect(risk.harvestLevel).to.equal("LOW");
+            expect(risk.transportRisk).to.equal(0);
+        });
+
+        it("Should report the worst forecast reading", function () {
+            const risk = scoreWeatherRisk(forecast({}, { temperature: 3500, rainfall: 2000 }, {}), requirements);
+
+            // Temperature and rainfall both past twice their tolerance
+            expect(risk.harvestRisk).to.equal(65);
+            expect(risk.harvestLevel).to.equal("MEDIUM");
+            expect(risk.worstHarvestAt).to.equal(3 * HOUR);
+            expect(risk.harvestFactors.temperature).to.equal(1);
+            expect(risk.harvestFactors.humidity).to.equal(0);
+        });
+
+        it("Should not score harvest risk for crops without requirements", function () {
+            const risk = scoreWeatherRisk(forecast({ rainfall: 1000 }), null);
+
+            expect(risk.harvestRisk).to.be.null;
+            expect(risk.harvestLevel).to.equal("UNKNOWN");
+            expect(risk.transportRisk).to.equal(100);
+            expect(risk.transportLevel).to.equal("HIGH");
+        });
+
+        it("Should only use the transport window for transport risk", function () {
+            const readings = forecast({}, {}, {}, {}, {}, {}, {}, {}, {}, { windSpeed: 6000 });
+
+            expect(scoreWeatherRisk(readings, requirements).transportRisk).to.equal(0);
+            expect(scoreWeatherRisk(readings, requirements, { transportWindowHours: 48 }).transportRisk).to.equal(100);
+        });
+
+        it("Should reject an empty forecast", function () {
+            expect(() => scoreWeatherRisk([], requirements)).to.throw("Forecast is empty");
+        });
+    });
+
+    describe("WeatherRiskService", function () {
+        let productBatch, metadataManager, weatherOracle, service, locations, farmer;
+
+        beforeEach(async function () {
+            [, farmer] = await ethers.getSigners();
+
+            productBatch = await (await ethers.getContractFactory("ProductBatch")).deploy();
+            metadataManager = await (await ethers.getContractFactory("MetadataManager")).deploy();
+            weatherOracle = await (await ethers.getContractFactory("WeatherOracle")).deploy();
+
+            await productBatch.grantRole(farmer.address, 1); // FARMER
+            await productBatch.setWeatherOracle(await weatherOracle.getAddress());
+            await productBatch.setLocationRegion("Brisbane, QLD", "Brisbane");
+            await weatherOracle.updateWeather([{ region: "", temperature: 2000, humidity: 6000, rainfall: 500, windSpeed: 1000 }]);
+            await productBatch.setCropWeatherRequirements("Wheat", 2000, 6000, 500, 1000);
+            await productBatch.connect(farmer).createBatch(
+                "Wheat", "Description", 100, ethers.parseEther("0.01"), "Brisbane, QLD", "QmHash", 3, [], true
+            );
+
+            const manifest = {
+                network: "hardhat",
+                contracts: {
+                    ProductBatch: { address: await productBatch.getAddress() },
+                    MetadataManager: { address: await metadataManager.getAddress() }
+                }
+            };
+
+            locations = [];
+            service = new WeatherRiskService({
+                contractService: new ContractService({ provider: ethers.provider, manifest }),
+                weatherAPI: {
+                    getWeatherForecast: async (location) => {
+                        locations.push(location);
+                        return forecast({}, { rainfall: 2000, windSpeed: 4500 });
+                    }
+                }
+            });
+        });
+
+        it("Should score a batch against its region's forecast and crop requirements", async function () {
+            const risk = await service.getBatchRisk(1);
+
+            expect(locations).to.deep.equal(["Brisbane,AU"]);
+            expect(risk.region).to.equal("Brisbane");
+            expect(risk.cropType).to.equal("Wheat");
+            expect(risk.tradingMode).to.equal("WEATHER_DEPENDENT");
+            expect(risk.requirements.rainfall).to.equal(500);
+            expect(risk.harvestRisk).to.equal(50);
+            expect(risk.transportRisk).to.equal(100);
+            expect(risk.recorded).to.be.null;
+        });
+
+        it("Should record scores as batch metadata and update them in place", async function () {
+            await recordWeatherRisk(metadataManager, await service.getBatchRisk(1));
+            await recordWeatherRisk(metadataManager, { ...(await service.getBatchRisk(1)), harvestRisk: 10 });
+
+            const recorded = (await service.getBatchRisk(1)).recorded;
+            expect(recorded.metadataId).to.equal(1);
+            expect(recorded.harvestRisk).to.equal(10);
+            expect(recorded.transportRisk).to.equal(100);
+            expect(await metadataManager.totalMetadata()).to.equal(1);
+        });
+    });
+});
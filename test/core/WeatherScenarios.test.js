@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MockWeatherGenerator, listScenarios } = require("../../services/mockWeather");
+
+describe("ProductBatch weather scenarios", function () {
+    let productBatch, feeds;
+    let owner;
+
+    // Wheat-like growing profile (feed values are scaled by 100)
+    const WHEAT = {
+        minTemp: 1000,      // 10°C
+        maxTemp: 3000,      // 30°C
+        minHumidity: 4000,  // 40%
+        maxHumidity: 8000,  // 80%
+        maxRainfall: 2000   // 20mm
+    };
+
+    const pushReading = async (reading) => {
+        await feeds.temperature.updateAnswer(reading.temperature);
+        await feeds.humidity.updateAnswer(reading.humidity);
+        await feeds.rainfall.updateAnswer(reading.rainfall);
+        await feeds.windSpeed.updateAnswer(reading.windSpeed);
+    };
+
+    const checkWheat = () => productBatch.checkFarmingSuitability(
+        "Wheat", WHEAT.minTemp, WHEAT.maxTemp, WHEAT.minHumidity, WHEAT.maxHumidity, WHEAT.maxRainfall
+    );
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const ProductBatch = await ethers.getContractFactory("ProductBatch");
+        productBatch = await ProductBatch.deploy();
+        await productBatch.waitForDeployment();
+
+        const UpdatableWeatherFeed = await ethers.getContractFactory("UpdatableWeatherFeed");
+        feeds = {
+            temperature: await UpdatableWeatherFeed.deploy(2, "Temperature Feed", 2000),
+            humidity: await UpdatableWeatherFeed.deploy(2, "Humidity Feed", 6000),
+            rainfall: await UpdatableWeatherFeed.deploy(2, "Rainfall Feed", 500),
+            windSpeed: await UpdatableWeatherFeed.deploy(2, "Wind Speed Feed", 1000)
+        };
+
+        await productBatch.connect(owner).setWeatherFeeds(
+            await feeds.temperature.getAddress(),
+            await feeds.humidity.getAddress(),
+            await feeds.rainfall.getAddress(),
+            await feeds.windSpeed.getAddress()
+        );
+    });
+
+    it("Should ship all four scenario fixtures", function () {
+        expect(listScenarios()).to.include.members(["heatwave", "drought", "monsoon", "frost"]);
+    });
+
+    it("Should be suitable under the initial mild conditions", async function () {
+        const [suitable] = await checkWheat();
+        expect(suitable).to.be.true;
+    });
+
+    for (const scenario of ["heatwave", "drought", "monsoon", "frost"]) {
+        it(`Should be unsuitable for every round of the ${scenario} scenario`, async function () {
+            const generator = new MockWeatherGenerator({ scenario });
+
+            for (let round = 0; round < generator.scenario.readings.length; round++) {
+                const reading = generator.next();
+                await pushReading(reading);
+
+                const [suitable, conditions] = await checkWheat();
+                expect(suitable).to.be.false;
+                expect(conditions.temperature).to.equal(reading.temperature);
+                expect(conditions.rainfall).to.equal(reading.rainfall);
+            }
+        });
+    }
+
+    it("Should replay identical on-chain values for the same seed", async function () {
+        const first = new MockWeatherGenerator({ seed: 1234 });
+        const second = new MockWeatherGenerator({ seed: 1234 });
+
+        for (let round = 0; round < 3; round++) {
+            const expected = first.next();
+            await pushReading(second.next());
+
+            const [, conditions] = await checkWheat();
+            expect(conditions.temperature).to.equal(expected.temperature);
+            expect(conditions.humidity).to.equal(expected.humidity);
+            expect(conditions.rainfall).to.equal(expected.rainfall);
+            expect(conditions.windSpeed).to.equal(expected.windSpeed);
+        }
+    });
+
+    it("Should restart a scenario after reset", function () {
+        const generator = new MockWeatherGenerator({ scenario: "monsoon" });
+        const firstRound = generator.next();
+        generator.next();
+        generator.reset();
+
+        expect(generator.next()).to.deep.include({
+            temperature: firstRound.temperature,
+            rainfall: firstRound.rainfall
+        });
+    });
+});
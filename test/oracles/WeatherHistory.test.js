@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    getOracleHistory, getFeedHistory, toCSV, roundRange, ORACLE_COLUMNS, FEED_COLUMNS
+} = require("../../services/weatherHistory");
+
+describe("Weather history", function () {
+    let weatherOracle;
+
+    const reading = (region, temperature) =>
+        ({ region, temperature, humidity: 6000, rainfall: 125, windSpeed: 1000 });
+
+    beforeEach(async function () {
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle");
+        weatherOracle = await WeatherOracle.deploy();
+
+        await weatherOracle.updateWeather([reading("", 2000), reading("Sydney", 3100)]);
+        await weatherOracle.updateWeather([reading("Sydney", 2950)]);
+        await weatherOracle.updateWeather([reading("Sydney", -150)]);
+    });
+
+    it("Should pick round ranges keeping the newest rounds", function () {
+        expect(roundRange(5)).to.deep.equal([1, 2, 3, 4, 5]);
+        expect(roundRange(5, { limit: 2 })).to.deep.equal([4, 5]);
+        expect(roundRange(5, { fromRound: 2, toRound: 9 })).to.deep.equal([2, 3, 4, 5]);
+        expect(roundRange(0)).to.deep.equal([]);
+    });
+
+    it("Should read a region's rounds in display units", async function () {
+        const rows = await getOracleHistory(weatherOracle, "Sydney");
+
+        expect(rows.map((row) => row.roundId)).to.deep.equal([1, 2, 3]);
+        expect(rows.map((row) => row.temperature)).to.deep.equal([31, 29.5, -1.5]);
+        expect(rows[0]).to.include({ region: "Sydney", humidity: 60, rainfall: 1.25, windSpeed: 10 });
+        expect(rows[2].timestamp).to.be.greaterThan(rows[0].timestamp);
+    });
+
+    it("Should label the global reading and honour limits", async function () {
+        const globalRows = await getOracleHistory(weatherOracle, "");
+        expect(globalRows).to.have.length(1);
+        expect(globalRows[0].region).to.equal("global");
+
+        const latest = await getOracleHistory(weatherOracle, "Sydney", { limit: 1 });
+        expect(latest.map((row) => row.roundId)).to.deep.equal([3]);
+    });
+
+    it("Should read every round of the feeds", async function () {
+        const UpdatableWeatherFeed = await ethers.getContractFactory("UpdatableWeatherFeed");
+        const temperatureFeed = await UpdatableWeatherFeed.deploy(2, "Temperature Feed", 2500);
+        await temperatureFeed.updateAnswer(2650);
+
+        const rows = await getFeedHistory({ temperature: temperatureFeed });
+
+        expect(rows.map((row) => row.value)).to.deep.equal([25, 26.5]);
+        expect(rows[1]).to.include({ metric: "temperature", roundId: 2 });
+    });
+
+    it("Should export rows as CSV", async function () {
+        const rows = await getOracleHistory(weatherOracle, "Sydney", { limit: 1 });
+        const [header, line] = toCSV(rows, ORACLE_COLUMNS).split("\n");
+
+        expect(header).to.equal("region,roundId,timestamp,time,temperature,humidity,rainfall,windSpeed");
+        expect(line).to.equal(`Sydney,3,${rows[0].timestamp},${rows[0].time},-1.5,60,1.25,10`);
+        expect(toCSV([{ metric: 'a "b", c' }], FEED_COLUMNS).split("\n")[1]).to.equal('"a ""b"", c",,,,');
+    });
+});
@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("WeatherOracle", function () {
+    let weatherOracle, owner, updater, user1;
+
+    const reading = (region, temperature, humidity, rainfall, windSpeed) =>
+        ({ region, temperature, humidity, rainfall, windSpeed });
+
+    beforeEach(async function () {
+        [owner, updater, user1] = await ethers.getSigners();
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle");
+        weatherOracle = await WeatherOracle.deploy();
+        await weatherOracle.waitForDeployment();
+    });
+
+    describe("Access control", function () {
+        it("Should authorize the deployer as updater", async function () {
+            expect(await weatherOracle.owner()).to.equal(owner.address);
+            expect(await weatherOracle.updaters(owner.address)).to.be.true;
+        });
+
+        it("Should only allow updaters to record readings", async function () {
+            await expect(weatherOracle.connect(user1).updateWeather([reading("", 2000, 6000, 500, 1000)]))
+                .to.be.revertedWith("Only updater can call this function");
+        });
+
+        it("Should let the owner add and revoke updaters", async function () {
+            await expect(weatherOracle.setUpdater(updater.address, true))
+                .to.emit(weatherOracle, "UpdaterChanged").withArgs(updater.address, true);
+            await weatherOracle.connect(updater).updateWeather([reading("", 2000, 6000, 500, 1000)]);
+
+            await weatherOracle.setUpdater(updater.address, false);
+            await expect(weatherOracle.connect(updater).updateWeather([reading("", 2000, 6000, 500, 1000)]))
+                .to.be.revertedWith("Only updater can call this function");
+        });
+
+        it("Should only allow the owner to manage updaters", async function () {
+            await expect(weatherOracle.connect(user1).setUpdater(user1.address, true))
+                .to.be.revertedWith("Only owner can call this function");
+            await expect(weatherOracle.setUpdater(ethers.ZeroAddress, true))
+                .to.be.revertedWith("Invalid updater address");
+        });
+    });
+
+    describe("Updates", function () {
+        it("Should record every region and metric in one transaction", async function () {
+            await expect(weatherOracle.updateWeather([
+                reading("", 2000, 6000, 500, 1000),
+                reading("Sydney", 3100, 4500, 0, 2500)
+            ])).to.emit(weatherOracle, "WeatherUpdated");
+
+            const [globalRound, global] = await weatherOracle.getLatestWeather("");
+            expect(globalRound).to.equal(1);
+            expect(global.temperature).to.equal(2000);
+            expect(global.windSpeed).to.equal(1000);
+
+            const [sydneyRound, sydney] = await weatherOracle.getLatestWeather("Sydney");
+            expect(sydneyRound).to.equal(1);
+            expect(sydney.temperature).to.equal(3100);
+            expect(sydney.humidity).to.equal(4500);
+            expect(sydney.timestamp).to.equal(global.timestamp);
+        });
+
+        it("Should reject an empty update", async function () {
+            await expect(weatherOracle.updateWeather([])).to.be.revertedWith("No readings");
+        });
+
+        it("Should number rounds per region and list each region once", async function () {
+            await weatherOracle.updateWeather([reading("", 2000, 6000, 500, 1000), reading("Sydney", 3100, 4500, 0, 2500)]);
+            await weatherOracle.updateWeather([reading("Sydney", 2900, 5000, 100, 2000)]);
+
+            expect(await weatherOracle.latestRoundId("")).to.equal(1);
+            expect(await weatherOracle.latestRoundId("Sydney")).to.equal(2);
+            expect(await weatherOracle.getRegions()).to.deep.equal(["", "Sydney"]);
+        });
+    });
+
+    describe("Reads", function () {
+        beforeEach(async function () {
+            await weatherOracle.updateWeather([reading("", 2000, 6000, 500, 1000), reading("Sydney", 3100, 4500, 0, 2500)]);
+            await weatherOracle.updateWeather([reading("Sydney", 2900, 5000, 100, 2000)]);
+        });
+
+        it("Should fall back to the global reading for an unknown region", async function () {
+            const [roundId, data] = await weatherOracle.getLatestWeather("Perth");
+            expect(roundId).to.equal(1);
+            expect(data.temperature).to.equal(2000);
+            expect(await weatherOracle.getLatestTimestamp("Perth")).to.equal(0);
+        });
+
+        it("Should return round 0 when there is no data at all", async function () {
+            const WeatherOracle = await ethers.getContractFactory("WeatherOracle");
+            const emptyOracle = await WeatherOracle.deploy();
+
+            const [roundId] = await emptyOracle.getLatestWeather("Sydney");
+            expect(roundId).to.equal(0);
+        });
+
+        it("Should return historical rounds", async function () {
+            const first = await weatherOracle.getWeatherRound("Sydney", 1);
+            const second = await weatherOracle.getWeatherRound("Sydney", 2);
+            expect(first.temperature).to.equal(3100);
+            expect(second.temperature).to.equal(2900);
+            expect(await weatherOracle.getLatestTimestamp("Sydney")).to.equal(second.timestamp);
+
+            await expect(weatherOracle.getWeatherRound("Sydney", 3)).to.be.revertedWith("Round does not exist");
+            await expect(weatherOracle.getWeatherRound("Perth", 1)).to.be.revertedWith("Round does not exist");
+        });
+    });
+});
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("WeatherPricing", function () {
+    let weatherPricing, owner, user1;
+
+    const DAY = 24 * 60 * 60;
+    const BANDS = [
+        { maxRainfallDeviation: 500, adjustmentBps: 300 },
+        { maxRainfallDeviation: 2000, adjustmentBps: 0 },
+        { maxRainfallDeviation: 5000, adjustmentBps: -500 }
+    ];
+
+    // getAdjustment(cropType, recordedRainfall, recordedAt, requiredRainfall, requirementsSetAt)
+    const adjustmentFor = async (recordedRainfall, recordedAt, requirementsSetAt = 1) => {
+        const [adjustmentBps, reason] = await weatherPricing.getAdjustment(
+            "Wheat", recordedRainfall, recordedAt, 2000, requirementsSetAt
+        );
+        return [Number(adjustmentBps), reason];
+    };
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const WeatherPricing = await ethers.getContractFactory("WeatherPricing");
+        weatherPricing = await WeatherPricing.deploy();
+        await weatherPricing.waitForDeployment();
+    });
+
+    describe("Rules", function () {
+        it("Should store a crop's bands and weather age limit", async function () {
+            await expect(weatherPricing.setPricingRule("Wheat", BANDS, DAY))
+                .to.emit(weatherPricing, "PricingRuleSet").withArgs("Wheat", 3, DAY);
+
+            const [bands, maxWeatherAge] = await weatherPricing.getPricingRule("Wheat");
+            expect(bands.map((band) => Number(band.adjustmentBps))).to.deep.equal([300, 0, -500]);
+            expect(maxWeatherAge).to.equal(DAY);
+        });
+
+        it("Should replace and remove rules", async function () {
+            await weatherPricing.setPricingRule("Wheat", BANDS, DAY);
+            await weatherPricing.setPricingRule("Wheat", [{ maxRainfallDeviation: 100, adjustmentBps: 200 }], 0);
+            expect((await weatherPricing.getPricingRule("Wheat"))[0]).to.have.length(1);
+
+            await expect(weatherPricing.removePricingRule("Wheat"))
+                .to.emit(weatherPricing, "PricingRuleRemoved").withArgs("Wheat");
+            expect((await weatherPricing.getPricingRule("Wheat"))[0]).to.have.length(0);
+        });
+
+        it("Should reject invalid bands", async function () {
+            await expect(weatherPricing.setPricingRule("Wheat", [], 0)).to.be.revertedWith("No bands");
+            await expect(weatherPricing.setPricingRule("Wheat", [BANDS[1], BANDS[0]], 0))
+                .to.be.revertedWith("Bands must be ascending");
+            await expect(weatherPricing.setPricingRule("Wheat", [{ maxRainfallDeviation: 100, adjustmentBps: -5001 }], 0))
+                .to.be.revertedWith("Adjustment out of range");
+        });
+
+        it("Should only allow the owner to manage rules", async function () {
+            await expect(weatherPricing.connect(user1).setPricingRule("Wheat", BANDS, 0))
+                .to.be.revertedWith("Only owner can call this function");
+            await expect(weatherPricing.connect(user1).removePricingRule("Wheat"))
+                .to.be.revertedWith("Only owner can call this function");
+        });
+    });
+
+    describe("Adjustments", function () {
+        let now;
+
+        beforeEach(async function () {
+            await weatherPricing.setPricingRule("Wheat", BANDS, DAY);
+            now = (await ethers.provider.getBlock("latest")).timestamp;
+        });
+
+        it("Should pick the band for the rainfall deviation", async function () {
+            expect(await adjustmentFor(2300, now)).to.deep.equal([300, "Rainfall premium"]);
+            expect(await adjustmentFor(500, now)).to.deep.equal([0, "Rainfall within expected band"]);
+            expect(await adjustmentFor(0, now)).to.deep.equal([0, "Rainfall within expected band"]);
+            expect(await adjustmentFor(6000, now)).to.deep.equal([-500, "Rainfall discount"]);
+        });
+
+        it("Should use the last band past every band", async function () {
+            expect(await adjustmentFor(50000, now)).to.deep.equal([-500, "Rainfall discount"]);
+        });
+
+        it("Should not adjust without a rule, requirements or a fresh weather record", async function () {
+            const [adjustmentBps, reason] = await weatherPricing.getAdjustment("Barley", 2000, now, 2000, 1);
+            expect([Number(adjustmentBps), reason]).to.deep.equal([0, "No pricing rule"]);
+
+            expect(await adjustmentFor(2000, now, 0)).to.deep.equal([0, "No crop requirements"]);
+            expect(await adjustmentFor(2000, 0)).to.deep.equal([0, "No weather record"]);
+
+            await ethers.provider.send("evm_increaseTime", [DAY + 1]);
+            await ethers.provider.send("evm_mine", []);
+            expect(await adjustmentFor(2000, now)).to.deep.equal([0, "Weather record stale"]);
+        });
+
+        it("Should quote the adjusted price", async function () {
+            const [price, adjustmentBps, reason] = await weatherPricing.quote(
+                "Wheat", ethers.parseEther("1"), 6000, now, 2000, 1
+            );
+
+            expect(price).to.equal(ethers.parseEther("0.95"));
+            expect(adjustmentBps).to.equal(-500);
+            expect(reason).to.equal("Rainfall discount");
+        });
+    });
+
+    describe("ProductBatch listings", function () {
+        let productBatch, weatherOracle, farmer;
+
+        const ROLE = { FARMER: 1 };
+        const TRADING_MODE = { SPOT_MARKET: 0, WEATHER_DEPENDENT: 3 };
+        const ASKING_PRICE = ethers.parseEther("1");
+
+        const reading = (rainfall) =>
+            ({ region: "", temperature: 2000, humidity: 6000, rainfall, windSpeed: 1000 });
+
+        beforeEach(async function () {
+            [, farmer] = await ethers.getSigners();
+
+            productBatch = await (await ethers.getContractFactory("ProductBatch")).deploy();
+            weatherOracle = await (await ethers.getContractFactory("WeatherOracle")).deploy();
+
+            await productBatch.grantRole(farmer.address, ROLE.FARMER);
+            await productBatch.setWeatherOracle(await weatherOracle.getAddress());
+            await productBatch.setWeatherPricing(await weatherPricing.getAddress());
+            await productBatch.setCropWeatherRequirements("Wheat", 2000, 6000, 2000, 1000);
+            await weatherPricing.setPricingRule("Wheat", BANDS, DAY);
+
+            await weatherOracle.updateWeather([reading(1800)]);
+            await productBatch.connect(farmer).createBatch(
+                "Wheat", "Description", 100, ASKING_PRICE, "Sydney", "QmHash",
+                TRADING_MODE.WEATHER_DEPENDENT, [], true
+            );
+        });
+
+        it("Should apply the weather premium to weather-dependent listings", async function () {
+            const listedPrice = ethers.parseEther("1.03");
+
+            await expect(productBatch.connect(farmer).listForSale(1, ASKING_PRICE, TRADING_MODE.WEATHER_DEPENDENT))
+                .to.emit(productBatch, "PriceUpdated")
+                .withArgs(1, ASKING_PRICE, listedPrice, listedPrice, 300, "Rainfall premium");
+
+            expect((await productBatch.getBatchMarketInfo(1)).usdPrice).to.equal(listedPrice);
+        });
+
+        it("Should price from the weather recorded at listing", async function () {
+            await weatherOracle.updateWeather([reading(0)]);
+
+            await expect(productBatch.connect(farmer).listForSale(1, ASKING_PRICE, TRADING_MODE.WEATHER_DEPENDENT))
+                .to.emit(productBatch, "PriceUpdated")
+                .withArgs(1, ASKING_PRICE, ASKING_PRICE, ASKING_PRICE, 0, "Rainfall within expected band");
+        });
+
+        it("Should not adjust other trading modes", async function () {
+            await expect(productBatch.connect(farmer).listForSale(1, ASKING_PRICE, TRADING_MODE.SPOT_MARKET))
+                .to.emit(productBatch, "PriceUpdated")
+                .withArgs(1, ASKING_PRICE, ASKING_PRICE, ASKING_PRICE, 0, "Listed");
+        });
+
+        it("Should not adjust when no pricing contract is set", async function () {
+            await productBatch.setWeatherPricing(ethers.ZeroAddress);
+
+            await expect(productBatch.connect(farmer).listForSale(1, ASKING_PRICE, TRADING_MODE.WEATHER_DEPENDENT))
+                .to.emit(productBatch, "PriceUpdated")
+                .withArgs(1, ASKING_PRICE, ASKING_PRICE, ASKING_PRICE, 0, "Listed");
+        });
+    });
+});
@@ -0,0 +1,316 @@
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+
+/**
+ * Static check of the portals' typed contract clients: every call made on a
+ * contract connected with a TypeChain factory (X__factory.connect) must exist
+ * in that contract's ABI with a matching number of arguments.
+ */
+
+const PORTAL_SOURCE_DIRS = [
+    path.join(__dirname, "../frontend/admin-portal/src"),
+    path.join(__dirname, "../frontend/public-portal/src"),
+]
+
+// BaseContract members every typed client has
+const BASE_CONTRACT_MEMBERS = new Set([
+    "addListener",
+    "attach",
+    "connect",
+    "deploymentTransaction",
+    "emit",
+    "getAddress",
+    "getDeployedCode",
+    "getEvent",
+    "getFunction",
+    "listenerCount",
+    "listeners",
+    "off",
+    "on",
+    "once",
+    "queryFilter",
+    "removeAllListeners",
+    "removeListener",
+    "waitForDeployment",
+])
+
+const CALL_VARIANTS = [
+    "staticCall",
+    "send",
+    "estimateGas",
+    "populateTransaction",
+]
+
+const CLIENTS_IMPORT =
+    /import\s*\{([^}]*)\}\s*from\s*["']@agri-supply-chain\/contracts["']/
+const UNTYPED_CONTRACT = /new ethers\.Contract\(/g
+const FACTORY_CONNECT = /\b(\w+)__factory\.connect\(/g
+// const productBatch = ProductBatch__factory.connect(
+const LOCAL_BINDING =
+    /\b(?:const|let|var)\s+(\w+)(?:\s*:\s*[\w.<>]+)?\s*=\s*(\w+)__factory\.connect\(/g
+// contracts.productBatch = ProductBatch__factory.connect(  /  productBatch: ProductBatch__factory.connect(
+const PROPERTY_BINDING =
+    /(?:\.(\w+)\s*=|(?:^|[{,\s])(\w+)\s*:)\s*(\w+)__factory\.connect\(/gm
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+/**
+ * Number of top-level arguments in the call whose "(" is at openIndex
+ */
+function countArguments(source, openIndex) {
+    let depth = 0
+    let count = 0
+    let sawToken = false
+    let quote = null
+
+    for (let i = openIndex; i < source.length; i++) {
+        const char = source[i]
+        if (quote) {
+            if (char === "\\") i++
+            else if (char === quote) quote = null
+            continue
+        }
+        if (char === '"' || char === "'" || char === "`") {
+            quote = char
+            sawToken = true
+        } else if ("([{".includes(char)) {
+            depth++
+            if (depth > 1) sawToken = true
+        } else if (")]}".includes(char)) {
+            depth--
+            if (depth === 0) return sawToken ? count + 1 : count
+        } else if (char === "," && depth === 1) {
+            count++
+            sawToken = false
+        } else if (!/\s/.test(char)) {
+            sawToken = true
+        }
+    }
+    return count
+}
+
+function lineOf(source, index) {
+    return source.slice(0, index).split("\n").length
+}
+
+/**
+ * Contract calls made through typed clients in one source file
+ * @param {string} source - File contents
+ * @param {Object} [propertyBindings] - Property name => contract name, for
+ *   clients created in another file (e.g. a shared hook)
+ * @returns {Array<Object>} { contract, member, kind, args, line }
+ */
+function findContractCalls(source, propertyBindings = {}) {
+    const locals = []
+    for (const match of source.matchAll(LOCAL_BINDING)) {
+        locals.push({ name: match[1], contract: match[2], index: match.index })
+    }
+    // (contract: ProductBatch) for contract types imported from the package
+    const imported = source.match(CLIENTS_IMPORT)
+    const types = imported
+        ? imported[1]
+              .split(",")
+              .map((name) => name.trim())
+              .filter((name) => name && !name.endsWith("__factory"))
+        : []
+    if (types.length > 0) {
+        const typedBinding = new RegExp(
+            `[(,]\\s*(\\w+)\\??\\s*:\\s*(${types.join("|")})\\b`,
+            "g"
+        )
+        for (const match of source.matchAll(typedBinding)) {
+            locals.push({
+                name: match[1],
+                contract: match[2],
+                index: match.index,
+            })
+        }
+        locals.sort((a, b) => a.index - b.index)
+    }
+
+    const calls = []
+    const collect = (pattern, contractAt) => {
+        for (const match of source.matchAll(pattern)) {
+            const contract = contractAt(match.index)
+            if (!contract) continue
+
+            const [, member, next, signature] = match
+            const openIndex = match.index + match[0].length - 1
+            const line = lineOf(source, match.index)
+            if (signature) {
+                calls.push({
+                    contract,
+                    member: signature,
+                    kind: "signature",
+                    args: countArguments(source, openIndex),
+                    line,
+                })
+            } else if (member === "filters") {
+                calls.push({ contract, member: next, kind: "event", line })
+            } else if (!BASE_CONTRACT_MEMBERS.has(member)) {
+                if (next && !CALL_VARIANTS.includes(next)) continue
+                calls.push({
+                    contract,
+                    member,
+                    kind: "function",
+                    args: countArguments(source, openIndex),
+                    line,
+                })
+            }
+        }
+    }
+
+    // name.fn(  name.fn.staticCall(  name.filters.Event(  name["fn(uint256)"](
+    const member =
+        "(?:[?!]?\\.(\\w+)(?:[?!]?\\.(\\w+))?|[?!]?\\.?\\[\\s*[\"'](\\w+\\([^\"']*\\))[\"']\\s*\\])\\s*\\("
+    for (const name of new Set(locals.map((local) => local.name))) {
+        const bindings = locals.filter((local) => local.name === name)
+        collect(
+            new RegExp(`(?<![\\w.])${escapeRegExp(name)}${member}`, "g"),
+            (index) => {
+                // Nearest preceding binding of the same name
+                const binding = bindings
+                    .filter((local) => local.index < index)
+                    .pop()
+                return binding && binding.contract
+            }
+        )
+    }
+    for (const [property, contract] of Object.entries(propertyBindings)) {
+        collect(
+            new RegExp(`\\.${escapeRegExp(property)}${member}`, "g"),
+            () => contract
+        )
+    }
+
+    return calls
+}
+
+/**
+ * Property name => contract name for every X__factory.connect assigned to a
+ * property in the given sources
+ */
+function findPropertyBindings(sources) {
+    const bindings = {}
+    for (const source of sources) {
+        for (const match of source.matchAll(PROPERTY_BINDING)) {
+            bindings[match[1] || match[2]] = match[3]
+        }
+    }
+    return bindings
+}
+
+// An extra trailing argument is the transaction overrides object
+function checkArity(call, fragment) {
+    const inputs = fragment.inputs.length
+    return call.args === inputs || call.args === inputs + 1
+        ? null
+        : `${call.contract}.${call.member} takes ${inputs} arguments, called with ${call.args}`
+}
+
+/**
+ * Problems with a call, or null when the ABI has it
+ */
+function checkCall(call, abi) {
+    if (!abi) return `${call.contract} has no artifact`
+
+    const iface = new ethers.Interface(abi)
+    if (call.kind === "event") {
+        const exists = iface.fragments.some(
+            (fragment) =>
+                fragment.type === "event" && fragment.name === call.member
+        )
+        return exists ? null : `${call.contract} has no event ${call.member}`
+    }
+
+    if (call.kind === "signature") {
+        const fragment = iface.fragments.find(
+            (fragment) =>
+                fragment.type === "function" &&
+                fragment.format("sighash") === call.member
+        )
+        if (!fragment) return `${call.contract} has no function ${call.member}`
+        return checkArity(call, fragment)
+    }
+
+    const overloads = iface.fragments.filter(
+        (fragment) =>
+            fragment.type === "function" && fragment.name === call.member
+    )
+    if (overloads.length === 0) {
+        return `${call.contract} has no function ${call.member}`
+    }
+    // Typed clients only expose overloaded functions by signature
+    if (overloads.length > 1) {
+        return `${call.contract}.${
+            call.member
+        } is overloaded, call it by signature (${overloads
+            .map((fragment) => `"${fragment.format("sighash")}"`)
+            .join(" or ")})`
+    }
+    return checkArity(call, overloads[0])
+}
+
+function listSourceFiles(dir) {
+    if (!fs.existsSync(dir)) return []
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const file = path.join(dir, entry.name)
+        if (entry.isDirectory()) return listSourceFiles(file)
+        return /\.tsx?$/.test(entry.name) && !entry.name.endsWith(".d.ts")
+            ? [file]
+            : []
+    })
+}
+
+/**
+ * Check every portal source file against the contract ABIs
+ * @param {Object} abis - Contract name => ABI
+ * @param {Array<string>} [dirs] - Portal source directories
+ * @returns {Object} { contracts, calls, problems, untyped } where untyped
+ *   lists contracts built from hand-written ABIs, which cannot be checked
+ */
+function checkPortalClients(abis, dirs = PORTAL_SOURCE_DIRS) {
+    const contracts = new Set()
+    const problems = []
+    const untyped = []
+    let calls = 0
+
+    for (const dir of dirs) {
+        const files = listSourceFiles(dir)
+        const sources = files.map((file) => fs.readFileSync(file, "utf8"))
+        const propertyBindings = findPropertyBindings(sources)
+
+        files.forEach((file, i) => {
+            for (const match of sources[i].matchAll(FACTORY_CONNECT)) {
+                contracts.add(match[1])
+            }
+            for (const match of sources[i].matchAll(UNTYPED_CONTRACT)) {
+                untyped.push({ file, line: lineOf(sources[i], match.index) })
+            }
+            for (const call of findContractCalls(
+                sources[i],
+                propertyBindings
+            )) {
+                calls++
+                const problem = checkCall(call, abis[call.contract])
+                if (problem) {
+                    problems.push({ file, line: call.line, problem })
+                }
+            }
+        })
+    }
+
+    return { contracts, calls, problems, untyped }
+}
+
+module.exports = {
+    PORTAL_SOURCE_DIRS,
+    countArguments,
+    findContractCalls,
+    findPropertyBindings,
+    checkCall,
+    checkPortalClients,
+}
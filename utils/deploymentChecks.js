@@ -0,0 +1,404 @@
+const axios = require("axios")
+const {
+    getNetworkConfig,
+    isDevelopmentNetwork,
+    getConfiguredFeeds,
+} = require("./networks")
+
+/**
+ * Post-deploy checks run by `npx hardhat verify-deployment`: every recorded
+ * deployment has code, ProductBatch reads the right feeds, contracts point at
+ * each other and at the StakeholderManager role registry, the deployer holds
+ * the admin roles, and the contracts are verified on the block explorer.
+ */
+
+const PASS = "pass"
+const FAIL = "fail"
+const SKIP = "skip"
+
+// ERC-1967 implementation slot of a transparent proxy
+const IMPLEMENTATION_SLOT =
+    "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc"
+
+// ProductBatch feed getter => [development chain deployment, live deployment,
+// network registry feed]. A feed configured in the registry is used as is;
+// otherwise live networks use the deployment (the ETH/USD feed must be
+// configured).
+const PRODUCT_BATCH_FEEDS = {
+    priceFeed: ["MockV3Aggregator", null, "ethUsd"],
+    temperatureFeed: [
+        "MockTemperatureFeed",
+        "UpdatableTemperatureFeed",
+        "temperature",
+    ],
+    humidityFeed: ["MockHumidityFeed", "UpdatableHumidityFeed", "humidity"],
+    rainfallFeed: ["MockRainfallFeed", "UpdatableRainfallFeed", "rainfall"],
+    windSpeedFeed: ["MockWindSpeedFeed", "UpdatableWindSpeedFeed", "windSpeed"],
+}
+
+// Contract => { getter: deployment it should return }
+const CONTRACT_REFERENCES = {
+    ProductBatch: {
+        weatherOracle: "WeatherOracle",
+        stakeholderManager: "StakeholderManager",
+        weatherPricing: "WeatherPricing",
+        offerManager: "OfferManager",
+        shipmentTracker: "ShipmentTracker",
+    },
+    OfferManager: {
+        productBatch: "ProductBatch",
+        paymentEscrow: "PaymentEscrow",
+        contractFarming: "ContractFarming",
+    },
+    ShipmentTracker: {
+        productBatch: "ProductBatch",
+        paymentEscrow: "PaymentEscrow",
+        contractFarming: "ContractFarming",
+    },
+    PaymentEscrow: {
+        offerManager: "OfferManager",
+        shipmentTracker: "ShipmentTracker",
+    },
+    ContractFarming: {
+        offerManager: "OfferManager",
+        productBatch: "ProductBatch",
+        shipmentTracker: "ShipmentTracker",
+    },
+    StakeholderRegistry: { stakeholderManager: "StakeholderManager" },
+    Registry: {
+        provenanceTracker: "ProvenanceTracker",
+        qrVerifier: "QRCodeVerifier",
+        publicVerification: "PublicVerification",
+    },
+    QRCodeVerifier: {
+        provenanceTracker: "ProvenanceTracker",
+        productBatch: "ProductBatch",
+        registry: "Registry",
+    },
+    PublicVerification: {
+        qrVerifier: "QRCodeVerifier",
+        provenanceTracker: "ProvenanceTracker",
+        registry: "Registry",
+    },
+}
+
+// Contracts that answer role checks from StakeholderManager (deploy/01-deploy.js)
+const ROLE_REGISTRY_CONSUMERS = [
+    "ProductBatch",
+    "OfferManager",
+    "Registry",
+    "ShipmentTracker",
+    "ProvenanceTracker",
+    "QRCodeVerifier",
+    "FileStorageManager",
+    "MetadataManager",
+    "PaymentEscrow",
+    "ContractFarming",
+]
+
+// Contracts whose owner() must be the deployer
+const OWNED_CONTRACTS = [
+    "StakeholderManager",
+    ...ROLE_REGISTRY_CONSUMERS,
+    "WeatherOracle",
+    "WeatherPricing",
+]
+
+/**
+ * Feed addresses ProductBatch should use on the current network
+ * @param {Object} hre - Hardhat runtime environment
+ * @returns {Promise<Object>} ProductBatch feed getter => address
+ * @throws {Error} If a feed is not deployed or configured
+ */
+async function getFeedAddresses(hre) {
+    const { name } = hre.network
+    const development = isDevelopmentNetwork(name)
+    const configured = getConfiguredFeeds(name)
+    const addresses = {}
+    for (const [getter, [mock, live, feed]] of Object.entries(
+        PRODUCT_BATCH_FEEDS
+    )) {
+        if (development) {
+            addresses[getter] = (await hre.deployments.get(mock)).address
+        } else if (configured[feed]) {
+            addresses[getter] = configured[feed]
+        } else if (!live) {
+            throw new Error(
+                `No ${feed} feed configured for ${name} in the network registry`
+            )
+        } else {
+            addresses[getter] = (await hre.deployments.get(live)).address
+        }
+    }
+    return addresses
+}
+
+/**
+ * Block explorer API for the current network, or null where contracts are
+ * not verified (development chains, forks, no explorer or no API key)
+ * @param {Object} hre - Hardhat runtime environment
+ * @returns {Object|null} { apiUrl, apiKey }
+ */
+function getExplorerConfig(hre) {
+    const { explorer, development, forkOf } = getNetworkConfig(hre.network.name)
+    if (development || forkOf || !explorer) return null
+
+    const { apiKey } = hre.config.etherscan || {}
+    const key =
+        typeof apiKey === "string" ? apiKey : (apiKey || {})[hre.network.name]
+    if (!key) return null
+    return { apiUrl: explorer.apiURL, apiKey: key }
+}
+
+/**
+ * Whether the explorer has source code for an address
+ * @param {Object} explorer - { apiUrl, apiKey, get? } (get defaults to axios.get)
+ * @param {string} address - Contract address
+ * @returns {Promise<boolean>}
+ * @throws {Error} If the explorer API returns an error
+ */
+async function isVerifiedOnExplorer(explorer, address) {
+    const get = explorer.get || axios.get
+    const { data } = await get(explorer.apiUrl, {
+        params: {
+            module: "contract",
+            action: "getsourcecode",
+            address,
+            apikey: explorer.apiKey,
+        },
+    })
+    if (data.status !== "1") {
+        throw new Error(`Explorer API error: ${data.result || data.message}`)
+    }
+    return Boolean(data.result[0] && data.result[0].SourceCode)
+}
+
+const sameAddress = (a, b) =>
+    typeof a === "string" &&
+    typeof b === "string" &&
+    a.toLowerCase() === b.toLowerCase()
+
+/**
+ * Run every post-deploy check against the network's recorded deployments
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} [options]
+ * @param {Object|null} [options.explorer] - Explorer API ({ apiUrl, apiKey,
+ *   get? }); defaults to getExplorerConfig(hre), null skips the checks
+ * @returns {Promise<Array>} Results: { contract, check, status, detail }
+ */
+async function checkDeployment(
+    hre,
+    { explorer = getExplorerConfig(hre) } = {}
+) {
+    const { ethers } = hre
+    const deployments = await hre.deployments.all()
+    const { deployer } = await hre.getNamedAccounts()
+    const results = []
+
+    const record = (contract, check, passed, detail) =>
+        results.push({ contract, check, status: passed ? PASS : FAIL, detail })
+    const attach = (name) =>
+        ethers.getContractAt(name, deployments[name].address)
+    // Runs a check, recording a failure if the call itself reverts
+    const attempt = async (contract, check, fn) => {
+        try {
+            await fn()
+        } catch (error) {
+            record(contract, check, false, error.shortMessage || error.message)
+        }
+    }
+    // Compares an address read from the chain with the expected one
+    const recordAddress = (contract, check, actual, expected, label = "") => {
+        const matches = sameAddress(actual, expected)
+        record(
+            contract,
+            check,
+            matches,
+            matches
+                ? `${label}${actual}`
+                : `${actual}, expected ${label}${expected}`
+        )
+    }
+    // Compares a getter with the deployment it should point at
+    const expectDeployment = (contract, check, actual, expectedName) => {
+        if (!deployments[expectedName]) {
+            record(contract, check, false, `${expectedName} is not deployed`)
+        } else {
+            recordAddress(
+                contract,
+                check,
+                actual,
+                deployments[expectedName].address,
+                `${expectedName} `
+            )
+        }
+    }
+
+    // Code at every address, and proxies pointing at their recorded implementation
+    for (const name of Object.keys(deployments).sort()) {
+        const { address, implementation } = deployments[name]
+        await attempt(name, "deployed", async () => {
+            const code = await ethers.provider.getCode(address)
+            record(name, "deployed", code !== "0x", address)
+        })
+        if (implementation) {
+            await attempt(name, "implementation", async () => {
+                const slot = await ethers.provider.getStorage(
+                    address,
+                    IMPLEMENTATION_SLOT
+                )
+                const actual = ethers.getAddress(ethers.dataSlice(slot, 12))
+                recordAddress(name, "implementation", actual, implementation)
+            })
+        }
+    }
+
+    // ProductBatch oracle feeds
+    if (deployments.ProductBatch) {
+        const productBatch = await attach("ProductBatch")
+        await attempt("ProductBatch", "feeds", async () => {
+            const feeds = await getFeedAddresses(hre)
+            for (const [getter, expected] of Object.entries(feeds)) {
+                const actual = await productBatch[getter]()
+                if (!sameAddress(actual, expected)) {
+                    recordAddress("ProductBatch", getter, actual, expected)
+                    continue
+                }
+                await attempt("ProductBatch", getter, async () => {
+                    const feed = await ethers.getContractAt(
+                        "AggregatorV3Interface",
+                        actual
+                    )
+                    const { updatedAt } = await feed.latestRoundData()
+                    record(
+                        "ProductBatch",
+                        getter,
+                        true,
+                        `${actual} (updated ${new Date(
+                            Number(updatedAt) * 1000
+                        ).toISOString()})`
+                    )
+                })
+            }
+        })
+    }
+
+    // Cross-contract references
+    for (const [name, references] of Object.entries(CONTRACT_REFERENCES)) {
+        if (!deployments[name]) continue
+        const contract = await attach(name)
+        for (const [getter, expectedName] of Object.entries(references)) {
+            await attempt(name, getter, async () =>
+                expectDeployment(
+                    name,
+                    getter,
+                    await contract[getter](),
+                    expectedName
+                )
+            )
+        }
+    }
+    for (const name of ROLE_REGISTRY_CONSUMERS) {
+        if (!deployments[name]) continue
+        const contract = await attach(name)
+        await attempt(name, "roleRegistry", async () =>
+            expectDeployment(
+                name,
+                "roleRegistry",
+                await contract.roleRegistry(),
+                "StakeholderManager"
+            )
+        )
+    }
+
+    // Admin roles
+    if (deployments.StakeholderManager) {
+        const stakeholderManager = await attach("StakeholderManager")
+        await attempt("StakeholderManager", "deployer admin", async () =>
+            record(
+                "StakeholderManager",
+                "deployer admin",
+                await stakeholderManager.isAdmin(deployer),
+                deployer
+            )
+        )
+    }
+    for (const name of OWNED_CONTRACTS) {
+        if (!deployments[name]) continue
+        const contract = await attach(name)
+        await attempt(name, "owner", async () => {
+            recordAddress(
+                name,
+                "owner",
+                await contract.owner(),
+                deployer,
+                "deployer "
+            )
+        })
+    }
+
+    // Block explorer source verification
+    if (!explorer) {
+        results.push({
+            contract: "*",
+            check: "explorer verification",
+            status: SKIP,
+            detail: `no block explorer API for ${hre.network.name}`,
+        })
+    } else {
+        for (const name of Object.keys(deployments).sort()) {
+            const { address, implementation } = deployments[name]
+            const targets = implementation
+                ? { proxy: address, implementation }
+                : { contract: address }
+            for (const [kind, target] of Object.entries(targets)) {
+                const check = `explorer verification (${kind})`
+                await attempt(name, check, async () =>
+                    record(
+                        name,
+                        check,
+                        await isVerifiedOnExplorer(explorer, target),
+                        target
+                    )
+                )
+            }
+        }
+    }
+
+    return results
+}
+
+/**
+ * Format check results as a fixed-width report with a summary line
+ * @param {Array} results - From checkDeployment
+ * @returns {string}
+ */
+function formatReport(results) {
+    const width = (key) => Math.max(...results.map((r) => r[key].length))
+    const contractWidth = width("contract")
+    const checkWidth = width("check")
+    const lines = results.map(
+        ({ contract, check, status, detail }) =>
+            `${status.toUpperCase().padEnd(4)}  ${contract.padEnd(
+                contractWidth
+            )}  ${check.padEnd(checkWidth)}  ${detail}`
+    )
+    const count = (status) => results.filter((r) => r.status === status).length
+    lines.push(
+        "",
+        `${count(PASS)} passed, ${count(FAIL)} failed, ${count(SKIP)} skipped`
+    )
+    return lines.join("\n")
+}
+
+module.exports = {
+    PASS,
+    FAIL,
+    SKIP,
+    ROLE_REGISTRY_CONSUMERS,
+    getFeedAddresses,
+    getExplorerConfig,
+    isVerifiedOnExplorer,
+    checkDeployment,
+    formatReport,
+}
@@ -0,0 +1,230 @@
+const fs = require("fs")
+const path = require("path")
+const { execSync } = require("child_process")
+const { ethers } = require("ethers")
+
+/**
+ * Per-network deployment manifests: the single source of contract addresses
+ * for the portals, the API server and the scripts.
+ *
+ * manifests/<network>.json is written by deploy/99-write-manifest.js and
+ * scripts/upgrade-contracts.js; each portal gets every network's manifest in
+ * src/constants/deployments.json.
+ */
+
+const MANIFEST_DIR = path.join(__dirname, "../manifests")
+const PORTAL_DEPLOYMENTS_PATHS = [
+    path.join(
+        __dirname,
+        "../frontend/admin-portal/src/constants/deployments.json"
+    ),
+    path.join(
+        __dirname,
+        "../frontend/public-portal/src/constants/deployments.json"
+    ),
+]
+const DEFAULT_NETWORK = "localhost"
+
+/**
+ * Network used outside Hardhat (API server, upload oracle)
+ * @returns {string} DEPLOYMENT_NETWORK, or localhost
+ */
+function getDeploymentNetwork() {
+    return process.env.DEPLOYMENT_NETWORK || DEFAULT_NETWORK
+}
+
+/**
+ * Hash of a contract's ABI, independent of fragment order and formatting
+ * @param {Array} abi - ABI JSON
+ * @returns {string} keccak256 of the sorted human-readable signatures
+ */
+function abiHash(abi) {
+    const signatures = new ethers.Interface(abi).format().sort()
+    return ethers.id(signatures.join("\n"))
+}
+
+/**
+ * Current git commit, or null outside a checkout
+ */
+function getGitCommit() {
+    try {
+        return execSync("git rev-parse HEAD", {
+            cwd: __dirname,
+            stdio: ["ignore", "pipe", "ignore"],
+        })
+            .toString()
+            .trim()
+    } catch (error) {
+        return null
+    }
+}
+
+/**
+ * Build a manifest from hardhat-deploy deployments
+ * @param {Object} options
+ * @param {string} options.network - Network name
+ * @param {number} options.chainId - Chain ID
+ * @param {string} options.deployer - Deployer address
+ * @param {number} options.blockNumber - Block the manifest was generated at
+ * @param {Object} options.deployments - Contract name => hardhat-deploy Deployment
+ * @param {string|null} [options.gitCommit] - Defaults to the current commit
+ * @returns {Object} Manifest
+ */
+function buildManifest({
+    network,
+    chainId,
+    deployer,
+    blockNumber,
+    deployments,
+    gitCommit = getGitCommit(),
+}) {
+    const contracts = {}
+    for (const name of Object.keys(deployments).sort()) {
+        const deployment = deployments[name]
+        contracts[name] = {
+            address: deployment.address,
+            abiHash: abiHash(deployment.abi),
+            blockNumber: deployment.receipt
+                ? deployment.receipt.blockNumber
+                : null,
+            transactionHash: deployment.transactionHash || null,
+            // Set for contracts behind an upgradeable proxy (address)
+            implementation: deployment.implementation || null,
+        }
+    }
+
+    return {
+        network,
+        chainId,
+        deployer,
+        gitCommit,
+        blockNumber,
+        generatedAt: new Date().toISOString(),
+        contracts,
+    }
+}
+
+function manifestPath(network, dir = MANIFEST_DIR) {
+    return path.join(dir, `${network}.json`)
+}
+
+/**
+ * Write a network's manifest and refresh the portal copies
+ * @param {Object} manifest - Result of buildManifest
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory
+ * @param {Array<string>} [options.portalPaths] - Portal deployments.json files
+ * @returns {string} Path of the written manifest
+ */
+function writeManifest(
+    manifest,
+    { dir = MANIFEST_DIR, portalPaths = PORTAL_DEPLOYMENTS_PATHS } = {}
+) {
+    fs.mkdirSync(dir, { recursive: true })
+    const file = manifestPath(manifest.network, dir)
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n")
+
+    syncPortalDeployments({ dir, portalPaths })
+    return file
+}
+
+/**
+ * Write the manifest for the network Hardhat is connected to, from its
+ * hardhat-deploy deployments
+ * @param {Object} hre - Hardhat runtime environment (with hardhat-deploy)
+ * @returns {Promise<Object>} { manifest, file }
+ */
+async function writeNetworkManifest(hre) {
+    const { network, ethers, deployments, getNamedAccounts } = hre
+    const { deployer } = await getNamedAccounts()
+
+    const manifest = buildManifest({
+        network: network.name,
+        chainId: Number((await ethers.provider.getNetwork()).chainId),
+        deployer,
+        blockNumber: await ethers.provider.getBlockNumber(),
+        deployments: await deployments.all(),
+    })
+    return { manifest, file: writeManifest(manifest) }
+}
+
+/**
+ * Copy every network's manifest into each portal's deployments.json
+ * (portals can only import files under their own src/)
+ */
+function syncPortalDeployments({
+    dir = MANIFEST_DIR,
+    portalPaths = PORTAL_DEPLOYMENTS_PATHS,
+} = {}) {
+    const manifests = {}
+    for (const file of fs.readdirSync(dir).sort()) {
+        if (!file.endsWith(".json")) continue
+        const manifest = JSON.parse(
+            fs.readFileSync(path.join(dir, file), "utf8")
+        )
+        manifests[manifest.network] = manifest
+    }
+
+    for (const portalPath of portalPaths) {
+        fs.mkdirSync(path.dirname(portalPath), { recursive: true })
+        fs.writeFileSync(portalPath, JSON.stringify(manifests, null, 2) + "\n")
+    }
+}
+
+/**
+ * Load a network's manifest
+ * @param {string} [network] - Defaults to getDeploymentNetwork()
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory
+ * @returns {Object} Manifest
+ */
+function loadManifest(
+    network = getDeploymentNetwork(),
+    { dir = MANIFEST_DIR } = {}
+) {
+    const file = manifestPath(network, dir)
+    if (!fs.existsSync(file)) {
+        throw new Error(
+            `No deployment manifest for ${network} at ${file}. Run npx hardhat deploy --network ${network} first.`
+        )
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"))
+}
+
+/**
+ * Contract name => address for a manifest
+ */
+function getAddresses(manifest) {
+    return Object.fromEntries(
+        Object.entries(manifest.contracts).map(([name, { address }]) => [
+            name,
+            address,
+        ])
+    )
+}
+
+/**
+ * Address of a deployed contract
+ * @throws {Error} If the contract is not in the manifest
+ */
+function getAddress(manifest, name) {
+    const contract = manifest.contracts[name]
+    if (!contract) {
+        throw new Error(`${name} is not deployed on ${manifest.network}`)
+    }
+    return contract.address
+}
+
+module.exports = {
+    MANIFEST_DIR,
+    DEFAULT_NETWORK,
+    getDeploymentNetwork,
+    abiHash,
+    buildManifest,
+    writeManifest,
+    writeNetworkManifest,
+    syncPortalDeployments,
+    loadManifest,
+    getAddresses,
+    getAddress,
+}
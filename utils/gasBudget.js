@@ -0,0 +1,403 @@
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+const {
+    ROLES,
+    TRADING_MODES,
+    loadSeedScenario,
+    seedScenario,
+} = require("../services/scenarioSeeder")
+
+/**
+ * Gas and contract-size budgets. The benchmark deploys everything on the
+ * in-process hardhat network, runs the lifecycle in benchmarks/lifecycle.yaml
+ * through the scenario seeder and records the gas of every call, then times
+ * the views that loop over every product. The results are checked against
+ * benchmarks/gas-baseline.json.
+ *
+ * Local networks allow unlimited contract size, so this is where a contract
+ * growing past the EIP-170 limit is caught before a live deployment fails.
+ */
+
+const BASELINE_PATH = path.join(__dirname, "../benchmarks/gas-baseline.json")
+const LIFECYCLE_SCENARIO = path.join(__dirname, "../benchmarks/lifecycle.yaml")
+
+// EIP-170 limit on deployed bytecode
+const CONTRACT_SIZE_LIMIT = 24576
+// New budgets are the measured gas plus this share, rounded up to 1000
+const BUDGET_HEADROOM = 0.1
+// Products created before timing the views that loop over all of them
+const VIEW_BENCHMARK_PRODUCTS = 50
+
+const BENCHMARKED_CONTRACTS = [
+    "StakeholderManager",
+    "ProductBatch",
+    "OfferManager",
+    "ShipmentTracker",
+    "Registry",
+    "WeatherOracle",
+]
+
+// Views whose cost grows with the number of products: contract, function,
+// arguments. Paginated views read one page of VIEW_BENCHMARK_PRODUCTS.
+const VIEW_BENCHMARKS = [
+    ["Registry", "getProductsByRole", [ROLES.FARMER]],
+    ["Registry", "getProductSummariesByRole", [ROLES.FARMER]],
+    [
+        "Registry",
+        "searchProductsPage",
+        ["", "", TRADING_MODES.SPOT_MARKET, false, 0, VIEW_BENCHMARK_PRODUCTS],
+    ],
+    [
+        "ProductBatch",
+        "getAvailableBatchesPage",
+        [TRADING_MODES.SPOT_MARKET, 0, VIEW_BENCHMARK_PRODUCTS],
+    ],
+    ["ProductBatch", "getRetailerProductsPage", [0, VIEW_BENCHMARK_PRODUCTS]],
+]
+
+/**
+ * Deployed bytecode size of every contract the deploy scripts deploy (mocks
+ * included, as they are also deployed on live testnets)
+ * @param {Object} hre - Hardhat runtime environment, after the deployment
+ *   fixture has run
+ * @returns {Promise<Object>} Deployment name => bytes, sorted by name
+ */
+async function measureContractSizes(hre) {
+    const sizes = {}
+    for (const [name, deployment] of Object.entries(
+        await hre.deployments.all()
+    )) {
+        sizes[name] = (deployment.deployedBytecode.length - 2) / 2
+    }
+    return sortKeys(sizes)
+}
+
+/**
+ * Gas used by every transaction in a block range, keyed by
+ * "Contract.function". A call made more than once keeps its highest cost.
+ * @param {Object} provider - ethers provider
+ * @param {Object} contracts - Contract name => instance
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @returns {Promise<Object>} Call => gas used
+ */
+async function recordGasUsed(provider, contracts, fromBlock, toBlock) {
+    const byAddress = {}
+    for (const [name, contract] of Object.entries(contracts)) {
+        byAddress[contract.target.toLowerCase()] = { name, contract }
+    }
+
+    const gas = {}
+    for (let number = fromBlock; number <= toBlock; number++) {
+        const block = await provider.getBlock(number, true)
+        for (const transaction of block.prefetchedTransactions) {
+            const target =
+                transaction.to && byAddress[transaction.to.toLowerCase()]
+            if (!target) continue
+            const parsed =
+                target.contract.interface.parseTransaction(transaction)
+            if (!parsed) continue
+
+            const receipt = await provider.getTransactionReceipt(
+                transaction.hash
+            )
+            const call = `${target.name}.${parsed.name}`
+            gas[call] = Math.max(gas[call] || 0, Number(receipt.gasUsed))
+        }
+    }
+    return gas
+}
+
+/**
+ * Measure the gas of each lifecycle call and of the product views at
+ * VIEW_BENCHMARK_PRODUCTS products
+ * @param {Object} hre - Hardhat runtime environment, after the deployment
+ *   fixture has run
+ * @returns {Promise<Object>} Call => gas used
+ */
+async function measureGas(hre) {
+    const { ethers: hreEthers, deployments } = hre
+
+    const contracts = {}
+    for (const name of BENCHMARKED_CONTRACTS) {
+        contracts[name] = await hreEthers.getContractAt(
+            name,
+            (
+                await deployments.get(name)
+            ).address
+        )
+    }
+    const signers = await hreEthers.getSigners()
+    const scenario = loadSeedScenario(LIFECYCLE_SCENARIO)
+
+    const fromBlock = (await hreEthers.provider.getBlockNumber()) + 1
+    const seeded = await seedScenario({
+        contracts,
+        signers,
+        scenario,
+        log: () => {},
+    })
+    const toBlock = await hreEthers.provider.getBlockNumber()
+    const gas = await recordGasUsed(
+        hreEthers.provider,
+        contracts,
+        fromBlock,
+        toBlock
+    )
+
+    // Fill the chain with registered, listed batches and time the views
+    // that loop over all of them
+    const farmerKey = Object.keys(seeded.stakeholders).find(
+        (key) => scenario.stakeholders[key].role === "FARMER"
+    )
+    const farmer = signers[scenario.stakeholders[farmerKey].account]
+    const { ProductBatch, Registry } = contracts
+    const basePrice = ethers.parseEther("0.001")
+    for (let i = 0; i < VIEW_BENCHMARK_PRODUCTS; i++) {
+        const name = `Benchmark Batch ${i}`
+        await (
+            await ProductBatch.connect(farmer).createBatch(
+                name,
+                "",
+                100,
+                basePrice,
+                "Sydney",
+                "",
+                TRADING_MODES.SPOT_MARKET,
+                [],
+                false
+            )
+        ).wait()
+        const batchId = (await ProductBatch.nextBatchId()) - 1n
+        await (
+            await ProductBatch.connect(farmer).listForSale(
+                batchId,
+                basePrice,
+                TRADING_MODES.SPOT_MARKET
+            )
+        ).wait()
+        await (
+            await Registry.connect(farmer).registerProduct(
+                ProductBatch.target,
+                batchId,
+                farmer.address,
+                name,
+                "Benchmark",
+                100,
+                basePrice,
+                "Sydney",
+                TRADING_MODES.SPOT_MARKET
+            )
+        ).wait()
+    }
+    for (const [contract, fn, args] of VIEW_BENCHMARKS) {
+        const call = `${contract}.${fn} (${VIEW_BENCHMARK_PRODUCTS} products)`
+        gas[call] = Number(await contracts[contract][fn].estimateGas(...args))
+    }
+
+    return sortKeys(gas)
+}
+
+/**
+ * Deploy everything on the in-process network and run the whole benchmark
+ * @param {Object} hre - Hardhat runtime environment (hardhat network)
+ * @returns {Promise<Object>} { sizes, gas }
+ */
+async function runGasBenchmark(hre) {
+    if (hre.network.name !== "hardhat") {
+        throw new Error(
+            `The gas benchmark runs on the in-process hardhat network, not ${hre.network.name}`
+        )
+    }
+    await hre.run("compile", { quiet: true })
+    await hre.deployments.fixture(["all"])
+    return {
+        sizes: await measureContractSizes(hre),
+        gas: await measureGas(hre),
+    }
+}
+
+/**
+ * Compare measurements with the baseline
+ * @param {Object} measured - { sizes, gas } from runGasBenchmark
+ * @param {Object} baseline - From loadGasBaseline
+ * @returns {Object} { problems, warnings, contracts, calls } where contracts
+ *   and calls are report rows
+ */
+function checkGasBudget(measured, baseline) {
+    const limit = baseline.contractSizeLimit || CONTRACT_SIZE_LIMIT
+    const problems = []
+    const warnings = []
+
+    const contracts = Object.entries(measured.sizes).map(([name, size]) => {
+        if (size > limit) {
+            problems.push(
+                `${name} is ${size} bytes, over the ${limit}-byte contract size limit`
+            )
+        }
+        return { name, size, baseline: baseline.contracts[name], limit }
+    })
+
+    const calls = Object.entries(measured.gas).map(([call, gas]) => {
+        const entry = baseline.gas[call]
+        if (!entry) {
+            problems.push(
+                `${call} has no gas budget, run npx hardhat gas-budget --update`
+            )
+            return { call, gas }
+        }
+        if (gas > entry.budget) {
+            problems.push(
+                `${call} used ${gas} gas, over its budget of ${entry.budget} (baseline ${entry.baseline})`
+            )
+        }
+        return { call, gas, baseline: entry.baseline, budget: entry.budget }
+    })
+    for (const call of Object.keys(baseline.gas)) {
+        if (measured.gas[call] === undefined) {
+            warnings.push(`${call} has a budget but was not measured`)
+        }
+    }
+
+    return { problems, warnings, contracts, calls }
+}
+
+/**
+ * Budget for a call without one: the measured gas plus BUDGET_HEADROOM
+ * @param {number} gas - Measured gas
+ * @returns {number}
+ */
+function defaultBudget(gas) {
+    return Math.ceil((gas * (1 + BUDGET_HEADROOM)) / 1000) * 1000
+}
+
+/**
+ * New baseline from measurements. Existing budgets are kept, so raising one
+ * is a deliberate edit to the baseline file; new calls get defaultBudget.
+ * Calls that are no longer measured are dropped.
+ * @param {Object} measured - { sizes, gas } from runGasBenchmark
+ * @param {Object} [baseline] - Current baseline
+ * @returns {Object} Updated baseline
+ */
+function updateGasBaseline(measured, baseline = emptyBaseline()) {
+    const gas = {}
+    for (const [call, used] of Object.entries(measured.gas)) {
+        const current = baseline.gas[call]
+        gas[call] = {
+            baseline: used,
+            budget: current ? current.budget : defaultBudget(used),
+        }
+    }
+    return {
+        contractSizeLimit: baseline.contractSizeLimit || CONTRACT_SIZE_LIMIT,
+        contracts: sortKeys(measured.sizes),
+        gas: sortKeys(gas),
+    }
+}
+
+function emptyBaseline() {
+    return { contractSizeLimit: CONTRACT_SIZE_LIMIT, contracts: {}, gas: {} }
+}
+
+/**
+ * Read the committed baseline
+ * @param {string} [file] - Baseline path
+ * @returns {Object} Baseline, empty if the file does not exist
+ */
+function loadGasBaseline(file = BASELINE_PATH) {
+    if (!fs.existsSync(file)) return emptyBaseline()
+    return JSON.parse(fs.readFileSync(file, "utf8"))
+}
+
+/**
+ * Write a baseline
+ * @param {Object} baseline - From updateGasBaseline
+ * @param {string} [file] - Baseline path
+ */
+function writeGasBaseline(baseline, file = BASELINE_PATH) {
+    fs.writeFileSync(file, `${JSON.stringify(baseline, null, 4)}\n`)
+}
+
+/**
+ * Report of sizes and gas with changes from the baseline
+ * @param {Object} result - From checkGasBudget
+ * @returns {string}
+ */
+function formatGasReport({ problems, warnings, contracts, calls }) {
+    const change = (value, baseline) => {
+        if (baseline === undefined) return "new"
+        const delta = value - baseline
+        if (delta === 0) return ""
+        const percent = ((delta / baseline) * 100).toFixed(1)
+        return `${delta > 0 ? "+" : ""}${delta} (${
+            delta > 0 ? "+" : ""
+        }${percent}%)`
+    }
+    const table = (rows) => {
+        const widths = rows[0].map((_, column) =>
+            Math.max(...rows.map((row) => String(row[column]).length))
+        )
+        return rows
+            .map((row) =>
+                row
+                    .map((cell, column) => String(cell).padEnd(widths[column]))
+                    .join("  ")
+                    .trimEnd()
+            )
+            .join("\n")
+    }
+
+    const lines = [
+        table([
+            ["Contract", "Bytes", "Limit", "Change"],
+            ...contracts.map(({ name, size, baseline, limit }) => [
+                name,
+                size,
+                `${((size / limit) * 100).toFixed(1)}%`,
+                change(size, baseline),
+            ]),
+        ]),
+        "",
+        table([
+            ["Call", "Gas", "Budget", "Change"],
+            ...calls.map(({ call, gas, baseline, budget }) => [
+                call,
+                gas,
+                budget === undefined ? "-" : budget,
+                change(gas, baseline),
+            ]),
+        ]),
+        "",
+    ]
+    warnings.forEach((warning) => lines.push(`WARNING: ${warning}`))
+    problems.forEach((problem) => lines.push(`FAIL: ${problem}`))
+    lines.push(
+        problems.length === 0
+            ? `${contracts.length} contracts and ${calls.length} calls within budget`
+            : `${problems.length} budget problem(s)`
+    )
+    return lines.join("\n")
+}
+
+function sortKeys(object) {
+    return Object.fromEntries(
+        Object.entries(object).sort(([a], [b]) => a.localeCompare(b))
+    )
+}
+
+module.exports = {
+    BASELINE_PATH,
+    CONTRACT_SIZE_LIMIT,
+    VIEW_BENCHMARK_PRODUCTS,
+    measureContractSizes,
+    recordGasUsed,
+    measureGas,
+    runGasBenchmark,
+    checkGasBudget,
+    defaultBudget,
+    updateGasBaseline,
+    loadGasBaseline,
+    writeGasBaseline,
+    formatGasReport,
+}
@@ -0,0 +1,176 @@
+const { ethers } = require("ethers")
+const { networkConfig } = require("../helper-hardhat-config")
+
+/**
+ * Network registry lookups. Every network the project deploys to is described
+ * once in helper-hardhat-config.js (networkConfig); hardhat.config.js, the
+ * deploy scripts, tasks and weather scripts read their settings through here.
+ */
+
+/**
+ * Registry entry for a network
+ * @param {string} name - Hardhat network name
+ * @returns {Object} networkConfig entry
+ * @throws {Error} If the network is not in the registry
+ */
+function getNetworkConfig(name) {
+    const config = networkConfig[name]
+    if (!config) {
+        throw new Error(
+            `Network "${name}" is not in the network registry (helper-hardhat-config.js). Known networks: ${Object.keys(
+                networkConfig
+            ).join(", ")}`
+        )
+    }
+    return config
+}
+
+/**
+ * Whether a network is a local development chain (mock feeds, no explorer)
+ * @param {string} name - Hardhat network name
+ * @returns {boolean}
+ */
+function isDevelopmentNetwork(name) {
+    return Boolean(getNetworkConfig(name).development)
+}
+
+/**
+ * RPC endpoint for a network: the entry's rpcUrlEnv variable if set, else
+ * its rpcUrl
+ * @param {string} name - Hardhat network name
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {string|undefined}
+ */
+function getRpcUrl(name, env = process.env) {
+    const { rpcUrl, rpcUrlEnv } = getNetworkConfig(name)
+    return (rpcUrlEnv && env[rpcUrlEnv]) || rpcUrl
+}
+
+/**
+ * Feeds configured for a network. A fork uses the feeds of the network it
+ * forks, which exist at the same addresses on the fork.
+ * @param {string} name - Hardhat network name
+ * @returns {Object} Feed name (ethUsd, temperature, ...) => address
+ */
+function getConfiguredFeeds(name) {
+    const { forkOf, feeds } = getNetworkConfig(name)
+    return forkOf ? getConfiguredFeeds(forkOf) : feeds || {}
+}
+
+/**
+ * ERC-20 payment tokens configured for a network. A fork accepts the tokens
+ * of the network it forks.
+ * @param {string} name - Hardhat network name
+ * @returns {Object} Token symbol => address
+ */
+function getPaymentTokens(name) {
+    const { forkOf, paymentTokens } = getNetworkConfig(name)
+    return forkOf ? getPaymentTokens(forkOf) : paymentTokens || {}
+}
+
+/**
+ * Confirmations to wait for on a network
+ * @param {string} name - Hardhat network name
+ * @returns {number}
+ */
+function getWaitConfirmations(name) {
+    return getNetworkConfig(name).blockConfirmations || 1
+}
+
+/**
+ * Fee fields for transactions on a network, in wei: { maxFeePerGas,
+ * maxPriorityFeePerGas } (EIP-1559) or { gasPrice } (legacy). Empty when the
+ * provider should estimate fees.
+ * @param {string} name - Hardhat network name
+ * @returns {Object} Transaction overrides (bigint values)
+ */
+function getFeeOverrides(name) {
+    const { fees } = getNetworkConfig(name)
+    if (!fees) return {}
+
+    const gwei = (value) => ethers.parseUnits(String(value), "gwei")
+    if (fees.gasPrice !== undefined) {
+        return { gasPrice: gwei(fees.gasPrice) }
+    }
+    return {
+        maxFeePerGas: gwei(fees.maxFeePerGas),
+        maxPriorityFeePerGas: gwei(fees.maxPriorityFeePerGas),
+    }
+}
+
+/**
+ * Options for hardhat-deploy's deploy(): confirmations and fees
+ * @param {string} name - Hardhat network name
+ * @returns {Object} { waitConfirmations, maxFeePerGas?, maxPriorityFeePerGas?, gasPrice? }
+ */
+function getDeployOptions(name) {
+    const options = { waitConfirmations: getWaitConfirmations(name) }
+    // hardhat-deploy takes fee values as decimal strings
+    for (const [field, value] of Object.entries(getFeeOverrides(name))) {
+        options[field] = value.toString()
+    }
+    return options
+}
+
+/**
+ * Hardhat `networks` config for every registry entry
+ *
+ * With FORK_NETWORK set, the in-process hardhat network (and so
+ * `npx hardhat node`) forks that network, optionally at FORK_BLOCK_NUMBER.
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Object} Hardhat networks config
+ */
+function buildHardhatNetworks(env = process.env) {
+    const networks = {}
+    for (const [name, config] of Object.entries(networkConfig)) {
+        const network = { chainId: config.chainId }
+        if (config.development) {
+            // Allow large contracts for testing
+            network.allowUnlimitedContractSize = true
+        }
+
+        if (name === "hardhat") {
+            if (env.FORK_NETWORK) {
+                network.forking = { url: getRpcUrl(env.FORK_NETWORK, env) }
+                if (env.FORK_BLOCK_NUMBER) {
+                    network.forking.blockNumber = Number(env.FORK_BLOCK_NUMBER)
+                }
+            }
+        } else {
+            network.url = getRpcUrl(name, env)
+            // Local chains (including forks) use the node's unlocked accounts
+            if (!config.development && !config.forkOf) {
+                network.accounts = env.PRIVATE_KEY ? [env.PRIVATE_KEY] : []
+            }
+        }
+        networks[name] = network
+    }
+    return networks
+}
+
+/**
+ * hardhat-verify `customChains` for every network with a block explorer
+ * @returns {Array} [{ network, chainId, urls: { apiURL, browserURL } }]
+ */
+function buildExplorerChains() {
+    return Object.entries(networkConfig)
+        .filter(([, config]) => config.explorer)
+        .map(([name, config]) => ({
+            network: name,
+            chainId: config.chainId,
+            urls: { ...config.explorer },
+        }))
+}
+
+module.exports = {
+    getNetworkConfig,
+    isDevelopmentNetwork,
+    getRpcUrl,
+    getConfiguredFeeds,
+    getPaymentTokens,
+    getWaitConfirmations,
+    getFeeOverrides,
+    getDeployOptions,
+    buildHardhatNetworks,
+    buildExplorerChains,
+}
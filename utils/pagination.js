@@ -0,0 +1,31 @@
+/**
+ * Readers for the contracts' cursor-paginated listings (the *Page views, see
+ * src/SmartContracts/utils/Pagination.sol). Each call scans at most pageSize
+ * entries and returns the cursor of the next page, 0 after the last.
+ */
+
+const DEFAULT_PAGE_SIZE = 100
+
+/**
+ * Read a whole listing one page at a time, so no single call scans more than
+ * pageSize entries
+ * @param {Function} fetchPage - (cursor, limit) => Promise of a result whose
+ *   first value is the page's items and last is the next cursor
+ * @param {number} [pageSize] - Entries scanned per call
+ * @returns {Promise<Array>} Every item, in order
+ */
+async function readAllPages(fetchPage, pageSize = DEFAULT_PAGE_SIZE) {
+    const items = []
+    let cursor = 0n
+    do {
+        const page = await fetchPage(cursor, pageSize)
+        items.push(...page[0])
+        cursor = BigInt(page[page.length - 1])
+    } while (cursor !== 0n)
+    return items
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    readAllPages,
+}
@@ -0,0 +1,30 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Call fn until it resolves, backing off exponentially between attempts
+ * @param {Function} fn - Async function, called with the attempt number (1-based)
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelay=1000] - Delay before the first retry (ms)
+ * @param {number} [options.maxDelay=30000] - Upper bound for a single delay (ms)
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before waiting
+ * @returns {Promise<*>} The value fn resolved with
+ */
+const withRetry = async (
+    fn,
+    { retries = 3, baseDelay = 1000, maxDelay = 30000, onRetry } = {}
+) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt)
+        } catch (error) {
+            if (attempt > retries) throw error
+
+            const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay)
+            if (onRetry) onRetry(error, attempt, delay)
+            await sleep(delay)
+        }
+    }
+}
+
+module.exports = { withRetry, sleep }
@@ -0,0 +1,155 @@
+/**
+ * Upgradeable deployments: the core contracts behind OpenZeppelin transparent
+ * proxies, so a bug fix keeps their addresses and batch history.
+ *
+ * Proxies are deployed and upgraded with @openzeppelin/hardhat-upgrades, which
+ * refuses an implementation whose storage layout is incompatible with the one
+ * in use (layouts are kept in .openzeppelin/<network>.json). Implementations
+ * are built with the proxy's initialize() arguments as constructor arguments,
+ * so the constructor sets them up and locks them against initialization.
+ */
+
+// Deployed behind proxies when UPGRADEABLE=true (deploy/01-deploy.js)
+const UPGRADEABLE_CONTRACTS = [
+    "ProductBatch",
+    "OfferManager",
+    "Registry",
+    "ShipmentTracker",
+    "ProvenanceTracker",
+    "QRCodeVerifier",
+    "PublicVerification",
+]
+
+const PROXY_KIND = "transparent"
+
+/**
+ * Whether new deployments of the core contracts go behind proxies
+ * @returns {boolean} UPGRADEABLE=true
+ */
+function isUpgradeableMode() {
+    return process.env.UPGRADEABLE === "true"
+}
+
+function proxyOptions(args, txOverrides) {
+    const options = { kind: PROXY_KIND, constructorArgs: args }
+    // Fee fields for the transactions the plugin sends
+    if (txOverrides) options.txOverrides = txOverrides
+    return options
+}
+
+/**
+ * Deploy a contract behind a transparent proxy
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {string} name - Contract name
+ * @param {Array} [args] - initialize() arguments
+ * @param {Object} [options]
+ * @param {number} [options.waitConfirmations]
+ * @param {Object} [options.txOverrides] - Fee fields (utils/networks.js getFeeOverrides)
+ * @returns {Promise<Object>} hardhat-deploy DeploymentSubmission fields:
+ *   { address, implementation, args, transactionHash, receipt }
+ */
+async function deployProxy(
+    hre,
+    name,
+    args = [],
+    { waitConfirmations = 1, txOverrides } = {}
+) {
+    const factory = await hre.ethers.getContractFactory(name)
+    const proxy = await hre.upgrades.deployProxy(
+        factory,
+        args,
+        proxyOptions(args, txOverrides)
+    )
+    const receipt = await proxy.deploymentTransaction().wait(waitConfirmations)
+    const address = await proxy.getAddress()
+
+    return {
+        address,
+        implementation: await hre.upgrades.erc1967.getImplementationAddress(
+            address
+        ),
+        args,
+        transactionHash: receipt.hash,
+        // hardhat-deploy stores receipts as JSON (no bigints)
+        receipt: {
+            from: receipt.from,
+            transactionHash: receipt.hash,
+            blockHash: receipt.blockHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            status: receipt.status,
+        },
+    }
+}
+
+/**
+ * Check that the current code of a contract can replace a proxy's
+ * implementation (storage layout and upgrade safety)
+ * @throws {Error} Describing each incompatibility
+ */
+async function validateUpgrade(hre, name, address, args = []) {
+    const factory = await hre.ethers.getContractFactory(name)
+    await hre.upgrades.validateUpgrade(address, factory, proxyOptions(args))
+}
+
+/**
+ * Point a proxy at the current code of its contract. Nothing is sent when the
+ * code is unchanged.
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {string} name - Contract name
+ * @param {string} address - Proxy address
+ * @param {Array} [args] - The proxy's initialize() arguments
+ * @param {Object} [options]
+ * @param {number} [options.waitConfirmations]
+ * @param {Object} [options.txOverrides] - Fee fields (utils/networks.js getFeeOverrides)
+ * @returns {Promise<Object>} { previousImplementation, implementation,
+ *   upgraded, transactionHash }
+ */
+async function upgradeProxy(
+    hre,
+    name,
+    address,
+    args = [],
+    { waitConfirmations = 1, txOverrides } = {}
+) {
+    const factory = await hre.ethers.getContractFactory(name)
+    const options = proxyOptions(args, txOverrides)
+    const previousImplementation =
+        await hre.upgrades.erc1967.getImplementationAddress(address)
+
+    // Validates the upgrade, then deploys the implementation (or finds the
+    // one already deployed for this code)
+    const implementation = await hre.upgrades.prepareUpgrade(
+        address,
+        factory,
+        options
+    )
+    if (implementation.toLowerCase() === previousImplementation.toLowerCase()) {
+        return {
+            previousImplementation,
+            implementation: previousImplementation,
+            upgraded: false,
+            transactionHash: null,
+        }
+    }
+
+    const proxy = await hre.upgrades.upgradeProxy(address, factory, options)
+    const receipt = await proxy.deployTransaction.wait(waitConfirmations)
+
+    return {
+        previousImplementation,
+        implementation: await hre.upgrades.erc1967.getImplementationAddress(
+            address
+        ),
+        upgraded: true,
+        transactionHash: receipt.hash,
+    }
+}
+
+module.exports = {
+    UPGRADEABLE_CONTRACTS,
+    isUpgradeableMode,
+    deployProxy,
+    validateUpgrade,
+    upgradeProxy,
+}
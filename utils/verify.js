@@ -1,12 +1,8 @@
 const { run } = require("hardhat")
 
-const verify = async (contractAddress, args) => {
-    console.log("Verifying contract...")
+const runVerification = async (taskName, params) => {
     try {
-        await run("verify:verify", {
-            address: contractAddress,
-            constructorArguments: args,
-        })
+        await run(taskName, params)
     } catch (error) {
         if (error.message.toLowerCase().includes("already verified")) {
             console.log("Already verified!")
@@ -16,4 +12,19 @@ const verify = async (contractAddress, args) => {
     }
 }
 
-module.exports = { verify }
\ No newline at end of file
+const verify = async (contractAddress, args) => {
+    console.log("Verifying contract...")
+    await runVerification("verify:verify", {
+        address: contractAddress,
+        constructorArguments: args,
+    })
+}
+
+// @openzeppelin/hardhat-upgrades extends the verify task to verify the proxy
+// contract itself and link it to its implementation on the explorer
+const verifyProxy = async (proxyAddress) => {
+    console.log("Verifying proxy...")
+    await runVerification("verify", { address: proxyAddress })
+}
+
+module.exports = { verify, verifyProxy }